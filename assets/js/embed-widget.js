@@ -0,0 +1,141 @@
+/* PlayersB embed widgets: renders /embed/{type}/?id=… from its pre-built
+   payload (/embed/data/{type}/{id}.json, see scripts/lib/embed.mjs) and
+   reports its height to the host page. Options: theme=auto|light|dark and,
+   for player and team cards, metrics=key,key,… in display order.
+
+   Resize protocol (assets/js/embed.js is the host side): the widget posts
+   { type: "playersb:embed-resize", height } to its parent whenever its
+   content changes size, and again whenever the parent sends
+   { type: "playersb:embed-ping" } (the host script may load after the
+   widget has already reported). Heights are not sensitive, so messages go
+   to any parent origin; the host checks that they come from this one. */
+(function () {
+  "use strict";
+
+  var MAX_METRICS = 6;
+  var body = document.body;
+  var card = document.getElementById("embedCard");
+  var type = body.getAttribute("data-embed-type");
+  var params = new URLSearchParams(window.location.search);
+  var id = (params.get("id") || "").toLowerCase().replace(/[^a-z0-9-]/g, "");
+
+  function escapeHtml(s) {
+    return String(s == null ? "" : s).replace(/[&<>"']/g, function (c) {
+      return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c];
+    });
+  }
+
+  // Links open the full site in a new tab, never inside the iframe.
+  function link(url, text, cls) {
+    if (!url) return escapeHtml(text);
+    return '<a' + (cls ? ' class="' + cls + '"' : "") + ' href="' + escapeHtml(url) + '" target="_blank" rel="noopener">' + escapeHtml(text) + "</a>";
+  }
+
+  function applyTheme() {
+    var theme = params.get("theme") || "auto";
+    var media = window.matchMedia ? window.matchMedia("(prefers-color-scheme: dark)") : null;
+    function paint() {
+      var dark = theme === "dark" || (theme === "auto" && media && media.matches);
+      if (dark) document.documentElement.setAttribute("data-theme", "dark");
+      else document.documentElement.removeAttribute("data-theme");
+    }
+    paint();
+    if (theme === "auto" && media && media.addEventListener) media.addEventListener("change", paint);
+  }
+
+  function reportHeight() {
+    if (window.parent === window) return;
+    var height = Math.ceil(document.documentElement.getBoundingClientRect().height);
+    window.parent.postMessage({ type: "playersb:embed-resize", height: height }, "*");
+  }
+
+  function header(payload, subtitle) {
+    return '<div class="embed-header"><div>' +
+      '<p class="embed-title">' + link(payload.url, payload.name) + "</p>" +
+      (subtitle ? '<p class="embed-meta">' + escapeHtml(subtitle) + "</p>" : "") +
+      "</div></div>";
+  }
+
+  // The metrics= keys the payload knows, in the order given; the payload's
+  // defaults when none are.
+  function pickMetrics(payload) {
+    var byKey = {};
+    payload.metrics.forEach(function (m) { byKey[m.key] = m; });
+    var keys = (params.get("metrics") || "").split(",").filter(function (k, i, all) {
+      return byKey[k] && all.indexOf(k) === i;
+    });
+    if (!keys.length) keys = payload.defaultMetrics;
+    return keys.slice(0, MAX_METRICS).map(function (k) { return byKey[k]; }).filter(Boolean);
+  }
+
+  function statGrid(metrics) {
+    return '<div class="embed-grid">' + metrics.map(function (m) {
+      return '<div class="embed-stat"><div class="embed-label">' + escapeHtml(m.label) +
+        '</div><div class="embed-value">' + escapeHtml(m.display) + "</div></div>";
+    }).join("") + "</div>";
+  }
+
+  function fixtureTable(rows) {
+    return '<table class="embed-table"><tbody>' + rows.map(function (f) {
+      return "<tr><td>" + escapeHtml(f.date) + "</td><td>" + escapeHtml(f.home) + " " +
+        link(f.url, f.score || "vs") + " " + escapeHtml(f.away) + '</td><td class="num embed-meta">' +
+        escapeHtml(f.status) + "</td></tr>";
+    }).join("") + "</tbody></table>";
+  }
+
+  var RENDER = {
+    player: function (p) {
+      return header(p, [p.subtitle, p.season].filter(Boolean).join(" · ")) + statGrid(pickMetrics(p)) +
+        link(p.url, "View full profile →", "embed-link");
+    },
+    team: function (p) {
+      return header(p, [p.subtitle, p.form ? "Form " + p.form : ""].filter(Boolean).join(" · ")) +
+        statGrid(pickMetrics(p)) + link(p.url, "View team page →", "embed-link");
+    },
+    standings: function (p) {
+      return header(p, "League table") +
+        '<table class="embed-table"><thead><tr><th>#</th><th>Team</th><th class="num">P</th><th class="num">GD</th><th class="num">Pts</th></tr></thead><tbody>' +
+        p.rows.map(function (r) {
+          return "<tr><td>" + escapeHtml(r.position) + "</td><td>" + link(r.url, r.team) + '</td><td class="num">' +
+            escapeHtml(r.played) + '</td><td class="num">' + escapeHtml(r.goalDifference) + '</td><td class="num"><strong>' +
+            escapeHtml(r.points) + "</strong></td></tr>";
+        }).join("") + "</tbody></table>" + link(p.url, "Full competition page →", "embed-link");
+    },
+    fixtures: function (p) {
+      return header(p, "Fixtures and results") +
+        (p.upcoming.length ? '<p class="embed-section">Next</p>' + fixtureTable(p.upcoming) : "") +
+        (p.recent.length ? '<p class="embed-section">Latest results</p>' + fixtureTable(p.recent) : "") +
+        (p.upcoming.length || p.recent.length ? "" : '<p class="embed-meta">No fixtures in the current data.</p>') +
+        link(p.url, "View team page →", "embed-link");
+    },
+  };
+
+  function fail(text) {
+    card.innerHTML = '<p class="embed-meta">' + escapeHtml(text) + " " +
+      link("https://playersb.com/embed/", "Build a widget", "embed-link") + "</p>";
+    reportHeight();
+  }
+
+  applyTheme();
+  window.addEventListener("message", function (e) {
+    if (e.source === window.parent && e.data && e.data.type === "playersb:embed-ping") reportHeight();
+  });
+  if (window.ResizeObserver) new ResizeObserver(reportHeight).observe(document.documentElement);
+  window.addEventListener("load", reportHeight);
+
+  if (!RENDER[type]) return fail("Unknown widget.");
+  if (!id) return fail("No id given.");
+  fetch("/embed/data/" + type + "/" + id + ".json")
+    .then(function (res) {
+      if (res.status === 404) throw new Error("missing");
+      if (!res.ok) throw new Error("unavailable");
+      return res.json();
+    })
+    .then(function (payload) {
+      card.innerHTML = RENDER[type](payload);
+      reportHeight();
+    })
+    .catch(function (err) {
+      fail(err && err.message === "missing" ? "Nothing found for “" + id + "”." : "Unable to load this widget.");
+    });
+})();
@@ -0,0 +1,38 @@
+/* PlayersB embed host script. The /embed/ snippet loads it next to a widget
+   iframe on other sites; it sizes every iframe[data-playersb-embed] to the
+   height its widget reports (see the protocol in assets/js/embed-widget.js).
+   Messages are only accepted from the origin this script was served from,
+   and only for the iframe that sent them. Safe to include more than once. */
+(function () {
+  "use strict";
+
+  if (window.playersbEmbedHost) return;
+  window.playersbEmbedHost = true;
+
+  var script = document.currentScript;
+  var origin = "https://playersb.com";
+  try { if (script && script.src) origin = new URL(script.src, window.location.href).origin; } catch (_) { /* keep default */ }
+
+  function frames() {
+    return Array.prototype.slice.call(document.querySelectorAll("iframe[data-playersb-embed]"));
+  }
+
+  window.addEventListener("message", function (e) {
+    if (e.origin !== origin || !e.data || e.data.type !== "playersb:embed-resize") return;
+    var height = Number(e.data.height);
+    if (!(height > 0 && height < 10000)) return;
+    frames().forEach(function (frame) {
+      if (frame.contentWindow === e.source) frame.style.height = height + "px";
+    });
+  });
+
+  // Widgets that rendered before this script ran report again on request.
+  function ping() {
+    frames().forEach(function (frame) {
+      try { frame.contentWindow.postMessage({ type: "playersb:embed-ping" }, origin); } catch (_) { /* not loaded yet */ }
+    });
+  }
+  if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", ping);
+  else ping();
+  window.addEventListener("load", ping);
+})();
@@ -51,6 +51,7 @@
       var isOutbound = /^https?:\/\//i.test(href) && !href.includes(window.location.host);
       var isNav = anchor.classList.contains("nav-link");
       var isCta = anchor.classList.contains("button");
+      if (anchor.hasAttribute("data-calendar")) return track("calendar_subscribe", { calendar: anchor.getAttribute("data-calendar") });
       if (isOutbound) return track("outbound_click", { destination: href, link_text: text });
       if (isNav) return track("nav_click", { destination: href, link_text: text });
       if (isCta) return track("cta_click", { destination: href, link_text: text });
@@ -74,44 +75,167 @@
   }
 
   // Lightweight, dependency-free site search. Loads /data/search-index.json
-  // (generated by scripts/generate-search-index.mjs) and ranks against query
-  // tokens with a small TF-style weighting. Good enough for ~500 entries.
+  // (generated by scripts/generate-search-index.mjs), looks query tokens up
+  // in its inverted index and ranks entries by the strongest match per token.
   var searchIndexPromise = null;
   function loadSearchIndex() {
     if (!searchIndexPromise) {
       searchIndexPromise = fetch("/data/search-index.json", { cache: "force-cache" })
         .then(function (r) { return r.ok ? r.json() : { entries: [] }; })
-        .catch(function () { return { entries: [] }; });
+        .catch(function () { return { entries: [] }; })
+        .then(function (idx) {
+          if (!idx.index) idx.index = buildIndex(idx.entries || []);
+          return idx;
+        });
     }
     return searchIndexPromise;
   }
 
+  // Must fold exactly like foldText/searchTokens in
+  // scripts/lib/search-index.mjs: "Núñez" → nunez, "Ødegaard" → odegaard.
+  var FOLD_MAP = { "ø": "o", "æ": "ae", "œ": "oe", "ß": "ss", "đ": "d", "ð": "d", "ł": "l", "ı": "i", "þ": "th" };
   function tokenize(s) {
     return String(s || "")
       .toLowerCase()
-      .replace(/[^a-z0-9\s]/g, " ")
-      .split(/\s+/)
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[øæœßđðłıþ]/g, function (c) { return FOLD_MAP[c]; })
+      .replace(/['\u2019]/g, "")
+      .split(/[^a-z0-9]+/)
       .filter(Boolean);
   }
 
-  function scoreEntry(entry, qTokens) {
-    var hayTokens = entry._t || (entry._t = tokenize(
-      [entry.name, entry.team, entry.position, entry.section, entry.competition].filter(Boolean).join(" "),
-    ));
-    var score = 0;
+  // Fallback for a search-index.json cached from before the inverted index
+  // shipped: same shape, built from the display fields (no aliases).
+  function buildIndex(entries) {
+    var terms = {};
+    var prefixes = {};
+    function post(map, key, i, w) {
+      var list = map[key] || (map[key] = []);
+      list.push(i, w);
+    }
+    entries.forEach(function (e, i) {
+      var seen = {};
+      [[3, [e.name]], [1, [e.team, e.position, e.section, e.competition]]].forEach(function (field) {
+        tokenize(field[1].filter(Boolean).join(" ")).forEach(function (t) {
+          if (seen[t]) return;
+          seen[t] = true;
+          post(terms, t, i, field[0]);
+          for (var len = 1; len < t.length; len++) post(prefixes, t.slice(0, len), i, field[0]);
+        });
+      });
+    });
+    return { terms: terms, prefixes: prefixes };
+  }
+
+  // True when a and b are at most one insertion, deletion or substitution apart.
+  function withinOneEdit(a, b) {
+    if (Math.abs(a.length - b.length) > 1) return false;
+    var i = 0;
+    var j = 0;
+    var edits = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) { i++; j++; continue; }
+      if (++edits > 1) return false;
+      if (a.length > b.length) i++;
+      else if (a.length < b.length) j++;
+      else { i++; j++; }
+    }
+    return edits + (a.length - i) + (b.length - j) <= 1;
+  }
+
+  // Postings are flat [entry, weight, entry, weight, …]; keep the strongest
+  // match per entry for the current query token.
+  function addPostings(best, postings, factor) {
+    if (!postings) return;
+    for (var k = 0; k < postings.length; k += 2) {
+      var s = postings[k + 1] * factor;
+      if (!(best[postings[k]] >= s)) best[postings[k]] = s;
+    }
+  }
+
+  // Every query token must match: a whole word scores ×4 and a word prefix
+  // ×2. Only when neither hits does the token fall back to words that
+  // contain it or, from four letters on, are one typo away (×1). Returns
+  // { entryIndex: score }.
+  var TYPO_MIN_LENGTH = 4;
+  function searchIndex(index, qTokens) {
+    var terms = index.terms || {};
+    var prefixes = index.prefixes || {};
+    var keys = index._keys || (index._keys = Object.keys(terms));
+    var totals = null;
     for (var i = 0; i < qTokens.length; i++) {
       var q = qTokens[i];
-      var matched = false;
-      for (var j = 0; j < hayTokens.length; j++) {
-        var h = hayTokens[j];
-        if (h === q) { score += 4; matched = true; }
-        else if (h.startsWith(q)) { score += 2; matched = true; }
-        else if (h.indexOf(q) !== -1) { score += 1; matched = true; }
+      var best = {};
+      addPostings(best, terms[q], 4);
+      addPostings(best, prefixes[q], 2);
+      if (isEmpty(best)) {
+        for (var k = 0; k < keys.length; k++) {
+          var term = keys[k];
+          var typo = q.length >= TYPO_MIN_LENGTH &&
+            (withinOneEdit(q, term) || (term.length > q.length && withinOneEdit(q, term.slice(0, q.length))));
+          if (typo || term.indexOf(q) !== -1) addPostings(best, terms[term], 1);
+        }
       }
-      if (!matched) return 0;
+      if (totals === null) {
+        totals = best;
+      } else {
+        var next = {};
+        for (var e in best) if (e in totals) next[e] = totals[e] + best[e];
+        totals = next;
+      }
+      if (isEmpty(totals)) return {};
     }
-    if (entry.section === "player") score += 1;
-    return score;
+    return totals || {};
+  }
+
+  function isEmpty(obj) {
+    for (var k in obj) return false;
+    return true;
+  }
+
+  // Percentile filter over player entries: "top 10% g/90 cb", "top 25% a90".
+  // Needs "top N%" plus a per-90 metric; a position token (plural is fine)
+  // ranks within that primary position, otherwise against all players.
+  // Any other words still have to match the entry like a normal search.
+  var PCT_METRICS = { g: "g90", goals: "g90", a: "a90", assists: "a90", s: "s90", shots: "s90", sot: "sot90" };
+  function parsePercentileQuery(query) {
+    var q = query.toLowerCase();
+    var top = /\btop\s*(\d{1,2})\s*%/.exec(q);
+    var metric = /\b(sot|shots|goals|assists|g|a|s)\s*\/?\s*90\b/.exec(q);
+    if (!top || !metric) return null;
+    return {
+      min: 100 - Number(top[1]),
+      metric: PCT_METRICS[metric[1]],
+      rest: tokenize(q.replace(top[0], " ").replace(metric[0], " ")),
+    };
+  }
+
+  function percentileResults(idx, filter) {
+    var entries = idx.entries || [];
+    var positions = {};
+    entries.forEach(function (e) { if (e.pct && e.pct.pos) positions[e.pct.pos.toLowerCase()] = true; });
+    var pos = null;
+    var rest = [];
+    filter.rest.forEach(function (t) {
+      var single = t.replace(/s$/, "");
+      if (!pos && positions[t]) pos = t;
+      else if (!pos && positions[single]) pos = single;
+      else rest.push(t);
+    });
+    var matches = rest.length ? searchIndex(idx.index, rest) : null;
+    var out = [];
+    for (var i = 0; i < entries.length; i++) {
+      var e = entries[i];
+      if (!e.pct || !e.pct[filter.metric]) continue;
+      if (pos && String(e.pct.pos).toLowerCase() !== pos) continue;
+      var rank = e.pct[filter.metric][pos ? 0 : 1];
+      if (rank === null || rank < filter.min) continue;
+      if (matches && !(i in matches)) continue;
+      out.push({ s: rank, e: Object.assign({}, e, { _note: rank + " pct" + (pos ? " vs " + e.pct.pos : "") }) });
+    }
+    out.sort(function (a, b) { return b.s - a.s; });
+    return out;
   }
 
   function renderResults(box, results, query) {
@@ -123,10 +247,12 @@
     var html = '<ul class="search-results" role="listbox">';
     for (var i = 0; i < results.length; i++) {
       var r = results[i];
-      html += '<li role="option"><a href="' + escapeAttr(r.url) + '">' +
+      html += '<li role="option" id="siteSearchOption' + i + '" aria-selected="false">' +
+        '<a href="' + escapeAttr(r.url) + '" tabindex="-1">' +
         '<span class="search-name">' + escapeHtml(r.name) + '</span>' +
         '<span class="search-meta">' + escapeHtml(r.section || "") +
         (r.team ? " — " + escapeHtml(r.team) : "") +
+        (r._note ? " — " + escapeHtml(r._note) : "") +
         '</span></a></li>';
     }
     html += "</ul>";
@@ -144,28 +270,78 @@
     var input = document.getElementById("siteSearch");
     var box = document.getElementById("siteSearchResults");
     if (!input || !box) return;
+    input.setAttribute("role", "combobox");
+    input.setAttribute("aria-autocomplete", "list");
+    input.setAttribute("aria-expanded", "false");
     var debounceId = null;
+    var active = -1;
+
+    function clearResults() {
+      box.innerHTML = "";
+      setActive(-1);
+      input.setAttribute("aria-expanded", "false");
+    }
+
+    // Arrow keys move a highlighted option; focus stays in the input
+    // (aria-activedescendant) so typing keeps refining the query.
+    function setActive(next) {
+      var options = box.querySelectorAll('[role="option"]');
+      active = options.length && next >= 0 ? next % options.length : -1;
+      for (var i = 0; i < options.length; i++) {
+        options[i].classList.toggle("is-active", i === active);
+        options[i].setAttribute("aria-selected", i === active ? "true" : "false");
+      }
+      if (active < 0) { input.removeAttribute("aria-activedescendant"); return; }
+      input.setAttribute("aria-activedescendant", options[active].id);
+      if (options[active].scrollIntoView) options[active].scrollIntoView({ block: "nearest" });
+    }
+
     input.addEventListener("input", function () {
       var query = input.value.trim();
       clearTimeout(debounceId);
-      if (!query) { box.innerHTML = ""; return; }
+      if (!query) { clearResults(); return; }
       debounceId = setTimeout(function () {
         loadSearchIndex().then(function (idx) {
           var qTokens = tokenize(query);
-          if (!qTokens.length) { box.innerHTML = ""; return; }
+          if (!qTokens.length) { clearResults(); return; }
           var entries = idx.entries || [];
-          var scored = [];
-          for (var i = 0; i < entries.length; i++) {
-            var s = scoreEntry(entries[i], qTokens);
-            if (s > 0) scored.push({ s: s, e: entries[i] });
+          var filter = parsePercentileQuery(query);
+          var scored = filter ? percentileResults(idx, filter) : [];
+          if (!filter) {
+            var matches = searchIndex(idx.index, qTokens);
+            for (var i in matches) {
+              var e = entries[i];
+              if (e) scored.push({ s: matches[i] + (e.section === "player" ? 1 : 0), e: e });
+            }
+            scored.sort(function (a, b) { return b.s - a.s || a.e.name.localeCompare(b.e.name); });
           }
-          scored.sort(function (a, b) { return b.s - a.s; });
           renderResults(box, scored.slice(0, 12).map(function (x) { return x.e; }), query);
+          setActive(-1);
+          input.setAttribute("aria-expanded", scored.length ? "true" : "false");
           track("search_query", { query: query.slice(0, 80), result_count: scored.length });
         });
       }, 120);
     });
 
+    input.addEventListener("keydown", function (e) {
+      var count = box.querySelectorAll('[role="option"]').length;
+      if (e.key === "ArrowDown" && count) {
+        e.preventDefault();
+        setActive(active + 1);
+      } else if (e.key === "ArrowUp" && count) {
+        e.preventDefault();
+        setActive(active <= 0 ? count - 1 : active - 1);
+      } else if (e.key === "Enter" && count) {
+        // Enter opens the highlighted result, or the top one.
+        e.preventDefault();
+        var link = box.querySelectorAll('[role="option"] a')[active < 0 ? 0 : active];
+        if (link) link.click();
+      } else if (e.key === "Escape") {
+        input.value = "";
+        clearResults();
+      }
+    });
+
     // Allow ?q=... to pre-populate (matches the SearchAction in JSON-LD).
     var params = new URLSearchParams(window.location.search);
     var pre = params.get("q");
@@ -189,6 +365,18 @@
   }
   function writeWatch(list) {
     try { localStorage.setItem(WATCH_KEY, JSON.stringify(list)); } catch (_) {}
+    syncOfflineWatchList();
+    syncAlerts();
+  }
+  function watchUrl(x) { return "/players/" + encodeURIComponent(x.id) + "/"; }
+
+  // Hands the watch-list to the service worker, which keeps those player
+  // pages cached for offline reading (see "precache-watchlist" in sw.js).
+  function syncOfflineWatchList() {
+    if (!("serviceWorker" in navigator)) return;
+    navigator.serviceWorker.ready.then(function (reg) {
+      if (reg.active) reg.active.postMessage({ type: "precache-watchlist", urls: readWatch().map(watchUrl) });
+    }).catch(function () {});
   }
   function isWatched(list, id) {
     for (var i = 0; i < list.length; i++) if (list[i].id === id) return true;
@@ -208,11 +396,12 @@
       btn.addEventListener("click", function () {
         list = readWatch();
         var name = btn.getAttribute("data-watch-name") || id;
+        var team = btn.getAttribute("data-watch-team") || "";
         if (isWatched(list, id)) {
           list = list.filter(function (x) { return x.id !== id; });
           track("watch_remove", { id: id });
         } else {
-          list.push({ id: id, name: name, addedAt: Date.now() });
+          list.push({ id: id, name: name, team: team, addedAt: Date.now() });
           track("watch_add", { id: id });
         }
         writeWatch(list);
@@ -257,7 +446,7 @@
     var html = '<div class="watch-list">';
     for (var i = 0; i < list.length; i++) {
       var x = list[i];
-      html += '<a class="watch-list-item" href="/players/' + encodeURIComponent(x.id) + '/">★ ' +
+      html += '<a class="watch-list-item" href="' + watchUrl(x) + '">★ ' +
         escapeHtml(x.name || x.id) + '</a>';
     }
     html += "</div>";
@@ -265,6 +454,321 @@
     box.innerHTML = html;
   }
 
+  // Match alerts: the service worker checks /data/fixtures.json in the
+  // background (Periodic Background Sync where the browser allows it, and on
+  // every page load otherwise) and raises a notification on kick-off, goals
+  // and full time for followed teams and the teams of watch-listed players.
+  // The page owns the settings; it hands sw.js the list of unmuted team names
+  // as { type: "alerts-config" } whenever they change.
+  var FOLLOW_KEY = "playersb-follow-teams-v1";
+  var MUTE_KEY = "playersb-muted-teams-v1";
+  var FIXTURE_CHECK_TAG = "fixture-check";
+  var FIXTURE_CHECK_MS = 15 * 60 * 1000;
+
+  function readList(key) {
+    try {
+      var parsed = JSON.parse(localStorage.getItem(key) || "[]");
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (_) { return []; }
+  }
+  function writeList(key, list) {
+    try { localStorage.setItem(key, JSON.stringify(list)); } catch (_) {}
+  }
+  function isFollowing(name) {
+    return readList(FOLLOW_KEY).some(function (x) { return x.name === name; });
+  }
+  function isMuted(name) {
+    return readList(MUTE_KEY).indexOf(name) !== -1;
+  }
+
+  // Followed teams plus watch-listed players' teams. Watch entries saved
+  // before they carried a team are resolved through the search index.
+  function alertTeams() {
+    var teams = [];
+    var seen = {};
+    function add(name, source, slug) {
+      if (!name || seen[name]) return;
+      seen[name] = true;
+      teams.push({ name: name, source: source, slug: slug || "", muted: isMuted(name) });
+    }
+    readList(FOLLOW_KEY).forEach(function (x) { add(x.name, "followed", x.slug); });
+    var watch = readWatch();
+    var missing = watch.some(function (x) { return !x.team; });
+    var lookup = missing ? loadSearchIndex() : Promise.resolve(null);
+    return lookup.then(function (idx) {
+      var byUrl = {};
+      ((idx && idx.entries) || []).forEach(function (e) { byUrl[e.url] = e.team; });
+      watch.forEach(function (x) { add(x.team || byUrl[watchUrl(x)], "watch-list"); });
+      return teams;
+    });
+  }
+
+  function withServiceWorker(fn) {
+    if (!("serviceWorker" in navigator)) return;
+    navigator.serviceWorker.ready.then(function (reg) { if (reg.active) fn(reg); }).catch(function () {});
+  }
+
+  function syncAlerts() {
+    alertTeams().then(function (teams) {
+      var enabled = "Notification" in window && Notification.permission === "granted";
+      withServiceWorker(function (reg) {
+        reg.active.postMessage({
+          type: "alerts-config",
+          enabled: enabled,
+          teams: teams.filter(function (t) { return !t.muted; }).map(function (t) { return t.name; }),
+        });
+        if (enabled && teams.length && reg.periodicSync) {
+          reg.periodicSync.register(FIXTURE_CHECK_TAG, { minInterval: FIXTURE_CHECK_MS }).catch(function () {
+            /* not installed as an app, or the browser declined: page-load checks still run */
+          });
+        }
+        reg.active.postMessage({ type: "check-fixtures" });
+      });
+    });
+  }
+
+  function paintFollowToggle(btn, following) {
+    btn.setAttribute("aria-pressed", String(following));
+    btn.textContent = following ? "✓ Following" : "Follow for match alerts";
+  }
+  function initFollowToggles() {
+    document.querySelectorAll(".follow-toggle").forEach(function (btn) {
+      var name = btn.getAttribute("data-follow-team");
+      if (!name) return;
+      paintFollowToggle(btn, isFollowing(name));
+      btn.addEventListener("click", function () {
+        var list = readList(FOLLOW_KEY).filter(function (x) { return x.name !== name; });
+        var following = !isFollowing(name);
+        if (following) list.push({ name: name, slug: btn.getAttribute("data-follow-slug") || "", addedAt: Date.now() });
+        writeList(FOLLOW_KEY, list);
+        paintFollowToggle(btn, following);
+        track("matches_follow_team_toggle", { value: name, following: following });
+        if (following && "Notification" in window && Notification.permission === "default") {
+          Notification.requestPermission().then(syncAlerts);
+        } else {
+          syncAlerts();
+        }
+        renderMatchAlerts();
+      });
+    });
+  }
+
+  // Settings panel (#matchAlerts on /matches/): permission, per-team mute,
+  // and a manual check (handy against a locally served fixtures file).
+  function renderMatchAlerts() {
+    var box = document.getElementById("matchAlerts");
+    if (!box) return;
+    if (!("Notification" in window) || !("serviceWorker" in navigator)) {
+      box.innerHTML = '<p class="meta-text">This browser does not support match alerts.</p>';
+      return;
+    }
+    alertTeams().then(function (teams) {
+      var html = "";
+      if (Notification.permission === "denied") {
+        html += '<p class="meta-text">Notifications are blocked for this site in your browser settings.</p>';
+      } else if (Notification.permission !== "granted") {
+        html += '<p><button type="button" class="button small" data-alerts-enable>Enable match alerts</button></p>';
+      }
+      if (!teams.length) {
+        html += '<p class="meta-text">Follow a team from its page, or save players to your watch-list, to get kick-off, goal and full-time alerts.</p>';
+      } else {
+        html += '<ul class="alert-teams">';
+        teams.forEach(function (t) {
+          var label = t.slug
+            ? '<a href="/teams/' + encodeURIComponent(t.slug) + '/">' + escapeHtml(t.name) + "</a>"
+            : escapeHtml(t.name);
+          html += '<li><label><input type="checkbox" data-alerts-mute="' + escapeAttr(t.name) + '"' +
+            (t.muted ? "" : " checked") + " /> " + label + '</label> <span class="meta-text">' +
+            (t.source === "followed" ? "followed" : "watch-list") + "</span></li>";
+        });
+        html += "</ul>";
+        html += '<p><button type="button" class="button small secondary" data-alerts-check>Check fixtures now</button></p>';
+      }
+      box.innerHTML = html;
+    });
+  }
+
+  function initMatchAlerts() {
+    var box = document.getElementById("matchAlerts");
+    if (box) {
+      box.addEventListener("click", function (e) {
+        var target = e.target;
+        if (target.hasAttribute("data-alerts-enable")) {
+          Notification.requestPermission().then(function (result) {
+            track("match_alerts_enable", { result: result });
+            syncAlerts();
+            renderMatchAlerts();
+          });
+        } else if (target.hasAttribute("data-alerts-check")) {
+          withServiceWorker(function (reg) { reg.active.postMessage({ type: "check-fixtures" }); });
+        }
+      });
+      box.addEventListener("change", function (e) {
+        var name = e.target.getAttribute("data-alerts-mute");
+        if (!name) return;
+        var muted = readList(MUTE_KEY).filter(function (x) { return x !== name; });
+        if (!e.target.checked) muted.push(name);
+        writeList(MUTE_KEY, muted);
+        track("match_alerts_mute", { value: name, muted: !e.target.checked });
+        syncAlerts();
+      });
+      renderMatchAlerts();
+    }
+    initFollowToggles();
+  }
+
+  // Custom fixtures calendar (#myCalendar on /matches/): the fixtures of
+  // followed teams and watch-listed players' teams, downloaded as an .ics
+  // file, with Subscribe links for the followed teams' own calendars. The
+  // events mirror scripts/lib/ics.mjs (same UIDs, summary and description),
+  // so importing the file next to a subscribed calendar updates events
+  // instead of doubling them; keep the two in step.
+  var CALENDAR_MATCH_MINUTES = 120;
+  var CALENDAR_UPCOMING = ["SCHEDULED", "TIMED"];
+  function icsText(value) {
+    return String(value == null ? "" : value)
+      .replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+  }
+  function icsDate(value) {
+    var d = new Date(value);
+    if (isNaN(d.getTime())) return null;
+    return d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  }
+  // Folds at 75 UTF-8 octets without splitting a character.
+  function icsFold(line) {
+    var out = "";
+    var octets = 0;
+    var first = true;
+    for (var i = 0; i < line.length; i++) {
+      var code = line.charCodeAt(i);
+      var ch = line.charAt(i);
+      if (code >= 0xd800 && code <= 0xdbff && i + 1 < line.length) ch += line.charAt(++i);
+      var size = ch.length === 2 ? 4 : code < 0x80 ? 1 : code < 0x800 ? 2 : 3;
+      if (octets + size > (first ? 75 : 74)) {
+        out += "\r\n ";
+        octets = 0;
+        first = false;
+      }
+      out += ch;
+      octets += size;
+    }
+    return out;
+  }
+  function calendarStatusLabel(status) {
+    if (status === "FINISHED") return "Full time";
+    if (LIVE_STATUSES.indexOf(status) !== -1) return status === "PAUSED" ? "Half time" : "Live";
+    if (CALENDAR_UPCOMING.indexOf(status) !== -1) return "Scheduled";
+    var s = String(status || "").toLowerCase().replace(/_/g, " ");
+    return s ? s.charAt(0).toUpperCase() + s.slice(1) : "Unknown";
+  }
+  function calendarSlug(raw) {
+    return String(raw == null ? "" : raw).trim().toLowerCase()
+      .replace(/[^a-z0-9-]/g, "-").replace(/-+/g, "-").replace(/^-|-$/g, "");
+  }
+  function fixtureIcsLines(f, stamp) {
+    var id = calendarSlug(f.id);
+    var start = icsDate(f.date);
+    if (!id || !start) return [];
+    var home = String(f.home || "").trim() || "TBD";
+    var away = String(f.away || "").trim() || "TBD";
+    var scored = (f.status === "FINISHED" || LIVE_STATUSES.indexOf(f.status) !== -1) &&
+      typeof f.homeScore === "number" && typeof f.awayScore === "number";
+    var hasPage = String(f.home || "").trim() && String(f.away || "").trim();
+    var url = "https://playersb.com/matches/" + (hasPage ? id + "/" : "");
+    var competition = String(f.competition || "").trim();
+    var status = f.status === "CANCELLED" || f.status === "CANCELED" || f.status === "ABANDONED" ? "CANCELLED"
+      : f.status === "POSTPONED" || f.status === "SUSPENDED" ? "TENTATIVE" : "CONFIRMED";
+    var lines = [
+      "BEGIN:VEVENT",
+      "UID:fixture-" + id + "@playersb.com",
+      "DTSTAMP:" + (icsDate(stamp) || start),
+      "DTSTART:" + start,
+      "DTEND:" + icsDate(new Date(f.date).getTime() + CALENDAR_MATCH_MINUTES * 60 * 1000),
+      "SUMMARY:" + icsText(scored ? home + " " + f.homeScore + "–" + f.awayScore + " " + away : home + " vs " + away),
+      "DESCRIPTION:" + icsText([competition, calendarStatusLabel(f.status), url].filter(Boolean).join("\n")),
+      "URL:" + url,
+    ];
+    if (competition) lines.push("CATEGORIES:" + icsText(competition));
+    lines.push("STATUS:" + status, "TRANSP:TRANSPARENT", "END:VEVENT");
+    return lines;
+  }
+  function buildFixturesIcs(fixtures, name, stamp) {
+    var sorted = fixtures.slice().sort(function (a, b) {
+      return String(a.date).localeCompare(String(b.date)) || String(a.id).localeCompare(String(b.id));
+    });
+    var lines = [
+      "BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//PlayersB//Fixtures//EN", "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH", "NAME:" + icsText(name), "X-WR-CALNAME:" + icsText(name),
+    ];
+    sorted.forEach(function (f) { lines = lines.concat(fixtureIcsLines(f, stamp)); });
+    lines.push("END:VCALENDAR");
+    return lines.map(icsFold).join("\r\n") + "\r\n";
+  }
+  // Loose club-name comparison, as in scripts/lib/teams.mjs teamMatch.
+  function sameTeam(a, b) {
+    if (!a || !b) return false;
+    var x = String(a).toLowerCase();
+    var y = String(b).toLowerCase();
+    return x.indexOf(y) !== -1 || y.indexOf(x) !== -1;
+  }
+  function downloadMyCalendar(button) {
+    button.disabled = true;
+    Promise.all([alertTeams(), fetch("/data/fixtures.json", { cache: "no-store" }).then(function (r) { return r.json(); })])
+      .then(function (results) {
+        var names = results[0].map(function (t) { return t.name; });
+        var data = results[1] || {};
+        var fixtures = (Array.isArray(data.fixtures) ? data.fixtures : []).filter(function (f) {
+          return names.some(function (n) { return sameTeam(f.home, n) || sameTeam(f.away, n); });
+        });
+        var ics = buildFixturesIcs(fixtures, "My teams — PlayersB", data.updatedAt || data.generatedAt);
+        var url = URL.createObjectURL(new Blob([ics], { type: "text/calendar;charset=utf-8" }));
+        var a = document.createElement("a");
+        a.href = url;
+        a.download = "playersb-my-teams.ics";
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+        track("calendar_download", { teams: names.length, fixtures: fixtures.length });
+      })
+      .catch(function () {
+        button.insertAdjacentHTML("afterend", '<p class="meta-text">Could not load fixtures; try again in a moment.</p>');
+      })
+      .then(function () { button.disabled = false; });
+  }
+  function renderMyCalendar() {
+    var box = document.getElementById("myCalendar");
+    if (!box) return;
+    alertTeams().then(function (teams) {
+      if (!teams.length) {
+        box.innerHTML = '<p class="meta-text">Follow a team from its page, or save players to your watch-list, to build a calendar of their fixtures.</p>';
+        return;
+      }
+      var html = '<p><button type="button" class="button small" data-calendar-download>Download my fixtures (.ics)</button></p>' +
+        '<p class="meta-text">Covers ' + teams.length + " team" + (teams.length === 1 ? "" : "s") +
+        ". A downloaded file does not update itself; subscribe to a team below to keep kick-off times and scores current.</p>";
+      var subscribable = teams.filter(function (t) { return t.slug; });
+      if (subscribable.length) {
+        html += '<ul class="alert-teams">';
+        subscribable.forEach(function (t) {
+          var href = "/teams/" + encodeURIComponent(t.slug) + "/fixtures.ics";
+          html += '<li><a href="webcal://' + window.location.host + href + '" data-calendar="' + escapeAttr(href) + '">Subscribe to ' +
+            escapeHtml(t.name) + "</a></li>";
+        });
+        html += "</ul>";
+      }
+      box.innerHTML = html;
+    });
+  }
+  function initMyCalendar() {
+    var box = document.getElementById("myCalendar");
+    if (!box) return;
+    box.addEventListener("click", function (e) {
+      if (e.target.hasAttribute("data-calendar-download")) downloadMyCalendar(e.target);
+    });
+    renderMyCalendar();
+  }
+
   // Track current player profile in a small recent-views ring buffer.
   var RECENT_KEY = "playersb-recent-v1";
   var RECENT_MAX = 8;
@@ -357,16 +861,297 @@
     return String(raw).trim().toLowerCase();
   }
 
+  // Live fixtures: pages with a [data-live-fixtures] element (/matches/ and
+  // each /matches/{id}/ until full time) poll /data/fixtures.json every 30s
+  // while the tab is visible. Rendered elements are matched by
+  // data-fixture-id and diffed on data-fixture-state; changed ones get the
+  // new score and badge (same markup as scoreHtml / statusBadge in
+  // scripts/lib/matches.mjs) and flash.
+  var LIVE_POLL_MS = 30000;
+  var LIVE_STATUSES = ["LIVE", "IN_PLAY", "PAUSED"];
+  function fixtureBadge(status) {
+    if (status === "FINISHED") return '<span style="color:#888;font-size:0.75rem;">FT</span>';
+    if (LIVE_STATUSES.indexOf(status) !== -1) {
+      return '<span style="color:#22c55e;font-size:0.75rem;font-weight:bold;">● LIVE</span>';
+    }
+    return '<span style="color:#eab308;font-size:0.75rem;">Upcoming</span>';
+  }
+  function fixtureScore(fixture) {
+    if (fixture.status !== "FINISHED" && LIVE_STATUSES.indexOf(fixture.status) === -1) {
+      return '<span style="color:#888;">vs</span>';
+    }
+    return "<strong>" + escapeHtml(fixture.homeScore == null ? "?" : fixture.homeScore) + " – " +
+      escapeHtml(fixture.awayScore == null ? "?" : fixture.awayScore) + "</strong>";
+  }
+  function applyFixture(fixture) {
+    var els = document.querySelectorAll('[data-fixture-id="' + String(fixture.id).replace(/"/g, "") + '"]');
+    var nextState = fixture.status + "|" + (fixture.homeScore == null ? "" : fixture.homeScore) +
+      "|" + (fixture.awayScore == null ? "" : fixture.awayScore);
+    var changed = false;
+    els.forEach(function (el) {
+      if ((el.getAttribute("data-fixture-state") || "") === nextState) return;
+      var scoreEl = el.querySelector(".js-fixture-score");
+      var statusEl = el.querySelector(".js-fixture-status");
+      if (scoreEl) scoreEl.innerHTML = fixtureScore(fixture);
+      if (statusEl) statusEl.innerHTML = fixtureBadge(fixture.status);
+      el.setAttribute("data-fixture-state", nextState);
+      el.classList.add("fixture-flash");
+      setTimeout(function () { el.classList.remove("fixture-flash"); }, 2400);
+      changed = true;
+    });
+    return changed;
+  }
+  function initLiveFixtures() {
+    if (!document.querySelector("[data-live-fixtures]") || !("fetch" in window)) return;
+    var statusEls = document.querySelectorAll("[data-live-status]");
+    var updatedEls = document.querySelectorAll("[data-live-updated]");
+    var timer = null;
+    var inFlight = false;
+
+    function setStatus(text) {
+      statusEls.forEach(function (el) { el.textContent = text; });
+    }
+
+    function tick() {
+      if (inFlight) return;
+      inFlight = true;
+      fetch("/data/fixtures.json", { cache: "no-store" })
+        .then(function (r) { return r.ok ? r.json() : null; })
+        .then(function (payload) {
+          inFlight = false;
+          if (!payload || !Array.isArray(payload.fixtures)) return;
+          var changed = 0;
+          for (var i = 0; i < payload.fixtures.length; i++) {
+            if (applyFixture(payload.fixtures[i])) changed += 1;
+          }
+          if (payload.updatedAt) {
+            try {
+              var stamp = new Date(payload.updatedAt).toLocaleString("en-GB", {
+                day: "numeric", month: "short", year: "numeric", hour: "2-digit", minute: "2-digit", timeZone: "UTC"
+              }) + " UTC";
+              updatedEls.forEach(function (el) { el.textContent = stamp; });
+            } catch (_) {}
+          }
+          setStatus("auto-refresh on (last check " + new Date().toLocaleTimeString() + ", " + changed + " changed)");
+          track("matches_poll", { changed: changed });
+        })
+        .catch(function () {
+          inFlight = false;
+          setStatus("auto-refresh failed; will retry");
+        });
+    }
+
+    function start() { if (timer) return; setStatus("auto-refresh on"); tick(); timer = setInterval(tick, LIVE_POLL_MS); }
+    function stop() { if (!timer) return; clearInterval(timer); timer = null; setStatus("auto-refresh paused (tab background)"); }
+
+    document.addEventListener("visibilitychange", function () {
+      if (document.visibilityState === "visible") start(); else stop();
+    });
+    if (document.visibilityState === "visible") start();
+  }
+
+  // /archive/ head-to-head picker. The page inlines { teams: [[slug, name]],
+  // opponents: [[teamIndex, …]] } (h2hPickerData in generate-archive.mjs);
+  // picking a team fills the second list with the teams it has met, and
+  // submitting opens /archive/h2h/{a}-vs-{b}/ with the slugs in sort order.
+  function initH2hPicker() {
+    var box = document.querySelector("[data-h2h-picker]");
+    if (!box) return;
+    var dataEl = box.querySelector("[data-h2h-pairs]");
+    var form = box.querySelector("[data-h2h-form]");
+    var first = box.querySelector('[data-h2h-team="a"]');
+    var second = box.querySelector('[data-h2h-team="b"]');
+    var submit = form && form.querySelector('button[type="submit"]');
+    var data;
+    try { data = JSON.parse(dataEl.textContent); } catch (_) { return; }
+    if (!form || !first || !second || !data || !Array.isArray(data.teams)) return;
+
+    function option(i) {
+      return '<option value="' + i + '">' + escapeHtml(data.teams[i][1]) + "</option>";
+    }
+    var html = '<option value="">Choose a team</option>';
+    for (var i = 0; i < data.teams.length; i++) html += option(i);
+    first.innerHTML = html;
+
+    first.addEventListener("change", function () {
+      var list = first.value === "" ? [] : (data.opponents[Number(first.value)] || []);
+      var opts = '<option value="">Choose an opponent</option>';
+      for (var j = 0; j < list.length; j++) opts += option(list[j]);
+      second.innerHTML = opts;
+      second.disabled = !list.length;
+      submit.disabled = true;
+    });
+    second.addEventListener("change", function () {
+      submit.disabled = second.value === "";
+    });
+    form.addEventListener("submit", function (e) {
+      e.preventDefault();
+      if (first.value === "" || second.value === "") return;
+      var a = data.teams[Number(first.value)][0];
+      var b = data.teams[Number(second.value)][0];
+      var pair = a < b ? a + "-vs-" + b : b + "-vs-" + a;
+      track("archive_h2h_pick", { pair: pair });
+      window.location.href = "/archive/h2h/" + pair + "/";
+    });
+  }
+
+  // /embed/ configurator. The page inlines { origin, types: { type: { label,
+  // height, items: [[id, name]] } }, metrics: { type: { metrics: [{ key,
+  // label }], defaults } }, maxMetrics } (configuratorData in
+  // generate-embed.mjs). Every change reloads the preview iframe and rewrites
+  // the snippet; embedSnippet in scripts/lib/embed.mjs builds the same markup.
+  function initEmbedConfigurator() {
+    var box = document.querySelector("[data-embed-configurator]");
+    if (!box) return;
+    var data;
+    try { data = JSON.parse(box.querySelector("[data-embed-options]").textContent); } catch (_) { return; }
+    var typeEl = box.querySelector('[data-embed-field="type"]');
+    var idEl = box.querySelector('[data-embed-field="id"]');
+    var themeEl = box.querySelector('[data-embed-field="theme"]');
+    var metricsBox = box.querySelector("[data-embed-metrics]");
+    var metricList = box.querySelector("[data-embed-metric-list]");
+    var preview = box.querySelector("[data-embed-preview]");
+    var snippetEl = box.querySelector("[data-embed-snippet]");
+    var copyBtn = box.querySelector("[data-embed-copy]");
+    var copied = box.querySelector("[data-embed-copied]");
+    var picked = [];
+
+    function fillItems() {
+      var items = data.types[typeEl.value].items;
+      var html = "";
+      for (var i = 0; i < items.length; i++) {
+        html += '<option value="' + escapeAttr(items[i][0]) + '">' + escapeHtml(items[i][1]) + "</option>";
+      }
+      idEl.innerHTML = html;
+      idEl.disabled = !items.length;
+    }
+
+    function fillMetrics() {
+      var options = data.metrics[typeEl.value];
+      metricsBox.hidden = !options;
+      if (!options) { picked = []; return; }
+      picked = options.defaults.slice();
+      var html = "";
+      for (var i = 0; i < options.metrics.length; i++) {
+        var m = options.metrics[i];
+        html += '<label><input type="checkbox" value="' + escapeAttr(m.key) + '"' +
+          (picked.indexOf(m.key) !== -1 ? " checked" : "") + "> " + escapeHtml(m.label) + "</label>";
+      }
+      metricList.innerHTML = html;
+    }
+
+    function currentUrl(origin) {
+      var params = "id=" + encodeURIComponent(idEl.value);
+      if (themeEl.value !== "auto") params += "&theme=" + encodeURIComponent(themeEl.value);
+      var options = data.metrics[typeEl.value];
+      if (options && picked.join(",") !== options.defaults.join(",")) params += "&metrics=" + picked.join(",");
+      return origin + "/embed/" + typeEl.value + "/?" + params;
+    }
+
+    function update() {
+      if (!idEl.value) {
+        snippetEl.value = "";
+        preview.src = "about:blank";
+        return;
+      }
+      var type = data.types[typeEl.value];
+      var name = idEl.options[idEl.selectedIndex].text;
+      preview.src = currentUrl("");
+      preview.style.height = type.height + "px";
+      snippetEl.value = '<iframe src="' + escapeAttr(currentUrl(data.origin)) + '" title="' + escapeAttr(name + " on PlayersB") +
+        '" width="100%" height="' + type.height + '" style="border:0;max-width:480px;" loading="lazy" data-playersb-embed></iframe>\n' +
+        '<script async src="' + data.origin + '/assets/js/embed.js"></' + 'script>';
+      copied.textContent = "";
+    }
+
+    typeEl.addEventListener("change", function () { fillItems(); fillMetrics(); update(); });
+    idEl.addEventListener("change", update);
+    themeEl.addEventListener("change", update);
+    metricList.addEventListener("change", function (e) {
+      var key = e.target.value;
+      var at = picked.indexOf(key);
+      if (e.target.checked && at === -1) {
+        if (picked.length >= data.maxMetrics) { e.target.checked = false; return; }
+        picked.push(key);
+      } else if (!e.target.checked && at !== -1) {
+        picked.splice(at, 1);
+      }
+      update();
+    });
+    copyBtn.addEventListener("click", function () {
+      snippetEl.select();
+      var done = function () {
+        copied.textContent = "Copied.";
+        track("embed_snippet_copy", { widget: typeEl.value, id: idEl.value });
+      };
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(snippetEl.value).then(done, function () { copied.textContent = "Press Ctrl+C to copy."; });
+      } else {
+        try { document.execCommand("copy"); done(); } catch (_) { copied.textContent = "Press Ctrl+C to copy."; }
+      }
+    });
+
+    fillMetrics();
+    update();
+  }
+
   function initServiceWorker() {
     if (!("serviceWorker" in navigator)) return;
     if (window.location.protocol !== "https:" && window.location.hostname !== "localhost") return;
     window.addEventListener("load", function () {
-      navigator.serviceWorker.register("/sw.js").catch(function () {
+      navigator.serviceWorker.register("/sw.js").then(function () {
+        syncOfflineWatchList();
+        syncAlerts();
+      }).catch(function () {
         /* offline support is best-effort */
       });
     });
   }
 
+  // /offline/ (served by sw.js when a page isn't cached): list the
+  // watch-listed and recently viewed players that are readable right now.
+  function renderOfflinePages() {
+    var box = document.getElementById("offlinePages");
+    if (!box || !window.caches) return;
+    var seen = {};
+    var people = readWatch().concat(readRecent()).filter(function (x) {
+      if (!x || !x.id || seen[x.id]) return false;
+      seen[x.id] = true;
+      return true;
+    });
+    Promise.all(people.map(function (x) {
+      return caches.match(watchUrl(x)).then(function (hit) { return hit ? x : null; });
+    })).then(function (found) {
+      found = found.filter(Boolean);
+      if (!found.length) return;
+      var html = '<div class="watch-list">';
+      for (var i = 0; i < found.length; i++) {
+        html += '<a class="watch-list-item" href="' + watchUrl(found[i]) + '">' + escapeHtml(found[i].name || found[i].id) + '</a>';
+      }
+      box.innerHTML = html + "</div>";
+    }).catch(function () {});
+  }
+
+  // Player stats carry data-source / data-source-at (see sourceView in
+  // generate-players.mjs); the static title has the UTC fetch time, this
+  // turns it into "source: football-data.org, 3h ago".
+  function timeAgo(ms) {
+    var mins = Math.floor(ms / 60000);
+    if (mins < 1) return "just now";
+    if (mins < 60) return mins + "m ago";
+    var hours = Math.floor(mins / 60);
+    if (hours < 48) return hours + "h ago";
+    return Math.floor(hours / 24) + "d ago";
+  }
+  function initSourceAges() {
+    var now = Date.now();
+    document.querySelectorAll("[data-source-at]").forEach(function (el) {
+      var at = Date.parse(el.getAttribute("data-source-at"));
+      if (isNaN(at)) return;
+      el.title = el.getAttribute("data-source") + ", " + timeAgo(Math.max(0, now - at));
+    });
+  }
+
   function initEngagedRead() {
     setTimeout(function () {
       track("engaged_read", { engaged_seconds: 30 });
@@ -384,9 +1169,16 @@
     initMobileNav();
     initSearch();
     initWatchToggles();
+    initMatchAlerts();
+    initMyCalendar();
     initSortableTables();
+    initLiveFixtures();
+    initH2hPicker();
+    initEmbedConfigurator();
     recordCurrentPlayer();
     renderRecent();
+    renderOfflinePages();
+    initSourceAges();
     initEngagedRead();
   });
   initServiceWorker();
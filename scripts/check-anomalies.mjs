@@ -0,0 +1,78 @@
+import path from "node:path";
+import { readCommittedJson, readJson, writeJson, writeJsonIfChanged } from "./lib/json-io.mjs";
+import { DATASETS, applyQuarantine, detectAnomalies } from "./lib/anomalies.mjs";
+
+// Semantic validation of data/*.json against the last committed snapshot.
+//
+//   node scripts/check-anomalies.mjs               report only; exit 1 on a blocking issue
+//   node scripts/check-anomalies.mjs --quarantine  also hold back suspicious records
+//                                                  and write data/anomaly-report.json
+//
+// The previous snapshot comes from `git show HEAD:<file>`, or from
+// `--previous=<dir>` (a directory laid out like the repo root).
+
+const ROOT = process.cwd();
+const REPORT_PATH = "data/anomaly-report.json";
+
+const args = process.argv.slice(2);
+const quarantineMode = args.includes("--quarantine");
+const previousDir = args.find((a) => a.startsWith("--previous="))?.slice("--previous=".length) || null;
+
+// Null outside a git checkout or for a new file: no deltas for that dataset.
+async function readPrevious(file) {
+  if (previousDir) return readJson(path.join(previousDir, file), null);
+  return readCommittedJson(file);
+}
+
+function printReport(issues) {
+  const order = ["block", "quarantine", "warn"];
+  const sorted = [...issues].sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+  for (const i of sorted) {
+    const line = `anomalies: [${i.severity}] ${i.dataset} ${i.key === "*" ? "" : `${i.key} `}— ${i.rule}: ${i.message}`;
+    if (i.severity === "warn") console.warn(line);
+    else console.error(line);
+  }
+}
+
+async function main() {
+  const current = {};
+  const previous = {};
+  for (const [name, { file }] of Object.entries(DATASETS)) {
+    current[name] = await readJson(file, null);
+    previous[name] = await readPrevious(file);
+  }
+
+  const { issues, blocked } = detectAnomalies(current, previous);
+  printReport(issues);
+  const count = (severity) => issues.filter((i) => i.severity === severity).length;
+
+  if (quarantineMode) {
+    let quarantined = [];
+    // A blocked run leaves the data untouched; the workflow stops before
+    // anything is generated or committed.
+    if (!blocked) {
+      const result = applyQuarantine(current, previous, issues);
+      quarantined = result.quarantined;
+      for (const name of new Set(quarantined.map((q) => q.dataset))) {
+        await writeJson(path.join(ROOT, DATASETS[name].file), result.data[name]);
+      }
+    }
+    // Only rewritten when the findings change, not for a new timestamp.
+    await writeJsonIfChanged(REPORT_PATH, {
+      generatedAt: new Date().toISOString(),
+      blocked,
+      issues,
+      quarantined,
+    });
+  }
+
+  console.log(
+    `anomalies: ${count("block")} blocking, ${count("quarantine")} ${quarantineMode && !blocked ? "quarantined" : "would be quarantined"}, ${count("warn")} warning(s)`
+  );
+  if (blocked) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error("check-anomalies: fatal", err);
+  process.exit(1);
+});
@@ -1,5 +1,7 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { readJson, writeJson } from "./lib/json-io.mjs";
+import { DEFAULT_HISTORY_LIMIT, HISTORY_PATH, appendHealthHistory } from "./lib/health-history.mjs";
 
 const ROOT = process.cwd();
 const args = new Set(process.argv.slice(2));
@@ -11,11 +13,7 @@ const MIN_TEAMS = Number(process.env.MIN_TEAMS_COUNT || 12);
 const MIN_LEGACY = Number(process.env.MIN_LEGACY_COUNT || 8);
 const MAX_STALE_HOURS = Number(process.env.MAX_DATA_STALE_HOURS || 168);
 const REQUIRE_LIVE_DATA = process.env.REQUIRE_LIVE_DATA === "1";
-
-async function readJson(relativePath) {
-  const raw = await fs.readFile(path.join(ROOT, relativePath), "utf8");
-  return JSON.parse(raw);
-}
+const HISTORY_LIMIT = Number(process.env.HEALTH_HISTORY_LIMIT || DEFAULT_HISTORY_LIMIT);
 
 function hoursSince(isoDate) {
   if (!isoDate) return Number.POSITIVE_INFINITY;
@@ -28,6 +26,11 @@ function getTimestamp(data) {
   return data?.generatedAt || data?.generated_at || null;
 }
 
+function countOf(value) {
+  if (Array.isArray(value)) return value.length;
+  return value && typeof value === "object" ? Object.keys(value).length : 0;
+}
+
 function fail(message) {
   console.error(`data-health: ${message}`);
   process.exit(1);
@@ -72,13 +75,16 @@ async function main() {
     ["standings", standings, "competitions", REQUIRE_LIVE_DATA],
     ["fantasy", fantasy, "players", false],
     ["archive", archive, "entries", false],
+    ["team-strength", teamStrength, "teams", false],
+    ["entity-metadata", entityMetadata, "teams", false],
+    ["player-enrichment", playerEnrichment, "players", false],
   ];
 
   const datasets = {};
   for (const [name, data, countField, requireNonEmpty] of datasetChecks) {
     const generatedAt = getTimestamp(data);
     const staleHours = hoursSince(generatedAt);
-    const count = Array.isArray(data?.[countField]) ? data[countField].length : 0;
+    const count = countOf(data?.[countField]);
     const freshnessSeverity = severityForFreshness(staleHours);
 
     if (requireNonEmpty && count === 0) {
@@ -98,16 +104,16 @@ async function main() {
       generatedAt,
       staleHours: Number.isFinite(staleHours) ? Number(staleHours.toFixed(2)) : null,
       freshness: freshnessSeverity,
-      sourceStatus: data?.sources || {},
+      // Live feeds record their sources under `sources`, the enrichment
+      // datasets under `sourceStatus`.
+      sourceStatus: data?.sources || data?.sourceStatus || {},
     };
   }
 
-  const strengthCount = Array.isArray(teamStrength?.teams) ? teamStrength.teams.length : 0;
-  const entityTeamCount = entityMetadata?.teams ? Object.keys(entityMetadata.teams).length : 0;
-  const enrichmentCount = playerEnrichment?.players ? Object.keys(playerEnrichment.players).length : 0;
+  const strengthCount = datasets["team-strength"].count;
+  const entityTeamCount = datasets["entity-metadata"].count;
+  const enrichmentCount = datasets["player-enrichment"].count;
 
-  if (strengthCount === 0) warnings.push("team-strength dataset is empty");
-  if (entityTeamCount === 0) warnings.push("entity-metadata dataset is empty");
   if (enrichmentCount < Math.max(12, Math.floor(playerRows.length * 0.25))) warnings.push(`player-enrichment coverage is low (${enrichmentCount}/${playerRows.length})`);
 
   const status = statusFromIssues(criticalIssues, warnings);
@@ -136,6 +142,8 @@ async function main() {
 
   if (writeHealth) {
     await fs.writeFile(path.join(ROOT, "data", "health.json"), `${JSON.stringify(healthPayload, null, 2)}\n`, "utf8");
+    const history = appendHealthHistory(await readJson(HISTORY_PATH, { entries: [] }), healthPayload, { limit: HISTORY_LIMIT });
+    await writeJson(HISTORY_PATH, history);
   }
 
   if (criticalIssues.length) {
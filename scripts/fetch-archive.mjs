@@ -1,48 +1,18 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { safeStr, sanitizeId } from "./lib/slug.mjs";
+import { readJson } from "./lib/json-io.mjs";
+import { fetchJson } from "./lib/http.mjs";
+import { loadCompetitionRegistry, openfootballSources } from "./lib/competitions.mjs";
 
 const ROOT = process.cwd();
 const SOURCES_PATH = path.join(ROOT, "data", "sources.json");
-const OPENFOOTBALL_SOURCES_PATH = path.join(ROOT, "data", "openfootball-sources.json");
 const ARCHIVE_PATH = path.join(ROOT, "data", "archive.json");
 
 const STATSBOMB_BASE = "https://raw.githubusercontent.com/statsbomb/open-data/master/data";
 
-function safeStr(value) {
-  return String(value ?? "").trim();
-}
-
-function sanitizeSlug(value) {
-  return safeStr(value)
-    .toLowerCase()
-    .replace(/[^a-z0-9-]/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
-async function readJson(filePath, fallback) {
-  try {
-    const raw = await fs.readFile(filePath, "utf-8");
-    return JSON.parse(raw);
-  } catch (err) {
-    return fallback;
-  }
-}
-
-async function fetchJson(url) {
-  const res = await fetch(url, {
-    headers: {
-      "User-Agent": "playersb-site",
-    },
-  });
-
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Fetch failed: ${url} (${res.status}) ${text.slice(0, 200)}`);
-  }
-
-  return res.json();
-}
+const HEADERS = { "User-Agent": "playersb-site" };
+const fetchArchiveJson = (url) => fetchJson(url, { headers: HEADERS, attempts: 3, label: "fetch-archive" });
 
 function parseOpenFootballMatches(payload) {
   if (Array.isArray(payload?.matches)) {
@@ -88,12 +58,8 @@ async function main() {
   const config = await readJson(SOURCES_PATH, {});
   const openfootballConfig = config?.openfootball || {};
   const statsbombConfig = config?.statsbomb || {};
-  const openfootballSourcesPath = openfootballConfig?.sourcesPath
-    ? path.join(ROOT, openfootballConfig.sourcesPath)
-    : OPENFOOTBALL_SOURCES_PATH;
-
-  const openfootballSources = await readJson(openfootballSourcesPath, { sources: [] });
-  const openfootballList = Array.isArray(openfootballSources?.sources) ? openfootballSources.sources : [];
+  const registry = await loadCompetitionRegistry();
+  const openfootballList = openfootballSources(registry);
 
   const entries = new Map();
   const sourcesMeta = {
@@ -103,25 +69,28 @@ async function main() {
 
   if (statsbombConfig?.enabled !== false) {
     try {
-      const competitions = await fetchJson(`${STATSBOMB_BASE}/competitions.json`);
+      const competitions = await fetchArchiveJson(`${STATSBOMB_BASE}/competitions.json`);
       const limitMatches = Number.isFinite(statsbombConfig?.limitMatches)
         ? Number(statsbombConfig.limitMatches)
         : null;
 
       for (const competition of competitions) {
-        const competitionName = safeStr(competition?.competition_name);
+        // Registered competitions file under the registry's name and slug,
+        // so StatsBomb's "1. Bundesliga" seasons sit beside openfootball's.
+        const registered = registry.bySourceId("statsbomb", "competitionId", competition?.competition_id);
+        const competitionName = safeStr(registered?.name || competition?.competition_name);
         const seasonName = safeStr(competition?.season_name);
         if (!competitionName || !seasonName) continue;
 
-        const competitionSlug = sanitizeSlug(competitionName);
-        const seasonSlug = sanitizeSlug(seasonName);
+        const competitionSlug = registered?.slug || sanitizeId(competitionName);
+        const seasonSlug = sanitizeId(seasonName);
         const entryKey = toEntryKey(competitionSlug, seasonSlug);
 
         const entry = entries.get(entryKey) || {
           competition: {
             name: competitionName,
             slug: competitionSlug,
-            country: safeStr(competition?.country_name),
+            country: safeStr(registered?.country || competition?.country_name),
           },
           season: {
             name: seasonName,
@@ -136,7 +105,7 @@ async function main() {
 
         try {
           const matchesUrl = `${STATSBOMB_BASE}/matches/${competition.competition_id}/${competition.season_id}.json`;
-          const matchesPayload = await fetchJson(matchesUrl);
+          const matchesPayload = await fetchArchiveJson(matchesUrl);
           let matches = Array.isArray(matchesPayload)
             ? matchesPayload.map(normalizeStatsbombMatch)
             : [];
@@ -162,29 +131,41 @@ async function main() {
         competitionCount: entries.size,
       };
     } catch (err) {
+      // Keep last run's StatsBomb seasons rather than publish an archive
+      // without them; their openfootball matches are refetched below.
+      const previous = await readJson(ARCHIVE_PATH, { entries: [] });
+      for (const entry of previous?.entries || []) {
+        if (!entry?.sources?.includes("statsbomb")) continue;
+        const key = toEntryKey(entry.competition.slug, entry.season.slug);
+        entries.set(key, { ...entry, sources: ["statsbomb"], matches: { statsbomb: entry.matches?.statsbomb || [], openfootball: [] } });
+      }
       sourcesMeta.statsbomb = {
-        status: "error",
+        status: entries.size ? "stale_cache" : "error",
         message: err.message || String(err),
+        fetchedAt: previous?.sources?.statsbomb?.fetchedAt || null,
+        competitionCount: entries.size,
       };
     }
   }
 
   if (openfootballConfig?.enabled !== false && openfootballList.length) {
+    let failed = 0;
     for (const source of openfootballList) {
       if (!source?.url) continue;
       try {
-        const payload = await fetchJson(source.url);
+        const payload = await fetchArchiveJson(source.url);
+        const registered = registry.get(source.code);
         const competitionName = safeStr(source?.competition || payload?.competition?.name || payload?.name);
         const seasonName = safeStr(source?.season || payload?.season || payload?.name?.split(" ").pop());
-        const competitionSlug = sanitizeSlug(competitionName || source?.id || "openfootball");
-        const seasonSlug = sanitizeSlug(seasonName || "season");
+        const competitionSlug = registered?.slug || sanitizeId(competitionName || source?.id || "openfootball");
+        const seasonSlug = sanitizeId(seasonName || "season");
         const entryKey = toEntryKey(competitionSlug, seasonSlug);
 
         const entry = entries.get(entryKey) || {
           competition: {
             name: competitionName || "OpenFootball",
             slug: competitionSlug,
-            country: safeStr(payload?.country || ""),
+            country: safeStr(registered?.country || payload?.country || ""),
           },
           season: {
             name: seasonName || "Season",
@@ -203,12 +184,14 @@ async function main() {
 
         entries.set(entryKey, entry);
       } catch (err) {
+        failed += 1;
         console.warn(`openfootball: failed for ${source.url}`, err.message || err);
       }
     }
 
     sourcesMeta.openfootball = {
-      status: "ok",
+      status: failed === 0 ? "ok" : failed < openfootballList.length ? "partial" : "error",
+      failedCount: failed,
       fetchedAt: new Date().toISOString(),
       sourceCount: openfootballList.length,
     };
@@ -1,18 +1,11 @@
 import fs from 'node:fs';
+import { fetchJson } from './lib/http.mjs';
+import { loadCompetitionRegistry } from './lib/competitions.mjs';
 
 const TOKEN = process.env.FOOTBALL_DATA_API_TOKEN;
 const BASE = 'https://api.football-data.org/v4';
 const HEADERS = { 'X-Auth-Token': TOKEN };
 
-const COMPETITIONS = [
-  { code: 'PL', name: 'Premier League' },
-  { code: 'PD', name: 'La Liga' },
-  { code: 'SA', name: 'Serie A' },
-  { code: 'BL1', name: 'Bundesliga' },
-  { code: 'FL1', name: 'Ligue 1' },
-  { code: 'CL', name: 'Champions League' },
-];
-
 if (!TOKEN) {
   console.error('Missing FOOTBALL_DATA_API_TOKEN');
   process.exit(1);
@@ -35,65 +28,68 @@ async function rateLimit() {
 const MAX_ATTEMPTS = 5;
 const BASE_BACKOFF_MS = 2000;
 
+// Retries (429 honouring Retry-After, 5xx, network errors, timeouts) live in
+// lib/http.mjs; every attempt still waits its turn in the rate limiter.
+let failedRequests = 0;
 async function apiFetch(url) {
-  let lastErr = null;
-  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
-    await rateLimit();
-    console.log(`Fetching (attempt ${attempt}/${MAX_ATTEMPTS}):`, url);
-    let res;
-    try {
-      res = await fetch(url, { headers: HEADERS });
-    } catch (err) {
-      lastErr = err;
-      console.error(`Network error: ${err.message}`);
-      await sleep(BASE_BACKOFF_MS * 2 ** (attempt - 1));
-      continue;
-    }
-    console.log('Status:', res.status, url);
-    if (res.ok) return res.json();
-
-    if (res.status >= 400 && res.status < 500 && res.status !== 429) {
-      const text = await res.text();
-      console.error('Non-retryable error body:', text.slice(0, 500));
-      return null;
-    }
+  console.log('Fetching:', url);
+  try {
+    return await fetchJson(url, {
+      headers: HEADERS,
+      attempts: MAX_ATTEMPTS,
+      backoffMs: BASE_BACKOFF_MS,
+      beforeAttempt: rateLimit,
+      label: 'fetch-football-data',
+    });
+  } catch (err) {
+    failedRequests += 1;
+    console.error(`Giving up on ${url}: ${err.message}`);
+    return null;
+  }
+}
 
-    const retryAfter = Number(res.headers.get('retry-after'));
-    const backoff = Number.isFinite(retryAfter) && retryAfter > 0
-      ? retryAfter * 1000
-      : BASE_BACKOFF_MS * 2 ** (attempt - 1);
-    const text = await res.text().catch(() => '');
-    console.error(`Retryable ${res.status}; waiting ${backoff}ms. Body: ${text.slice(0, 200)}`);
-    lastErr = new Error(`HTTP ${res.status}`);
-    if (attempt < MAX_ATTEMPTS) await sleep(backoff);
+function readPrevious(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return {};
   }
-  console.error(`Giving up after ${MAX_ATTEMPTS} attempts: ${lastErr?.message}`);
-  return null;
 }
 
+// Last run's files: a request that still fails after its retries keeps that
+// competition's previous rows instead of publishing an empty section.
+const previous = {
+  fixtures: readPrevious('data/fixtures.json').fixtures || [],
+  standings: readPrevious('data/standings.json').standings || {},
+  scorers: readPrevious('data/scorers.json').scorers || [],
+};
+
 async function fetchCompetition(comp) {
+  const apiCode = comp.sources.footballData.code || comp.code;
   console.log(`\n--- ${comp.name} (${comp.code}) queued ---`);
   // Three independent reads run "in parallel" from this scope, but the rate
   // limiter ensures only one leaves the wire at a time.
   const [matchData, standData, scorerData] = await Promise.all([
-    apiFetch(`${BASE}/competitions/${comp.code}/matches?status=SCHEDULED,LIVE,IN_PLAY,PAUSED,FINISHED&limit=50`),
-    apiFetch(`${BASE}/competitions/${comp.code}/standings`),
-    apiFetch(`${BASE}/competitions/${comp.code}/scorers?limit=20`),
+    apiFetch(`${BASE}/competitions/${apiCode}/matches?status=SCHEDULED,LIVE,IN_PLAY,PAUSED,FINISHED&limit=50`),
+    apiFetch(`${BASE}/competitions/${apiCode}/standings`),
+    apiFetch(`${BASE}/competitions/${apiCode}/scorers?limit=20`),
   ]);
 
-  const fixtures = (matchData?.matches || []).map((m) => ({
-    id: m.id,
-    competitionCode: comp.code,
-    competition: comp.name,
-    date: m.utcDate,
-    status: m.status,
-    home: m.homeTeam?.name || '',
-    away: m.awayTeam?.name || '',
-    homeScore: m.score?.fullTime?.home ?? null,
-    awayScore: m.score?.fullTime?.away ?? null,
-  }));
-
-  let standings = null;
+  const fixtures = !matchData
+    ? previous.fixtures.filter((f) => f.competitionCode === comp.code)
+    : (matchData.matches || []).map((m) => ({
+      id: m.id,
+      competitionCode: comp.code,
+      competition: comp.name,
+      date: m.utcDate,
+      status: m.status,
+      home: m.homeTeam?.name || '',
+      away: m.awayTeam?.name || '',
+      homeScore: m.score?.fullTime?.home ?? null,
+      awayScore: m.score?.fullTime?.away ?? null,
+    }));
+
+  let standings = standData ? null : previous.standings[comp.name] || null;
   if (standData?.standings) {
     const table = standData.standings.find((s) => s.type === 'TOTAL') || standData.standings[0];
     if (table) {
@@ -113,17 +109,23 @@ async function fetchCompetition(comp) {
     }
   }
 
-  const scorers = (scorerData?.scorers || []).map((s) => ({
-    name: s.player?.name || '',
-    team: s.team?.name || '',
-    competition: comp.name,
-    nationality: s.player?.nationality || '',
-    position: s.player?.position || '',
-    goals: s.goals ?? 0,
-    assists: s.assists ?? 0,
-    penalties: s.penalties ?? 0,
-    playedMatches: s.playedMatches ?? 0,
-  }));
+  const scorers = !scorerData
+    ? previous.scorers.filter((s) => s.competition === comp.name)
+    : (scorerData.scorers || []).map((s) => ({
+      // football-data's own player id + birth date: lib/player-identity.mjs
+      // matches on them before falling back to the name.
+      playerId: s.player?.id ?? null,
+      dateOfBirth: s.player?.dateOfBirth || '',
+      name: s.player?.name || '',
+      team: s.team?.name || '',
+      competition: comp.name,
+      nationality: s.player?.nationality || '',
+      position: s.player?.position || '',
+      goals: s.goals ?? 0,
+      assists: s.assists ?? 0,
+      penalties: s.penalties ?? 0,
+      playedMatches: s.playedMatches ?? 0,
+    }));
 
   console.log(`  ${comp.name}: fixtures=${fixtures.length}, standings=${standings?.length ?? 0}, scorers=${scorers.length}`);
   return { comp, fixtures, standings, scorers };
@@ -131,7 +133,9 @@ async function fetchCompetition(comp) {
 
 async function main() {
   const start = Date.now();
-  const results = await Promise.all(COMPETITIONS.map(fetchCompetition));
+  // Every data/competitions.json entry with a footballData id.
+  const competitions = (await loadCompetitionRegistry()).withSource('footballData');
+  const results = await Promise.all(competitions.map(fetchCompetition));
 
   const allFixtures = [];
   const allStandings = {};
@@ -148,7 +152,14 @@ async function main() {
     updatedAt: new Date().toISOString(),
     generatedAt: new Date().toISOString(),
     source: 'football-data.org',
-    sources: { footballData: { status: 'ok', fetchedAt: new Date().toISOString() } },
+    sources: {
+      footballData: {
+        // 'partial' / 'error' when some / all requests gave up after retries.
+        status: failedRequests === 0 ? 'ok' : failedRequests < competitions.length * 3 ? 'partial' : 'error',
+        failedRequests,
+        fetchedAt: new Date().toISOString(),
+      },
+    },
   };
 
   fs.writeFileSync('data/fixtures.json', JSON.stringify({ ...stamp, fixtures: allFixtures }, null, 2));
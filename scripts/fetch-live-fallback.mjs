@@ -1,9 +1,12 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { safeStr, sanitizeId } from "./lib/slug.mjs";
+import { readJson } from "./lib/json-io.mjs";
+import { confidence, field } from "./lib/provenance.mjs";
+import { fetchJson as httpFetchJson } from "./lib/http.mjs";
+import { loadCompetitionRegistry, openfootballSources } from "./lib/competitions.mjs";
 
 const ROOT = process.cwd();
-const SOURCES_PATH = path.join(ROOT, "data", "sources.json");
-const OPENFOOTBALL_SOURCES_PATH = path.join(ROOT, "data", "openfootball-sources.json");
 const PLAYERS_PATH = path.join(ROOT, "data", "players.json");
 const FIXTURES_PATH = path.join(ROOT, "data", "fixtures.json");
 const STANDINGS_PATH = path.join(ROOT, "data", "standings.json");
@@ -15,43 +18,6 @@ const LIVE_CACHE_DIR = path.join(ROOT, "data", "cache", "live");
 
 const WIKIDATA_ENDPOINT = "https://query.wikidata.org/sparql";
 
-function safeStr(value) {
-  return String(value ?? "").trim();
-}
-
-function sanitizeSlug(value) {
-  return safeStr(value)
-    .toLowerCase()
-    .replace(/[^a-z0-9-]/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
-function confidence(level) {
-  if (typeof level === "number") return Math.max(0, Math.min(1, level));
-  if (level === "high") return 0.9;
-  if (level === "medium") return 0.7;
-  if (level === "low") return 0.5;
-  return 0.6;
-}
-
-function field(value, source, fetchedAt, conf = "medium") {
-  return {
-    value,
-    source,
-    fetchedAt,
-    confidence: confidence(conf),
-  };
-}
-
-async function readJson(filePath, fallback = null) {
-  try {
-    return JSON.parse(await fs.readFile(filePath, "utf8"));
-  } catch {
-    return fallback;
-  }
-}
-
 async function ensureCacheDir() {
   await fs.mkdir(LIVE_CACHE_DIR, { recursive: true });
 }
@@ -141,16 +107,14 @@ function sourceUrlAlternatives(url) {
   return Array.from(new Set(urls));
 }
 
+// Each mirror gets lib/http.mjs's retries before the next one is tried.
+const HTTP_OPTIONS = { attempts: 2, label: "fetch-live-fallback" };
+
 async function fetchJson(url, headers = {}) {
   let lastErr = null;
   for (const candidate of sourceUrlAlternatives(url)) {
     try {
-      const res = await fetch(candidate, { headers: { "User-Agent": "playersb-site", ...headers } });
-      if (!res.ok) {
-        const text = await res.text();
-        throw new Error(`Fetch failed: ${candidate} (${res.status}) ${text.slice(0, 180)}`);
-      }
-      return await res.json();
+      return await httpFetchJson(candidate, { ...HTTP_OPTIONS, headers: { "User-Agent": "playersb-site", ...headers } });
     } catch (err) {
       lastErr = err;
     }
@@ -159,12 +123,7 @@ async function fetchJson(url, headers = {}) {
 }
 
 async function fetchText(url, headers = {}) {
-  const res = await fetch(url, { headers: { "User-Agent": "playersb-site", ...headers } });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Fetch failed: ${url} (${res.status}) ${text.slice(0, 180)}`);
-  }
-  return res.text();
+  return httpFetchJson(url, { ...HTTP_OPTIONS, as: "text", headers: { "User-Agent": "playersb-site", ...headers } });
 }
 
 function parseOpenFootballMatches(payload) {
@@ -417,6 +376,8 @@ function parseClubEloCsv(text, fetchedAt) {
     if (!name || !Number.isFinite(elo)) continue;
     map.set(name, {
       rating: elo,
+      country: safeStr(parts[2]),
+      level: Number(parts[3]) || null,
       source: "clubelo",
       fetchedAt,
       confidence: confidence("medium"),
@@ -425,7 +386,10 @@ function parseClubEloCsv(text, fetchedAt) {
   return map;
 }
 
-async function fetchClubEloAdapter(fetchedAt, teamsHint = []) {
+// leagues: [{ country, level }] from the registry's clubelo ids; when no
+// hinted team name matches a ClubElo name, those leagues' clubs are kept
+// rather than every club ClubElo rates.
+async function fetchClubEloAdapter(fetchedAt, teamsHint = [], leagues = []) {
   try {
     const date = new Date().toISOString().slice(0, 10);
     const csv = await fetchText(`https://api.clubelo.com/${date}`);
@@ -442,11 +406,12 @@ async function fetchClubEloAdapter(fetchedAt, teamsHint = []) {
       teams: Array.from(ratingsMap.entries()).map(([team, info]) => ({ team, ...info })),
     });
 
+    const inLeague = ([, info]) => leagues.some((l) => l.country === info.country && l.level === info.level);
     return {
       status: "ok",
       fetchedAt,
       source: "clubelo",
-      ratingsMap: selected.size ? selected : ratingsMap,
+      ratingsMap: selected.size ? selected : new Map(Array.from(ratingsMap).filter(inLeague)),
       message: `ClubElo ratings loaded (${selected.size || ratingsMap.size} teams).`,
       confidence: confidence("medium"),
     };
@@ -544,15 +509,12 @@ async function fetchWikidataAdapter(fetchedAt, teamsHint = []) {
 
 async function main() {
   const fetchedAt = new Date().toISOString();
-  const config = await readJson(SOURCES_PATH, {});
-  const openfootballPath = config?.openfootball?.sourcesPath
-    ? path.join(ROOT, config.openfootball.sourcesPath)
-    : OPENFOOTBALL_SOURCES_PATH;
-
-  const sourcesFile = await readJson(openfootballPath, { sources: [] });
-  const sources = Array.isArray(sourcesFile?.sources) ? sourcesFile.sources : [];
+  // The current (first listed) openfootball season of every registered
+  // competition.
+  const registry = await loadCompetitionRegistry();
+  const sources = openfootballSources(registry, { latestOnly: true });
   if (!sources.length) {
-    throw new Error("No OpenFootball sources configured for live fallback.");
+    throw new Error("No openfootball ids in data/competitions.json for live fallback.");
   }
 
   const fixtureCompetitions = [];
@@ -564,7 +526,7 @@ async function main() {
     if (!source?.url) continue;
     try {
       const payload = await fetchJson(source.url);
-      await writeCacheJson(`openfootball-${sanitizeSlug(source.id || source.competition || "source")}.json`, {
+      await writeCacheJson(`openfootball-${sanitizeId(source.id || source.competition || "source")}.json`, {
         fetchedAt,
         payload,
       });
@@ -578,15 +540,16 @@ async function main() {
       }
 
       const selectedMatches = sliceWindow(allMatches);
+      const registered = registry.get(source.code);
       const competitionName = safeStr(source?.competition || payload?.name || "OpenFootball");
-      const code = safeStr(source?.id || competitionName);
-      const slug = sanitizeSlug(competitionName || code || "competition");
+      const code = safeStr(source?.code || source?.id || competitionName);
+      const slug = registered?.slug || sanitizeId(competitionName || code || "competition");
 
       const competition = {
         id: null,
         code,
         name: competitionName,
-        area: { name: "", code: "" },
+        area: { name: safeStr(registered?.country), code: "" },
         plan: "free",
         currentSeason: {
           id: null,
@@ -611,21 +574,22 @@ async function main() {
         standings: [],
       });
     } catch (err) {
-      const cacheKey = `openfootball-${sanitizeSlug(source.id || source.competition || "source")}.json`;
+      const cacheKey = `openfootball-${sanitizeId(source.id || source.competition || "source")}.json`;
       const cached = await readCacheJson(cacheKey, null);
       if (cached?.payload) {
         const allMatches = parseOpenFootballMatches(cached.payload)
           .map((match) => normalizeOpenFootballMatch(match, cached.fetchedAt || fetchedAt))
           .filter((m) => m.homeTeam.name && m.awayTeam.name);
         const selectedMatches = sliceWindow(allMatches);
+        const registered = registry.get(source.code);
         const competitionName = safeStr(source?.competition || cached?.payload?.name || "OpenFootball");
-        const code = safeStr(source?.id || competitionName);
-        const slug = sanitizeSlug(competitionName || code || "competition");
+        const code = safeStr(source?.code || source?.id || competitionName);
+        const slug = registered?.slug || sanitizeId(competitionName || code || "competition");
         const competition = {
           id: null,
           code,
           name: competitionName,
-          area: { name: "", code: "" },
+          area: { name: safeStr(registered?.country), code: "" },
           plan: "free-cache",
           currentSeason: { id: null, startDate: null, endDate: null, currentMatchday: null },
           slug,
@@ -641,7 +605,7 @@ async function main() {
   }
 
   const teamHints = Array.from(teamPool);
-  const clubElo = await fetchClubEloAdapter(fetchedAt, teamHints);
+  const clubElo = await fetchClubEloAdapter(fetchedAt, teamHints, registry.withSource("clubelo").map((c) => c.sources.clubelo));
   const wiki = await fetchWikidataAdapter(fetchedAt, teamHints);
 
   const teamStrengthEntries = [];
@@ -1,31 +1,15 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { safeStr, sanitizeId } from "./lib/slug.mjs";
+import { readJson } from "./lib/json-io.mjs";
+import { fetchJson } from "./lib/http.mjs";
+import { createIdentityResolver, loadAliasRegistry, writeIdentityReport } from "./lib/player-identity.mjs";
 
 const ROOT = process.cwd();
 const PLAYERS_PATH = path.join(ROOT, "data", "players.json");
 const SEED_PATH = path.join(ROOT, "data", "player-enrichment-seed.json");
 const OUT_PATH = path.join(ROOT, "data", "player-enrichment.json");
 
-function safeStr(value) {
-  return String(value ?? "").trim();
-}
-
-function sanitizeId(raw) {
-  return safeStr(raw)
-    .toLowerCase()
-    .replace(/[^a-z0-9-]/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
-async function readJson(filePath, fallback = null) {
-  try {
-    return JSON.parse(await fs.readFile(filePath, "utf8"));
-  } catch {
-    return fallback;
-  }
-}
-
 function toAge(dateOfBirth) {
   if (!dateOfBirth) return null;
   const d = new Date(dateOfBirth);
@@ -46,19 +30,28 @@ async function wikiRateLimit() {
   if (wait > 0) await new Promise((r) => setTimeout(r, wait));
 }
 
+// `name` is the page title: the registry's wikipedia id when one is recorded
+// (single-name players such as "Rodri" otherwise land on a disambiguation
+// page), else the player's name.
 async function fetchWikipediaSummary(name) {
   const title = encodeURIComponent(name.replaceAll(" ", "_"));
   const url = `https://en.wikipedia.org/api/rest_v1/page/summary/${title}`;
-  await wikiRateLimit();
-  const res = await fetch(url, {
-    headers: {
-      "User-Agent": "playersb-site/1.0 (https://playersb.com; contact via GitHub)",
-      Accept: "application/json",
-    },
-  });
-  if (res.status === 404) return { missing: true };
-  if (!res.ok) throw new Error(`wikipedia summary failed (${res.status})`);
-  const data = await res.json();
+  let data;
+  try {
+    data = await fetchJson(url, {
+      headers: {
+        "User-Agent": "playersb-site/1.0 (https://playersb.com; contact via GitHub)",
+        Accept: "application/json",
+      },
+      attempts: 3,
+      beforeAttempt: wikiRateLimit,
+      label: "fetch-player-enrichment",
+    });
+  } catch (err) {
+    if (err.status === 404) return { missing: true };
+    throw err;
+  }
+  if (data?.type === "disambiguation") return { disambiguation: true, pageUrl: data?.content_urls?.desktop?.page || null };
   return {
     extract: safeStr(data?.extract),
     description: safeStr(data?.description),
@@ -77,6 +70,18 @@ async function main() {
   const existing = await readJson(OUT_PATH, { players: {} });
 
   const players = Array.isArray(playersData?.players) ? playersData.players : [];
+  const registry = await loadAliasRegistry();
+  const identity = createIdentityResolver({ players, registry });
+  const ambiguous = [];
+
+  // Seed entries are keyed by player id; a key that is no longer an id
+  // (the player was renamed or re-slugged) is resolved by its name instead.
+  const seedById = {};
+  for (const [key, seed] of Object.entries(seedData?.players || {})) {
+    const match = identity.has(key) ? { id: key } : identity.resolve({ name: key.replaceAll("-", " ") });
+    if (match.id) seedById[match.id] = seed;
+    else ambiguous.push({ seedKey: key, reason: match.reason || "no-match", candidates: match.candidates || [] });
+  }
   const out = {
     generatedAt: fetchedAt,
     sourceStatus: {
@@ -93,16 +98,22 @@ async function main() {
     const id = sanitizeId(p?.id || p?.name);
     if (!id) continue;
 
-    const seed = seedData?.players?.[id] || {};
+    const seed = seedById[id] || {};
     const prior = existing?.players?.[id] || {};
 
     let wiki = {};
     try {
-      wiki = await fetchWikipediaSummary(safeStr(p?.name));
+      wiki = await fetchWikipediaSummary(safeStr(registry.players[id]?.externalIds?.wikipedia || p?.name));
       wikiSuccess += 1;
     } catch {
       wikiFail += 1;
     }
+    if (wiki.disambiguation) {
+      // Several people share the title; keep whatever was cached and leave
+      // it to the registry (externalIds.wikipedia) to name the right page.
+      ambiguous.push({ id, name: safeStr(p?.name), reason: "wikipedia-disambiguation", page: wiki.pageUrl });
+      wiki = {};
+    }
 
     const dateOfBirth = safeStr(seed.dateOfBirth || prior.dateOfBirth || "") || null;
 
@@ -115,6 +126,8 @@ async function main() {
       heightCm: Number(seed.heightCm ?? prior.heightCm) || null,
       preferredFoot: safeStr(seed.preferredFoot || prior.preferredFoot || "") || null,
       previousTeams: Array.isArray(seed.previousTeams) ? seed.previousTeams : Array.isArray(prior.previousTeams) ? prior.previousTeams : [],
+      // Short names and nicknames; site search indexes them as aliases.
+      nicknames: Array.isArray(seed.nicknames) ? seed.nicknames : Array.isArray(prior.nicknames) ? prior.nicknames : [],
       careerGoals: Number(seed.careerGoals ?? prior.careerGoals) || null,
       careerAssists: Number(seed.careerAssists ?? prior.careerAssists) || null,
       careerAppearances: Number(seed.careerAppearances ?? prior.careerAppearances) || null,
@@ -137,6 +150,7 @@ async function main() {
   out.sourceStatus.wikipedia.message = `Wikipedia summaries success=${wikiSuccess}, failed=${wikiFail}`;
 
   await fs.writeFile(OUT_PATH, `${JSON.stringify(out, null, 2)}\n`, "utf8");
+  await writeIdentityReport("fetch-player-enrichment", ambiguous);
   console.log(`player-enrichment: wrote ${Object.keys(out.players).length} players (wiki success=${wikiSuccess}, failed=${wikiFail})`);
 }
 
@@ -1,6 +1,9 @@
 import fs from "node:fs/promises";
 import path from "node:path";
-import https from "node:https";
+import { safeStr, sanitizeId } from "./lib/slug.mjs";
+import { SPLIT_STATS, normalizeSplit, seasonForDate, upsertSplit, withSeasonTotals } from "./lib/player-seasons.mjs";
+import { mergeFields, sourceField } from "./lib/provenance.mjs";
+import { fetchJson as fetchJsonWithRetry } from "./lib/http.mjs";
 
 const ROOT = process.cwd();
 const DATA_PATH = path.join(ROOT, "data", "players.json");
@@ -11,18 +14,6 @@ const DEFAULT_SOURCE_URLS = [
   "https://raw.githubusercontent.com/openfootball/players/master/players.json",
 ];
 
-function safeStr(value) {
-  return String(value ?? "").trim();
-}
-
-function sanitizeId(raw) {
-  return safeStr(raw)
-    .toLowerCase()
-    .replace(/[^a-z0-9-]/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
 function readJsonFile(filePath) {
   return fs.readFile(filePath, "utf-8").then((raw) => JSON.parse(raw));
 }
@@ -37,28 +28,7 @@ async function readJsonSafe(filePath, fallback = null) {
 }
 
 function fetchJson(url) {
-  return new Promise((resolve, reject) => {
-    const req = https.get(url, { headers: { "User-Agent": "playersb-site" } }, (res) => {
-      if (res.statusCode !== 200) {
-        reject(new Error(`fetch failed: ${url} (${res.statusCode})`));
-        res.resume();
-        return;
-      }
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (err) {
-          reject(new Error(`invalid json from ${url}: ${err.message}`));
-        }
-      });
-    });
-    req.on("error", reject);
-    req.setTimeout(15000, () => {
-      req.destroy(new Error(`fetch timeout: ${url}`));
-    });
-  });
+  return fetchJsonWithRetry(url, { headers: { "User-Agent": "playersb-site" }, attempts: 2, timeoutMs: 15000, label: "fetch-players" });
 }
 
 function normalizePlayers(raw) {
@@ -67,6 +37,39 @@ function normalizePlayers(raw) {
   return [];
 }
 
+// Season splits for a source record. Sources that already carry
+// `seasons` are taken as-is; a flat row becomes one split for `season`
+// (the source's season), keeping the competition of the player's existing
+// split when the source does not name one.
+function normalizeSplits(record, team, previous, season) {
+  if (Array.isArray(record.seasons) && record.seasons.length) {
+    return record.seasons.map((s) => normalizeSplit(s, { team }));
+  }
+  const prevSplit = (previous?.seasons || []).find((s) => s.season === season);
+  return [
+    normalizeSplit(
+      {
+        minutes: record.minutes ?? record.mins,
+        goals: record.goals ?? record.gls,
+        assists: record.assists ?? record.ast,
+        shots: record.shots ?? record.sh,
+        shotsOnTarget: record.shotsOnTarget ?? record.sot,
+      },
+      { season: record.season || season, team, competition: record.competitionCode || prevSplit?.competition }
+    ),
+  ];
+}
+
+// Season that flat rows from `source` describe: an explicit config value
+// (the local seed is a fixed snapshot), else the source's own timestamp,
+// else today.
+function sourceSeason(source, configured) {
+  if (configured) return configured;
+  const stamp = source?.season || source?.generated_at || source?.generatedAt || source?.updatedAt;
+  if (stamp && /^\d{4}-\d{2}$/.test(stamp)) return stamp;
+  return seasonForDate(stamp ? new Date(stamp) : new Date());
+}
+
 function normalizeRecord(record) {
   const id = sanitizeId(record.id || record.slug || record.code || record.name);
   const name = safeStr(record.name || record.full_name || record.fullName);
@@ -91,15 +94,38 @@ function normalizeRecord(record) {
   };
 }
 
-function cleanPlayers(players) {
+// New splits merge into the same season × competition in the existing
+// record, stat by stat under the provenance rules (`provenance` names the
+// source and its fetch time; without one, as when falling back to the
+// existing file, splits are taken as they are). Earlier seasons are kept so
+// the history survives a refresh.
+function cleanPlayers(players, existingPlayers = [], season = seasonForDate(), provenance = null) {
+  const previousById = new Map(existingPlayers.map((p) => [p.id, p]));
   return players
-    .map(normalizeRecord)
-    .filter((p) => p.id && p.name)
-    .map((p) => ({
-      ...p,
-      position: p.position || "N/A",
-      team: p.team || "Unknown",
-    }));
+    .map((record) => ({ record, player: normalizeRecord(record) }))
+    .filter(({ player }) => player.id && player.name)
+    .map(({ record, player }) => {
+      const team = player.team || "Unknown";
+      const previous = previousById.get(player.id);
+      let seasons = previous?.seasons || [];
+      for (const split of normalizeSplits(record, team, previous, season)) {
+        if (!provenance) {
+          seasons = upsertSplit(seasons, split);
+          continue;
+        }
+        const prevSplit = seasons.find((s) => s.season === split.season && s.competition === split.competition);
+        const fields = Object.fromEntries(
+          SPLIT_STATS.map((k) => [k, sourceField(split[k], provenance.source, provenance.fetchedAt)])
+        );
+        seasons = upsertSplit(seasons, mergeFields(prevSplit ? { ...prevSplit, team: split.team } : split, fields));
+      }
+      return withSeasonTotals({
+        ...player,
+        position: player.position || "N/A",
+        team,
+        seasons,
+      });
+    });
 }
 
 function mergeWithExisting(existing, nextPlayers) {
@@ -139,6 +165,8 @@ async function main() {
   const seedEnabled = sourcesConfig?.playersSeed?.enabled !== false;
 
   let source = null;
+  let sourceKind = "players-feed";
+  let configuredSeason = null;
   if (!localOnly && process.env.PLAYERS_SOURCE_URL) {
     try {
       source = await fetchJson(process.env.PLAYERS_SOURCE_URL);
@@ -166,16 +194,27 @@ async function main() {
 
   if (!source && seedEnabled && seedPath && (await fs.stat(seedPath).then(() => true).catch(() => false))) {
     source = await readJsonFile(seedPath);
+    configuredSeason = sourcesConfig?.playersSeed?.season || null;
+    sourceKind = "players-seed";
     console.log(`fetch-players: using seed source ${seedPath.replace(`${ROOT}/`, "")}`);
   }
 
   if (!source) {
     source = existing;
+    sourceKind = null;
     console.warn("fetch-players: no valid remote source available; keeping existing data/players.json");
   }
 
   const records = normalizePlayers(source);
-  const cleaned = cleanPlayers(records);
+  const cleaned = cleanPlayers(
+    records,
+    Array.isArray(existing?.players) ? existing.players : [],
+    sourceSeason(source, configuredSeason),
+    sourceKind && {
+      source: sourceKind,
+      fetchedAt: source?.generated_at || source?.generatedAt || source?.updatedAt || new Date().toISOString(),
+    }
+  );
 
   if (!cleaned.length) {
     console.warn("fetch-players: source produced 0 normalized players; keeping existing data/players.json");
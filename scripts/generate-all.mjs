@@ -1,5 +1,9 @@
 import { spawn } from "node:child_process";
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
 import { performance } from "node:perf_hooks";
+import { GENERATOR_DEPS } from "./lib/generator-deps.mjs";
 
 // Each generator is its own Node process. We parallelize independent ones
 // (disjoint output directories, all reading from data/*.json) and serialize
@@ -7,8 +11,99 @@ import { performance } from "node:perf_hooks";
 //   1. core         — emits root HTML (independent)
 //   2. content fan-out — many independent generators in parallel
 //   3. players-index — reads player HTML output dir
-//   4. sitemap       — walks the filesystem; must run last
-//   5. quality-gate  — verifies emitted HTML; must run last
+//   4. content manifest — hashes every emitted page
+//   5. sitemap       — walks the filesystem and reads the manifest; must run
+//                      last (with the search index and the service-worker
+//                      precache manifest)
+//   6. quality-gate  — verifies emitted HTML; must run last
+//
+// Incremental builds: every generator listed in lib/generator-deps.mjs is
+// skipped when the hash of its inputs matches the one recorded in
+// data/build-hashes.json by the last successful run. `--force` ignores the
+// recorded hashes and runs everything.
+
+const ROOT = process.cwd();
+const HASHES_PATH = path.join(ROOT, "data", "build-hashes.json");
+const LIB_DIR = path.join(ROOT, "scripts", "lib");
+const FORCE = process.argv.includes("--force");
+
+let previousHashes = {};
+const nextHashes = {};
+const skipped = [];
+
+async function readPreviousHashes() {
+  try {
+    const parsed = JSON.parse(await fs.readFile(HASHES_PATH, "utf-8"));
+    return parsed?.generators && typeof parsed.generators === "object" ? parsed.generators : {};
+  } catch {
+    return {};
+  }
+}
+
+async function libFiles() {
+  try {
+    const entries = await fs.readdir(LIB_DIR);
+    return entries.filter((name) => name.endsWith(".mjs")).sort().map((name) => `scripts/lib/${name}`);
+  } catch {
+    return [];
+  }
+}
+
+// Expands a manifest entry ending in "/" to the sorted files below it.
+async function expandInput(rel) {
+  if (!rel.endsWith("/")) return [rel];
+  try {
+    const entries = await fs.readdir(path.join(ROOT, rel), { recursive: true, withFileTypes: true });
+    return entries
+      .filter((e) => e.isFile())
+      .map((e) => path.relative(ROOT, path.join(e.parentPath ?? e.path, e.name)).split(path.sep).join("/"))
+      .sort();
+  } catch {
+    return [rel];
+  }
+}
+
+// Hash of everything a generator reads: its declared inputs and environment
+// variables, its own source, and the shared lib modules. Missing files hash as a fixed marker so a file
+// appearing or disappearing also counts as a change.
+async function inputHash(script) {
+  const deps = GENERATOR_DEPS[script];
+  if (!deps || !Array.isArray(deps.inputs)) return null;
+  const inputs = (await Promise.all(deps.inputs.map(expandInput))).flat();
+  const files = [script, ...(await libFiles()), ...inputs];
+  const hash = createHash("sha256");
+  for (const rel of files) {
+    hash.update(`${rel}\0`);
+    try {
+      hash.update(await fs.readFile(path.join(ROOT, rel)));
+    } catch {
+      hash.update("<missing>");
+    }
+    hash.update("\0");
+  }
+  for (const name of deps.env || []) {
+    hash.update(`env:${name}\0${process.env[name] ?? "<unset>"}\0`);
+  }
+  return hash.digest("hex");
+}
+
+async function outputsExist(script) {
+  const outputs = GENERATOR_DEPS[script]?.outputs || [];
+  for (const rel of outputs) {
+    try {
+      await fs.access(path.join(ROOT, rel));
+    } catch {
+      return false;
+    }
+  }
+  return true;
+}
+
+async function writeHashes() {
+  const generators = {};
+  for (const key of Object.keys(nextHashes).sort()) generators[key] = nextHashes[key];
+  await fs.writeFile(HASHES_PATH, JSON.stringify({ version: 1, generators }, null, 2) + "\n", "utf-8");
+}
 
 function run(cmd, args = []) {
   return new Promise((resolve, reject) => {
@@ -31,22 +126,42 @@ function run(cmd, args = []) {
 
 const node = (script) => run("node", [script]);
 
+// Runs a generator unless its inputs are unchanged since the last successful
+// build. Scripts without a manifest entry (validate-data, quality-gate, the
+// optional fetch) always run.
+async function generate(script) {
+  const hash = await inputHash(script);
+  if (hash && !FORCE && previousHashes[script] === hash && (await outputsExist(script))) {
+    console.log(`[${script}] skipped (inputs unchanged)`);
+    skipped.push(script);
+    nextHashes[script] = hash;
+    return;
+  }
+  await node(script);
+  if (hash) nextHashes[script] = hash;
+}
+
 async function parallel(scripts) {
   const start = performance.now();
-  await Promise.all(scripts.map((s) => node(s)));
+  await Promise.all(scripts.map((s) => generate(s)));
   const dur = ((performance.now() - start) / 1000).toFixed(2);
   console.log(`-- group complete (${scripts.length} scripts, ${dur}s)\n`);
 }
 
 async function main() {
   const total = performance.now();
+  previousHashes = FORCE ? {} : await readPreviousHashes();
+  if (FORCE) console.log("--force: ignoring data/build-hashes.json, running every generator\n");
 
   // Stage 0: validate input data shape before generating anything. Fails the
   // build with a useful error rather than crashing inside a template.
   await node("scripts/validate-data.mjs");
+  // Semantic checks (W/D/L vs points, per-90 ceilings, outliers). Report-only
+  // here; the update-data workflow runs it with --quarantine after fetching.
+  await node("scripts/check-anomalies.mjs");
 
   // Stage 1: core pages (no deps; serial just because it's a single script).
-  await node("scripts/generate-core.mjs");
+  await generate("scripts/generate-core.mjs");
 
   if (process.env.FETCH_PLAYERS === "1") {
     await node("scripts/fetch-players.mjs");
@@ -59,6 +174,7 @@ async function main() {
     "scripts/generate-positions.mjs",
     "scripts/generate-teams.mjs",
     "scripts/generate-competitions.mjs",
+    "scripts/generate-api.mjs",
     "scripts/generate-learn-topics.mjs",
     "scripts/generate-glossary.mjs",
     "scripts/generate-feed.mjs",
@@ -67,30 +183,48 @@ async function main() {
     "scripts/generate-embed.mjs",
     "scripts/generate-sports.mjs",
     "scripts/generate-matches.mjs",
+    "scripts/generate-match-pages.mjs",
     "scripts/generate-standings.mjs",
     "scripts/generate-archive.mjs",
     "scripts/generate-og-cards.mjs",
     "scripts/generate-team-og-cards.mjs",
+    "scripts/generate-competition-og-cards.mjs",
+    "scripts/generate-match-og-cards.mjs",
     "scripts/generate-team-feeds.mjs",
+    "scripts/generate-calendars.mjs",
     "scripts/generate-llms-full.mjs",
+    "scripts/generate-status.mjs",
+    "scripts/generate-predictions.mjs",
   ]);
 
   // Stage 3: players index (depends on a stable players.json; serial after
   // generate-players to avoid any read-after-write surprise on the .generated
   // marker file).
-  await node("scripts/generate-players-index.mjs");
+  await generate("scripts/generate-players-index.mjs");
+
+  // Stage 4: content hashes of every emitted page. The sitemap takes its
+  // lastmod dates from them, so this finishes first.
+  await generate("scripts/generate-content-manifest.mjs");
 
   // Stage 4a: search index walks data + filesystem; safe to do alongside sitemap.
+  // The service-worker manifest hashes emitted pages, so it also waits for
+  // every HTML generator.
   await parallel([
     "scripts/generate-sitemap.mjs",
     "scripts/generate-search-index.mjs",
+    "scripts/generate-sw-manifest.mjs",
   ]);
 
   // Stage 5: verification.
   await node("scripts/quality-gate.mjs");
 
+  // Only record hashes once the whole build (including the gate) passed, so
+  // a failed run never marks its generators as up to date.
+  await writeHashes();
+
   const dur = ((performance.now() - total) / 1000).toFixed(2);
-  console.log(`\n✅ generate-all complete in ${dur}s`);
+  const skippedNote = skipped.length ? ` (${skipped.length} generator${skipped.length === 1 ? "" : "s"} skipped, inputs unchanged)` : "";
+  console.log(`\n✅ generate-all complete in ${dur}s${skippedNote}`);
 }
 
 main().catch((err) => {
@@ -0,0 +1,112 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { readJson, writeJson } from "./lib/json-io.mjs";
+import { safeStr, sanitizeId } from "./lib/slug.mjs";
+import { findSimilarPlayers } from "./lib/similar.mjs";
+import { buildPercentiles, percentileMinMinutes } from "./lib/percentiles.mjs";
+import { collectTeams, teamMatch } from "./lib/teams.mjs";
+import { buildCompetitionsFromLive, loadCompetitionRegistry } from "./lib/competitions.mjs";
+import { API_BASE, API_VERSION, competitionResource, openApiDocument, playerResource, teamResource } from "./lib/api.mjs";
+
+// Static JSON API: /api/v1/{players,teams,competitions}/*.json, an index and
+// an OpenAPI document. See scripts/lib/api.mjs for the resource shapes.
+
+const ROOT = process.cwd();
+const SITE_ORIGIN = "https://playersb.com";
+const OUT_DIR = path.join(ROOT, "api", "v1");
+
+async function main() {
+  const [playersParsed, fixturesParsed, standingsParsed, scorersParsed, fantasyParsed] = await Promise.all([
+    readJson("data/players.json"),
+    readJson("data/fixtures.json", {}),
+    readJson("data/standings.json", {}),
+    readJson("data/scorers.json", {}),
+    readJson("data/fantasy.json", {}),
+  ]);
+
+  const players = Array.isArray(playersParsed?.players) ? playersParsed.players : [];
+  if (!players.length) throw new Error("data/players.json has no players[] array.");
+  const fixtureRows = Array.isArray(fixturesParsed?.fixtures) ? fixturesParsed.fixtures : [];
+
+  const teamMap = collectTeams({
+    players,
+    fantasyRows: Array.isArray(fantasyParsed?.players) ? fantasyParsed.players : [],
+    scorerRows: Array.isArray(scorersParsed?.scorers) ? scorersParsed.scorers : [],
+    standingsParsed,
+    fixtureRows,
+  });
+  const teamSlugs = new Set(teamMap.keys());
+  const competitions = buildCompetitionsFromLive(standingsParsed, fixturesParsed, fantasyParsed, scorersParsed, playersParsed, await loadCompetitionRegistry());
+
+  // Start clean so a player, team or competition that drops out of the data
+  // does not leave a stale resource behind.
+  await fs.rm(OUT_DIR, { recursive: true, force: true });
+
+  // Same percentile threshold as the player pages and search index.
+  const percentiles = buildPercentiles(players, { minMinutes: percentileMinMinutes() });
+  const playerEntries = [];
+  const validPlayerIds = new Set();
+  for (const p of players) {
+    const id = sanitizeId(p?.id);
+    if (!id || validPlayerIds.has(id)) continue;
+    validPlayerIds.add(id);
+    const resource = playerResource(p, {
+      similar: findSimilarPlayers(p, players, 3),
+      ranks: percentiles.get(p.id),
+      teamSlugs,
+      standingsParsed,
+    });
+    await writeJson(path.join(OUT_DIR, "players", `${id}.json`), resource);
+    playerEntries.push({
+      id,
+      name: resource.name,
+      team: safeStr(p.team),
+      position: safeStr(p.position),
+      url: resource.url,
+      href: resource.href,
+    });
+  }
+
+  const teamEntries = [];
+  for (const [slug, team] of [...teamMap.entries()].sort((a, b) => a[1].label.localeCompare(b[1].label))) {
+    const fixtures = fixtureRows.filter((f) => teamMatch(f?.home, team.label) || teamMatch(f?.away, team.label));
+    const resource = teamResource(slug, team, { fixtures, validPlayerIds, standingsParsed });
+    await writeJson(path.join(OUT_DIR, "teams", `${slug}.json`), resource);
+    teamEntries.push({ slug, name: resource.name, url: resource.url, href: resource.href });
+  }
+
+  const competitionEntries = [];
+  for (const [code, comp] of Object.entries(competitions)) {
+    const resource = competitionResource(code, comp, { teamSlugs });
+    if (!resource.slug) continue;
+    await writeJson(path.join(OUT_DIR, "competitions", `${resource.slug}.json`), resource);
+    competitionEntries.push({
+      slug: resource.slug,
+      code,
+      name: resource.name,
+      url: resource.url,
+      href: resource.href,
+    });
+  }
+
+  playerEntries.sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+
+  await writeJson(path.join(OUT_DIR, "index.json"), {
+    version: API_VERSION,
+    dataUpdatedAt: playersParsed?.generated_at || null,
+    players: playerEntries,
+    teams: teamEntries,
+    competitions: competitionEntries,
+    openapi: `${API_BASE}/openapi.json`,
+  });
+  await writeJson(path.join(OUT_DIR, "openapi.json"), openApiDocument(SITE_ORIGIN));
+
+  console.log(
+    `Generated API: ${playerEntries.length} players, ${teamEntries.length} teams, ${competitionEntries.length} competitions into /api/v1/`,
+  );
+}
+
+main().catch((err) => {
+  console.error("generate-api: fatal", err);
+  process.exit(1);
+});
@@ -1,37 +1,24 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { escHtml, escXml } from "./lib/html.mjs";
+import { fill, assertNoPlaceholders } from "./lib/layout.mjs";
+import { createTemplateEngine } from "./lib/template.mjs";
+import { createHeadToHeadIndex, pairSummary } from "./lib/head-to-head.mjs";
+import { loadTeamNameRegistry } from "./lib/team-names.mjs";
+import { buildLeagueHistory, loadPointsDeductions } from "./lib/league-tables.mjs";
+import { loadCompetitionRegistry } from "./lib/competitions.mjs";
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
 
 const DATA_PATH = path.join(ROOT, "data", "archive.json");
-const LAYOUT_PATH = path.join(ROOT, "templates", "layout.html");
+const TEMPLATES_DIR = path.join(ROOT, "templates");
+const LAYOUT_PATH = path.join(TEMPLATES_DIR, "layout.html");
 const OUT_DIR = path.join(ROOT, "archive");
+const H2H_DIR = path.join(OUT_DIR, "h2h");
 
-function escHtml(s) {
-  return String(s ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#39;");
-}
-
-function assertNoPlaceholders(finalHtml, fileLabel) {
-  const m = finalHtml.match(/{{[^}]+}}/g);
-  if (m?.length) {
-    const uniq = Array.from(new Set(m)).slice(0, 10).join(", ");
-    throw new Error(`${fileLabel}: unresolved template placeholders found: ${uniq}`);
-  }
-}
-
-function fill(layout, { title, description, canonical, body }) {
-  return layout
-    .replaceAll("{{TITLE}}", title)
-    .replaceAll("{{DESCRIPTION}}", description)
-    .replaceAll("{{CANONICAL}}", canonical)
-    .replaceAll("{{BODY}}", body.trim());
-}
+const CHART_WIDTH = 120;
+const CHART_HEIGHT = 32;
 
 function renderMatches(matches, columns) {
   const rows = matches
@@ -70,16 +57,229 @@ function renderMatches(matches, columns) {
   `.trim();
 }
 
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+const signed = (n) => (n > 0 ? `+${n}` : String(n));
+
+function seasonStatus(season) {
+  if (season.final) return "Final table";
+  if (season.table) return `Rebuilt from ${season.matches} of ${season.expected} matches`;
+  if (season.matches) return `No table: ${season.matches} of ${season.expected} league matches archived`;
+  return "No league matches";
+}
+
+function renderLeagueTable(season) {
+  const rows = season.table
+    .map((r) => `
+        <tr>
+          <td>${r.position}</td>
+          <td class="team">${escHtml(r.name)}</td>
+          <td>${r.played}</td>
+          <td>${r.won}</td>
+          <td>${r.drawn}</td>
+          <td>${r.lost}</td>
+          <td>${r.goalsFor}</td>
+          <td>${r.goalsAgainst}</td>
+          <td>${signed(r.goalDifference)}</td>
+          <td><strong>${r.points}</strong>${r.deduction ? ` <span class="meta-text">(−${r.deduction})</span>` : ""}</td>
+        </tr>
+      `.trim())
+    .join("\n");
+  const deductions = season.deductions.length
+    ? `<ul>${season.deductions.map((d) => `<li>${escHtml(d.team)} −${d.points}${d.reason ? ` <span class="meta-text">(${escHtml(d.reason)})</span>` : ""}</li>`).join("")}</ul>`
+    : "";
+  const coverage = season.final
+    ? `Rebuilt from all ${season.matches} league matches in the archive.`
+    : `Rebuilt from ${season.matches} of ${season.expected} league matches; the missing results can change places and points.`;
+
+  return `
+    <h2>${season.final ? "Final table" : "Table"}</h2>
+    <p class="meta-text">${escHtml(coverage)} Three points for a win; level teams are split by goal difference, then goals scored.</p>
+    <div class="table-wrapper">
+      <table class="table">
+        <thead>
+          <tr><th>#</th><th>Team</th><th>P</th><th>W</th><th>D</th><th>L</th><th>GF</th><th>GA</th><th>GD</th><th>Pts</th></tr>
+        </thead>
+        <tbody>
+          ${rows}
+        </tbody>
+      </table>
+    </div>
+    ${deductions ? `<h3>Points deductions</h3>${deductions}` : ""}
+  `.trim();
+}
+
+// Finishing positions as a line, first place at the top; seasons without
+// the team break the line.
+function positionChart(positions, { size, label }) {
+  const step = positions.length > 1 ? CHART_WIDTH / (positions.length - 1) : 0;
+  const x = (i) => (positions.length > 1 ? i * step : CHART_WIDTH / 2).toFixed(1);
+  const y = (p) => (2 + ((p - 1) / Math.max(size - 1, 1)) * (CHART_HEIGHT - 4)).toFixed(1);
+  const segments = [];
+  let current = [];
+  positions.forEach((p, i) => {
+    if (p == null) {
+      if (current.length) segments.push(current);
+      current = [];
+      return;
+    }
+    current.push([x(i), y(p)]);
+  });
+  if (current.length) segments.push(current);
+  const shapes = segments.map((points) =>
+    points.length === 1
+      ? `<circle cx="${points[0][0]}" cy="${points[0][1]}" r="2" fill="currentColor" />`
+      : `<polyline points="${points.map((pt) => pt.join(",")).join(" ")}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round" />`
+  );
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" role="img" aria-label="${escXml(label)}" style="color:var(--accent);vertical-align:middle;">${shapes.join("")}</svg>`;
+}
+
+const ordinal = (n) => {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  return `${n}${{ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th"}`;
+};
+
+// View for /archive/{competition}/.
+function competitionView(competition) {
+  const tabled = competition.seasons.filter((s) => s.table);
+  const size = Math.max(0, ...tabled.map((s) => s.teams));
+  const lead = tabled.length
+    ? `${plural(competition.seasons.length, "season")} in the archive, ${tabled.length} with enough league results to rebuild the table.`
+    : `${plural(competition.seasons.length, "season")} in the archive.`;
+  return {
+    competition: { slug: competition.slug, name: competition.name, country: competition.country },
+    lead,
+    seasons: competition.seasons
+      .slice()
+      .reverse()
+      .map((s) => ({
+        pages: s.pages.map((p) => ({ name: p.name, url: `/archive/${p.competition}/${p.slug}/` })),
+        matches: s.matches,
+        status: seasonStatus(s),
+        leader: s.table ? s.table[0].name : "",
+      })),
+    allTime: competition.allTime.map((r) => ({ ...r, goalDifferenceLabel: signed(r.goalDifference) })),
+    allTimeNote: `Every league match of the ${plural(tabled.length, "season")} with a rebuilt table (${tabled.map((s) => s.name).join(", ")}), three points for a win, deductions applied. Titles count final tables only.`,
+    positionSeasons: tabled.map((s) => ({ name: s.name })),
+    positions: competition.positions.map((t) => ({
+      name: t.name,
+      cells: t.positions.map((p) => ({ label: p == null ? "–" : p })),
+      chart: positionChart(t.positions, {
+        size,
+        label: `${t.name} finishing positions: ${t.positions.map((p, i) => (p == null ? null : `${ordinal(p)} in ${tabled[i].name}`)).filter(Boolean).join(", ")}`,
+      }),
+    })),
+    deductions: tabled.flatMap((s) => s.deductions.map((d) => ({ season: s.name, ...d }))),
+  };
+}
+
+function competitionSchema(view) {
+  return `<script type="application/ld+json">${JSON.stringify({
+    "@context": "https://schema.org",
+    "@type": "BreadcrumbList",
+    itemListElement: [
+      { "@type": "ListItem", position: 1, name: "Home", item: `${SITE_ORIGIN}/` },
+      { "@type": "ListItem", position: 2, name: "Archive", item: `${SITE_ORIGIN}/archive/` },
+      { "@type": "ListItem", position: 3, name: view.competition.name, item: `${SITE_ORIGIN}/archive/${view.competition.slug}/` },
+    ],
+  })}</script>`;
+}
+
+// View for /archive/h2h/{pair}/: teams in slug order, as pairSlug names them.
+function h2hView(index, pair) {
+  const summary = pairSummary(pair);
+  const [a, b] = summary.teams.map((t) => ({ ...t, name: index.label(t.slug) }));
+  const meetingRow = (m) => ({
+    date: m.date,
+    homeTeam: index.label(m.home),
+    awayTeam: index.label(m.away),
+    score: `${m.homeScore}-${m.awayScore}`,
+    competition: m.competition,
+    season: m.season,
+    archiveUrl: m.archiveUrl,
+    stage: m.stage,
+  });
+  const span = summary.first === summary.last ? summary.first : `${summary.first} to ${summary.last}`;
+  return {
+    pair: {
+      slug: pair.slug,
+      a: { name: a.name },
+      b: { name: b.name },
+      lead: `${plural(summary.played, "meeting")} in the archive (${span}): ${a.name} ${plural(a.wins, "win")}, ${plural(summary.draws, "draw")}, ${b.name} ${plural(b.wins, "win")}.`,
+    },
+    record: [a, b].map((t, i) => ({
+      name: t.name,
+      wins: t.wins,
+      draws: summary.draws,
+      losses: [b, a][i].wins,
+      goals: t.goals,
+    })),
+    venues: [a, b].map((t) => ({ name: t.name, ...t.home })),
+    biggestWins: [a, b].map((t) => ({ name: t.name, wins: t.biggestWins.map(meetingRow) })),
+    meetings: pair.meetings.map(meetingRow),
+  };
+}
+
+function h2hSchema(view) {
+  const url = `${SITE_ORIGIN}/archive/h2h/${view.pair.slug}/`;
+  return `<script type="application/ld+json">${JSON.stringify({
+    "@context": "https://schema.org",
+    "@type": "BreadcrumbList",
+    itemListElement: [
+      { "@type": "ListItem", position: 1, name: "Home", item: `${SITE_ORIGIN}/` },
+      { "@type": "ListItem", position: 2, name: "Archive", item: `${SITE_ORIGIN}/archive/` },
+      { "@type": "ListItem", position: 3, name: `${view.pair.a.name} vs ${view.pair.b.name}`, item: url },
+    ],
+  })}</script>`;
+}
+
+// Data for the picker on /archive/ (initH2hPicker in assets/js/site.js):
+// teams as [slug, name] sorted by name, and for each team the indexes of
+// the teams it has met.
+function h2hPickerData(index) {
+  const slugs = new Set();
+  for (const pair of index.pairs.values()) pair.teams.forEach((t) => slugs.add(t));
+  const teams = [...slugs]
+    .map((slug) => [slug, index.label(slug)])
+    .sort((x, y) => x[1].localeCompare(y[1]));
+  const position = new Map(teams.map(([slug], i) => [slug, i]));
+  const opponents = teams.map(() => []);
+  for (const pair of index.pairs.values()) {
+    const [x, y] = pair.teams.map((t) => position.get(t));
+    opponents[x].push(y);
+    opponents[y].push(x);
+  }
+  for (const list of opponents) list.sort((x, y) => x - y);
+  // Inline JSON: keep "</script>" out of team names.
+  return JSON.stringify({ teams, opponents }).replace(/</g, "\\u003c");
+}
+
 async function main() {
   await fs.mkdir(OUT_DIR, { recursive: true });
 
-  const [rawData, layout] = await Promise.all([
+  const engine = createTemplateEngine(TEMPLATES_DIR);
+  const [rawData, layout, renderH2h, renderCompetition, teamNames, competitionRegistry, deductions] = await Promise.all([
     fs.readFile(DATA_PATH, "utf-8").catch(() => "{}"),
     fs.readFile(LAYOUT_PATH, "utf-8"),
+    engine.load("archive-h2h.html"),
+    engine.load("archive-competition.html"),
+    loadTeamNameRegistry(),
+    loadCompetitionRegistry(),
+    loadPointsDeductions(),
   ]);
 
   const parsed = JSON.parse(rawData || "{}");
   const entries = Array.isArray(parsed?.entries) ? parsed.entries : [];
+  const h2hIndex = createHeadToHeadIndex(parsed, teamNames);
+
+  // Registered competitions get one hub under the registry slug, whatever
+  // a source called them when the entry was fetched ("1. Bundesliga").
+  const hubOf = (entry) => {
+    const registered = competitionRegistry.find(entry?.competition?.name) || competitionRegistry.find(entry?.competition?.slug);
+    return registered ? { slug: registered.slug, name: registered.name, country: registered.country } : entry?.competition;
+  };
+  const history = buildLeagueHistory(parsed, { names: teamNames, deductions, competitionOf: hubOf });
 
   const competitionMap = new Map();
 
@@ -87,28 +287,29 @@ async function main() {
     const competition = entry?.competition || {};
     const season = entry?.season || {};
     if (!competition?.slug || !season?.slug) continue;
-    const list = competitionMap.get(competition.slug) || {
-      competition,
+    const hub = hubOf(entry);
+    const list = competitionMap.get(hub.slug) || {
+      competition: hub,
       seasons: [],
     };
-    list.seasons.push(season);
-    competitionMap.set(competition.slug, list);
+    list.seasons.push({ ...season, url: `/archive/${competition.slug}/${season.slug}/` });
+    competitionMap.set(hub.slug, list);
   }
 
   const indexCards = Array.from(competitionMap.values())
     .sort((a, b) => a.competition.name.localeCompare(b.competition.name))
     .map((item) => {
-      const seasons = Array.from(new Set(item.seasons.map((s) => s.slug)))
-        .map((slug) => {
-          const season = item.seasons.find((s) => s.slug === slug) || {};
-          const label = escHtml(season.name || slug);
-          return `<a class="pill" href="/archive/${item.competition.slug}/${season.slug}/">${label}</a>`;
+      const seasons = Array.from(new Set(item.seasons.map((s) => s.url)))
+        .map((url) => {
+          const season = item.seasons.find((s) => s.url === url);
+          const label = escHtml(season.name || season.slug);
+          return `<a class="pill" href="${url}">${label}</a>`;
         })
         .join("\n");
 
       return `
         <div class="card">
-          <h3>${escHtml(item.competition.name)}</h3>
+          <h3><a href="/archive/${item.competition.slug}/">${escHtml(item.competition.name)}</a></h3>
           <p class="meta-text">${escHtml(item.competition.country || "")}</p>
           <div class="pill-row">
             ${seasons || `<span class="meta-text">No seasons loaded yet.</span>`}
@@ -137,6 +338,18 @@ async function main() {
     </section>
 
     <section class="section">
+      ${h2hIndex.pairs.size ? `
+      <div class="card" id="h2h" data-h2h-picker style="margin-bottom:16px;">
+        <h2>Head-to-head</h2>
+        <p class="meta-text">Every meeting between two teams across all archived seasons, with club names merged across sources.</p>
+        <form class="button-row" data-h2h-form>
+          <label>Team <select data-h2h-team="a" aria-label="First team"><option value="">Choose a team</option></select></label>
+          <label>Opponent <select data-h2h-team="b" aria-label="Opponent" disabled><option value="">Choose an opponent</option></select></label>
+          <button type="submit" class="button" disabled>View record</button>
+        </form>
+        <noscript><p class="meta-text">The picker needs JavaScript.</p></noscript>
+        <script type="application/json" data-h2h-pairs>${h2hPickerData(h2hIndex)}</script>
+      </div>` : ""}
       <div class="card-grid">
         ${indexCards || `<div class="card"><p class="meta-text">No archives loaded yet. Run the archive fetch script to populate this page.</p></div>`}
       </div>
@@ -174,6 +387,11 @@ async function main() {
 
     const sourcesLabel = Array.isArray(entry?.sources) ? entry.sources.join(", ") : "";
 
+    const hub = hubOf(entry);
+    const leagueSeason = history.get(hub.slug)?.seasons.find((s) =>
+      s.pages.some((p) => p.competition === competition.slug && p.slug === season.slug)
+    );
+
     const seasonBody = `
       <section class="hero">
         <span class="pill">Archive</span>
@@ -181,13 +399,16 @@ async function main() {
         <p class="lead">Historic results for ${escHtml(competition.name)} ${escHtml(season.name)}.</p>
         <div class="button-row">
           <a class="button" href="/archive/">Back to archive</a>
-          <a class="button secondary" href="/matches/">View fixtures</a>
+          <a class="button secondary" href="/archive/${hub.slug}/">All ${escHtml(hub.name)} seasons</a>
           <a class="button secondary" href="/standings/">View standings</a>
         </div>
         ${sourcesLabel ? `<p class="meta-text">Sources: ${escHtml(sourcesLabel)}</p>` : ""}
       </section>
 
       <section class="section">
+        ${leagueSeason?.table ? `<div class="card" style="margin-bottom:16px;">
+          ${renderLeagueTable(leagueSeason)}
+        </div>` : ""}
         <div class="card">
           ${section}
         </div>
@@ -208,7 +429,58 @@ async function main() {
     await fs.writeFile(outPath, seasonHtml, "utf-8");
   }
 
-  console.log(`Generated archive pages: ${entries.length}`);
+  for (const competition of history.values()) {
+    const view = competitionView(competition);
+    const body = renderCompetition({
+      ...view,
+      breadcrumbs: [
+        { name: "Home", url: "/" },
+        { name: "Archive", url: "/archive/" },
+        { name: competition.name, url: `/archive/${competition.slug}/` },
+      ],
+      schema: competitionSchema(view),
+    });
+    const html = fill(layout, {
+      title: `${competition.name} archive: all-time table and seasons`,
+      description: `${view.lead} All-time table, season-by-season finishing positions and final tables rebuilt from archived results.`,
+      canonical: `${SITE_ORIGIN}/archive/${competition.slug}/`,
+      body,
+    });
+    const outPath = path.join(OUT_DIR, competition.slug, "index.html");
+    assertNoPlaceholders(html, outPath);
+    const h1 = (html.match(/<h1\b/gi) || []).length;
+    if (h1 !== 1) throw new Error(`archive/${competition.slug}/index.html: expected exactly 1 <h1>, found ${h1}`);
+    await fs.mkdir(path.dirname(outPath), { recursive: true });
+    await fs.writeFile(outPath, html, "utf-8");
+  }
+
+  for (const pair of h2hIndex.pairs.values()) {
+    const view = h2hView(h2hIndex, pair);
+    const title = `${view.pair.a.name} vs ${view.pair.b.name} head-to-head`;
+    const body = renderH2h({
+      ...view,
+      breadcrumbs: [
+        { name: "Home", url: "/" },
+        { name: "Archive", url: "/archive/" },
+        { name: `${view.pair.a.name} vs ${view.pair.b.name}`, url: `/archive/h2h/${pair.slug}/` },
+      ],
+      schema: h2hSchema(view),
+    });
+    const html = fill(layout, {
+      title,
+      description: `${view.pair.lead} Biggest wins, results by venue and every match in the PlayersB archive.`,
+      canonical: `${SITE_ORIGIN}/archive/h2h/${pair.slug}/`,
+      body,
+    });
+    const outPath = path.join(H2H_DIR, pair.slug, "index.html");
+    assertNoPlaceholders(html, outPath);
+    const h1 = (html.match(/<h1\b/gi) || []).length;
+    if (h1 !== 1) throw new Error(`archive/h2h/${pair.slug}/index.html: expected exactly 1 <h1>, found ${h1}`);
+    await fs.mkdir(path.dirname(outPath), { recursive: true });
+    await fs.writeFile(outPath, html, "utf-8");
+  }
+
+  console.log(`Generated archive pages: ${entries.length} seasons, ${history.size} competitions, ${h2hIndex.pairs.size} head-to-head pairs`);
 }
 
 main().catch((err) => {
@@ -0,0 +1,87 @@
+// Subscribable fixture calendars (scripts/lib/ics.mjs): one per team at
+// /teams/{slug}/fixtures.ics and one per competition at
+// /competitions/{slug}/fixtures.ics. Teams and competitions are the ones
+// generate-teams.mjs and generate-competitions.mjs build pages for; those
+// without fixtures get no calendar (and their pages no Subscribe button).
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { safeStr, sanitizeId } from "./lib/slug.mjs";
+import { readJson } from "./lib/json-io.mjs";
+import { collectTeams, teamMatch } from "./lib/teams.mjs";
+import { buildCompetitionsFromLive, loadCompetitionRegistry } from "./lib/competitions.mjs";
+import { buildCalendar, calendarHref } from "./lib/ics.mjs";
+
+const ROOT = process.cwd();
+const SITE_ORIGIN = "https://playersb.com";
+const PLAYERS_PATH = path.join(ROOT, "data", "players.json");
+const STANDINGS_PATH = path.join(ROOT, "data", "standings.json");
+const FIXTURES_PATH = path.join(ROOT, "data", "fixtures.json");
+const FANTASY_PATH = path.join(ROOT, "data", "fantasy.json");
+const SCORERS_PATH = path.join(ROOT, "data", "scorers.json");
+
+// Builds the calendar at `href` against the version already there, so
+// events that changed since get a new SEQUENCE.
+async function writeCalendar(href, options) {
+  const outPath = path.join(ROOT, href);
+  const previous = await fs.readFile(outPath, "utf-8").catch(() => null);
+  await fs.mkdir(path.dirname(outPath), { recursive: true });
+  await fs.writeFile(outPath, buildCalendar({ ...options, previous }), "utf-8");
+}
+
+async function main() {
+  const [playersParsed, standingsParsed, fixturesParsed, fantasyParsed, scorersParsed] = await Promise.all([
+    readJson(PLAYERS_PATH, { players: [] }),
+    readJson(STANDINGS_PATH, { standings: {} }),
+    readJson(FIXTURES_PATH, { fixtures: [] }),
+    readJson(FANTASY_PATH, { players: [] }),
+    readJson(SCORERS_PATH, { scorers: [] }),
+  ]);
+  const registry = await loadCompetitionRegistry();
+  const fixtureRows = Array.isArray(fixturesParsed?.fixtures) ? fixturesParsed.fixtures : [];
+  const stamp = fixturesParsed?.updatedAt || fixturesParsed?.generatedAt || null;
+
+  const teamMap = collectTeams({
+    players: Array.isArray(playersParsed?.players) ? playersParsed.players : [],
+    fantasyRows: Array.isArray(fantasyParsed?.players) ? fantasyParsed.players : [],
+    scorerRows: Array.isArray(scorersParsed?.scorers) ? scorersParsed.scorers : [],
+    standingsParsed,
+    fixtureRows,
+  });
+  let teams = 0;
+  for (const [slug, data] of teamMap.entries()) {
+    const fixtures = fixtureRows.filter((f) => teamMatch(f?.home, data.label) || teamMatch(f?.away, data.label));
+    if (!fixtures.length) continue;
+    await writeCalendar(calendarHref("teams", slug), {
+      name: `${data.label} fixtures — PlayersB`,
+      description: `Fixtures and results for ${data.label}, updated every six hours by PlayersB.`,
+      url: `${SITE_ORIGIN}/teams/${slug}/`,
+      fixtures,
+      stamp,
+    });
+    teams += 1;
+  }
+
+  const competitions = buildCompetitionsFromLive(standingsParsed, fixturesParsed, fantasyParsed, scorersParsed, playersParsed, registry);
+  let comps = 0;
+  for (const [code, comp] of Object.entries(competitions)) {
+    const slug = sanitizeId(code);
+    if (!slug || !comp?.fixtures?.length) continue;
+    const label = safeStr(comp.label || code);
+    await writeCalendar(calendarHref("competitions", slug), {
+      name: `${label} fixtures — PlayersB`,
+      description: `Every ${label} fixture and result, updated every six hours by PlayersB.`,
+      url: `${SITE_ORIGIN}/competitions/${slug}/`,
+      fixtures: comp.fixtures,
+      stamp,
+    });
+    comps += 1;
+  }
+
+  console.log(`Generated ${teams} team and ${comps} competition calendars (fixtures.ics)`);
+}
+
+main().catch((err) => {
+  console.error("generate-calendars: fatal", err);
+  process.exit(1);
+});
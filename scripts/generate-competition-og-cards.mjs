@@ -0,0 +1,100 @@
+// Per-competition OG share cards (1200x630 SVG and PNG, dependency-free).
+// Mirrors scripts/generate-team-og-cards.mjs. One card per competition page
+// at /assets/og/competition-{slug}.png, built from the same merged view of
+// the feeds as scripts/generate-competitions.mjs.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { escXml } from "./lib/html.mjs";
+import { safeStr, sanitizeId } from "./lib/slug.mjs";
+import { num } from "./lib/stats.mjs";
+import { readJson } from "./lib/json-io.mjs";
+import { isFinished } from "./lib/matches.mjs";
+import { buildCompetitionsFromLive, loadCompetitionRegistry } from "./lib/competitions.mjs";
+import { OG_DIR, fitText, writeCard } from "./lib/og-cards.mjs";
+
+const ROOT = process.cwd();
+const PLAYERS_PATH = path.join(ROOT, "data", "players.json");
+const STANDINGS_PATH = path.join(ROOT, "data", "standings.json");
+const FIXTURES_PATH = path.join(ROOT, "data", "fixtures.json");
+const FANTASY_PATH = path.join(ROOT, "data", "fantasy.json");
+const SCORERS_PATH = path.join(ROOT, "data", "scorers.json");
+const OUT_DIR = path.join(ROOT, OG_DIR);
+
+function topScorer(scorers) {
+  return [...(scorers || [])].sort((a, b) => num(b.goals) - num(a.goals))[0] || null;
+}
+
+function buildCard(slug, label, comp) {
+  const table = [...(comp?.standings || [])].sort((a, b) => num(a.position) - num(b.position));
+  const leader = table[0] || null;
+  const scorer = topScorer(comp?.scorers);
+  const results = (comp?.fixtures || []).filter(isFinished).length;
+  const stats = [
+    { label: "Leader", value: safeStr(leader?.team) || "—" },
+    { label: "Teams", value: table.length ? String(table.length) : "—" },
+    { label: "Results", value: String(results) },
+    { label: "Top scorer", value: scorer?.player ? `${scorer.player} (${num(scorer.goals)})` : "—" },
+  ];
+  const tableLines = table.slice(0, 3).map((r, i) =>
+    `<text x="60" y="${500 + i * 28}" font-size="20" fill="#cbd5e1">${escXml(fitText(`${r.position ?? i + 1}. ${safeStr(r.team)} — ${num(r.points)} pts`, { maxWidth: 1080, fontSize: 20 }).text)}</text>`,
+  ).join("");
+  const title = fitText(label, { maxWidth: 1080, fontSize: 72, minFontSize: 44, fontWeight: 700 });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630" role="img" aria-label="PlayersB share card for ${escXml(label)}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="#0b1220"/>
+      <stop offset="100%" stop-color="#1e3a8a"/>
+    </linearGradient>
+  </defs>
+  <rect width="1200" height="630" fill="url(#bg)"/>
+  <g font-family="Inter, system-ui, sans-serif" fill="#f8fafc">
+    <text x="60" y="100" font-size="22" font-weight="500" fill="#93c5fd" letter-spacing="2">PLAYERSB · COMPETITION</text>
+    <text x="60" y="210" font-size="${title.fontSize}" font-weight="700">${escXml(title.text)}</text>
+    ${stats.map((stat, i) => {
+      const x = 60 + i * 270;
+      // Team and player names have to fit the 240px box.
+      const value = fitText(stat.value, { maxWidth: 200, fontSize: 44, minFontSize: 24, fontWeight: 700 });
+      return `
+    <g transform="translate(${x}, 290)">
+      <rect width="240" height="160" rx="16" fill="#0f172a" fill-opacity="0.5" stroke="#1e3a8a" stroke-width="2"/>
+      <text x="20" y="50" font-size="16" fill="#93c5fd" letter-spacing="1.5">${escXml(stat.label.toUpperCase())}</text>
+      <text x="20" y="120" font-size="${value.fontSize}" font-weight="700">${escXml(value.text)}</text>
+    </g>`;
+    }).join("")}
+    ${tableLines ? `<text x="60" y="475" font-size="20" font-weight="600" fill="#93c5fd" letter-spacing="1.5">TOP OF THE TABLE</text>${tableLines}` : ""}
+    <text x="60" y="600" font-size="20" fill="#94a3b8">playersb.com / competitions / ${escXml(slug)}</text>
+  </g>
+</svg>
+`;
+}
+
+async function main() {
+  const [playersParsed, standingsParsed, fixturesParsed, fantasyParsed, scorersParsed] = await Promise.all([
+    readJson(PLAYERS_PATH, { players: [] }),
+    readJson(STANDINGS_PATH, { standings: {} }),
+    readJson(FIXTURES_PATH, { fixtures: [] }),
+    readJson(FANTASY_PATH, { players: [] }),
+    readJson(SCORERS_PATH, { scorers: [] }),
+  ]);
+  const registry = await loadCompetitionRegistry();
+  const competitions = buildCompetitionsFromLive(standingsParsed, fixturesParsed, fantasyParsed, scorersParsed, playersParsed, registry);
+
+  await fs.mkdir(OUT_DIR, { recursive: true });
+  let written = 0;
+  let rendered = 0;
+  for (const [code, comp] of Object.entries(competitions)) {
+    const slug = sanitizeId(code);
+    if (!slug) continue;
+    const label = safeStr(comp?.label || code);
+    if (await writeCard(OUT_DIR, `competition-${slug}`, buildCard(slug, label, comp))) rendered += 1;
+    written += 1;
+  }
+  console.log(`Generated ${written} competition OG cards in /assets/og/competition-*.png (${rendered} rasterized)`);
+}
+
+main().catch((err) => {
+  console.error("generate-competition-og-cards: fatal", err);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+// Hashes every crawlable page as emitted and diffs against the previous
+// build's data/content-manifest.json (see scripts/lib/content-manifest.mjs):
+// pages whose content changed get a new lastmod, and the added, changed and
+// removed URLs are recorded for submit-indexnow.mjs.
+//
+// Runs after every HTML generator and before generate-sitemap.mjs, which
+// reads the lastmod dates.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { readJson, writeJson } from "./lib/json-io.mjs";
+import {
+  CONTENT_MANIFEST_PATH,
+  buildContentManifest,
+  contentHash,
+  listSitePages,
+  pageFile,
+  sitemapLastmods,
+} from "./lib/content-manifest.mjs";
+
+const ROOT = process.cwd();
+
+async function main() {
+  const previous = await readJson(CONTENT_MANIFEST_PATH, null);
+  const hashes = {};
+  for (const urlPath of await listSitePages(ROOT)) {
+    const html = await fs.readFile(path.join(ROOT, pageFile(urlPath)), "utf-8").catch(() => null);
+    if (html !== null) hashes[urlPath] = contentHash(html);
+  }
+
+  // A first build dates pages from the sitemap this one is about to replace.
+  const seed = previous ? {} : sitemapLastmods(await fs.readFile(path.join(ROOT, "sitemap.xml"), "utf-8").catch(() => ""));
+  const manifest = buildContentManifest(previous, hashes, { seed });
+  await writeJson(CONTENT_MANIFEST_PATH, manifest);
+  const { added, changed, removed } = manifest.changes;
+  const summary = previous
+    ? `${added.length} added, ${changed.length} changed, ${removed.length} removed`
+    : `no previous manifest; recorded as the baseline (${Object.keys(seed).length} dates from sitemap.xml)`;
+  console.log(`Generated ${CONTENT_MANIFEST_PATH} (${Object.keys(hashes).length} pages; ${summary})`);
+}
+
+main().catch((err) => {
+  console.error("generate-content-manifest: fatal", err);
+  process.exit(1);
+});
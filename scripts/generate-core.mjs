@@ -1,5 +1,7 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { escHtml } from "./lib/html.mjs";
+import { fill, assertNoPlaceholders } from "./lib/layout.mjs";
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
@@ -12,23 +14,6 @@ const LEARN_TOPICS_PATH = path.join(ROOT, "data", "learn-topics.json");
 // - contact.html = you may edit manually (email, wording) without CI dirty-tree issues
 const MANUAL_PAGES = new Set(["compare.html", "contact.html"]);
 
-function assertNoPlaceholders(finalHtml, fileLabel) {
-  const m = finalHtml.match(/{{[^}]+}}/g);
-  if (m?.length) {
-    const uniq = Array.from(new Set(m)).slice(0, 10).join(", ");
-    throw new Error(`${fileLabel}: unresolved template placeholders found: ${uniq}`);
-  }
-}
-
-function escHtml(s) {
-  return String(s ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#39;");
-}
-
 function renderLearnTopics(topics) {
   if (!topics.length) {
     return `
@@ -508,15 +493,37 @@ function buildPages(learnTopicsMarkup) {
       </section>
     `,
   },
-  ];
-}
 
-function fill(layout, { title, description, canonical, body }) {
-  return layout
-    .replaceAll("{{TITLE}}", title)
-    .replaceAll("{{DESCRIPTION}}", description)
-    .replaceAll("{{CANONICAL}}", canonical)
-    .replaceAll("{{BODY}}", body.trim());
+  // Served by sw.js when a navigation misses both the network and the cache.
+  // Not in the sitemap; _headers marks it noindex.
+  {
+    out: path.join("offline", "index.html"),
+    canonical: `${SITE_ORIGIN}/offline/`,
+    title: "Offline",
+    description: "You are offline. Pages you saved to your PlayersB watch-list or visited recently are still available.",
+    body: `
+      <section class="hero">
+        <span class="pill">Offline</span>
+        <h1>You're offline.</h1>
+        <p class="lead">This page isn't saved on your device yet. It will load once you're back online.</p>
+        <div class="button-row">
+          <a class="button" href="/">Home</a>
+          <a class="button secondary" href="/players/">All players</a>
+          <a class="button secondary" href="/compare/">Compare</a>
+        </div>
+      </section>
+
+      <section class="section">
+        <div class="card">
+          <h2>Available offline</h2>
+          <div id="offlinePages">
+            <p class="meta-text">Players on your watch-list are saved for offline reading. Save a player with ☆ on their profile.</p>
+          </div>
+        </div>
+      </section>
+    `,
+  },
+  ];
 }
 
 async function main() {
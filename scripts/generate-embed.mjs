@@ -1,73 +1,44 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { escHtml } from "./lib/html.mjs";
+import { readJson, writeJson } from "./lib/json-io.mjs";
+import { fill, assertNoPlaceholders } from "./lib/layout.mjs";
+import { sanitizeId } from "./lib/slug.mjs";
+import { collectTeams, teamMatch } from "./lib/teams.mjs";
+import { buildCompetitionsFromLive, loadCompetitionRegistry } from "./lib/competitions.mjs";
+import { competitionResource, playerResource, teamResource } from "./lib/api.mjs";
+import {
+  EMBED_HEIGHTS,
+  EMBED_THEMES,
+  EMBED_TYPES,
+  MAX_METRICS,
+  embedSnippet,
+  fixturesWidget,
+  metricOptions,
+  playerWidget,
+  standingsWidget,
+  teamWidget,
+} from "./lib/embed.mjs";
+
+// /embed/: the widget configurator, one iframe page per widget type at
+// /embed/{type}/, and their payloads under /embed/data/ (see lib/embed.mjs).
+// _headers lets other sites frame everything under /embed/ and nothing else.
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
 
 const OUT_DIR = path.join(ROOT, "embed");
+const DATA_DIR = path.join(OUT_DIR, "data");
 const LAYOUT_PATH = path.join(ROOT, "templates", "layout.html");
 
-function escHtml(s) {
-  return String(s ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#39;");
-}
-
-function assertNoPlaceholders(finalHtml, fileLabel) {
-  const m = finalHtml.match(/{{[^}]+}}/g);
-  if (m?.length) {
-    const uniq = Array.from(new Set(m)).slice(0, 10).join(", ");
-    throw new Error(`${fileLabel}: unresolved template placeholders found: ${uniq}`);
-  }
-}
-
-function fill(layout, { title, description, canonical, body }) {
-  return layout
-    .replaceAll("{{TITLE}}", title)
-    .replaceAll("{{DESCRIPTION}}", description)
-    .replaceAll("{{CANONICAL}}", canonical)
-    .replaceAll("{{BODY}}", body.trim());
-}
-
-async function main() {
-  await fs.mkdir(OUT_DIR, { recursive: true });
-
-  const layout = await fs.readFile(LAYOUT_PATH, "utf-8");
-
-  const indexBody = `
-    <section class="hero">
-      <span class="pill">Embed</span>
-      <h1>Embed a player card anywhere.</h1>
-      <p class="lead">Use the iframe below to embed a lightweight player card with live data.</p>
-      <div class="button-row">
-        <a class="button" href="${SITE_ORIGIN}/embed/player/?id=haaland">Preview player embed</a>
-        <a class="button secondary" href="/players/">Browse players</a>
-      </div>
-    </section>
+const WIDGETS = {
+  player: { label: "Player card", title: "Player Card Embed", description: "Lightweight embeddable player card powered by PlayersB data." },
+  team: { label: "Team card", title: "Team Card Embed", description: "Embeddable team card with league position and record, powered by PlayersB data." },
+  standings: { label: "League table", title: "League Table Embed", description: "Embeddable league table for one competition, powered by PlayersB data." },
+  fixtures: { label: "Fixtures and results", title: "Fixtures Embed", description: "Embeddable list of a team's latest results and next fixtures, powered by PlayersB data." },
+};
 
-    <section class="section">
-      <div class="card">
-        <h2>Embed snippet</h2>
-        <pre class="code-block">${escHtml(
-          `<iframe src="${SITE_ORIGIN}/embed/player/?id=haaland" width="420" height="280" frameborder="0" loading="lazy"></iframe>`
-        )}</pre>
-        <p class="meta-text">Replace <strong>haaland</strong> with any player id.</p>
-      </div>
-    </section>
-  `;
-
-  const indexHtml = fill(layout, {
-    title: "Player Card Embed",
-    description: "Embed PlayersB player cards on any site.",
-    canonical: `${SITE_ORIGIN}/embed/`,
-    body: indexBody,
-  });
-  assertNoPlaceholders(indexHtml, "embed/index.html");
-
-  const gaScript = `
+const GA_SCRIPT = `
   <script async src="https://www.googletagmanager.com/gtag/js?id=G-D5798TYENM"></script>
   <script>
     window.dataLayer = window.dataLayer || [];
@@ -76,18 +47,22 @@ async function main() {
     gtag('config', 'G-D5798TYENM');
   </script>`;
 
-  const playerHtml = `<!DOCTYPE html>
+// The iframe document for one widget type. Everything it shows comes from
+// the payload assets/js/embed-widget.js fetches for ?id=.
+function widgetPage(type) {
+  const { title, description } = WIDGETS[type];
+  return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8" />
-  <title>Player Card Embed | PlayersB</title>
+  <title>${escHtml(title)} | PlayersB</title>
   <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <meta name="description" content="Lightweight embed player card powered by PlayersB data." />
-  <link rel="canonical" href="${SITE_ORIGIN}/embed/player/" />
+  <meta name="description" content="${escHtml(description)}" />
+  <link rel="canonical" href="${SITE_ORIGIN}/embed/${type}/" />
   <link rel="stylesheet" href="/styles/site.css" />
   <style>
-    body { margin: 0; background: transparent; }
-    .embed-card { background: var(--surface); border: 1px solid var(--border); border-radius: 16px; padding: 16px; }
+    html, body { margin: 0; background: transparent; }
+    .embed-card { background: var(--surface); color: var(--text); border: 1px solid var(--border); border-radius: 16px; padding: 16px; }
     .embed-header { display: flex; justify-content: space-between; gap: 12px; align-items: baseline; }
     .embed-title { font-size: 18px; font-weight: 700; margin: 0; }
     .embed-meta { color: var(--muted); font-size: 13px; margin: 4px 0 0; }
@@ -95,12 +70,18 @@ async function main() {
     .embed-stat { background: var(--surface-2); border-radius: 12px; padding: 10px; border: 1px solid var(--border); }
     .embed-label { font-size: 12px; color: var(--muted-light); }
     .embed-value { font-size: 16px; font-weight: 700; }
+    .embed-table { width: 100%; border-collapse: collapse; margin-top: 12px; font-size: 13px; }
+    .embed-table th { text-align: left; color: var(--muted-light); font-weight: 600; font-size: 12px; }
+    .embed-table th, .embed-table td { padding: 5px 4px; border-bottom: 1px solid var(--border); }
+    .embed-table .num { text-align: right; }
+    .embed-table a { color: inherit; text-decoration: none; }
+    .embed-section { font-size: 13px; font-weight: 700; margin: 14px 0 0; }
     .embed-link { display: inline-flex; margin-top: 12px; font-size: 12px; color: var(--accent); text-decoration: none; }
   </style>
-  ${gaScript}
+  ${GA_SCRIPT}
 </head>
-<body>
-  <h1 class="visually-hidden">Player card embed</h1>
+<body data-embed-type="${type}">
+  <h1 class="visually-hidden">${escHtml(WIDGETS[type].label)} embed</h1>
   <nav class="visually-hidden" aria-label="Primary">
     <a href="/compare/">Compare</a>
     <a href="/tools/">Tools</a>
@@ -108,69 +89,147 @@ async function main() {
     <a href="/players/">Players</a>
   </nav>
   <div class="embed-card" id="embedCard">Loading...</div>
-
-  <script>
-    (function () {
-      const params = new URLSearchParams(location.search);
-      const id = params.get("id") || "haaland";
-
-      fetch("/data/players.json")
-        .then((res) => res.json())
-        .then((data) => {
-          const players = Array.isArray(data.players) ? data.players : [];
-          const match = players.find((p) => String(p.id).toLowerCase() === id.toLowerCase()) || players[0];
-          if (!match) {
-            document.getElementById("embedCard").textContent = "Player not found.";
-            return;
-          }
-
-          const minutes = match.minutes || 0;
-          const g90 = minutes > 0 ? (match.goals / (minutes / 90)) : 0;
-          const a90 = minutes > 0 ? (match.assists / (minutes / 90)) : 0;
-
-          const html = [
-            '<div class="embed-header">',
-            '  <div>',
-            '    <p class="embed-title">' + match.name + '</p>',
-            '    <p class="embed-meta">' + (match.position || '') + ' · ' + (match.team || '') + '</p>',
-            '  </div>',
-            '</div>',
-            '<div class="embed-grid">',
-            '  <div class="embed-stat">',
-            '    <div class="embed-label">Goals / 90</div>',
-            '    <div class="embed-value">' + g90.toFixed(2) + '</div>',
-            '  </div>',
-            '  <div class="embed-stat">',
-            '    <div class="embed-label">Assists / 90</div>',
-            '    <div class="embed-value">' + a90.toFixed(2) + '</div>',
-            '  </div>',
-            '  <div class="embed-stat">',
-            '    <div class="embed-label">Minutes</div>',
-            '    <div class="embed-value">' + minutes + '</div>',
-            '  </div>',
-            '  <div class="embed-stat">',
-            '    <div class="embed-label">Goals</div>',
-            '    <div class="embed-value">' + (match.goals || 0) + '</div>',
-            '  </div>',
-            '</div>',
-            '<a class="embed-link" href="${SITE_ORIGIN}/players/' + match.id + '/" target="_blank" rel="noreferrer">View full profile →</a>',
-          ].join('');
-
-          document.getElementById("embedCard").innerHTML = html;
-        })
-        .catch(() => {
-          document.getElementById("embedCard").textContent = "Unable to load player.";
-        });
-    })();
-  </script>
+  <noscript><p class="embed-meta">This widget needs JavaScript. <a href="${SITE_ORIGIN}/" target="_blank" rel="noreferrer">Open PlayersB</a></p></noscript>
+  <script src="/assets/js/embed-widget.js" defer></script>
 </body>
 </html>`;
+}
+
+// Options for the configurator: every id per type, sorted by name.
+function configuratorData(items) {
+  const types = {};
+  for (const type of EMBED_TYPES) {
+    types[type] = {
+      label: WIDGETS[type].label,
+      height: EMBED_HEIGHTS[type],
+      items: items[type].slice().sort((a, b) => a[1].localeCompare(b[1])),
+    };
+  }
+  // Inline JSON: keep "</script>" out of names.
+  return JSON.stringify({ origin: SITE_ORIGIN, types, metrics: metricOptions(), maxMetrics: MAX_METRICS }).replace(/</g, "\\u003c");
+}
 
+function indexBody(items) {
+  const first = items.player[0] || null;
+  const snippet = first
+    ? embedSnippet({ type: "player", id: first[0], title: `${first[1]} on PlayersB` }, SITE_ORIGIN)
+    : "";
+  const options = (list) => list.map(([value, label]) => `<option value="${escHtml(value)}">${escHtml(label)}</option>`).join("");
+  return `
+    <section class="hero">
+      <span class="pill">Embed</span>
+      <h1>Embed PlayersB widgets on your site.</h1>
+      <p class="lead">Player cards, team cards, league tables and fixture lists that stay up to date with every data refresh. Pick a widget, preview it, and paste the snippet into any page.</p>
+      <div class="button-row">
+        <a class="button" href="#configurator">Build a widget</a>
+        <a class="button secondary" href="/players/">Browse players</a>
+      </div>
+    </section>
+
+    <section class="section" id="configurator">
+      <div class="card" data-embed-configurator>
+        <h2>Configure</h2>
+        <form class="button-row" data-embed-form>
+          <label>Widget <select class="select" data-embed-field="type">${options(EMBED_TYPES.map((t) => [t, WIDGETS[t].label]))}</select></label>
+          <label>Show <select class="select" data-embed-field="id">${first ? options(items.player) : ""}</select></label>
+          <label>Theme <select class="select" data-embed-field="theme">${options(EMBED_THEMES.map((t) => [t, t === "auto" ? "Match the visitor's setting" : `${t[0].toUpperCase()}${t.slice(1)}`]))}</select></label>
+        </form>
+        <fieldset data-embed-metrics style="border:0;padding:0;margin:12px 0 0;">
+          <legend class="meta-text">Stats to show, in the order ticked (up to ${MAX_METRICS})</legend>
+          <div class="button-row" data-embed-metric-list></div>
+        </fieldset>
+        <h3>Preview</h3>
+        <iframe data-embed-preview data-playersb-embed title="Widget preview" src="${first ? escHtml(`/embed/player/?id=${encodeURIComponent(first[0])}`) : "about:blank"}" width="100%" height="${EMBED_HEIGHTS.player}" style="border:0;max-width:480px;" loading="lazy"></iframe>
+        <h3>Snippet</h3>
+        <textarea class="code-block" data-embed-snippet readonly rows="4" style="width:100%;font-family:monospace;" aria-label="Embed snippet">${escHtml(snippet)}</textarea>
+        <div class="button-row">
+          <button type="button" class="button" data-embed-copy>Copy snippet</button>
+          <span class="meta-text" data-embed-copied aria-live="polite"></span>
+        </div>
+        <noscript><p class="meta-text">The configurator needs JavaScript; the snippet above embeds a player card. Change <strong>id=</strong> to any id from /embed/data/.</p></noscript>
+        <script type="application/json" data-embed-options>${configuratorData(items)}</script>
+      </div>
+    </section>
+
+    <section class="section">
+      <div class="card">
+        <h2>How it works</h2>
+        <p>Each widget is an iframe on <code>${SITE_ORIGIN}/embed/{widget}/</code> reading a small pre-built file for the id you chose, so it loads fast and never shows a different player or team by mistake. The script tag in the snippet resizes the iframe to fit its content; without it the widget still works at the height in the snippet.</p>
+        <p class="meta-text">Query options: <code>id</code> (required), <code>theme</code> (<code>auto</code>, <code>light</code> or <code>dark</code>) and, for player and team cards, <code>metrics</code>: a comma-separated list of stat keys.</p>
+      </div>
+    </section>
+    <script src="/assets/js/embed.js" defer></script>
+  `;
+}
+
+async function main() {
+  const [layout, playersParsed, fixturesParsed, standingsParsed, scorersParsed, fantasyParsed, registry] = await Promise.all([
+    fs.readFile(LAYOUT_PATH, "utf-8"),
+    readJson("data/players.json", {}),
+    readJson("data/fixtures.json", {}),
+    readJson("data/standings.json", {}),
+    readJson("data/scorers.json", {}),
+    readJson("data/fantasy.json", {}),
+    loadCompetitionRegistry(),
+  ]);
+
+  const players = Array.isArray(playersParsed?.players) ? playersParsed.players : [];
+  const fixtureRows = Array.isArray(fixturesParsed?.fixtures) ? fixturesParsed.fixtures : [];
+  const teamMap = collectTeams({
+    players,
+    fantasyRows: Array.isArray(fantasyParsed?.players) ? fantasyParsed.players : [],
+    scorerRows: Array.isArray(scorersParsed?.scorers) ? scorersParsed.scorers : [],
+    standingsParsed,
+    fixtureRows,
+  });
+  const teamSlugs = new Set(teamMap.keys());
+  const competitions = buildCompetitionsFromLive(standingsParsed, fixturesParsed, fantasyParsed, scorersParsed, playersParsed, registry);
+
+  // Start clean so an id that drops out of the data stops resolving.
+  await fs.rm(DATA_DIR, { recursive: true, force: true });
+  await fs.mkdir(OUT_DIR, { recursive: true });
+
+  const items = Object.fromEntries(EMBED_TYPES.map((t) => [t, []]));
+  const write = async (payload) => {
+    await writeJson(path.join(DATA_DIR, payload.type, `${payload.id}.json`), payload);
+    items[payload.type].push([payload.id, payload.name]);
+  };
+
+  const seen = new Set();
+  for (const p of players) {
+    const id = sanitizeId(p?.id);
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    await write(playerWidget(playerResource(p, { teamSlugs, standingsParsed })));
+  }
+  for (const [slug, team] of teamMap) {
+    const fixtures = fixtureRows.filter((f) => teamMatch(f?.home, team.label) || teamMatch(f?.away, team.label));
+    const resource = teamResource(slug, team, { fixtures, validPlayerIds: seen, standingsParsed });
+    await write(teamWidget(resource));
+    if (fixtures.length) await write(fixturesWidget(resource));
+  }
+  for (const [code, comp] of Object.entries(competitions)) {
+    const resource = competitionResource(code, comp, { teamSlugs });
+    if (resource.slug && resource.standings.length) await write(standingsWidget(resource));
+  }
+  // Keep the configurator's first choice (and the no-JS snippet) stable.
+  items.player.sort((a, b) => a[1].localeCompare(b[1]));
+
+  const indexHtml = fill(layout, {
+    title: "Embed Widgets: Player, Team, Table and Fixtures",
+    description: "Embed PlayersB player cards, team cards, league tables and fixture lists on any site, with a live preview and copy-paste snippet.",
+    canonical: `${SITE_ORIGIN}/embed/`,
+    body: indexBody(items),
+  });
+  assertNoPlaceholders(indexHtml, "embed/index.html");
   await fs.writeFile(path.join(OUT_DIR, "index.html"), indexHtml, "utf-8");
-  await fs.mkdir(path.join(OUT_DIR, "player"), { recursive: true });
-  await fs.writeFile(path.join(OUT_DIR, "player", "index.html"), playerHtml, "utf-8");
 
-  console.log("Generated embed pages");
+  for (const type of EMBED_TYPES) {
+    await fs.mkdir(path.join(OUT_DIR, type), { recursive: true });
+    await fs.writeFile(path.join(OUT_DIR, type, "index.html"), widgetPage(type), "utf-8");
+  }
+
+  console.log(`Generated embed pages: ${EMBED_TYPES.map((t) => `${items[t].length} ${t}`).join(", ")} payloads`);
 }
 
 main().catch((err) => {
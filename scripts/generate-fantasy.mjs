@@ -1,5 +1,9 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { escHtml } from "./lib/html.mjs";
+import { sanitizeId } from "./lib/slug.mjs";
+import { fill, assertNoPlaceholders } from "./lib/layout.mjs";
+import { num, per90 } from "./lib/stats.mjs";
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
@@ -10,35 +14,6 @@ const STANDINGS_PATH = path.join(ROOT, "data", "standings.json");
 const LAYOUT_PATH = path.join(ROOT, "templates", "layout.html");
 const OUT_PATH = path.join(ROOT, "fantasy", "index.html");
 
-const per90 = (v, m) => (m > 0 ? v / (m / 90) : 0);
-const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : 0);
-
-function escHtml(s) {
-  return String(s ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#39;");
-}
-
-function sanitizeId(raw) {
-  return String(raw ?? "")
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9-]/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
-function fill(layout, { title, description, canonical, body }) {
-  return layout
-    .replaceAll("{{TITLE}}", title)
-    .replaceAll("{{DESCRIPTION}}", description)
-    .replaceAll("{{CANONICAL}}", canonical)
-    .replaceAll("{{BODY}}", body.trim());
-}
-
 function summarizeSources(sources) {
   const entries = Object.entries(sources || {});
   if (!entries.length) return "No source metadata";
@@ -54,14 +29,6 @@ function confidenceLabel(lastUpdated, usingFantasyFeed) {
   return usingFantasyFeed ? "Low confidence" : "Seed confidence";
 }
 
-function assertNoPlaceholders(finalHtml, fileLabel) {
-  const m = finalHtml.match(/{{[^}]+}}/g);
-  if (m?.length) {
-    const uniq = Array.from(new Set(m)).slice(0, 10).join(", ");
-    throw new Error(`${fileLabel}: unresolved template placeholders found: ${uniq}`);
-  }
-}
-
 async function main() {
   const [layout, rawPlayers, rawFantasy, rawStandings] = await Promise.all([
     fs.readFile(LAYOUT_PATH, "utf-8"),
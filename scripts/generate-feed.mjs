@@ -1,98 +1,80 @@
+// Update feeds from data/feed-events.json (see scripts/lib/feeds.mjs): the
+// site-wide feed at /feed.{xml,atom,json} and one per player, competition
+// and position page next to it, e.g. /players/{slug}/feed.atom. Every page
+// that links a feed gets one, even before it has any items, so the
+// <link rel="alternate"> tags never point at a missing file.
+
 import fs from "node:fs/promises";
 import path from "node:path";
+import { safeStr, sanitizeId } from "./lib/slug.mjs";
+import { readJson } from "./lib/json-io.mjs";
+import { buildCompetitionsFromLive, loadCompetitionRegistry } from "./lib/competitions.mjs";
+import {
+  ENTITY_FEED_ITEMS,
+  FEED_EVENTS_PATH,
+  FEED_FORMATS,
+  SITE_FEED,
+  SITE_FEED_ITEMS,
+  entityFeed,
+  feedHref,
+  renderFeed,
+} from "./lib/feeds.mjs";
 
 const ROOT = process.cwd();
-const SITE_ORIGIN = "https://playersb.com";
-const FEED_PATH = path.join(ROOT, "feed.xml");
-const DATA_PATH = path.join(ROOT, "data", "players.json");
-
-function escXml(s) {
-  return String(s ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&apos;");
-}
+const PLAYERS_PATH = path.join(ROOT, "data", "players.json");
+const STANDINGS_PATH = path.join(ROOT, "data", "standings.json");
+const FIXTURES_PATH = path.join(ROOT, "data", "fixtures.json");
+const FANTASY_PATH = path.join(ROOT, "data", "fantasy.json");
+const SCORERS_PATH = path.join(ROOT, "data", "scorers.json");
 
-function sanitizeId(raw) {
-  return String(raw ?? "")
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9-]/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
-function toRfc2822(dateStr) {
-  if (!dateStr) return null;
-  const d = new Date(dateStr);
-  if (Number.isNaN(d.getTime())) return null;
-  return d.toUTCString();
-}
-
-function pickLastMod(obj) {
-  return obj?.lastmod || obj?.lastMod || obj?.updatedAt || obj?.updated_at || obj?.generatedAt || obj?.generated_at || null;
+// Same pages, slugs and labels as generate-players, generate-competitions
+// and generate-positions.
+function entityFeeds(playersParsed, competitions) {
+  const players = Array.isArray(playersParsed?.players) ? playersParsed.players : [];
+  const feeds = [];
+  for (const p of players) {
+    const id = sanitizeId(safeStr(p?.id));
+    if (id) feeds.push(entityFeed("player", id, safeStr(p?.name) || "Player"));
+  }
+  for (const [code, comp] of Object.entries(competitions)) {
+    const slug = sanitizeId(code);
+    if (slug) feeds.push(entityFeed("competition", slug, safeStr(comp?.label || code)));
+  }
+  const positions = new Map();
+  for (const p of players) {
+    for (const pos of safeStr(p?.position).split("/").map((s) => s.trim()).filter(Boolean)) {
+      const slug = sanitizeId(pos);
+      if (slug && !positions.has(slug)) positions.set(slug, pos);
+    }
+  }
+  for (const [slug, label] of positions) feeds.push(entityFeed("position", slug, `${label} players`));
+  return feeds;
 }
 
 async function main() {
-  await fs.access(DATA_PATH);
-  const raw = await fs.readFile(DATA_PATH, "utf-8");
-  const parsed = JSON.parse(raw);
-  const players = Array.isArray(parsed.players) ? parsed.players : [];
-
-  const datasetLastMod = pickLastMod(parsed);
-  const nowUtc = new Date().toUTCString();
-
-  const items = players
-    .filter((p) => p?.id && p?.name)
-    .map((p) => {
-      const slug = sanitizeId(p.id);
-      const name = String(p.name ?? "Player");
-      const meta = [p.position, p.team].filter(Boolean).join(" · ");
-      const link = `${SITE_ORIGIN}/players/${slug}/`;
-      const lastmod = pickLastMod(p);
-      const pubDate = toRfc2822(lastmod) || toRfc2822(datasetLastMod) || nowUtc;
-      const description = meta
-        ? `${name} profile on PlayersB. ${meta}.`
-        : `${name} profile on PlayersB.`;
-
-      return {
-        title: name,
-        link,
-        guid: link,
-        pubDate,
-        description,
-      };
-    })
-    .slice(0, 50);
-
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0">
-  <channel>
-    <title>PlayersB Updates</title>
-    <link>${SITE_ORIGIN}/</link>
-    <description>New and updated player profiles from PlayersB.</description>
-    <language>en-us</language>
-    <lastBuildDate>${escXml(nowUtc)}</lastBuildDate>
-    ${items
-      .map(
-        (item) => `
-    <item>
-      <title>${escXml(item.title)}</title>
-      <link>${escXml(item.link)}</link>
-      <guid isPermaLink="true">${escXml(item.guid)}</guid>
-      <pubDate>${escXml(item.pubDate)}</pubDate>
-      <description>${escXml(item.description)}</description>
-    </item>`
-      )
-      .join("")}
-  </channel>
-</rss>
-`;
+  const [playersParsed, standingsParsed, fixturesParsed, fantasyParsed, scorersParsed, log] = await Promise.all([
+    readJson(PLAYERS_PATH, { players: [] }),
+    readJson(STANDINGS_PATH, { standings: {} }),
+    readJson(FIXTURES_PATH, { fixtures: [] }),
+    readJson(FANTASY_PATH, { players: [] }),
+    readJson(SCORERS_PATH, { scorers: [] }),
+    readJson(FEED_EVENTS_PATH, { events: [] }),
+  ]);
+  const registry = await loadCompetitionRegistry();
+  const competitions = buildCompetitionsFromLive(standingsParsed, fixturesParsed, fantasyParsed, scorersParsed, playersParsed, registry);
+  const events = Array.isArray(log?.events) ? log.events : [];
+  const since = log?.since || null;
 
-  await fs.writeFile(FEED_PATH, xml, "utf-8");
-  console.log(`Generated feed.xml with ${items.length} items`);
+  const feeds = [[SITE_FEED, SITE_FEED_ITEMS], ...entityFeeds(playersParsed, competitions).map((f) => [f, ENTITY_FEED_ITEMS])];
+  for (const [feed, limit] of feeds) {
+    const files = renderFeed(feed, events, { since, limit });
+    for (const format of Object.keys(FEED_FORMATS)) {
+      const outPath = path.join(ROOT, feedHref(feed, format));
+      await fs.mkdir(path.dirname(outPath), { recursive: true });
+      await fs.writeFile(outPath, files[format], "utf-8");
+    }
+  }
+  console.log(`Generated ${feeds.length} feeds (RSS, Atom, JSON Feed) from ${events.length} events`);
 }
 
 main().catch((err) => {
@@ -1,5 +1,8 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { escHtml } from "./lib/html.mjs";
+import { sanitizeId } from "./lib/slug.mjs";
+import { fill, assertNoPlaceholders } from "./lib/layout.mjs";
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
@@ -8,31 +11,6 @@ const DATA_PATH = path.join(ROOT, "data", "glossary.json");
 const LAYOUT_PATH = path.join(ROOT, "templates", "layout.html");
 const OUT_PATH = path.join(ROOT, "glossary", "index.html");
 
-function escHtml(s) {
-  return String(s ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#39;");
-}
-
-function assertNoPlaceholders(finalHtml, fileLabel) {
-  const m = finalHtml.match(/{{[^}]+}}/g);
-  if (m?.length) {
-    const uniq = Array.from(new Set(m)).slice(0, 10).join(", ");
-    throw new Error(`${fileLabel}: unresolved template placeholders found: ${uniq}`);
-  }
-}
-
-function fill(layout, { title, description, canonical, body }) {
-  return layout
-    .replaceAll("{{TITLE}}", title)
-    .replaceAll("{{DESCRIPTION}}", description)
-    .replaceAll("{{CANONICAL}}", canonical)
-    .replaceAll("{{BODY}}", body.trim());
-}
-
 function normalizeTerms(rawTerms) {
   if (!Array.isArray(rawTerms)) return [];
   return rawTerms
@@ -55,17 +33,16 @@ async function main() {
 
   terms.sort((a, b) => a.term.localeCompare(b.term));
 
-  const slugify = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
   // Real glossary slugs only — `related` may reference concepts that aren't
   // standalone terms (e.g. "Normalization", "Shots on target"); those render
   // as plain pills so we don't ship dead in-page anchors.
-  const validTermSlugs = new Set(terms.map((t) => slugify(t.term)));
+  const validTermSlugs = new Set(terms.map((t) => sanitizeId(t.term)));
   const listMarkup = terms
     .map((item) => {
-      const slug = slugify(item.term);
+      const slug = sanitizeId(item.term);
       const related = item.related
         .map((term) => {
-          const targetSlug = slugify(term);
+          const targetSlug = sanitizeId(term);
           return validTermSlugs.has(targetSlug)
             ? `<a class="pill" href="#${targetSlug}">${escHtml(term)}</a>`
             : `<span class="pill">${escHtml(term)}</span>`;
@@ -1,6 +1,9 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import { loadGlossaryLinker } from "./lib/glossary-linker.mjs";
+import { escHtml } from "./lib/html.mjs";
+import { sanitizeId } from "./lib/slug.mjs";
+import { fill, assertNoPlaceholders } from "./lib/layout.mjs";
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
@@ -9,32 +12,6 @@ const DATA_PATH = path.join(ROOT, "data", "learn-topics.json");
 const LAYOUT_PATH = path.join(ROOT, "templates", "layout.html");
 const OUT_DIR = path.join(ROOT, "learn");
 
-function escHtml(s) {
-  return String(s ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#39;");
-}
-
-function sanitizeSlug(raw) {
-  return String(raw ?? "")
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9-]/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
-function fill(layout, { title, description, canonical, body }) {
-  return layout
-    .replaceAll("{{TITLE}}", title)
-    .replaceAll("{{DESCRIPTION}}", description)
-    .replaceAll("{{CANONICAL}}", canonical)
-    .replaceAll("{{BODY}}", body.trim());
-}
-
 function renderList(items) {
   if (!items?.length) return "";
   return `
@@ -123,7 +100,7 @@ function renderArticleJsonLd({ title, description, summary, slug, takeaways }) {
     },
     image: {
       "@type": "ImageObject",
-      url: `${SITE_ORIGIN}/og-image.svg`,
+      url: `${SITE_ORIGIN}/og-image.png`,
       width: 1200,
       height: 630,
     },
@@ -132,14 +109,6 @@ function renderArticleJsonLd({ title, description, summary, slug, takeaways }) {
   return `\n<script type="application/ld+json">${JSON.stringify(schema)}</script>`;
 }
 
-function assertNoPlaceholders(finalHtml, fileLabel) {
-  const m = finalHtml.match(/{{[^}]+}}/g);
-  if (m?.length) {
-    const uniq = Array.from(new Set(m)).slice(0, 10).join(", ");
-    throw new Error(`${fileLabel}: unresolved template placeholders found: ${uniq}`);
-  }
-}
-
 async function main() {
   const [layout, raw, linkify] = await Promise.all([
     fs.readFile(LAYOUT_PATH, "utf-8"),
@@ -153,7 +122,7 @@ async function main() {
   let written = 0;
 
   for (const topic of topics) {
-    const slug = sanitizeSlug(topic?.slug || topic?.title);
+    const slug = sanitizeId(topic?.slug || topic?.title);
     if (!slug) continue;
 
     const title = String(topic?.title ?? "Learn").trim();
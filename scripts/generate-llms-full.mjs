@@ -5,22 +5,15 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { sanitizeId } from "./lib/slug.mjs";
+import { num, per90, fmt2 } from "./lib/stats.mjs";
+import { readJson } from "./lib/json-io.mjs";
+import { competitionCode, loadCompetitionRegistry } from "./lib/competitions.mjs";
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
 const OUT_PATH = path.join(ROOT, "llms-full.txt");
 
-function safeStr(s) { return String(s ?? "").trim(); }
-function num(v) { return typeof v === "number" && Number.isFinite(v) ? v : 0; }
-function per90(v, m) { return m > 0 ? v / (m / 90) : 0; }
-function fmt2(n) { return Number.isFinite(n) ? n.toFixed(2) : "0.00"; }
-function sanitizeId(raw) {
-  return safeStr(raw).toLowerCase().replace(/[^a-z0-9-]/g, "-").replace(/-+/g, "-").replace(/^-|-$/g, "");
-}
-async function readJson(rel, fallback) {
-  try { return JSON.parse(await fs.readFile(path.join(ROOT, rel), "utf-8")); } catch { return fallback; }
-}
-
 function section(title, body) {
   if (!body) return "";
   return `\n## ${title}\n${body}\n`;
@@ -132,7 +125,9 @@ ai.txt: ${SITE_ORIGIN}/ai.txt
   const competitionLabels = new Set(Object.keys(standingsByName));
   for (const r of scorerRows) if (r.competition) competitionLabels.add(r.competition);
   if (competitionLabels.size) {
-    const lines = Array.from(competitionLabels).sort().map((c) => `- ${c} → ${SITE_ORIGIN}/competitions/${sanitizeId(c)}/`).join("\n");
+    // /competitions/ pages are keyed by code, not by the name's slug.
+    const registry = await loadCompetitionRegistry();
+    const lines = Array.from(competitionLabels).sort().map((c) => `- ${c} → ${SITE_ORIGIN}/competitions/${sanitizeId(competitionCode(c, registry))}/`).join("\n");
     out += section("Competitions covered", lines);
   }
 
@@ -0,0 +1,96 @@
+// Per-match OG share cards (1200x630 SVG and PNG, dependency-free) at
+// /assets/og/match-{id}.png, for the matches lib/og-cards.mjs hasMatchCard
+// picks (live or near kick-off); cards of matches that dropped out of that
+// window are deleted. A scoreboard: both teams on their own row so long club
+// names fit, the score once there is one, and the status and kick-off
+// underneath. Mirrors scripts/generate-og-cards.mjs.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { escXml } from "./lib/html.mjs";
+import { safeStr } from "./lib/slug.mjs";
+import { readJson } from "./lib/json-io.mjs";
+import { layoutText } from "./lib/stroke-font.mjs";
+import { UPCOMING_STATUSES, hasScore, matchSlug, statusLabel } from "./lib/matches.mjs";
+import { OG_DIR, fitText, hasMatchCard, writeCard } from "./lib/og-cards.mjs";
+
+const ROOT = process.cwd();
+const FIXTURES_PATH = path.join(ROOT, "data", "fixtures.json");
+const OUT_DIR = path.join(ROOT, OG_DIR);
+
+function formatKickoff(dateStr) {
+  const d = new Date(dateStr);
+  if (Number.isNaN(d.getTime())) return "Date to be confirmed";
+  return d.toLocaleString("en-GB", {
+    weekday: "short", day: "numeric", month: "short", year: "numeric",
+    hour: "2-digit", minute: "2-digit", timeZone: "UTC",
+  }) + " UTC";
+}
+
+function buildCard(id, f) {
+  const home = safeStr(f.home);
+  const away = safeStr(f.away);
+  const scored = hasScore(f);
+  const goals = (n) => (typeof n === "number" ? String(n) : "?");
+  const status = UPCOMING_STATUSES.includes(f.status)
+    ? `Kick-off ${formatKickoff(f.date)}`
+    : `${statusLabel(f.status)} · ${formatKickoff(f.date)}`;
+  // The team name takes the row up to the score, right-aligned at x=1100.
+  const row = (name, score, y) => {
+    const scoreWidth = scored ? layoutText(score, { fontSize: 80, fontWeight: 700 }).width + 40 : 0;
+    const team = fitText(name, { maxWidth: 1000 - scoreWidth, fontSize: 56, minFontSize: 36, fontWeight: 700 });
+    return `
+    <text x="100" y="${y}" font-size="${team.fontSize}" font-weight="700">${escXml(team.text)}</text>
+    ${scored ? `<text x="1100" y="${y + 6}" font-size="80" font-weight="700" text-anchor="end">${escXml(score)}</text>` : ""}`;
+  };
+  const competition = fitText(safeStr(f.competition) || "Fixture", { maxWidth: 1080, fontSize: 28 });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630" role="img" aria-label="PlayersB share card for ${escXml(`${home} vs ${away}`)}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="#0b1220"/>
+      <stop offset="100%" stop-color="#1e3a8a"/>
+    </linearGradient>
+  </defs>
+  <rect width="1200" height="630" fill="url(#bg)"/>
+  <g font-family="Inter, system-ui, sans-serif" fill="#f8fafc">
+    <text x="60" y="100" font-size="22" font-weight="500" fill="#93c5fd" letter-spacing="2">PLAYERSB · MATCH</text>
+    <text x="60" y="160" font-size="${competition.fontSize}" fill="#cbd5e1">${escXml(competition.text)}</text>
+    <rect x="60" y="210" width="1080" height="280" rx="16" fill="#0f172a" fill-opacity="0.5" stroke="#1e3a8a" stroke-width="2"/>${row(home, goals(f.homeScore), 320)}${row(away, goals(f.awayScore), 440)}
+    <text x="60" y="550" font-size="24" font-weight="500" fill="#93c5fd">${escXml(status)}</text>
+    <text x="60" y="600" font-size="20" fill="#94a3b8">playersb.com / matches / ${escXml(id)}</text>
+  </g>
+</svg>
+`;
+}
+
+async function main() {
+  const fixturesParsed = await readJson(FIXTURES_PATH, { fixtures: [] });
+  const fixtures = Array.isArray(fixturesParsed?.fixtures) ? fixturesParsed.fixtures : [];
+
+  const fetchedAt = fixturesParsed?.updatedAt || fixturesParsed?.generatedAt || null;
+
+  await fs.mkdir(OUT_DIR, { recursive: true });
+  const keep = new Set();
+  let rendered = 0;
+  for (const f of fixtures) {
+    const id = matchSlug(f);
+    if (!id || !hasMatchCard(f, fetchedAt)) continue;
+    if (await writeCard(OUT_DIR, `match-${id}`, buildCard(id, f))) rendered += 1;
+    keep.add(`match-${id}`);
+  }
+
+  let removed = 0;
+  for (const file of await fs.readdir(OUT_DIR)) {
+    const m = file.match(/^(match-.+)\.(png|svg)$/);
+    if (!m || keep.has(m[1])) continue;
+    await fs.rm(path.join(OUT_DIR, file));
+    removed += 1;
+  }
+  console.log(`Generated ${keep.size} match OG cards in /assets/og/match-*.png (${rendered} rasterized, ${removed} stale files removed)`);
+}
+
+main().catch((err) => {
+  console.error("generate-match-og-cards: fatal", err);
+  process.exit(1);
+});
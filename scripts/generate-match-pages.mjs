@@ -0,0 +1,223 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { sanitizeId } from "./lib/slug.mjs";
+import { fill, assertNoPlaceholders } from "./lib/layout.mjs";
+import { createTemplateEngine } from "./lib/template.mjs";
+import { findStanding, teamMatch } from "./lib/teams.mjs";
+import { createHeadToHeadIndex } from "./lib/head-to-head.mjs";
+import { loadTeamNameRegistry } from "./lib/team-names.mjs";
+import { createPredictor, percentages } from "./lib/predictions.mjs";
+import { hasMatchCard, ogCardHref } from "./lib/og-cards.mjs";
+import {
+  UPCOMING_STATUSES,
+  fixtureState,
+  hasScore,
+  headToHead,
+  isFinished,
+  matchSlug,
+  recentForm,
+  scoreHtml,
+  sportsEventNode,
+  statusBadge,
+  statusLabel,
+} from "./lib/matches.mjs";
+
+// One page per fixture in data/fixtures.json at /matches/{id}/: score and
+// status (kept fresh by initLiveFixtures in site.js until full time), both
+// teams' standings rows and recent form, head-to-head meetings from
+// data/archive.json, and the model's prediction before kick-off.
+
+const ROOT = process.cwd();
+const SITE_ORIGIN = "https://playersb.com";
+
+const FIXTURES_PATH = path.join(ROOT, "data", "fixtures.json");
+const STANDINGS_PATH = path.join(ROOT, "data", "standings.json");
+const ARCHIVE_PATH = path.join(ROOT, "data", "archive.json");
+const TEMPLATES_DIR = path.join(ROOT, "templates");
+const LAYOUT_PATH = path.join(TEMPLATES_DIR, "layout.html");
+const OUT_DIR = path.join(ROOT, "matches");
+
+function formatKickoff(dateStr) {
+  const d = new Date(dateStr);
+  if (Number.isNaN(d.getTime())) return "Date to be confirmed";
+  return d.toLocaleString("en-GB", {
+    weekday: "short", day: "numeric", month: "short", year: "numeric",
+    hour: "2-digit", minute: "2-digit", timeZone: "UTC",
+  }) + " UTC";
+}
+
+const teamUrl = (name) => `${SITE_ORIGIN}/teams/${sanitizeId(name)}/`;
+
+// Both teams' rows from the fixture's own competition table; cup fixtures
+// (no table of their own) fall back to each team's domestic league row.
+function standingsView(f, standingsParsed) {
+  const byName = standingsParsed?.standings && typeof standingsParsed.standings === "object"
+    ? standingsParsed.standings : {};
+  const table = Array.isArray(byName[f.competition]) ? byName[f.competition] : null;
+  const pick = (name) => {
+    if (table) {
+      const row = table.find((r) => teamMatch(r?.team, name));
+      return row ? { competition: f.competition, ...row } : null;
+    }
+    return findStanding({ label: name }, standingsParsed);
+  };
+  const rows = [pick(f.home), pick(f.away)].filter(Boolean);
+  if (!rows.length) return null;
+  const single = new Set(rows.map((r) => r.competition)).size === 1;
+  if (single) rows.sort((a, b) => Number(a.position ?? 99) - Number(b.position ?? 99));
+  return {
+    competition: single ? rows[0].competition : "League",
+    rows: rows
+      .map((r) => ({
+        position: r.position ?? "—",
+        team: single ? r.team : `${r.team} (${r.competition})`,
+        played: r.played ?? "—",
+        won: r.won ?? "—",
+        draw: r.draw ?? "—",
+        lost: r.lost ?? "—",
+        gd: r.gd ?? r.goalDifference ?? "—",
+        points: r.points ?? "—",
+      })),
+  };
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+function h2hView(f, h2hIndex) {
+  const { summary, meetings, pageUrl } = headToHead(h2hIndex, f.home, f.away);
+  return {
+    meetings,
+    pageUrl,
+    text: `${plural(summary.played, "meeting")} in the archive: ${f.home} ${plural(summary.homeWins, "win")}, ${plural(summary.draws, "draw")}, ${f.away} ${plural(summary.awayWins, "win")}.`,
+  };
+}
+
+function predictionView(f, predict) {
+  const p = UPCOMING_STATUSES.includes(f.status) ? predict(f.home, f.away) : null;
+  if (!p) return null;
+  const [home, draw, away] = percentages(p);
+  return {
+    outcomes: [
+      { label: `${f.home} win`, value: `${home}%` },
+      { label: "Draw", value: `${draw}%` },
+      { label: `${f.away} win`, value: `${away}%` },
+    ],
+    text: `Expected goals ${p.expectedGoals[0].toFixed(2)} to ${p.expectedGoals[1].toFixed(2)}; the most likely score is ${p.scoreline} (${Math.round(p.scorelineProbability * 100)}%).`,
+  };
+}
+
+function matchSchema(f, id, competitionUrl) {
+  const url = `${SITE_ORIGIN}/matches/${id}/`;
+  const event = sportsEventNode(f, { url, teamUrl, competitionUrl });
+  const breadcrumbs = {
+    "@context": "https://schema.org",
+    "@type": "BreadcrumbList",
+    itemListElement: [
+      { "@type": "ListItem", position: 1, name: "Home", item: `${SITE_ORIGIN}/` },
+      { "@type": "ListItem", position: 2, name: "Matches", item: `${SITE_ORIGIN}/matches/` },
+      { "@type": "ListItem", position: 3, name: event.name, item: url },
+    ],
+  };
+  return [
+    `<script type="application/ld+json">${JSON.stringify({ "@context": "https://schema.org", ...event })}</script>`,
+    `<script type="application/ld+json">${JSON.stringify(breadcrumbs)}</script>`,
+  ].join("\n");
+}
+
+async function main() {
+  await fs.access(FIXTURES_PATH);
+  await fs.access(LAYOUT_PATH);
+
+  const [rawFixtures, layout, renderBody, rawStandings, rawArchive] = await Promise.all([
+    fs.readFile(FIXTURES_PATH, "utf-8"),
+    fs.readFile(LAYOUT_PATH, "utf-8"),
+    createTemplateEngine(TEMPLATES_DIR).load("match.html"),
+    fs.readFile(STANDINGS_PATH, "utf-8").catch(() => "{}"),
+    fs.readFile(ARCHIVE_PATH, "utf-8").catch(() => "{}"),
+  ]);
+
+  const fixturesParsed = JSON.parse(rawFixtures);
+  const standingsParsed = JSON.parse(rawStandings || "{}");
+  const archive = JSON.parse(rawArchive || "{}");
+  const names = await loadTeamNameRegistry();
+  const h2hIndex = createHeadToHeadIndex(archive, names);
+  const { predict } = createPredictor({ archive, fixtures: fixturesParsed, names });
+  const fixtures = (Array.isArray(fixturesParsed?.fixtures) ? fixturesParsed.fixtures : [])
+    .filter((f) => matchSlug(f));
+  const updatedAt = fixturesParsed.updatedAt ? formatKickoff(fixturesParsed.updatedAt) : "Unknown";
+  // Same reference time as generate-match-og-cards, so a page only points at
+  // a card that was drawn.
+  const cardsFetchedAt = fixturesParsed.updatedAt || fixturesParsed.generatedAt || null;
+
+  const seen = new Set();
+  for (const f of fixtures) {
+    const id = matchSlug(f);
+    if (seen.has(id)) throw new Error(`matches/${id}/index.html: duplicate fixture id ${f.id}`);
+    seen.add(id);
+
+    const competitionSlug = f.competitionCode ? sanitizeId(f.competitionCode) : "";
+    const competitionUrl = competitionSlug ? `${SITE_ORIGIN}/competitions/${competitionSlug}/` : null;
+    const title = `${f.home} vs ${f.away}`;
+
+    const body = renderBody({
+      match: {
+        id,
+        home: f.home,
+        away: f.away,
+        homeSlug: sanitizeId(f.home),
+        awaySlug: sanitizeId(f.away),
+        competition: f.competition || "Fixture",
+        competitionSlug,
+        date: f.date || "",
+        kickoff: formatKickoff(f.date),
+        statusLabel: statusLabel(f.status),
+        state: fixtureState(f),
+        score: scoreHtml(f),
+        badge: statusBadge(f.status),
+        polling: !isFinished(f),
+        updatedAt,
+      },
+      breadcrumbs: [
+        { name: "Home", url: "/" },
+        { name: "Matches", url: "/matches/" },
+        { name: title, url: `/matches/${id}/` },
+      ],
+      standings: standingsView(f, standingsParsed),
+      form: [
+        { team: f.home, results: recentForm(fixturesParsed.fixtures, f.home) },
+        { team: f.away, results: recentForm(fixturesParsed.fixtures, f.away) },
+      ],
+      h2h: h2hView(f, h2hIndex),
+      prediction: predictionView(f, predict),
+      schema: matchSchema(f, id, competitionUrl),
+    });
+
+    const when = (f.date || "").slice(0, 10);
+    const description = hasScore(f) && typeof f.homeScore === "number" && typeof f.awayScore === "number"
+      ? `${f.home} ${f.homeScore}-${f.awayScore} ${f.away} (${f.competition || "fixture"}, ${when}): score, standings, form and head-to-head on PlayersB.`
+      : `${title} (${f.competition || "fixture"}, ${when}): kick-off, standings, form and head-to-head on PlayersB.`;
+
+    const html = fill(layout, {
+      title: `${title}${when ? ` — ${when}` : ""}`,
+      description,
+      canonical: `${SITE_ORIGIN}/matches/${id}/`,
+      body,
+      ...(hasMatchCard(f, cardsFetchedAt) ? { image: `${SITE_ORIGIN}${ogCardHref(`match-${id}`)}` } : {}),
+    });
+
+    assertNoPlaceholders(html, `matches/${id}/index.html`);
+    const h1 = (html.match(/<h1\b/gi) || []).length;
+    if (h1 !== 1) throw new Error(`matches/${id}/index.html: expected exactly 1 <h1>, found ${h1}`);
+
+    const outPath = path.join(OUT_DIR, id, "index.html");
+    await fs.mkdir(path.dirname(outPath), { recursive: true });
+    await fs.writeFile(outPath, html, "utf-8");
+  }
+
+  console.log(`Generated ${fixtures.length} match pages`);
+}
+
+main().catch((err) => {
+  console.error("generate-match-pages: fatal", err);
+  process.exit(1);
+});
@@ -1,5 +1,14 @@
 import fs from 'fs';
 import path from 'path';
+import { sanitizeId } from './lib/slug.mjs';
+import {
+  LIVE_STATUSES, UPCOMING_STATUSES, fixtureState, matchSlug, scoreHtml, sportsEventNode, statusBadge,
+} from './lib/matches.mjs';
+import { createPredictor, percentages } from './lib/predictions.mjs';
+import { TEAM_ALIASES_PATH, createTeamNameRegistry } from './lib/team-names.mjs';
+import { calendarHref, webcalUrl } from './lib/ics.mjs';
+
+const SITE_ORIGIN = 'https://playersb.com';
 
 const outDir = process.env.OUT_DIR || '.';
 const fixturesPath = path.join('data', 'fixtures.json');
@@ -13,6 +22,30 @@ try {
 }
 
 const allFixtures = raw.fixtures || [];
+
+// Predictions for upcoming fixtures (/predictions/ explains the model). The
+// archive and alias list are optional; without them the model only sees
+// this season's results.
+function readOptionalJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch(e) {
+    return fallback;
+  }
+}
+const { predict } = createPredictor({
+  archive: readOptionalJson(path.join('data', 'archive.json'), { entries: [] }),
+  fixtures: raw,
+  names: createTeamNameRegistry(readOptionalJson(TEAM_ALIASES_PATH, { teams: [] })),
+});
+
+function predictionCell(f) {
+  const p = UPCOMING_STATUSES.includes(f.status) ? predict(f.home, f.away) : null;
+  if (!p) return '<span style="color:var(--muted,#888);">—</span>';
+  const [home, draw, away] = percentages(p);
+  const title = `Expected goals ${p.expectedGoals[0].toFixed(1)}–${p.expectedGoals[1].toFixed(1)}, most likely ${p.scoreline}`;
+  return `<a href="/predictions/" title="${title}" style="color:inherit;">${home} · ${draw} · ${away}</a>`;
+}
 const updatedAt = raw.updatedAt ? new Date(raw.updatedAt).toLocaleString('en-GB', {
   day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'UTC'
 }) + ' UTC' : 'Unknown';
@@ -34,20 +67,13 @@ function formatDate(dateStr) {
   }) + ' UTC';
 }
 
-function statusBadge(status) {
-  if (status === 'FINISHED') return '<span style="color:#888;font-size:0.75rem;">FT</span>';
-  if (status === 'LIVE' || status === 'IN_PLAY' || status === 'PAUSED') 
-    return '<span style="color:#22c55e;font-size:0.75rem;font-weight:bold;">● LIVE</span>';
-  return '<span style="color:#eab308;font-size:0.75rem;">Upcoming</span>';
-}
-
 function renderFixtures(fixtures) {
   // Sort: finished by date desc, upcoming by date asc
   const finished = fixtures.filter(f => f.status === 'FINISHED')
     .sort((a,b) => new Date(b.date) - new Date(a.date)).slice(0, 10);
-  const upcoming = fixtures.filter(f => ['SCHEDULED','TIMED'].includes(f.status))
+  const upcoming = fixtures.filter(f => UPCOMING_STATUSES.includes(f.status))
     .sort((a,b) => new Date(a.date) - new Date(b.date)).slice(0, 10);
-  const live = fixtures.filter(f => ['LIVE','IN_PLAY','PAUSED'].includes(f.status));
+  const live = fixtures.filter(f => LIVE_STATUSES.includes(f.status));
   
   const allShown = [...live, ...upcoming, ...finished];
   
@@ -61,20 +87,21 @@ function renderFixtures(fixtures) {
 <th style="text-align:center;padding:6px 12px;">Score</th>
 <th style="text-align:left;padding:6px 8px;">Away</th>
 <th style="text-align:center;padding:6px 8px;">Status</th>
+<th style="text-align:center;padding:6px 8px;" title="Home win, draw and away win chances, in percent">Prediction</th>
 </tr>
 </thead>
 <tbody>
 ${allShown.map((f, i) => {
-  const score = f.status === 'FINISHED' || f.status === 'LIVE' || f.status === 'IN_PLAY'
-    ? `<strong>${f.homeScore ?? '?'} – ${f.awayScore ?? '?'}</strong>`
-    : `<span style="color:#888;">vs</span>`;
-  const sortKey = `${f.status}|${f.homeScore ?? ''}|${f.awayScore ?? ''}`;
-  return `<tr data-fixture-id="${f.id}" data-fixture-state="${sortKey}" style="border-bottom:1px solid var(--border,#1a1a1a);${i%2===0?'':'background:rgba(255,255,255,0.02)'}">
+  const id = matchSlug(f);
+  // Each fixture links to its /matches/{id}/ page (generate-match-pages.mjs).
+  const score = id ? `<a href="/matches/${id}/">${scoreHtml(f)}</a>` : scoreHtml(f);
+  return `<tr data-fixture-id="${f.id}" data-fixture-state="${fixtureState(f)}" style="border-bottom:1px solid var(--border,#1a1a1a);${i%2===0?'':'background:rgba(255,255,255,0.02)'}">
 <td style="padding:6px 8px;color:var(--muted,#888);font-size:0.8rem;">${formatDate(f.date)}</td>
 <td style="text-align:right;padding:6px 8px;">${f.home}</td>
 <td class="js-fixture-score" style="text-align:center;padding:6px 12px;">${score}</td>
 <td style="text-align:left;padding:6px 8px;">${f.away}</td>
 <td class="js-fixture-status" style="text-align:center;padding:6px 8px;">${statusBadge(f.status)}</td>
+<td style="text-align:center;padding:6px 8px;font-size:0.8rem;">${predictionCell(f)}</td>
 </tr>`;
 }).join('')}
 </tbody>
@@ -87,51 +114,21 @@ const compNames = Object.keys(byComp);
 // search/AI crawlers can ingest the schedule directly. Live + upcoming are
 // preferred over already-finished matches.
 function buildSportsEventListJsonLd() {
-  const live = allFixtures.filter((f) => ["LIVE","IN_PLAY","PAUSED"].includes(f.status));
-  const upcoming = allFixtures.filter((f) => ["SCHEDULED","TIMED"].includes(f.status))
+  const live = allFixtures.filter((f) => LIVE_STATUSES.includes(f.status));
+  const upcoming = allFixtures.filter((f) => UPCOMING_STATUSES.includes(f.status))
     .sort((a, b) => new Date(a.date) - new Date(b.date));
   const finished = allFixtures.filter((f) => f.status === "FINISHED")
     .sort((a, b) => new Date(b.date) - new Date(a.date));
   const top = [...live, ...upcoming, ...finished].slice(0, 20);
   if (!top.length) return "";
 
-  // schema.org's eventStatus enum is Scheduled / Cancelled / Postponed /
-  // Rescheduled / MovedOnline — there is no "Completed" value. For finished
-  // matches we omit eventStatus entirely (so consumers don't get the wrong
-  // signal) and emit endDate so the event is unambiguously in the past.
-  function statusFor(s) {
-    if (s === "POSTPONED") return "https://schema.org/EventPostponed";
-    if (s === "CANCELLED" || s === "CANCELED" || s === "ABANDONED") return "https://schema.org/EventCancelled";
-    if (s === "SCHEDULED" || s === "TIMED" || s === "LIVE" || s === "IN_PLAY" || s === "PAUSED") {
-      return "https://schema.org/EventScheduled";
-    }
-    return null;
-  }
   const items = top.map((f, idx) => {
-    const eventNode = {
-      "@type": "SportsEvent",
-      name: `${f.home} vs ${f.away}`,
-      startDate: f.date,
-      sport: "Association Football",
-      competitor: [
-        { "@type": "SportsTeam", name: f.home },
-        { "@type": "SportsTeam", name: f.away },
-      ],
-      superEvent: {
-        "@type": "SportsEvent",
-        name: f.competition || "PlayersB",
-      },
-    };
-    const status = statusFor(f.status);
-    if (status) eventNode.eventStatus = status;
-    if (f.status === "FINISHED") {
-      // Match end isn't published explicitly; assume same calendar instant
-      // as start so consumers can treat the event as concluded.
-      eventNode.endDate = f.date;
-      if (typeof f.homeScore === "number" && typeof f.awayScore === "number") {
-        eventNode.description = `Final score: ${f.home} ${f.homeScore}-${f.awayScore} ${f.away}`;
-      }
-    }
+    const id = matchSlug(f);
+    const eventNode = sportsEventNode(f, {
+      url: id ? `${SITE_ORIGIN}/matches/${id}/` : null,
+      teamUrl: (name) => `${SITE_ORIGIN}/teams/${sanitizeId(name)}/`,
+      competitionUrl: f.competitionCode ? `${SITE_ORIGIN}/competitions/${sanitizeId(f.competitionCode)}/` : null,
+    });
     return { "@type": "ListItem", position: idx + 1, item: eventNode };
   });
   const schema = {
@@ -154,18 +151,38 @@ const tabs = compNames.map((name, i) =>
    ${name}</button>`
 ).join('');
 
+// Subscribe link for a competition's calendar, which generate-calendars.mjs
+// writes for every competition code that has fixtures.
+function subscribeLink(fixtures) {
+  const code = fixtures.find((f) => f.competitionCode)?.competitionCode;
+  if (!code) return '';
+  const href = calendarHref('competitions', sanitizeId(String(code)));
+  return `<p class="meta-text" style="margin:0 0 8px;"><a href="${webcalUrl(href)}" data-calendar="${href}">Subscribe to these fixtures</a> in your calendar app · <a href="${href}" data-calendar="${href}" download>.ics</a></p>`;
+}
+
 const sections = compNames.map((name, i) =>
   `<div id="matches-${name.replace(/\s+/g,'-')}" class="match-section" style="display:${i===0?'block':'none'}">
    <h3 style="margin:16px 0 8px;">${name}</h3>
+   ${subscribeLink(byComp[name])}
    ${renderFixtures(byComp[name])}
    </div>`
 ).join('');
 
 const matchesBlock = `
-<p style="font-size:0.8rem;color:var(--muted,#888);margin-bottom:16px;">
-  Last updated: <span id="matchesLastUpdated">${updatedAt}</span> · Source: football-data.org · ${allFixtures.length} fixtures loaded ·
-  <span id="matchesLiveStatus" class="meta-text">auto-refresh paused (tab background)</span>
+<p data-live-fixtures style="font-size:0.8rem;color:var(--muted,#888);margin-bottom:16px;">
+  Last updated: <span data-live-updated>${updatedAt}</span> · Source: football-data.org · ${allFixtures.length} fixtures loaded ·
+  <span data-live-status class="meta-text">auto-refresh paused (tab background)</span>
 </p>
+<section class="card" style="margin-bottom:16px;">
+  <h2 style="margin-top:0;">Match alerts</h2>
+  <p class="meta-text">Kick-off, goal and full-time notifications for teams you follow and for your watch-listed players' teams. Checks run in the background while the browser allows it.</p>
+  <div id="matchAlerts"><p class="meta-text">Loading alert settings…</p></div>
+</section>
+<section class="card" style="margin-bottom:16px;">
+  <h2 style="margin-top:0;">My fixtures calendar</h2>
+  <p class="meta-text">Fixtures for the same teams as your alerts, as a calendar file. Each match keeps one event, so re-importing or subscribing updates it rather than adding a copy.</p>
+  <div id="myCalendar"><p class="meta-text">Loading your teams…</p></div>
+</section>
 <div style="margin-bottom:16px;">${tabs}</div>
 ${sections}
 ${buildSportsEventListJsonLd()}
@@ -182,95 +199,7 @@ function showMatches(name) {
   if (tab) { tab.style.background = 'var(--accent,#22c55e)'; tab.style.color = '#000'; }
 }
 
-// Live refresh: poll /data/fixtures.json every 30s while the tab is visible.
-// Diff against rendered rows by data-fixture-id; flash any row whose status
-// or score changed. Falls back to a full DOM swap when ids drift.
-(function () {
-  if (!('fetch' in window)) return;
-  var POLL_MS = 30000;
-  var statusEl = document.getElementById('matchesLiveStatus');
-  var lastUpdatedEl = document.getElementById('matchesLastUpdated');
-  var timer = null;
-  var inFlight = false;
-
-  function setStatus(text) { if (statusEl) statusEl.textContent = text; }
-
-  function escapeHtml(s) {
-    return String(s == null ? '' : s).replace(/[&<>"]/g, function (c) {
-      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c];
-    });
-  }
-
-  function statusBadgeFor(status) {
-    if (status === 'FINISHED') return '<span style="color:#888;font-size:0.75rem;">FT</span>';
-    if (status === 'LIVE' || status === 'IN_PLAY' || status === 'PAUSED')
-      return '<span style="color:#22c55e;font-size:0.75rem;font-weight:bold;">● LIVE</span>';
-    return '<span style="color:#eab308;font-size:0.75rem;">Upcoming</span>';
-  }
-
-  function applyFixture(fixture) {
-    var row = document.querySelector('tr[data-fixture-id="' + fixture.id + '"]');
-    if (!row) return false;
-    var prevState = row.getAttribute('data-fixture-state') || '';
-    var nextState = fixture.status + '|' + (fixture.homeScore == null ? '' : fixture.homeScore) +
-      '|' + (fixture.awayScore == null ? '' : fixture.awayScore);
-    if (prevState === nextState) return false;
-    var scoreCell = row.querySelector('.js-fixture-score');
-    var statusCell = row.querySelector('.js-fixture-status');
-    if (scoreCell) {
-      var hasScore = (fixture.status === 'FINISHED' || fixture.status === 'LIVE' || fixture.status === 'IN_PLAY');
-      scoreCell.innerHTML = hasScore
-        ? '<strong>' + escapeHtml(fixture.homeScore == null ? '?' : fixture.homeScore) + ' – ' +
-            escapeHtml(fixture.awayScore == null ? '?' : fixture.awayScore) + '</strong>'
-        : '<span style="color:#888;">vs</span>';
-    }
-    if (statusCell) statusCell.innerHTML = statusBadgeFor(fixture.status);
-    row.setAttribute('data-fixture-state', nextState);
-    row.classList.add('fixture-flash');
-    setTimeout(function () { row.classList.remove('fixture-flash'); }, 2400);
-    return true;
-  }
-
-  function tick() {
-    if (inFlight) return;
-    inFlight = true;
-    fetch('/data/fixtures.json', { cache: 'no-store' })
-      .then(function (r) { return r.ok ? r.json() : null; })
-      .then(function (payload) {
-        inFlight = false;
-        if (!payload || !Array.isArray(payload.fixtures)) return;
-        var changed = 0;
-        for (var i = 0; i < payload.fixtures.length; i++) {
-          if (applyFixture(payload.fixtures[i])) changed += 1;
-        }
-        if (lastUpdatedEl && payload.updatedAt) {
-          try {
-            lastUpdatedEl.textContent = new Date(payload.updatedAt).toLocaleString('en-GB', {
-              day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'UTC',
-            }) + ' UTC';
-          } catch (_) {}
-        }
-        var stamp = new Date().toLocaleTimeString();
-        setStatus('auto-refresh on (last check ' + stamp + ', ' + changed + ' changed)');
-        if (typeof window.playersbTrack === 'function') {
-          window.playersbTrack('matches_poll', { changed: changed });
-        }
-      })
-      .catch(function () {
-        inFlight = false;
-        setStatus('auto-refresh failed; will retry');
-      });
-  }
-
-  function start() { if (timer) return; setStatus('auto-refresh on'); tick(); timer = setInterval(tick, POLL_MS); }
-  function stop() { if (!timer) return; clearInterval(timer); timer = null; setStatus('auto-refresh paused (tab background)'); }
-
-  function visibilityHandler() {
-    if (document.visibilityState === 'visible') start(); else stop();
-  }
-  document.addEventListener('visibilitychange', visibilityHandler);
-  if (document.visibilityState === 'visible') start();
-})();
+// Live refresh of the rows above: initLiveFixtures in assets/js/site.js.
 </script>`;
 
 // Read the existing matches HTML template and inject content
@@ -1,31 +1,20 @@
-// Generates per-player OG share cards as SVG (1200x630). Inline SVG keeps
-// the build dependency-free; static hosts serve SVG with image/svg+xml so
-// social previews render fine. One file per player at
-// /assets/og/{slug}.svg, referenced by the player page <meta og:image>.
+// Generates per-player OG share cards (1200x630): SVG source plus the PNG
+// rasterized from it (lib/og-cards.mjs), at /assets/og/{slug}.png and
+// referenced by the player page <meta og:image>. Also rasterizes the
+// site-wide default card, og-image.svg → og-image.png.
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { escXml } from "./lib/html.mjs";
+import { safeStr, sanitizeId } from "./lib/slug.mjs";
+import { num, per90, fmt2 } from "./lib/stats.mjs";
+import { OG_DIR, fitText, writeCard } from "./lib/og-cards.mjs";
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
 const DATA_PATH = path.join(ROOT, "data", "players.json");
-const OUT_DIR = path.join(ROOT, "assets", "og");
-
-function safeStr(s) { return String(s ?? "").trim(); }
-function num(v) { return typeof v === "number" && Number.isFinite(v) ? v : 0; }
-function fmt2(n) { return Number.isFinite(n) ? n.toFixed(2) : "0.00"; }
-function per90(v, m) { return m > 0 ? v / (m / 90) : 0; }
-function sanitizeId(raw) {
-  return safeStr(raw).toLowerCase().replace(/[^a-z0-9-]/g, "-").replace(/-+/g, "-").replace(/^-|-$/g, "");
-}
-function escXml(s) {
-  return String(s ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&apos;");
-}
+const OUT_DIR = path.join(ROOT, OG_DIR);
+const DEFAULT_CARD_PATH = path.join(ROOT, "og-image.svg");
 
 function buildCard(player) {
   const minutes = num(player?.minutes);
@@ -41,6 +30,8 @@ function buildCard(player) {
     { label: "Shots/90", value: fmt2(per90(shots, minutes)) },
     { label: "Minutes", value: String(minutes) },
   ];
+  const title = fitText(name, { maxWidth: 1080, fontSize: 78, minFontSize: 48, fontWeight: 700 });
+  const subtitle = fitText(meta, { maxWidth: 1080, fontSize: 28 });
 
   return `<?xml version="1.0" encoding="UTF-8"?>
 <svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630" role="img" aria-label="PlayersB share card for ${escXml(name)}">
@@ -53,15 +44,16 @@ function buildCard(player) {
   <rect width="1200" height="630" fill="url(#bg)"/>
   <g font-family="Inter, system-ui, sans-serif" fill="#f8fafc">
     <text x="60" y="100" font-size="22" font-weight="500" fill="#93c5fd" letter-spacing="2">PLAYERSB · THE PLAYERS BOOK</text>
-    <text x="60" y="200" font-size="78" font-weight="700">${escXml(name)}</text>
-    ${meta ? `<text x="60" y="252" font-size="28" fill="#cbd5e1">${escXml(meta)}</text>` : ""}
+    <text x="60" y="200" font-size="${title.fontSize}" font-weight="700">${escXml(title.text)}</text>
+    ${meta ? `<text x="60" y="252" font-size="${subtitle.fontSize}" fill="#cbd5e1">${escXml(subtitle.text)}</text>` : ""}
     ${stats.map((stat, i) => {
       const x = 60 + i * 270;
+      const value = fitText(stat.value, { maxWidth: 200, fontSize: 64, minFontSize: 32, fontWeight: 700 });
       return `
     <g transform="translate(${x}, 360)">
       <rect width="240" height="180" rx="16" fill="#0f172a" fill-opacity="0.5" stroke="#1e3a8a" stroke-width="2"/>
       <text x="20" y="50" font-size="18" fill="#93c5fd" letter-spacing="1.5">${escXml(stat.label.toUpperCase())}</text>
-      <text x="20" y="130" font-size="64" font-weight="700">${escXml(stat.value)}</text>
+      <text x="20" y="130" font-size="${value.fontSize}" font-weight="700">${escXml(value.text)}</text>
     </g>`;
     }).join("")}
     <text x="60" y="595" font-size="22" fill="#94a3b8">playersb.com / players / ${escXml(sanitizeId(player?.id))}</text>
@@ -71,6 +63,9 @@ function buildCard(player) {
 }
 
 async function main() {
+  const defaultCard = await fs.readFile(DEFAULT_CARD_PATH, "utf-8");
+  await writeCard(ROOT, "og-image", defaultCard);
+
   const raw = await fs.readFile(DATA_PATH, "utf-8");
   const parsed = JSON.parse(raw);
   const players = Array.isArray(parsed?.players) ? parsed.players : [];
@@ -80,14 +75,14 @@ async function main() {
   }
   await fs.mkdir(OUT_DIR, { recursive: true });
   let written = 0;
+  let rendered = 0;
   for (const p of players) {
     const slug = sanitizeId(p?.id);
     if (!slug) continue;
-    const svg = buildCard(p);
-    await fs.writeFile(path.join(OUT_DIR, `${slug}.svg`), svg, "utf-8");
+    if (await writeCard(OUT_DIR, slug, buildCard(p))) rendered += 1;
     written += 1;
   }
-  console.log(`Generated ${written} OG cards in /assets/og/`);
+  console.log(`Generated ${written} OG cards in /assets/og/ (${rendered} rasterized)`);
 }
 
 main().catch((err) => {
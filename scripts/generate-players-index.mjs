@@ -3,6 +3,9 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { escHtml } from "./lib/html.mjs";
+import { safeStr, sanitizeId } from "./lib/slug.mjs";
+import { fill, assertNoPlaceholders } from "./lib/layout.mjs";
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
@@ -11,27 +14,6 @@ const DATA_PATH = path.join(ROOT, "data", "players.json");
 const LAYOUT_PATH = path.join(ROOT, "templates", "layout.html");
 const OUT_PATH = path.join(ROOT, "players", "index.html");
 
-function safeStr(s) {
-  return String(s ?? "").trim();
-}
-
-function sanitizeId(raw) {
-  return safeStr(raw)
-    .toLowerCase()
-    .replace(/[^a-z0-9-]/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
-function escHtml(s) {
-  return String(s ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#39;");
-}
-
 function metaLine(p) {
   const pos = safeStr(p.position);
   const team = safeStr(p.team);
@@ -39,22 +21,6 @@ function metaLine(p) {
   return pos || team || "";
 }
 
-function assertNoPlaceholders(finalHtml, fileLabel) {
-  const m = finalHtml.match(/{{[^}]+}}/g);
-  if (m?.length) {
-    const uniq = Array.from(new Set(m)).slice(0, 10).join(", ");
-    throw new Error(`${fileLabel}: unresolved template placeholders found: ${uniq}`);
-  }
-}
-
-function fill(layout, { title, description, canonical, body }) {
-  return layout
-    .replaceAll("{{TITLE}}", title)
-    .replaceAll("{{DESCRIPTION}}", description)
-    .replaceAll("{{CANONICAL}}", canonical)
-    .replaceAll("{{BODY}}", body.trim());
-}
-
 async function main() {
   await fs.access(DATA_PATH);
   await fs.access(LAYOUT_PATH);
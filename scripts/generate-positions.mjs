@@ -1,5 +1,10 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { escHtml } from "./lib/html.mjs";
+import { safeStr, sanitizeId } from "./lib/slug.mjs";
+import { fill, assertNoPlaceholders } from "./lib/layout.mjs";
+import { SITE_FEED, entityFeed } from "./lib/feeds.mjs";
+import { num, per90, fmt2 } from "./lib/stats.mjs";
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
@@ -8,27 +13,6 @@ const DATA_PATH = path.join(ROOT, "data", "players.json");
 const LAYOUT_PATH = path.join(ROOT, "templates", "layout.html");
 const OUT_DIR = path.join(ROOT, "positions");
 
-function safeStr(s) {
-  return String(s ?? "").trim();
-}
-
-function sanitizeId(raw) {
-  return safeStr(raw)
-    .toLowerCase()
-    .replace(/[^a-z0-9-]/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
-function escHtml(s) {
-  return String(s ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#39;");
-}
-
 function splitPositions(raw) {
   return safeStr(raw)
     .split("/")
@@ -36,26 +20,6 @@ function splitPositions(raw) {
     .filter(Boolean);
 }
 
-function num(v) { return typeof v === "number" && Number.isFinite(v) ? v : 0; }
-function per90(v, m) { return m > 0 ? v / (m / 90) : 0; }
-function fmt2(n) { return Number.isFinite(n) ? n.toFixed(2) : "0.00"; }
-
-function assertNoPlaceholders(finalHtml, fileLabel) {
-  const m = finalHtml.match(/{{[^}]+}}/g);
-  if (m?.length) {
-    const uniq = Array.from(new Set(m)).slice(0, 10).join(", ");
-    throw new Error(`${fileLabel}: unresolved template placeholders found: ${uniq}`);
-  }
-}
-
-function fill(layout, { title, description, canonical, body }) {
-  return layout
-    .replaceAll("{{TITLE}}", title)
-    .replaceAll("{{DESCRIPTION}}", description)
-    .replaceAll("{{CANONICAL}}", canonical)
-    .replaceAll("{{BODY}}", body.trim());
-}
-
 const POSITION_LABELS = {
   GK: "Goalkeeper",
   CB: "Centre-Back",
@@ -353,6 +317,7 @@ async function main() {
       description: `Cohort totals, per-90 leaders, sortable roster, and team spread for ${heading} on PlayersB.`,
       canonical: `${SITE_ORIGIN}/positions/${slug}/`,
       body,
+      feeds: [SITE_FEED, entityFeed("position", slug, `${data.label} players`)],
     });
 
     assertNoPlaceholders(html, `positions/${slug}/index.html`);
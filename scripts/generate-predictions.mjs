@@ -0,0 +1,161 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { escHtml } from "./lib/html.mjs";
+import { readJson } from "./lib/json-io.mjs";
+import { fill, assertNoPlaceholders } from "./lib/layout.mjs";
+import { archiveMeetings } from "./lib/head-to-head.mjs";
+import { loadTeamNameRegistry } from "./lib/team-names.mjs";
+import { HALF_LIFE_DAYS, MIN_WEIGHT, PRIOR_GOALS, backtest, createPredictor } from "./lib/predictions.mjs";
+
+const ROOT = process.cwd();
+const SITE_ORIGIN = "https://playersb.com";
+
+const ARCHIVE_PATH = path.join(ROOT, "data", "archive.json");
+const FIXTURES_PATH = path.join(ROOT, "data", "fixtures.json");
+const LAYOUT_PATH = path.join(ROOT, "templates", "layout.html");
+const OUT_PATH = path.join(ROOT, "predictions", "index.html");
+
+// Groups with fewer scored predictions than this are folded into "Other".
+const MIN_GROUP_MATCHES = 20;
+
+const fixed = (n, digits = 3) => (Number.isFinite(n) ? n.toFixed(digits) : "—");
+const pct = (n) => (Number.isFinite(n) ? `${Math.round(n * 100)}%` : "—");
+
+function renderGroups(groups) {
+  const shown = groups.filter((g) => g.matches >= MIN_GROUP_MATCHES);
+  const rest = groups.filter((g) => g.matches < MIN_GROUP_MATCHES);
+  const rows = shown
+    .sort((a, b) => a.competition.localeCompare(b.competition) || a.season.localeCompare(b.season))
+    .map((g) => `
+        <tr>
+          <td>${escHtml(g.competition)}</td>
+          <td>${escHtml(g.season)}</td>
+          <td>${g.matches}</td>
+          <td>${fixed(g.brier)}</td>
+          <td>${fixed(g.baselineBrier)}</td>
+          <td>${fixed(g.logLoss)}</td>
+          <td>${pct(g.accuracy)}</td>
+        </tr>
+      `.trim())
+    .join("\n");
+  const restCount = rest.reduce((s, g) => s + g.matches, 0);
+  return `
+    <div class="table-wrapper">
+      <table class="table">
+        <thead>
+          <tr><th>Competition</th><th>Season</th><th>Matches</th><th>Brier</th><th>Baseline Brier</th><th>Log loss</th><th>Favourite won</th></tr>
+        </thead>
+        <tbody>
+          ${rows || `<tr><td colspan="7">No season had enough predictions to score.</td></tr>`}
+        </tbody>
+      </table>
+    </div>
+    ${restCount ? `<p class="meta-text">${restCount} more predictions from ${rest.length} seasons with fewer than ${MIN_GROUP_MATCHES} each are in the totals above but not listed.</p>` : ""}
+  `.trim();
+}
+
+function renderCalibration(calibration) {
+  const rows = calibration
+    .map((b) => `
+        <tr>
+          <td>${Math.round(b.from * 100)}–${Math.round(b.to * 100)}%</td>
+          <td>${b.count}</td>
+          <td>${pct(b.predicted)}</td>
+          <td>${pct(b.observed)}</td>
+        </tr>
+      `.trim())
+    .join("\n");
+  return `
+    <div class="table-wrapper">
+      <table class="table">
+        <thead>
+          <tr><th>Predicted</th><th>Outcomes</th><th>Mean predicted</th><th>Happened</th></tr>
+        </thead>
+        <tbody>
+          ${rows || `<tr><td colspan="4">No predictions scored.</td></tr>`}
+        </tbody>
+      </table>
+    </div>
+  `.trim();
+}
+
+async function main() {
+  const [layout, archive, fixtures, names] = await Promise.all([
+    fs.readFile(LAYOUT_PATH, "utf-8"),
+    readJson(ARCHIVE_PATH, { entries: [] }),
+    readJson(FIXTURES_PATH, { fixtures: [] }),
+    loadTeamNameRegistry(),
+  ]);
+
+  const report = backtest(archiveMeetings(archive, names));
+  const { model } = createPredictor({ archive, fixtures, names });
+
+  const title = "Match predictions: how the model works";
+  const description = "How PlayersB predicts win, draw and loss chances for upcoming fixtures, and how well the model scores on archived seasons (Brier score and log loss).";
+  const canonical = `${SITE_ORIGIN}/predictions/`;
+
+  const body = `
+    <section class="hero">
+      <span class="pill">Predictions</span>
+      <h1>Match predictions</h1>
+      <p class="lead">Win, draw and loss chances and the most likely score for every upcoming fixture, from a goals model fitted on archived and current-season results.</p>
+      <div class="button-row">
+        <a class="button" href="/matches/">View fixtures</a>
+        <a class="button secondary" href="/archive/">Browse the archive</a>
+      </div>
+    </section>
+
+    <section class="section">
+      <div class="card">
+        <h2>The model</h2>
+        <p>Each side's goals are a Poisson count whose mean is a league-wide scoring rate times the side's attack rating times the opponent's defence rating, with a home-advantage factor for the home side. Ratings are fitted on every scored match in the archive and this season's finished fixtures; a result ${HALF_LIFE_DAYS} days old counts half as much as one played today, and ratings are pulled towards average by ${PRIOR_GOALS} goals' worth of evidence so a few results cannot make a side look extreme.</p>
+        <p>Win, draw and loss chances add up every scoreline up to 10 goals a side. Fixtures where either team has less than ${MIN_WEIGHT} matches' worth of recent results get no prediction.</p>
+        <p class="meta-text">Current fit: ${escHtml(fixed(model.base * model.home, 2))} expected goals for an average home side against ${escHtml(fixed(model.base, 2))} for an average away side, ${model.teams.size} teams rated, as of ${escHtml(model.asOf.slice(0, 10))}.</p>
+      </div>
+    </section>
+
+    <section class="section">
+      <div class="card">
+        <h2>Back-test</h2>
+        <p>Every archived match was predicted from a fit on the results before its date only, then scored against what happened. The baseline predicts the home, draw and away frequencies of those same earlier results for every match.</p>
+        <div class="stat-grid">
+          <div class="stat"><div class="stat-label">Matches scored</div><div class="stat-value">${report.matches}</div></div>
+          <div class="stat"><div class="stat-label">Brier score</div><div class="stat-value">${fixed(report.brier)}</div></div>
+          <div class="stat"><div class="stat-label">Baseline Brier</div><div class="stat-value">${fixed(report.baseline.brier)}</div></div>
+          <div class="stat"><div class="stat-label">Log loss</div><div class="stat-value">${fixed(report.logLoss)}</div></div>
+          <div class="stat"><div class="stat-label">Baseline log loss</div><div class="stat-value">${fixed(report.baseline.logLoss)}</div></div>
+          <div class="stat"><div class="stat-label">Favourite won</div><div class="stat-value">${pct(report.accuracy)}</div></div>
+        </div>
+        <p class="meta-text">Lower is better for both scores. The Brier score sums the squared error of the three outcome probabilities (0 is perfect, 0.667 is a flat one-in-three guess); log loss is the natural log of the probability given to what happened, negated. ${report.skipped} archived matches were not scored because a team had too little history before them.</p>
+      </div>
+    </section>
+
+    <section class="section">
+      <div class="card">
+        <h2>By season</h2>
+        ${renderGroups(report.groups)}
+      </div>
+    </section>
+
+    <section class="section">
+      <div class="card">
+        <h2>Calibration</h2>
+        <p class="meta-text">Every home, draw and away probability the back-test gave, bucketed; a well-calibrated model's outcomes happen about as often as it said.</p>
+        ${renderCalibration(report.calibration)}
+      </div>
+    </section>
+  `;
+
+  const html = fill(layout, { title, description, canonical, body });
+  assertNoPlaceholders(html, "predictions/index.html");
+
+  await fs.mkdir(path.dirname(OUT_PATH), { recursive: true });
+  await fs.writeFile(OUT_PATH, html, "utf-8");
+
+  console.log(`Generated predictions/index.html: back-test over ${report.matches} matches, Brier ${fixed(report.brier)} (baseline ${fixed(report.baseline.brier)})`);
+}
+
+main().catch((err) => {
+  console.error("generate-predictions: fatal", err);
+  process.exit(1);
+});
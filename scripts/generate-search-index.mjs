@@ -1,33 +1,22 @@
 // Builds /data/search-index.json from the canonical data files.
-// Used by /assets/js/site.js to power the global search box. Lightweight on
-// purpose — full-text quality is good enough for a few hundred entries
-// without pulling a search lib.
+// Used by /assets/js/site.js to power the global search box. Alongside the
+// display entries it ships an inverted index of Unicode-folded tokens and
+// prefixes (scripts/lib/search-index.mjs), so the client looks words up
+// instead of scanning every entry per keystroke.
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { sanitizeId } from "./lib/slug.mjs";
+import { readJson } from "./lib/json-io.mjs";
+import { buildPercentiles, percentileIndexEntry } from "./lib/percentiles.mjs";
+import { buildSearchIndex, teamAliases } from "./lib/search-index.mjs";
+import { collectTeams } from "./lib/teams.mjs";
+import { buildCompetitionsFromLive, loadCompetitionRegistry } from "./lib/competitions.mjs";
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
 const OUT_PATH = path.join(ROOT, "data", "search-index.json");
 
-function sanitizeId(raw) {
-  return String(raw ?? "")
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9-]/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
-async function readJson(rel, fallback) {
-  try {
-    const raw = await fs.readFile(path.join(ROOT, rel), "utf-8");
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
-  }
-}
-
 async function listIndexedDirs(rel, depth) {
   const out = [];
   async function walk(cur, d) {
@@ -67,6 +56,12 @@ async function main() {
   const players = await readJson("data/players.json", { players: [] });
   const legacy = await readJson("data/legacy-players.json", { players: [] });
   const enrichment = await readJson("data/player-enrichment.json", { players: {} });
+  const [fixtures, standings, scorers, fantasy] = await Promise.all([
+    readJson("data/fixtures.json", {}),
+    readJson("data/standings.json", {}),
+    readJson("data/scorers.json", {}),
+    readJson("data/fantasy.json", {}),
+  ]);
 
   const entries = [];
   const seen = new Set();
@@ -77,11 +72,17 @@ async function main() {
     entries.push(entry);
   }
 
-  // 1. Players from data/players.json (canonical metadata).
+  // 1. Players from data/players.json (canonical metadata). `pct` carries
+  //    per-90 percentile ranks ([vs primary position, vs all]) so site.js
+  //    can answer queries like "top 10% g/90 cb". `aliases` (nicknames from
+  //    enrichment) only feed the inverted index, not the display entries.
   const playerRows = Array.isArray(players?.players) ? players.players : [];
+  const percentiles = buildPercentiles(playerRows);
   for (const p of playerRows) {
     const slug = sanitizeId(p?.id);
     if (!slug) continue;
+    const pct = percentileIndexEntry(percentiles.get(p.id));
+    const nicknames = enrichment?.players?.[slug]?.nicknames;
     push({
       url: `/players/${slug}/`,
       name: p.name || titleCaseSlug(slug),
@@ -89,6 +90,8 @@ async function main() {
       team: p.team || "",
       position: p.position || "",
       competition: p.competition || "",
+      ...(pct ? { pct } : {}),
+      aliases: Array.isArray(nicknames) ? nicknames : [],
     });
   }
 
@@ -105,16 +108,27 @@ async function main() {
       section: "player",
       team: enrich.team || "",
       position: enrich.position || "",
+      aliases: Array.isArray(enrich.nicknames) ? enrich.nicknames : [],
     });
   }
 
-  // 3. Teams.
+  // 3. Teams. Names come from the same collector as the team pages so they
+  //    keep their accents ("FC Bayern München", not "Fc Bayern M Nchen").
+  const teamLabels = collectTeams({
+    players: playerRows,
+    fantasyRows: Array.isArray(fantasy?.players) ? fantasy.players : [],
+    scorerRows: Array.isArray(scorers?.scorers) ? scorers.scorers : [],
+    standingsParsed: standings,
+    fixtureRows: Array.isArray(fixtures?.fixtures) ? fixtures.fixtures : [],
+  });
   const teamDirs = await listIndexedDirs("teams", 1);
   for (const d of teamDirs) {
+    const name = teamLabels.get(d.slug)?.label || titleCaseSlug(d.slug);
     push({
       url: d.url,
-      name: titleCaseSlug(d.slug),
+      name,
       section: "team",
+      aliases: teamAliases(name),
     });
   }
 
@@ -128,13 +142,19 @@ async function main() {
     });
   }
 
-  // 5. Competitions.
+  // 5. Competitions, with the code ("PL", "BL1") and the registry's other
+  // names ("EPL", "1. Bundesliga") as aliases.
+  const registry = await loadCompetitionRegistry();
+  const competitions = buildCompetitionsFromLive(standings, fixtures, fantasy, scorers, players, registry);
+  const compLabels = new Map(Object.entries(competitions).map(([code, comp]) => [sanitizeId(code), { code, label: comp.label }]));
   const compDirs = await listIndexedDirs("competitions", 1);
   for (const d of compDirs) {
+    const comp = compLabels.get(d.slug);
     push({
       url: d.url,
-      name: titleCaseSlug(d.slug),
+      name: comp?.label || titleCaseSlug(d.slug),
       section: "competition",
+      aliases: comp ? [comp.code, ...(registry.get(comp.code)?.aliases || [])] : [],
     });
   }
 
@@ -193,6 +213,7 @@ async function main() {
     { url: "/glossary/", name: "Glossary" },
     { url: "/tools/", name: "Tools" },
     { url: "/about/", name: "About PlayersB" },
+    { url: "/status/", name: "Data status" },
   ];
   for (const c of corePages) push({ ...c, section: "page" });
 
@@ -200,7 +221,8 @@ async function main() {
     generatedAt: new Date().toISOString(),
     origin: SITE_ORIGIN,
     count: entries.length,
-    entries,
+    entries: entries.map(({ aliases, ...entry }) => entry),
+    index: buildSearchIndex(entries),
   };
   await fs.writeFile(OUT_PATH, JSON.stringify(payload) + "\n", "utf-8");
   console.log(`Generated search-index.json with ${entries.length} entries`);
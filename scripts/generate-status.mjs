@@ -0,0 +1,236 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { escHtml, escXml } from "./lib/html.mjs";
+import { readJson } from "./lib/json-io.mjs";
+import { fill, assertNoPlaceholders } from "./lib/layout.mjs";
+import { HISTORY_PATH, enrichmentCoverage, healthSnapshot, sourceStreaks } from "./lib/health-history.mjs";
+
+const ROOT = process.cwd();
+const SITE_ORIGIN = "https://playersb.com";
+
+const HEALTH_PATH = path.join(ROOT, "data", "health.json");
+const LAYOUT_PATH = path.join(ROOT, "templates", "layout.html");
+const OUT_PATH = path.join(ROOT, "status", "index.html");
+
+const SPARK_WIDTH = 160;
+const SPARK_HEIGHT = 32;
+
+const STATUS_COLORS = {
+  ok: "#22c55e",
+  partial: "#eab308",
+  fallback: "#eab308",
+  stale_cache: "#eab308",
+  warn: "#eab308",
+  warning: "#eab308",
+  error: "#ef4444",
+  critical: "#ef4444",
+};
+const MISSING_COLOR = "#94a3b8";
+
+function statusColor(status) {
+  return STATUS_COLORS[status] || MISSING_COLOR;
+}
+
+function formatDate(iso) {
+  const t = Date.parse(iso || "");
+  if (!Number.isFinite(t)) return "unknown";
+  return `${new Date(t).toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+function formatAge(hours) {
+  if (!Number.isFinite(hours)) return "no timestamp";
+  if (hours < 1) return "under 1h";
+  if (hours < 48) return `${Math.round(hours)}h`;
+  return `${Math.round(hours / 24)}d`;
+}
+
+function statusPill(status) {
+  return `<span class="pill" style="border-color:${statusColor(status)};color:${statusColor(status)};">${escHtml(status || "unknown")}</span>`;
+}
+
+// Line sparkline over `values` (oldest first). Nulls break the line rather
+// than drawing through zero; `threshold` adds a dashed reference line.
+function sparkline(values, { label, max, threshold = null } = {}) {
+  const finite = values.filter(Number.isFinite);
+  const top = Math.max(max ?? 0, ...finite, threshold ?? 0, 1);
+  const step = values.length > 1 ? SPARK_WIDTH / (values.length - 1) : 0;
+  const x = (i) => (values.length > 1 ? i * step : SPARK_WIDTH / 2).toFixed(1);
+  const y = (v) => (SPARK_HEIGHT - 2 - (Math.min(v, top) / top) * (SPARK_HEIGHT - 4)).toFixed(1);
+
+  const segments = [];
+  let current = [];
+  values.forEach((v, i) => {
+    if (!Number.isFinite(v)) {
+      if (current.length) segments.push(current);
+      current = [];
+      return;
+    }
+    current.push(`${x(i)},${y(v)}`);
+  });
+  if (current.length) segments.push(current);
+
+  const shapes = segments.map((points) =>
+    points.length === 1
+      ? `<circle cx="${points[0].split(",")[0]}" cy="${points[0].split(",")[1]}" r="2" fill="currentColor" />`
+      : `<polyline points="${points.join(" ")}" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round" />`
+  );
+  if (threshold != null) {
+    shapes.unshift(`<line x1="0" x2="${SPARK_WIDTH}" y1="${y(threshold)}" y2="${y(threshold)}" stroke="#ef4444" stroke-width="1" stroke-dasharray="3 3" />`);
+  }
+  return `<svg viewBox="0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}" width="${SPARK_WIDTH}" height="${SPARK_HEIGHT}" role="img" aria-label="${escXml(label)}" style="color:var(--accent);vertical-align:middle;">${shapes.join("")}</svg>`;
+}
+
+// One cell per run, coloured by the status the source reported in it.
+function statusStrip(statuses, { label, at }) {
+  const width = statuses.length ? SPARK_WIDTH / statuses.length : SPARK_WIDTH;
+  const cells = statuses
+    .map((s, i) => `<rect x="${(i * width).toFixed(1)}" y="4" width="${Math.max(width - 1, 1).toFixed(1)}" height="${SPARK_HEIGHT - 8}" fill="${statusColor(s)}"><title>${escXml(`${formatDate(at[i])}: ${s ?? "not reported"}`)}</title></rect>`)
+    .join("");
+  return `<svg viewBox="0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}" width="${SPARK_WIDTH}" height="${SPARK_HEIGHT}" role="img" aria-label="${escXml(label)}" style="vertical-align:middle;">${cells}</svg>`;
+}
+
+function issueList(items, empty) {
+  if (!items.length) return `<p class="meta-text">${escHtml(empty)}</p>`;
+  return `<ul>${items.map((item) => `<li>${escHtml(item)}</li>`).join("")}</ul>`;
+}
+
+function renderFreshness(health, entries) {
+  const maxStale = Number(health?.thresholds?.maxStaleHours) || null;
+  const rows = Object.entries(health?.datasets || {})
+    .map(([name, d]) => {
+      const series = entries.map((e) => e?.datasets?.[name]?.staleHours ?? null);
+      return `
+        <tr>
+          <td>${escHtml(name)}</td>
+          <td>${escHtml(d?.count ?? 0)}</td>
+          <td>${statusPill(d?.freshness)}</td>
+          <td>${escHtml(formatAge(d?.staleHours ?? NaN))}</td>
+          <td>${sparkline(series, { label: `${name} data age per run`, threshold: maxStale })}</td>
+        </tr>
+      `.trim();
+    })
+    .join("\n");
+  return `
+    <div class="table-wrapper">
+      <table class="table">
+        <thead>
+          <tr><th>Dataset</th><th>Rows</th><th>Freshness</th><th>Age</th><th>Age per run</th></tr>
+        </thead>
+        <tbody>
+          ${rows || `<tr><td colspan="5">No datasets recorded.</td></tr>`}
+        </tbody>
+      </table>
+    </div>
+  `.trim();
+}
+
+function renderSources(entries) {
+  const at = entries.map((e) => e.at);
+  const rows = sourceStreaks(entries)
+    .map((s) => {
+      const streak = `${s.runs} run${s.runs === 1 ? "" : "s"} since ${formatDate(s.since)}`;
+      const lastOk = s.status === "ok" ? "now" : s.lastOk ? formatDate(s.lastOk) : `not within the last ${entries.length} runs`;
+      return `
+        <tr>
+          <td>${escHtml(s.source)}</td>
+          <td>${escHtml(s.dataset)}</td>
+          <td>${statusPill(s.status)}</td>
+          <td>${escHtml(streak)}</td>
+          <td>${escHtml(lastOk)}</td>
+          <td>${statusStrip(s.history, { label: `${s.source} status per run for ${s.dataset}`, at })}</td>
+        </tr>
+      `.trim();
+    })
+    .join("\n");
+  return `
+    <div class="table-wrapper">
+      <table class="table">
+        <thead>
+          <tr><th>Source</th><th>Dataset</th><th>Status</th><th>Streak</th><th>Last ok</th><th>History</th></tr>
+        </thead>
+        <tbody>
+          ${rows || `<tr><td colspan="6">No source statuses recorded.</td></tr>`}
+        </tbody>
+      </table>
+    </div>
+  `.trim();
+}
+
+async function main() {
+  const [layout, health, history] = await Promise.all([
+    fs.readFile(LAYOUT_PATH, "utf-8"),
+    readJson(HEALTH_PATH, {}),
+    readJson(HISTORY_PATH, { entries: [] }),
+  ]);
+
+  // Until the first --write-health run records history, chart the current
+  // snapshot alone so the page still reflects health.json.
+  let entries = Array.isArray(history?.entries) ? history.entries : [];
+  if (!entries.length && health?.generatedAt) entries = [healthSnapshot(health)];
+
+  const coverage = enrichmentCoverage(entries);
+  const currentCoverage = coverage[coverage.length - 1];
+  const metrics = health?.metrics || {};
+  const critical = Array.isArray(health?.criticalIssues) ? health.criticalIssues : [];
+  const warnings = Array.isArray(health?.warnings) ? health.warnings : [];
+
+  const title = "Data status";
+  const description = "PlayersB data health: dataset freshness, source status streaks and player enrichment coverage across recent data refreshes.";
+  const canonical = `${SITE_ORIGIN}/status/`;
+
+  const body = `
+    <section class="hero">
+      <span class="pill">Status</span>
+      <h1>Data status</h1>
+      <p class="lead">Overall ${statusPill(health?.status)} as of ${escHtml(formatDate(health?.generatedAt))}.</p>
+      <p class="meta-text">Charts cover the last ${entries.length} data refresh${entries.length === 1 ? "" : "es"}${entries.length ? `, since ${escHtml(formatDate(entries[0].at))}` : ""}.</p>
+    </section>
+
+    <section class="section">
+      <div class="card">
+        <h2>Current issues</h2>
+        <h3>Critical</h3>
+        ${issueList(critical, "No critical issues.")}
+        <h3>Warnings</h3>
+        ${issueList(warnings, "No warnings.")}
+      </div>
+    </section>
+
+    <section class="section">
+      <div class="card">
+        <h2>Dataset freshness</h2>
+        <p class="meta-text">Age of each dataset when the health check ran; the dashed line is the ${escHtml(health?.thresholds?.maxStaleHours ?? "?")}h staleness threshold.</p>
+        ${renderFreshness(health, entries)}
+      </div>
+    </section>
+
+    <section class="section">
+      <div class="card">
+        <h2>Sources</h2>
+        <p class="meta-text">Status each upstream source reported per run, oldest on the left.</p>
+        ${renderSources(entries)}
+      </div>
+    </section>
+
+    <section class="section">
+      <div class="card">
+        <h2>Player enrichment coverage</h2>
+        <p>${escHtml(metrics.playerEnrichment ?? 0)} of ${escHtml(metrics.players ?? 0)} players enriched${Number.isFinite(currentCoverage) ? ` (${currentCoverage}%)` : ""}.</p>
+        ${sparkline(coverage, { label: "Player enrichment coverage per run, percent", max: 100 })}
+      </div>
+    </section>
+  `;
+
+  const html = fill(layout, { title, description, canonical, body });
+  assertNoPlaceholders(html, "status/index.html");
+
+  await fs.mkdir(path.dirname(OUT_PATH), { recursive: true });
+  await fs.writeFile(OUT_PATH, html, "utf-8");
+
+  console.log(`Generated status/index.html from ${entries.length} health run(s)`);
+}
+
+main().catch((err) => {
+  console.error("generate-status: fatal", err);
+  process.exit(1);
+});
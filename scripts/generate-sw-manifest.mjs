@@ -0,0 +1,55 @@
+// Builds /sw-manifest.js: the service worker's precache list with a content
+// hash per file, plus a cache version derived from those hashes. sw.js pulls
+// it in with importScripts(), and browsers byte-compare imported scripts on
+// every update check, so any change to a precached file installs a fresh
+// cache without anyone bumping a version string by hand.
+//
+// Runs after every HTML generator (the key pages are hashed as emitted).
+
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { writeFileEnsuringDir } from "./lib/json-io.mjs";
+
+const ROOT = process.cwd();
+const OUT_PATH = path.join(ROOT, "sw-manifest.js");
+
+// URL → file on disk. Keep /offline/ here: sw.js serves it when a
+// navigation misses both the network and the cache.
+const PRECACHE = [
+  ["/", "index.html"],
+  ["/players/", "players/index.html"],
+  ["/compare/", "compare/index.html"],
+  ["/tools/", "tools/index.html"],
+  ["/learn/", "learn/index.html"],
+  ["/offline/", "offline/index.html"],
+  ["/styles/site.css", "styles/site.css"],
+  ["/assets/js/site.js", "assets/js/site.js"],
+  ["/favicon.svg", "favicon.svg"],
+  ["/manifest.webmanifest", "manifest.webmanifest"],
+];
+
+const hash = (buf) => createHash("sha256").update(buf).digest("hex").slice(0, 12);
+
+async function main() {
+  const entries = [];
+  for (const [url, file] of PRECACHE) {
+    const buf = await fs.readFile(path.join(ROOT, file)).catch(() => null);
+    if (!buf) throw new Error(`precache file missing: ${file} (for ${url})`);
+    entries.push({ url, revision: hash(buf) });
+  }
+  const version = hash(entries.map((e) => `${e.url} ${e.revision}`).join("\n"));
+
+  const manifest = { version, entries };
+  await writeFileEnsuringDir(
+    OUT_PATH,
+    "// Generated by scripts/generate-sw-manifest.mjs. Do not edit.\n" +
+      `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`,
+  );
+  console.log(`Generated sw-manifest.js (${entries.length} entries, version ${version})`);
+}
+
+main().catch((err) => {
+  console.error("generate-sw-manifest: fatal", err);
+  process.exit(1);
+});
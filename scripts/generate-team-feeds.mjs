@@ -5,6 +5,9 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { escXml } from "./lib/html.mjs";
+import { safeStr, sanitizeId } from "./lib/slug.mjs";
+import { readJson } from "./lib/json-io.mjs";
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
@@ -14,28 +17,12 @@ const STANDINGS_PATH = path.join(ROOT, "data", "standings.json");
 const SCORERS_PATH = path.join(ROOT, "data", "scorers.json");
 const OUT_DIR = path.join(ROOT, "teams");
 
-function safeStr(s) { return String(s ?? "").trim(); }
-function sanitizeId(raw) {
-  return safeStr(raw).toLowerCase().replace(/[^a-z0-9-]/g, "-").replace(/-+/g, "-").replace(/^-|-$/g, "");
-}
-function escXml(s) {
-  return String(s ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&apos;");
-}
 function teamMatch(a, b) {
   if (!a || !b) return false;
   const x = String(a).toLowerCase(); const y = String(b).toLowerCase();
   return x.includes(y) || y.includes(x);
 }
 
-async function readJson(p, fallback) {
-  try { return JSON.parse(await fs.readFile(p, "utf-8")); } catch { return fallback; }
-}
-
 function rfc822(dateInput) {
   if (!dateInput) return new Date().toUTCString();
   const d = new Date(dateInput);
@@ -1,30 +1,22 @@
-// Per-team OG share cards (1200x630 SVG, dependency-free). Mirrors
-// scripts/generate-og-cards.mjs for players. One file per team at
-// /assets/og/team-{slug}.svg, referenced by team page meta tags.
+// Per-team OG share cards (1200x630 SVG and PNG, dependency-free). Mirrors
+// scripts/generate-og-cards.mjs for players. One card per team at
+// /assets/og/team-{slug}.png, referenced by team page meta tags.
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { escXml } from "./lib/html.mjs";
+import { safeStr, sanitizeId } from "./lib/slug.mjs";
+import { num } from "./lib/stats.mjs";
+import { readJson } from "./lib/json-io.mjs";
+import { OG_DIR, fitText, writeCard } from "./lib/og-cards.mjs";
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
 const PLAYERS_PATH = path.join(ROOT, "data", "players.json");
 const STANDINGS_PATH = path.join(ROOT, "data", "standings.json");
 const SCORERS_PATH = path.join(ROOT, "data", "scorers.json");
-const OUT_DIR = path.join(ROOT, "assets", "og");
+const OUT_DIR = path.join(ROOT, OG_DIR);
 
-function safeStr(s) { return String(s ?? "").trim(); }
-function num(v) { return typeof v === "number" && Number.isFinite(v) ? v : 0; }
-function sanitizeId(raw) {
-  return safeStr(raw).toLowerCase().replace(/[^a-z0-9-]/g, "-").replace(/-+/g, "-").replace(/^-|-$/g, "");
-}
-function escXml(s) {
-  return String(s ?? "")
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&apos;");
-}
 function teamMatch(a, b) {
   if (!a || !b) return false;
   const x = String(a).toLowerCase(); const y = String(b).toLowerCase();
@@ -59,8 +51,9 @@ function buildCard(label, standing, topScorers) {
     { label: "GD", value: (standing?.gd ?? standing?.goalDifference) != null ? String(standing.gd ?? standing.goalDifference) : "—" },
   ];
   const scorerLines = (topScorers || []).map((s, i) =>
-    `<text x="60" y="${500 + i * 28}" font-size="20" fill="#cbd5e1">${i + 1}. ${escXml(s.name)} — ${s.goals}g</text>`,
+    `<text x="60" y="${500 + i * 28}" font-size="20" fill="#cbd5e1">${escXml(fitText(`${i + 1}. ${s.name} — ${s.goals}g`, { maxWidth: 1080, fontSize: 20 }).text)}</text>`,
   ).join("");
+  const title = fitText(label, { maxWidth: 1080, fontSize: 72, minFontSize: 44, fontWeight: 700 });
   return `<?xml version="1.0" encoding="UTF-8"?>
 <svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630" role="img" aria-label="PlayersB share card for ${escXml(label)}">
   <defs>
@@ -72,14 +65,15 @@ function buildCard(label, standing, topScorers) {
   <rect width="1200" height="630" fill="url(#bg)"/>
   <g font-family="Inter, system-ui, sans-serif" fill="#f8fafc">
     <text x="60" y="100" font-size="22" font-weight="500" fill="#93c5fd" letter-spacing="2">PLAYERSB · TEAM</text>
-    <text x="60" y="210" font-size="72" font-weight="700">${escXml(label)}</text>
+    <text x="60" y="210" font-size="${title.fontSize}" font-weight="700">${escXml(title.text)}</text>
     ${stats.map((stat, i) => {
       const x = 60 + (i % 4) * 270;
+      const value = fitText(stat.value, { maxWidth: 200, fontSize: 44, minFontSize: 24, fontWeight: 700 });
       return `
     <g transform="translate(${x}, 290)">
       <rect width="240" height="160" rx="16" fill="#0f172a" fill-opacity="0.5" stroke="#1e3a8a" stroke-width="2"/>
       <text x="20" y="50" font-size="16" fill="#93c5fd" letter-spacing="1.5">${escXml(stat.label.toUpperCase())}</text>
-      <text x="20" y="120" font-size="${String(stat.value).length > 12 ? 24 : 44}" font-weight="700">${escXml(stat.value)}</text>
+      <text x="20" y="120" font-size="${value.fontSize}" font-weight="700">${escXml(value.text)}</text>
     </g>`;
     }).join("")}
     ${scorerLines ? `<text x="60" y="475" font-size="20" font-weight="600" fill="#93c5fd" letter-spacing="1.5">TOP SCORERS</text>${scorerLines}` : ""}
@@ -89,10 +83,6 @@ function buildCard(label, standing, topScorers) {
 `;
 }
 
-async function readJson(p, fallback) {
-  try { return JSON.parse(await fs.readFile(p, "utf-8")); } catch { return fallback; }
-}
-
 async function main() {
   const [playersParsed, standingsParsed, scorersParsed] = await Promise.all([
     readJson(PLAYERS_PATH, { players: [] }),
@@ -117,16 +107,16 @@ async function main() {
 
   await fs.mkdir(OUT_DIR, { recursive: true });
   let written = 0;
+  let rendered = 0;
   for (const label of teamLabels) {
     const slug = sanitizeId(label);
     if (!slug) continue;
     const standing = findStanding(label, standingsParsed);
     const scorers = topScorersFor(label, scorersParsed);
-    const svg = buildCard(label, standing, scorers);
-    await fs.writeFile(path.join(OUT_DIR, `team-${slug}.svg`), svg, "utf-8");
+    if (await writeCard(OUT_DIR, `team-${slug}`, buildCard(label, standing, scorers))) rendered += 1;
     written += 1;
   }
-  console.log(`Generated ${written} team OG cards in /assets/og/team-*.svg`);
+  console.log(`Generated ${written} team OG cards in /assets/og/team-*.png (${rendered} rasterized)`);
 }
 
 main().catch((err) => {
@@ -0,0 +1,307 @@
+// Semantic checks on incoming data, run after the fetch/sync steps and
+// before any generator. validate-data only checks shape; this catches values
+// that are well-formed but cannot be true (a table whose points disagree with
+// W/D/L, a finished fixture without a score, 40 goals in 300 minutes).
+//
+// Every issue carries a severity:
+//   - "quarantine": the record is held back. The previous snapshot's version
+//     is kept (or the record is left out if it is new) and the incoming one
+//     goes into the report for review.
+//   - "warn": reported only — used for results corrected after full time and
+//     for bad records that are unchanged since the previous snapshot, since
+//     holding those back would not change what is already published.
+//   - "block": the dataset as a whole looks broken; the run should stop
+//     rather than publish a patched-up version of it.
+//
+// `previous` is the last committed snapshot of each file (or null when there
+// is none); delta rules are skipped without it.
+
+export const LIMITS = {
+  // Per-90 ceilings for season totals; `+ 1` leaves room for a brace off the bench.
+  maxGoalsPer90: 3,
+  maxAssistsPer90: 3,
+  // Largest plausible increase between two runs of the six-hourly cron.
+  maxGoalsDelta: 6,
+  maxAssistsDelta: 6,
+  maxMinutesDelta: 1000,
+  // Outliers among players with enough minutes for a stable rate.
+  zScoreMinMinutes: 450,
+  zScoreThreshold: 5,
+  // A dataset that shrinks below this share of the previous snapshot, or has
+  // more than this share (and at least this many) of its records
+  // quarantined, blocks the run.
+  minCountRatio: 0.5,
+  maxQuarantineShare: 0.25,
+  minQuarantinedToBlock: 4,
+};
+
+const SPLIT_COUNTERS = ["minutes", "goals", "assists", "shots", "shotsOnTarget"];
+const RATE_FIELDS = ["goals", "assists", "shots", "shotsOnTarget"];
+
+const num = (v) => (v === null || v === undefined || v === "" ? null : Number(v));
+
+function issue(dataset, key, rule, message, severity = "quarantine") {
+  return { dataset, key: String(key), rule, message, severity };
+}
+
+export const playerKey = (p) => p?.id;
+export const standingsKey = (competition) => competition;
+export const fixtureKey = (f) => f?.id;
+export const scorerKey = (s) => `${s?.name}::${s?.team}::${s?.competition}`;
+
+// Cross-field rules shared by the flat player fields and each season split.
+function counterIssues(row, label, key) {
+  const out = [];
+  const minutes = num(row?.minutes);
+  const goals = num(row?.goals);
+  const assists = num(row?.assists);
+  const shots = num(row?.shots);
+  const onTarget = num(row?.shotsOnTarget);
+  for (const k of SPLIT_COUNTERS) {
+    const v = num(row?.[k]);
+    if (v !== null && (!Number.isFinite(v) || v < 0)) out.push(issue("players", key, "negative", `${label}${k} is ${row[k]}`));
+  }
+  if (shots !== null && onTarget !== null && onTarget > shots) {
+    out.push(issue("players", key, "shots-on-target", `${label}shotsOnTarget ${onTarget} > shots ${shots}`));
+  }
+  // sync-players-from-fantasy defaults missing shots to 0, so a 0 means
+  // "unknown" here rather than "never shot".
+  if (shots && goals !== null && goals > shots) {
+    out.push(issue("players", key, "goals-vs-shots", `${label}goals ${goals} > shots ${shots}`));
+  }
+  if (minutes !== null && goals !== null && goals > (minutes / 90) * LIMITS.maxGoalsPer90 + 1) {
+    out.push(issue("players", key, "goal-rate", `${label}${goals} goals in ${minutes} minutes`));
+  }
+  if (minutes !== null && assists !== null && assists > (minutes / 90) * LIMITS.maxAssistsPer90 + 1) {
+    out.push(issue("players", key, "assist-rate", `${label}${assists} assists in ${minutes} minutes`));
+  }
+  return out;
+}
+
+function splitDeltaIssues(split, before, key) {
+  const out = [];
+  const label = `${split.season} ${split.competition}: `;
+  for (const k of SPLIT_COUNTERS) {
+    const now = num(split?.[k]);
+    const then = num(before?.[k]);
+    if (now === null || then === null) continue;
+    // Season totals only ever grow; a drop means a bad feed, not a correction.
+    if (now < then) out.push(issue("players", key, "counter-decreased", `${label}${k} fell from ${then} to ${now}`));
+  }
+  const jumps = [
+    ["goals", LIMITS.maxGoalsDelta],
+    ["assists", LIMITS.maxAssistsDelta],
+    ["minutes", LIMITS.maxMinutesDelta],
+  ];
+  for (const [k, max] of jumps) {
+    const delta = (num(split?.[k]) ?? 0) - (num(before?.[k]) ?? 0);
+    if (delta > max) out.push(issue("players", key, "delta", `${label}${k} rose by ${delta} since the last snapshot (max ${max})`));
+  }
+  return out;
+}
+
+// The spread is floored at 10% of the mean: seeded fields are near-constant
+// (every seed row has ~3.2 shots per 90), and a tiny sd would turn the first
+// real value into a huge z.
+export function zScores(values) {
+  const finite = values.filter(Number.isFinite);
+  if (finite.length < 3) return values.map(() => 0);
+  const mean = finite.reduce((s, v) => s + v, 0) / finite.length;
+  const sd = Math.max(Math.sqrt(finite.reduce((s, v) => s + (v - mean) ** 2, 0) / finite.length), Math.abs(mean) * 0.1);
+  return values.map((v) => (Number.isFinite(v) && sd > 0 ? (v - mean) / sd : 0));
+}
+
+export function playerIssues(doc, previousDoc) {
+  const players = Array.isArray(doc?.players) ? doc.players : [];
+  const before = new Map((previousDoc?.players || []).map((p) => [playerKey(p), p]));
+  const out = [];
+
+  for (const player of players) {
+    const key = playerKey(player);
+    out.push(...counterIssues(player, "", key));
+    const prior = before.get(key);
+    const priorSplits = new Map((prior?.seasons || []).map((s) => [`${s.season}::${s.competition}`, s]));
+    for (const split of player?.seasons || []) {
+      out.push(...counterIssues(split, `${split.season} ${split.competition}: `, key));
+      const priorSplit = priorSplits.get(`${split.season}::${split.competition}`);
+      if (priorSplit) out.push(...splitDeltaIssues(split, priorSplit, key));
+    }
+  }
+
+  const eligible = players.filter((p) => num(p?.minutes) >= LIMITS.zScoreMinMinutes);
+  for (const field of RATE_FIELDS) {
+    const rates = eligible.map((p) => (num(p[field]) === null ? NaN : (num(p[field]) / num(p.minutes)) * 90));
+    zScores(rates).forEach((z, i) => {
+      if (Math.abs(z) < LIMITS.zScoreThreshold) return;
+      out.push(
+        issue("players", playerKey(eligible[i]), "z-score", `${field} per 90 ${rates[i].toFixed(2)} is ${z.toFixed(1)} sd from the mean of ${eligible.length} players`)
+      );
+    });
+  }
+  return out;
+}
+
+export function standingsIssues(doc, previousDoc) {
+  const out = [];
+  for (const [competition, rows] of Object.entries(doc?.standings || {})) {
+    const key = standingsKey(competition);
+    const priorRows = new Map((previousDoc?.standings?.[competition] || []).map((r) => [r.team, r]));
+    for (const row of Array.isArray(rows) ? rows : []) {
+      const [w, d, l] = [num(row.won), num(row.draw), num(row.lost)];
+      const [gf, ga] = [num(row.goals), num(row.goalsAgainst)];
+      if (num(row.points) !== 3 * w + d) {
+        out.push(issue("standings", key, "points", `${row.team}: ${row.points} points but 3×${w} + ${d} = ${3 * w + d}`));
+      }
+      if (row.gd !== undefined && row.gd !== null && num(row.gd) !== gf - ga) {
+        out.push(issue("standings", key, "goal-difference", `${row.team}: GD ${row.gd} but ${gf} − ${ga} = ${gf - ga}`));
+      }
+      if (num(row.played) !== w + d + l) {
+        out.push(issue("standings", key, "played", `${row.team}: ${row.played} played but W+D+L = ${w + d + l}`));
+      }
+      const prior = priorRows.get(row.team);
+      // A new season resets `played`; within one, points never go down.
+      if (prior && num(row.played) >= num(prior.played) && num(row.points) < num(prior.points)) {
+        out.push(issue("standings", key, "points-decreased", `${row.team}: points fell from ${prior.points} to ${row.points}`));
+      }
+    }
+  }
+  return out;
+}
+
+export function fixtureIssues(doc, previousDoc) {
+  const out = [];
+  const before = new Map((previousDoc?.fixtures || []).map((f) => [fixtureKey(f), f]));
+  for (const f of Array.isArray(doc?.fixtures) ? doc.fixtures : []) {
+    const key = fixtureKey(f);
+    const label = `${f.home} v ${f.away} (${String(f.date || "").slice(0, 10)})`;
+    if (f.status === "FINISHED" && (f.homeScore === null || f.homeScore === undefined || f.awayScore === null || f.awayScore === undefined)) {
+      out.push(issue("fixtures", key, "finished-without-score", `${label} is FINISHED with no score`));
+    }
+    for (const side of ["homeScore", "awayScore"]) {
+      const v = f[side];
+      if (v !== null && v !== undefined && !(Number.isInteger(v) && v >= 0)) {
+        out.push(issue("fixtures", key, "score", `${label} ${side} is ${JSON.stringify(v)}`));
+      }
+    }
+    const prior = before.get(key);
+    if (prior?.status === "FINISHED" && f.status === "FINISHED" && (prior.homeScore !== f.homeScore || prior.awayScore !== f.awayScore)) {
+      out.push(issue("fixtures", key, "result-changed", `${label} changed from ${prior.homeScore}-${prior.awayScore} to ${f.homeScore}-${f.awayScore} after full time`, "warn"));
+    }
+  }
+  return out;
+}
+
+export function scorerIssues(doc) {
+  const out = [];
+  for (const s of Array.isArray(doc?.scorers) ? doc.scorers : []) {
+    const key = scorerKey(s);
+    const [goals, penalties, played] = [num(s.goals), num(s.penalties), num(s.playedMatches)];
+    if (penalties !== null && goals !== null && penalties > goals) {
+      out.push(issue("scorers", key, "penalties", `${s.name}: ${penalties} penalties > ${goals} goals`));
+    }
+    if (played !== null && goals !== null && goals > played * LIMITS.maxGoalsPer90 + 1) {
+      out.push(issue("scorers", key, "goal-rate", `${s.name}: ${goals} goals in ${played} matches`));
+    }
+  }
+  return out;
+}
+
+// dataset -> how to list its records and key them.
+export const DATASETS = {
+  players: { file: "data/players.json", records: (d) => d?.players || [], key: playerKey },
+  standings: { file: "data/standings.json", records: (d) => Object.keys(d?.standings || {}), key: standingsKey },
+  fixtures: { file: "data/fixtures.json", records: (d) => d?.fixtures || [], key: fixtureKey },
+  scorers: { file: "data/scorers.json", records: (d) => d?.scorers || [], key: scorerKey },
+};
+
+function recordMap(name, doc) {
+  const { records, key } = DATASETS[name];
+  return new Map(records(doc).map((r) => [String(key(r)), r]));
+}
+
+function recordValue(name, doc, key) {
+  if (name === "standings") return doc?.standings?.[key];
+  return recordMap(name, doc).get(key);
+}
+
+// Runs every rule over `current` ({ players, standings, fixtures, scorers }
+// docs) against `previous`. Issues on records that are identical in both
+// snapshots are downgraded to warnings, then dataset-level block rules run.
+export function detectAnomalies(current, previous = {}) {
+  const issues = [
+    ...playerIssues(current.players, previous.players),
+    ...standingsIssues(current.standings, previous.standings),
+    ...fixtureIssues(current.fixtures, previous.fixtures),
+    ...scorerIssues(current.scorers),
+  ];
+
+  for (const item of issues) {
+    if (item.severity !== "quarantine") continue;
+    const now = recordValue(item.dataset, current[item.dataset], item.key);
+    const then = previous[item.dataset] ? recordValue(item.dataset, previous[item.dataset], item.key) : undefined;
+    if (then !== undefined && JSON.stringify(now) === JSON.stringify(then)) {
+      item.severity = "warn";
+      item.message += " (unchanged since the last snapshot)";
+    }
+  }
+
+  for (const name of Object.keys(DATASETS)) {
+    if (!current[name]) continue;
+    const count = DATASETS[name].records(current[name]).length;
+    const priorCount = previous[name] ? DATASETS[name].records(previous[name]).length : 0;
+    if (priorCount && count < priorCount * LIMITS.minCountRatio) {
+      issues.push(issue(name, "*", "count-dropped", `${name} has ${count} records, down from ${priorCount}`, "block"));
+    }
+    const held = new Set(issues.filter((i) => i.dataset === name && i.severity === "quarantine").map((i) => i.key));
+    if (held.size >= LIMITS.minQuarantinedToBlock && held.size > count * LIMITS.maxQuarantineShare) {
+      issues.push(issue(name, "*", "too-many-anomalies", `${held.size} of ${count} ${name} records failed checks`, "block"));
+    }
+  }
+
+  return { issues, blocked: issues.some((i) => i.severity === "block") };
+}
+
+// Holds back every record with a "quarantine" issue: the previous snapshot's
+// version is restored (or the record dropped if it is new). Returns the
+// patched docs plus one report row per held record.
+export function applyQuarantine(current, previous, issues) {
+  const byRecord = new Map();
+  for (const item of issues) {
+    if (item.severity !== "quarantine") continue;
+    const id = `${item.dataset}\0${item.key}`;
+    if (!byRecord.has(id)) byRecord.set(id, { dataset: item.dataset, key: item.key, reasons: [] });
+    byRecord.get(id).reasons.push(`${item.rule}: ${item.message}`);
+  }
+
+  const data = { ...current };
+  const quarantined = [];
+  for (const name of Object.keys(DATASETS)) {
+    const held = [...byRecord.values()].filter((r) => r.dataset === name);
+    if (!held.length || !current[name]) continue;
+    const kept = new Map();
+    for (const r of held) {
+      const prior = previous?.[name] ? recordValue(name, previous[name], r.key) : undefined;
+      kept.set(r.key, prior);
+      quarantined.push({ ...r, action: prior === undefined ? "dropped" : "kept previous", incoming: recordValue(name, current[name], r.key) });
+    }
+    // Records are swapped in place so ordering (table order, kick-off order)
+    // is preserved.
+    const pick = (key, value) => (kept.has(key) ? kept.get(key) : value);
+
+    if (name === "standings") {
+      const standings = {};
+      for (const [competition, rows] of Object.entries(current.standings.standings || {})) {
+        const value = pick(competition, rows);
+        if (value !== undefined) standings[competition] = value;
+      }
+      data.standings = { ...current.standings, standings };
+      continue;
+    }
+    const rows = DATASETS[name]
+      .records(current[name])
+      .map((row) => pick(String(DATASETS[name].key(row)), row))
+      .filter((row) => row !== undefined);
+    data[name] = { ...current[name], [name]: rows };
+  }
+  return { data, quarantined };
+}
@@ -0,0 +1,359 @@
+// Resource builders for the static JSON API under /api/v1/. Each resource
+// mirrors an HTML route and uses the same id/slug, so /players/{id}/ and
+// /api/v1/players/{id}.json always describe the same player:
+//
+//   /api/v1/index.json                  every resource, with hrefs
+//   /api/v1/players/{id}.json           sanitizeId(player.id)
+//   /api/v1/teams/{slug}.json           slugs from lib/teams.mjs collectTeams
+//   /api/v1/competitions/{code}.json    sanitizeId(code), i.e. lower-cased
+//   /api/v1/openapi.json                the OpenAPI document below
+//
+// Resources carry no build timestamps so an unchanged dataset produces
+// byte-identical files (and no commit churn from the data workflow).
+
+import { sanitizeId, safeStr } from "./slug.mjs";
+import { num, per90 } from "./stats.mjs";
+import { careerTotals, latestSeasonTotals, sortedSplits } from "./player-seasons.mjs";
+import { PERCENTILE_METRICS } from "./percentiles.mjs";
+import { findStanding } from "./teams.mjs";
+
+export const API_VERSION = "v1";
+export const API_BASE = `/api/${API_VERSION}`;
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+export const playerHref = (id) => `${API_BASE}/players/${id}.json`;
+export const teamHref = (slug) => `${API_BASE}/teams/${slug}.json`;
+export const competitionHref = (slug) => `${API_BASE}/competitions/${slug}.json`;
+
+export function per90Line(line) {
+  const minutes = num(line?.minutes);
+  return {
+    goals: round4(per90(num(line?.goals), minutes)),
+    assists: round4(per90(num(line?.assists), minutes)),
+    shots: round4(per90(num(line?.shots), minutes)),
+    shotsOnTarget: round4(per90(num(line?.shotsOnTarget), minutes)),
+  };
+}
+
+function statLine(line) {
+  return {
+    minutes: num(line?.minutes),
+    goals: num(line?.goals),
+    assists: num(line?.assists),
+    shots: num(line?.shots),
+    shotsOnTarget: num(line?.shotsOnTarget),
+  };
+}
+
+function standingSummary(row) {
+  if (!row) return null;
+  return {
+    competition: row.competition,
+    position: row.position ?? null,
+    points: row.points ?? null,
+    played: row.played ?? null,
+  };
+}
+
+function playerRef(player) {
+  const id = sanitizeId(player?.id);
+  return { id, name: safeStr(player?.name), url: `/players/${id}/`, href: playerHref(id) };
+}
+
+function teamRef(label, teamSlugs) {
+  const slug = sanitizeId(label);
+  if (!slug || !teamSlugs.has(slug)) return label ? { name: label, slug: null, url: null, href: null } : null;
+  return { name: label, slug, url: `/teams/${slug}/`, href: teamHref(slug) };
+}
+
+function percentilesResource(ranks) {
+  if (!ranks) return null;
+  const metrics = {};
+  for (const { key } of PERCENTILE_METRICS) {
+    const { value, position, all } = ranks.metrics[key];
+    metrics[key] = { value: round4(value), position, all };
+  }
+  return {
+    position: ranks.position,
+    positionCount: ranks.positionCount,
+    allCount: ranks.allCount,
+    minMinutes: ranks.minMinutes,
+    metrics,
+  };
+}
+
+// ctx: { similar: player[], ranks, teamSlugs: Set, standingsParsed }
+export function playerResource(player, { similar = [], ranks = null, teamSlugs = new Set(), standingsParsed = {} } = {}) {
+  const { season, ...latest } = latestSeasonTotals(player);
+  const team = teamRef(safeStr(player?.team), teamSlugs);
+  const career = careerTotals(player);
+  return {
+    ...playerRef(player),
+    position: safeStr(player?.position) || null,
+    team: team && { ...team, standing: standingSummary(findStanding({ label: team.name }, standingsParsed)) },
+    season,
+    totals: statLine(season ? latest : player),
+    per90: per90Line(season ? latest : player),
+    seasons: sortedSplits(player).map((split) => ({
+      season: split.season,
+      competition: split.competition,
+      team: split.team,
+      ...statLine(split),
+      per90: per90Line(split),
+    })),
+    career: { seasons: career.seasons, ...statLine(career), per90: per90Line(career) },
+    percentiles: percentilesResource(ranks),
+    similar: similar.map(playerRef),
+  };
+}
+
+function fixtureResource(f) {
+  const played = typeof f?.homeScore === "number" && typeof f?.awayScore === "number";
+  return {
+    id: f?.id ?? null,
+    date: f?.date || null,
+    status: f?.status || null,
+    competition: f?.competitionCode || f?.competition || null,
+    home: f?.home || "",
+    away: f?.away || "",
+    score: played ? { home: f.homeScore, away: f.awayScore } : null,
+  };
+}
+
+const byDate = (a, b) => String(a?.date).localeCompare(String(b?.date));
+
+// team: one value from collectTeams(); fixtures: rows already matched to it.
+export function teamResource(slug, team, { fixtures = [], validPlayerIds = new Set(), standingsParsed = {} } = {}) {
+  const standing = findStanding(team, standingsParsed);
+  const roster = team.players
+    .filter((p) => safeStr(p?.id) && safeStr(p?.name))
+    .map((p) => {
+      const id = sanitizeId(p.id);
+      const hasProfile = validPlayerIds.has(id);
+      return {
+        id,
+        name: p.name,
+        position: safeStr(p.position) || null,
+        url: hasProfile ? `/players/${id}/` : null,
+        href: hasProfile ? playerHref(id) : null,
+        ...statLine(p),
+        per90: per90Line(p),
+      };
+    })
+    .sort((a, b) => b.minutes - a.minutes || a.name.localeCompare(b.name));
+  const totals = statLine(
+    roster.reduce((acc, p) => {
+      for (const k of Object.keys(acc)) acc[k] += p[k];
+      return acc;
+    }, statLine({}))
+  );
+  return {
+    slug,
+    name: team.label,
+    url: `/teams/${slug}/`,
+    href: teamHref(slug),
+    standing: standing
+      ? {
+          competition: standing.competition,
+          position: standing.position ?? null,
+          played: standing.played ?? null,
+          won: standing.won ?? null,
+          draw: standing.draw ?? null,
+          lost: standing.lost ?? null,
+          goalsFor: standing.goals ?? null,
+          goalsAgainst: standing.goalsAgainst ?? null,
+          goalDifference: standing.gd ?? standing.goalDifference ?? null,
+          points: standing.points ?? null,
+          form: standing.form ?? null,
+        }
+      : null,
+    totals: { players: roster.length, ...totals },
+    roster,
+    fixtures: fixtures.slice().sort(byDate).map(fixtureResource),
+  };
+}
+
+// comp: one value from buildCompetitionsFromLive().
+export function competitionResource(code, comp, { teamSlugs = new Set() } = {}) {
+  const slug = sanitizeId(code);
+  return {
+    slug,
+    code,
+    name: safeStr(comp?.label || code),
+    url: `/competitions/${slug}/`,
+    href: competitionHref(slug),
+    standings: (comp?.standings || []).map((row) => ({
+      position: row.position ?? null,
+      team: teamRef(safeStr(row.team), teamSlugs),
+      played: row.played ?? null,
+      won: row.won ?? null,
+      draw: row.draw ?? null,
+      lost: row.lost ?? null,
+      goalsFor: row.goals ?? null,
+      goalsAgainst: row.goalsAgainst ?? null,
+      goalDifference: row.gd ?? row.goalDifference ?? null,
+      points: row.points ?? null,
+      form: row.form ?? null,
+    })),
+    scorers: (comp?.scorers || []).slice(0, 20).map((row, i) => ({
+      rank: i + 1,
+      player: row.player || row.name || "",
+      team: row.team || "",
+      goals: num(row.goals),
+      assists: typeof row.assists === "number" ? row.assists : null,
+    })),
+    fixtures: (comp?.fixtures || []).slice().sort(byDate).map(fixtureResource),
+  };
+}
+
+// ---- OpenAPI ---------------------------------------------------------------
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (type) => ({ type: [type, "null"] });
+const int = { type: "integer" };
+const str = { type: "string" };
+const object = (properties, extra = {}) => ({ type: "object", properties, required: Object.keys(properties), ...extra });
+
+function getPath(summary, schema, param) {
+  const op = {
+    summary,
+    responses: {
+      200: { description: "OK", content: { "application/json": { schema: ref(schema) } } },
+      404: { description: "No such resource" },
+    },
+  };
+  if (param) op.parameters = [{ name: param, in: "path", required: true, schema: str }];
+  return { get: op };
+}
+
+export function openApiDocument(origin) {
+  const statLine = {
+    minutes: int,
+    goals: int,
+    assists: int,
+    shots: int,
+    shotsOnTarget: int,
+  };
+  const link = { url: str, href: str };
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "PlayersB static API",
+      version: API_VERSION,
+      description:
+        "Read-only JSON files regenerated with the site. Every resource id matches its HTML route: " +
+        "/players/{id}/ ↔ /api/v1/players/{id}.json, and likewise for teams and competitions.",
+    },
+    servers: [{ url: `${origin}${API_BASE}` }],
+    paths: {
+      "/index.json": getPath("List every player, team and competition", "Index"),
+      "/players/{id}.json": getPath("One player", "Player", "id"),
+      "/teams/{slug}.json": getPath("One team", "Team", "slug"),
+      "/competitions/{code}.json": getPath("One competition (lower-case code)", "Competition", "code"),
+    },
+    components: {
+      schemas: {
+        Per90: object({ goals: { type: "number" }, assists: { type: "number" }, shots: { type: "number" }, shotsOnTarget: { type: "number" } }),
+        PlayerRef: object({ id: str, name: str, ...link }),
+        TeamRef: object({ name: str, slug: nullable("string"), url: nullable("string"), href: nullable("string") }),
+        Split: object({ season: str, competition: str, team: str, ...statLine, per90: ref("Per90") }),
+        Percentile: object({ value: { type: "number" }, position: nullable("integer"), all: int }),
+        Fixture: object({
+          id: { type: ["integer", "string", "null"] },
+          date: nullable("string"),
+          status: nullable("string"),
+          competition: nullable("string"),
+          home: str,
+          away: str,
+          score: { oneOf: [{ type: "null" }, object({ home: int, away: int })] },
+        }),
+        Index: object({
+          version: str,
+          dataUpdatedAt: nullable("string"),
+          players: { type: "array", items: object({ id: str, name: str, team: str, position: str, ...link }) },
+          teams: { type: "array", items: object({ slug: str, name: str, ...link }) },
+          competitions: { type: "array", items: object({ slug: str, code: str, name: str, ...link }) },
+          openapi: str,
+        }),
+        Player: object({
+          id: str,
+          name: str,
+          ...link,
+          position: nullable("string"),
+          team: {
+            oneOf: [
+              { type: "null" },
+              {
+                allOf: [
+                  ref("TeamRef"),
+                  object({
+                    standing: {
+                      oneOf: [
+                        { type: "null" },
+                        object({ competition: str, position: nullable("integer"), points: nullable("integer"), played: nullable("integer") }),
+                      ],
+                    },
+                  }),
+                ],
+              },
+            ],
+          },
+          season: nullable("string"),
+          totals: object(statLine),
+          per90: ref("Per90"),
+          seasons: { type: "array", items: ref("Split") },
+          career: object({ seasons: int, ...statLine, per90: ref("Per90") }),
+          percentiles: {
+            oneOf: [
+              { type: "null" },
+              object({
+                position: str,
+                positionCount: int,
+                allCount: int,
+                minMinutes: int,
+                metrics: {
+                  type: "object",
+                  properties: Object.fromEntries(PERCENTILE_METRICS.map(({ key }) => [key, ref("Percentile")])),
+                },
+              }),
+            ],
+          },
+          similar: { type: "array", items: ref("PlayerRef") },
+        }),
+        Team: object({
+          slug: str,
+          name: str,
+          ...link,
+          standing: { oneOf: [{ type: "null" }, { type: "object" }] },
+          totals: object({ players: int, ...statLine }),
+          roster: {
+            type: "array",
+            items: object({
+              id: str,
+              name: str,
+              position: nullable("string"),
+              url: nullable("string"),
+              href: nullable("string"),
+              ...statLine,
+              per90: ref("Per90"),
+            }),
+          },
+          fixtures: { type: "array", items: ref("Fixture") },
+        }),
+        Competition: object({
+          slug: str,
+          code: str,
+          name: str,
+          ...link,
+          standings: { type: "array", items: { type: "object", properties: { position: nullable("integer"), team: ref("TeamRef") } } },
+          scorers: {
+            type: "array",
+            items: object({ rank: int, player: str, team: str, goals: int, assists: nullable("integer") }),
+          },
+          fixtures: { type: "array", items: ref("Fixture") },
+        }),
+      },
+    },
+  };
+}
@@ -0,0 +1,76 @@
+// Position-peer benchmark caps for per-90 rates. generate-players.mjs uses
+// them for the profile stat bars and publishes them as
+// /players/benchmarks.json so the client-side compare radar normalizes
+// against exactly the same ceilings.
+
+import { num, per90 } from "./stats.mjs";
+
+export const BENCHMARK_METRICS = ["g90", "a90", "s90", "sot90"];
+const MIN_MINUTES = 90;
+const MIN_PEERS = 3;
+
+function positionsOf(player) {
+  return String(player?.position || "")
+    .split("/")
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+// Compute position-peer benchmark caps so each player's per-90 rates can
+// render as a visual bar relative to the best-in-position. Falls back to a
+// global max when a position has fewer than 3 peers.
+export function buildBenchmarks(players) {
+  const byPos = new Map();
+  let globalCap = { g90: 0, a90: 0, s90: 0, sot90: 0 };
+  for (const p of players) {
+    const minutes = num(p?.minutes);
+    if (minutes < MIN_MINUTES) continue;
+    const stats = {
+      g90: per90(num(p?.goals), minutes),
+      a90: per90(num(p?.assists), minutes),
+      s90: per90(num(p?.shots), minutes),
+      sot90: per90(num(p?.shotsOnTarget), minutes),
+    };
+    for (const k of Object.keys(stats)) {
+      if (stats[k] > globalCap[k]) globalCap[k] = stats[k];
+    }
+    for (const pos of positionsOf(p)) {
+      const slot = byPos.get(pos) || { g90: 0, a90: 0, s90: 0, sot90: 0, count: 0 };
+      slot.count += 1;
+      for (const k of BENCHMARK_METRICS) {
+        if (stats[k] > slot[k]) slot[k] = stats[k];
+      }
+      byPos.set(pos, slot);
+    }
+  }
+  return { byPos, globalCap };
+}
+
+export function pickPeerCap(player, benchmarks) {
+  for (const pos of positionsOf(player)) {
+    const slot = benchmarks.byPos.get(pos);
+    if (slot && slot.count >= MIN_PEERS) return { source: `${pos} peers`, cap: slot };
+  }
+  return { source: "all players", cap: benchmarks.globalCap };
+}
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+// JSON form of buildBenchmarks() for the browser. Positions below the peer
+// threshold are left out, so a client doing "own position, else global"
+// picks the same cap as pickPeerCap.
+export function serializeBenchmarks(benchmarks) {
+  const capOf = (slot) => Object.fromEntries(BENCHMARK_METRICS.map((k) => [k, round4(slot[k])]));
+  const positions = {};
+  for (const [pos, slot] of [...benchmarks.byPos.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    if (slot.count >= MIN_PEERS) positions[pos] = { count: slot.count, ...capOf(slot) };
+  }
+  return {
+    version: 1,
+    minMinutes: MIN_MINUTES,
+    minPeers: MIN_PEERS,
+    metrics: BENCHMARK_METRICS,
+    global: capOf(benchmarks.globalCap),
+    positions,
+  };
+}
@@ -0,0 +1,169 @@
+// Competition registry (data/competitions.json) and the assembly shared by
+// generate-competitions.mjs, generate-api.mjs and generate-search-index.mjs:
+// one entry per competition code, merged from standings, scorers, fixtures
+// and the fantasy fallback.
+//
+// Every fetcher and generator that needs to know which competitions exist,
+// what a source calls them, or which code a name maps to reads the registry
+// through here. Adding a league is an entry in data/competitions.json:
+//
+//   { code, name, slug, country, tier, type, seasonStartMonth, aliases,
+//     sources: { footballData: { code }, openfootball: { file, seasons },
+//                statsbomb: { competitionId }, clubelo: { country, level } } }
+//
+// A source key that is absent means that source is not used for the
+// competition. openfootball seasons are listed newest first: the archive
+// fetches all of them, the live fallback only the first.
+
+import { safeStr, sanitizeId } from "./slug.mjs";
+import { readJson } from "./json-io.mjs";
+
+export const REGISTRY_PATH = "data/competitions.json";
+
+export const OPENFOOTBALL_BASE = "https://raw.githubusercontent.com/openfootball/football.json/master";
+
+export function createCompetitionRegistry(doc) {
+  const list = (Array.isArray(doc?.competitions) ? doc.competitions : [])
+    .filter((c) => c?.code)
+    .map((c) => ({ ...c, code: String(c.code).toUpperCase(), sources: c.sources || {} }));
+  const byCode = new Map(list.map((c) => [c.code, c]));
+  const byName = new Map();
+  for (const c of list) {
+    for (const name of [c.code, c.name, c.slug, ...(c.aliases || [])]) {
+      const key = sanitizeId(name);
+      if (key && !byName.has(key)) byName.set(key, c);
+    }
+  }
+  return {
+    list,
+    // By code ("PL", case-insensitive).
+    get: (code) => byCode.get(String(code || "").toUpperCase()) || null,
+    // By code, display name, slug or alias, ignoring case and punctuation.
+    find: (name) => byName.get(sanitizeId(name)) || null,
+    // Competitions a source covers, in registry order.
+    withSource: (source) => list.filter((c) => c.sources[source]),
+    // The competition whose `source` entry has `key` equal to `value`
+    // (e.g. "statsbomb", "competitionId", 2).
+    bySourceId: (source, key, value) => list.find((c) => c.sources[source]?.[key] === value) || null,
+  };
+}
+
+export async function loadCompetitionRegistry(filePath = REGISTRY_PATH) {
+  return createCompetitionRegistry(await readJson(filePath, { competitions: [] }));
+}
+
+// { id, code, competition, season, url } per openfootball season file;
+// `latestOnly` keeps the first listed season of each competition.
+export function openfootballSources(registry, { latestOnly = false } = {}) {
+  return registry.withSource("openfootball").flatMap((c) => {
+    const { file, seasons = [] } = c.sources.openfootball;
+    return (latestOnly ? seasons.slice(0, 1) : seasons).map((season) => ({
+      id: `${c.code.toLowerCase()}-${season}`,
+      code: c.code,
+      competition: c.name,
+      season,
+      url: `${OPENFOOTBALL_BASE}/${season}/${file}.json`,
+    }));
+  });
+}
+
+// Code for a competition name; names the registry does not know fall back
+// to their slug upper-cased, which is what the /competitions/ routes have
+// always used.
+export function competitionCode(name, registry) {
+  return registry?.find(name)?.code || sanitizeId(name).toUpperCase();
+}
+
+// registry: createCompetitionRegistry(); registered codes take its display
+// name as their label.
+export function buildCompetitionsFromLive(standingsParsed, fixturesParsed, fantasyParsed, scorersParsed, playersParsed, registry) {
+  const map = new Map();
+  function ensure(code, label) {
+    const upper = code.toUpperCase();
+    if (!map.has(upper)) {
+      map.set(upper, { label: registry?.get(upper)?.name || label || upper, standings: [], scorers: [], fixtures: [] });
+    }
+    return map.get(upper);
+  }
+
+  // Standings: data/standings.json shape is { standings: { "Premier League": [rows] } }.
+  const standingsByName = standingsParsed?.standings && typeof standingsParsed.standings === "object"
+    ? standingsParsed.standings : {};
+  for (const [name, rows] of Object.entries(standingsByName)) {
+    if (!Array.isArray(rows) || !rows.length) continue;
+    const code = competitionCode(name, registry);
+    const target = ensure(code, name);
+    if (!registry?.get(code)) target.label = name;
+    target.standings = rows;
+  }
+
+  // Top scorers: data/scorers.json shape is { scorers: [{name, team, competition, goals, ...}] }.
+  const scorerRows = Array.isArray(scorersParsed?.scorers) ? scorersParsed.scorers : [];
+  for (const row of scorerRows) {
+    const compName = safeStr(row?.competition);
+    if (!compName) continue;
+    const code = competitionCode(compName, registry);
+    const target = ensure(code, compName);
+    target.scorers.push({
+      player: safeStr(row.name),
+      team: safeStr(row.team),
+      goals: Number(row.goals) || 0,
+      assists: row.assists,
+      position: safeStr(row.position),
+    });
+  }
+
+  // Fixtures.
+  const fixtureRows = Array.isArray(fixturesParsed?.fixtures) ? fixturesParsed.fixtures : [];
+  for (const f of fixtureRows) {
+    const compName = safeStr(f?.competition);
+    const code = f?.competitionCode ? String(f.competitionCode).toUpperCase() : competitionCode(compName, registry);
+    if (!code) continue;
+    ensure(code, compName).fixtures.push(f);
+  }
+
+  // Fantasy fallback (covers the synthetic and any code missing from the
+  // live feed).
+  const fantasyRows = Array.isArray(fantasyParsed?.players) ? fantasyParsed.players : [];
+  for (const row of fantasyRows) {
+    const compObj = row?.competition || {};
+    const code = safeStr(compObj.code || compObj.slug || compObj.name || "").toUpperCase();
+    if (!code) continue;
+    const target = ensure(code, safeStr(compObj.name || code));
+    target.scorers.push({
+      player: safeStr(row?.name),
+      team: safeStr(row?.team),
+      goals: Number(row?.goals ?? 0) || 0,
+      assists: row?.assists,
+      position: safeStr(row?.position),
+    });
+  }
+
+  for (const comp of map.values()) {
+    const dedupe = new Map();
+    for (const row of comp.scorers) {
+      const key = `${row.player}::${row.team}`.toLowerCase();
+      if (!dedupe.has(key)) dedupe.set(key, { ...row });
+      else {
+        const existing = dedupe.get(key);
+        if ((row.goals || 0) > (existing.goals || 0)) Object.assign(existing, row);
+      }
+    }
+    comp.scorers = Array.from(dedupe.values())
+      .sort((a, b) => (b.goals || 0) - (a.goals || 0) || String(a.player).localeCompare(String(b.player)));
+  }
+
+  if (!map.size) {
+    const players = Array.isArray(playersParsed?.players) ? playersParsed.players : [];
+    map.set("GLOBAL", {
+      label: "Global players",
+      standings: [],
+      scorers: players
+        .map((p) => ({ player: safeStr(p.name), team: safeStr(p.team), goals: Number(p.goals ?? 0) || 0 }))
+        .sort((a, b) => b.goals - a.goals),
+      fixtures: [],
+    });
+  }
+
+  return Object.fromEntries(map.entries());
+}
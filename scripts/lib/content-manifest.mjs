@@ -0,0 +1,181 @@
+// Content hashes of the crawlable pages, kept in data/content-manifest.json
+// by scripts/generate-content-manifest.mjs. Each build compares every page
+// with the previous build's hash, so a page's `lastmod` only moves when what
+// a reader sees changed. generate-sitemap.mjs writes those dates as
+// <lastmod>, and submit-indexnow.mjs sends the added, changed and removed
+// URLs to IndexNow.
+//
+// The page list is the sitemap's: the fixed core routes plus every
+// directory with an index.html under the dynamic sections.
+
+import { createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const CONTENT_MANIFEST_PATH = "data/content-manifest.json";
+
+export const CORE_PATHS = [
+  "/",
+  "/compare/",
+  "/tools/",
+  "/learn/",
+  "/about/",
+  "/contact/",
+  "/privacy/",
+  "/terms/",
+  "/players/",
+  "/positions/",
+  "/teams/",
+  "/competitions/",
+  "/glossary/",
+  "/legacy/",
+  "/fantasy/",
+  "/embed/",
+  "/embed/player/",
+  "/sports/",
+  "/matches/",
+  "/standings/",
+  "/archive/",
+  "/status/",
+  "/predictions/",
+];
+
+// Directories to enumerate from the filesystem (every subdir containing
+// index.html becomes a page). The filesystem is the source of truth for
+// what's actually crawlable.
+export const FS_SECTIONS = [
+  { dir: "players", maxDepth: 1 },
+  { dir: "teams", maxDepth: 1 },
+  { dir: "positions", maxDepth: 1 },
+  { dir: "competitions", maxDepth: 1 },
+  { dir: "legacy", maxDepth: 1 },
+  { dir: "learn", maxDepth: 1 },
+  { dir: "archive", maxDepth: 2 },
+  { dir: "embed", maxDepth: 1 },
+  { dir: "matches", maxDepth: 1 },
+];
+
+// "/teams/arsenal-fc/" → "teams/arsenal-fc/index.html".
+export const pageFile = (urlPath) => `${urlPath.replace(/^\/+/, "")}index.html`;
+
+async function walkSection(root, dir, maxDepth) {
+  const out = [];
+  async function recurse(rel, depth) {
+    if (depth > maxDepth) return;
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(root, rel), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (!entry.isDirectory()) continue;
+      if (entry.name.startsWith(".") || entry.name === "node_modules") continue;
+      const childRel = path.join(rel, entry.name);
+      const stat = await fs.stat(path.join(root, childRel, "index.html")).catch(() => null);
+      if (stat?.isFile()) out.push(`/${childRel.split(path.sep).join("/")}/`);
+      await recurse(childRel, depth + 1);
+    }
+  }
+  await recurse(dir, 1);
+  return out;
+}
+
+// URL paths of every page, core routes first, without duplicates. Core
+// routes are listed even if their file is missing (as the sitemap always
+// has); the manifest only hashes the ones that exist.
+export async function listSitePages(root) {
+  const seen = new Set(CORE_PATHS);
+  const pages = [...CORE_PATHS];
+  for (const { dir, maxDepth } of FS_SECTIONS) {
+    for (const urlPath of await walkSection(root, dir, maxDepth)) {
+      if (seen.has(urlPath)) continue;
+      seen.add(urlPath);
+      pages.push(urlPath);
+    }
+  }
+  return pages;
+}
+
+// Markup that changes on every data fetch without the page saying anything
+// new, as [pattern, replacement] pairs applied before hashing.
+export const VOLATILE_PATTERNS = [
+  // Provenance tooltips on player pages (generate-players.mjs sourceView):
+  // the fetch time, not the value.
+  [/ data-source-at="[^"]*"/g, ""],
+  [/, fetched \d{4}-\d{2}-\d{2} \d{2}:\d{2} UTC/g, ""],
+  // "Last updated" stamps on /matches/ and match pages; site.js rewrites
+  // them on every poll anyway.
+  [/(<span data-live-updated>)[^<]*/g, "$1"],
+  // "Last updated: …" / "Last refreshed: …" lines on /fantasy/, /standings/
+  // and /archive/.
+  [/(Last (?:updated|refreshed):)[^<·]*/g, "$1"],
+];
+
+export function normalizeForHash(html) {
+  let out = String(html ?? "");
+  for (const [re, replacement] of VOLATILE_PATTERNS) out = out.replace(re, replacement);
+  return out;
+}
+
+export const contentHash = (html) => createHash("sha256").update(normalizeForHash(html)).digest("hex").slice(0, 16);
+
+// URL path → lastmod from a sitemap.xml, for seeding a first manifest.
+export function sitemapLastmods(xml) {
+  const out = {};
+  for (const [, body] of String(xml ?? "").matchAll(/<url>([\s\S]*?)<\/url>/g)) {
+    const loc = body.match(/<loc>([^<]*)<\/loc>/)?.[1];
+    const lastmod = new Date(body.match(/<lastmod>([^<]*)<\/lastmod>/)?.[1] ?? "");
+    if (!loc || Number.isNaN(lastmod.getTime())) continue;
+    try {
+      out[new URL(loc).pathname] = lastmod.toISOString().replace(/\.\d{3}Z$/, "Z");
+    } catch {
+      // not an absolute URL; skip it
+    }
+  }
+  return out;
+}
+
+// The next manifest from the previous one and this build's `hashes`
+// (URL path → hash). Unchanged pages keep their lastmod; added and changed
+// pages get `at`. With no previous manifest there is nothing to compare
+// against: pages take their date from `seed` (sitemapLastmods of the
+// sitemap already published), pages it does not list are new and get `at`,
+// and no changes are reported, so the first build does not resubmit the
+// whole site.
+export function buildContentManifest(previous, hashes, { at = new Date().toISOString(), seed = {} } = {}) {
+  const builtAt = new Date(at).toISOString().replace(/\.\d{3}Z$/, "Z");
+  const before = previous?.pages && typeof previous.pages === "object" ? previous.pages : null;
+  const pages = {};
+  const added = [];
+  const changed = [];
+  for (const urlPath of Object.keys(hashes).sort()) {
+    const hash = hashes[urlPath];
+    const prior = before?.[urlPath];
+    if (!before) {
+      pages[urlPath] = { hash, lastmod: seed[urlPath] ?? builtAt };
+    } else if (!prior) {
+      pages[urlPath] = { hash, lastmod: builtAt };
+      added.push(urlPath);
+    } else if (prior.hash !== hash) {
+      pages[urlPath] = { hash, lastmod: builtAt };
+      changed.push(urlPath);
+    } else {
+      pages[urlPath] = { hash, lastmod: prior.lastmod ?? null };
+    }
+  }
+  const removed = before ? Object.keys(before).filter((p) => !(p in hashes)).sort() : [];
+  return {
+    version: 1,
+    builtAt,
+    changes: { since: before ? previous.builtAt ?? null : null, added, changed, removed },
+    pages,
+  };
+}
+
+// Absolute URLs of everything the last build added, changed or removed.
+export function changedUrls(manifest, origin) {
+  const c = manifest?.changes;
+  if (!c) return [];
+  return [...(c.added || []), ...(c.changed || []), ...(c.removed || [])].map((p) => `${origin}${p}`);
+}
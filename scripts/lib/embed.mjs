@@ -0,0 +1,160 @@
+// Widget payloads for the /embed/ iframes. generate-embed.mjs writes one
+// small JSON file per widget and id, built from the same resources as the
+// JSON API (lib/api.mjs), so a widget never downloads more than it shows
+// and an unknown id is a 404 rather than somebody else's data:
+//
+//   /embed/data/player/{id}.json        PLAYER_METRICS for one player
+//   /embed/data/team/{slug}.json        TEAM_METRICS for one team
+//   /embed/data/standings/{slug}.json   one competition's table
+//   /embed/data/fixtures/{slug}.json    a team's last and next fixtures
+//
+// Each widget page, /embed/{type}/?id=…, renders its payload with
+// assets/js/embed-widget.js. Query options: theme (EMBED_THEMES) for every
+// type, and metrics (comma-separated keys, in display order) for the two
+// types that have them. Payloads carry every metric with its display
+// string; the page picks. Like the API, payloads have no build timestamps.
+
+import { escHtml } from "./html.mjs";
+import { UPCOMING_STATUSES, isFinished, isLive, matchSlug, statusLabel } from "./matches.mjs";
+
+export const EMBED_TYPES = ["player", "team", "standings", "fixtures"];
+export const EMBED_THEMES = ["auto", "light", "dark"];
+export const MAX_METRICS = 6;
+
+export const embedDataHref = (type, id) => `/embed/data/${type}/${id}.json`;
+
+const fixed2 = (n) => (Number.isFinite(n) ? n.toFixed(2) : "0.00");
+const signed = (n) => (n > 0 ? `+${n}` : String(n));
+
+export const PLAYER_METRICS = [
+  { key: "goals", label: "Goals", value: (r) => r.totals.goals },
+  { key: "assists", label: "Assists", value: (r) => r.totals.assists },
+  { key: "minutes", label: "Minutes", value: (r) => r.totals.minutes },
+  { key: "shots", label: "Shots", value: (r) => r.totals.shots },
+  { key: "shotsOnTarget", label: "Shots on target", value: (r) => r.totals.shotsOnTarget },
+  { key: "goalsPer90", label: "Goals / 90", value: (r) => r.per90.goals, display: fixed2 },
+  { key: "assistsPer90", label: "Assists / 90", value: (r) => r.per90.assists, display: fixed2 },
+  { key: "shotsPer90", label: "Shots / 90", value: (r) => r.per90.shots, display: fixed2 },
+];
+export const PLAYER_DEFAULT_METRICS = ["goalsPer90", "assistsPer90", "minutes", "goals"];
+
+export const TEAM_METRICS = [
+  { key: "position", label: "Position", value: (r) => r.standing?.position ?? null },
+  { key: "points", label: "Points", value: (r) => r.standing?.points ?? null },
+  { key: "played", label: "Played", value: (r) => r.standing?.played ?? null },
+  { key: "won", label: "Won", value: (r) => r.standing?.won ?? null },
+  { key: "drawn", label: "Drawn", value: (r) => r.standing?.draw ?? null },
+  { key: "lost", label: "Lost", value: (r) => r.standing?.lost ?? null },
+  { key: "goalDifference", label: "Goal difference", value: (r) => r.standing?.goalDifference ?? null, display: signed },
+  { key: "squadGoals", label: "Squad goals", value: (r) => r.totals.goals },
+];
+export const TEAM_DEFAULT_METRICS = ["position", "points", "played", "goalDifference"];
+
+function metricValues(resource, metrics) {
+  return metrics.map(({ key, label, value, display = String }) => {
+    const v = value(resource);
+    return { key, label, value: v, display: v == null ? "—" : display(v) };
+  });
+}
+
+// Shown on the configurator: [{ key, label }] per type, and the defaults.
+export function metricOptions() {
+  const list = (metrics) => metrics.map(({ key, label }) => ({ key, label }));
+  return {
+    player: { metrics: list(PLAYER_METRICS), defaults: PLAYER_DEFAULT_METRICS },
+    team: { metrics: list(TEAM_METRICS), defaults: TEAM_DEFAULT_METRICS },
+  };
+}
+
+// resource: playerResource() from lib/api.mjs.
+export function playerWidget(resource) {
+  return {
+    type: "player",
+    id: resource.id,
+    name: resource.name,
+    subtitle: [resource.position, resource.team?.name].filter(Boolean).join(" · "),
+    season: resource.season || null,
+    url: resource.url,
+    metrics: metricValues(resource, PLAYER_METRICS),
+    defaultMetrics: PLAYER_DEFAULT_METRICS,
+  };
+}
+
+// resource: teamResource() from lib/api.mjs.
+export function teamWidget(resource) {
+  return {
+    type: "team",
+    id: resource.slug,
+    name: resource.name,
+    subtitle: resource.standing?.competition || "",
+    url: resource.url,
+    form: resource.standing?.form || null,
+    metrics: metricValues(resource, TEAM_METRICS),
+    defaultMetrics: TEAM_DEFAULT_METRICS,
+  };
+}
+
+// resource: competitionResource() from lib/api.mjs.
+export function standingsWidget(resource) {
+  return {
+    type: "standings",
+    id: resource.slug,
+    name: resource.name,
+    url: resource.url,
+    rows: resource.standings.map((row) => ({
+      position: row.position,
+      team: row.team?.name || "",
+      url: row.team?.url || null,
+      played: row.played,
+      goalDifference: row.goalDifference == null ? "—" : signed(row.goalDifference),
+      points: row.points,
+    })),
+  };
+}
+
+function fixtureRow(f) {
+  const id = matchSlug({ id: f.id, home: f.home, away: f.away });
+  return {
+    date: (f.date || "").slice(0, 10),
+    home: f.home,
+    away: f.away,
+    score: f.score ? `${f.score.home}-${f.score.away}` : null,
+    status: statusLabel(f.status),
+    url: id ? `/matches/${id}/` : null,
+  };
+}
+
+// resource: teamResource() from lib/api.mjs (fixtures oldest first). Recent
+// results newest first; live and scheduled fixtures soonest first. Split by
+// status, not by the clock, so the payload only changes with the data.
+export function fixturesWidget(resource, { limit = 5 } = {}) {
+  const fixtures = resource.fixtures || [];
+  return {
+    type: "fixtures",
+    id: resource.slug,
+    name: resource.name,
+    url: resource.url,
+    recent: fixtures.filter(isFinished).slice(-limit).reverse().map(fixtureRow),
+    upcoming: fixtures.filter((f) => isLive(f) || UPCOMING_STATUSES.includes(f.status)).slice(0, limit).map(fixtureRow),
+  };
+}
+
+// /embed/{type}/?id=…[&theme=…][&metrics=…]. Default options are left out.
+export function embedUrl({ type, id, theme = "auto", metrics = null }, origin = "") {
+  const params = new URLSearchParams({ id });
+  if (theme && theme !== "auto") params.set("theme", theme);
+  if (metrics?.length) params.set("metrics", metrics.join(","));
+  return `${origin}/embed/${type}/?${params.toString().replaceAll("%2C", ",")}`;
+}
+
+// Starting iframe heights before the widget reports its own.
+export const EMBED_HEIGHTS = { player: 260, team: 260, standings: 560, fixtures: 440 };
+
+// The copy-paste snippet: the iframe plus the host script that resizes it.
+// assets/js/site.js builds the same markup in the configurator.
+export function embedSnippet({ type, id, title, theme = "auto", metrics = null }, origin) {
+  return [
+    `<iframe src="${escHtml(embedUrl({ type, id, theme, metrics }, origin))}" title="${escHtml(title)}" width="100%" height="${EMBED_HEIGHTS[type]}" style="border:0;max-width:480px;" loading="lazy" data-playersb-embed></iframe>`,
+    `<script async src="${origin}/assets/js/embed.js"></script>`,
+  ].join("\n");
+}
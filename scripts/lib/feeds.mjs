@@ -0,0 +1,324 @@
+// Update feeds built from what actually changed in the data, rather than a
+// list of profiles. scripts/record-feed-events.mjs diffs the incoming data
+// against the last committed snapshot after each fetch and appends what it
+// finds to data/feed-events.json, a rolling log:
+//
+//   goals         a player's goal tally went up
+//   transfer      a player is listed at a different team
+//   result        a fixture went to full time with a score
+//   player-added  a new player profile
+//
+// Each event is stored with its title, summary, page and the feeds it
+// belongs to ("scopes": "site", "player:{slug}", "competition:{slug}",
+// "position:{slug}"), so what was published once reads the same later
+// even if the data moves on. scripts/generate-feed.mjs renders every scope
+// as RSS 2.0 (feed.xml), Atom (feed.atom) and JSON Feed 1.1 (feed.json),
+// next to the page it belongs to, and pages advertise theirs with
+// <link rel="alternate"> (feedLinkTags, used by lib/layout.mjs).
+//
+// Item ids are tag: URIs built from the event's key and the day it was
+// recorded, so a reader never sees the same change twice. An event carrying
+// a `guid` keeps that id instead: the items the profile-list feed published
+// before the log existed were imported as they were, with their page URL as
+// a permalink GUID, so subscribers do not get them again. Feeds carry no
+// build timestamps: a feed's updated time is its newest item's.
+
+import { escHtml, escXml } from "./html.mjs";
+import { safeStr, sanitizeId } from "./slug.mjs";
+import { num } from "./stats.mjs";
+import { isFinished, matchSlug } from "./matches.mjs";
+import { latestSeason, playerSplits } from "./player-seasons.mjs";
+
+const SITE_ORIGIN = "https://playersb.com";
+
+export const FEED_EVENTS_PATH = "data/feed-events.json";
+
+// Roughly two months of a busy match calendar.
+export const DEFAULT_EVENT_LIMIT = 500;
+
+export const SITE_FEED_ITEMS = 50;
+export const ENTITY_FEED_ITEMS = 20;
+
+export const FEED_FORMATS = {
+  rss: { ext: "xml", type: "application/rss+xml" },
+  atom: { ext: "atom", type: "application/atom+xml" },
+  json: { ext: "json", type: "application/feed+json" },
+};
+
+// A feed is { scope, title, description, page, base, formats? }: page is
+// the site-relative page it belongs to and base its files without the
+// extension. `formats` limits the discovery tags (team fixture feeds are
+// RSS only).
+export const SITE_FEED = {
+  scope: "site",
+  title: "PlayersB Updates",
+  description: "Goals, results, transfers and new player profiles on PlayersB.",
+  page: "/",
+  base: "/feed",
+};
+
+const ENTITY_DIRS = { player: "players", competition: "competitions", position: "positions" };
+
+export function entityFeed(kind, slug, label) {
+  const dir = ENTITY_DIRS[kind];
+  if (!dir) throw new Error(`feeds: unknown feed kind "${kind}"`);
+  const nouns = { player: "Goals, transfers", competition: "Results, goals", position: "Goals, transfers" };
+  return {
+    scope: `${kind}:${slug}`,
+    title: `${label} — PlayersB updates`,
+    description: `${nouns[kind]} and other changes for ${label} on PlayersB.`,
+    page: `/${dir}/${slug}/`,
+    base: `/${dir}/${slug}/feed`,
+  };
+}
+
+export const feedHref = (feed, format) => `${feed.base}.${FEED_FORMATS[format].ext}`;
+
+// <link rel="alternate"> tags for the <head>, one per feed and format.
+export function feedLinkTags(feeds) {
+  return feeds
+    .flatMap((feed) => (feed.formats || Object.keys(FEED_FORMATS)).map((format) => {
+      const suffix = format === "rss" ? "" : ` (${format === "atom" ? "Atom" : "JSON Feed"})`;
+      return `<link rel="alternate" type="${FEED_FORMATS[format].type}" title="${escHtml(feed.title + suffix)}" href="${escHtml(feedHref(feed, format))}" />`;
+    }))
+    .join("\n  ");
+}
+
+// "CM/AM" → ["cm", "am"], the slugs generate-positions.mjs uses.
+export function positionSlugs(raw) {
+  return safeStr(raw).split("/").map((p) => sanitizeId(p.trim())).filter(Boolean);
+}
+
+// ---- Diffing snapshots --------------------------------------------------
+
+function playerScopes(slug, player, competitions) {
+  return [
+    "site",
+    `player:${slug}`,
+    ...positionSlugs(player?.position).map((p) => `position:${p}`),
+    ...competitions.map((c) => `competition:${sanitizeId(c)}`),
+  ];
+}
+
+// Competition codes of the latest season's splits whose goals went up, or of
+// every latest-season split when none can be singled out.
+function scoringCompetitions(player, prev) {
+  const season = latestSeason(player);
+  const splits = playerSplits(player).filter((s) => String(s.season) === season && safeStr(s.competition));
+  const before = new Map(playerSplits(prev).map((s) => [`${s.season}::${s.competition}`, num(s.goals)]));
+  const rose = splits.filter((s) => num(s.goals) > (before.get(`${s.season}::${s.competition}`) ?? 0));
+  return [...new Set((rose.length ? rose : splits).map((s) => safeStr(s.competition)))];
+}
+
+function playerEvents(previousDoc, currentDoc, at) {
+  if (!Array.isArray(previousDoc?.players)) return [];
+  const before = new Map(previousDoc.players.map((p) => [sanitizeId(p?.id), p]));
+  const events = [];
+  for (const p of Array.isArray(currentDoc?.players) ? currentDoc.players : []) {
+    const slug = sanitizeId(p?.id);
+    const name = safeStr(p?.name);
+    if (!slug || !name) continue;
+    const prev = before.get(slug);
+    const team = safeStr(p.team);
+    const url = `/players/${slug}/`;
+    if (!prev) {
+      const meta = [safeStr(p.position), team].filter(Boolean).join(" · ");
+      events.push({
+        key: `player-added/${slug}`,
+        type: "player-added",
+        at,
+        title: `New profile: ${name}`,
+        summary: `${name}${meta ? ` (${meta})` : ""} now has a profile on PlayersB.`,
+        url,
+        tags: [team].filter(Boolean),
+        scopes: playerScopes(slug, p, scoringCompetitions(p, null)),
+      });
+      continue;
+    }
+    const from = num(prev.goals);
+    const to = num(p.goals);
+    if (to > from) {
+      const season = latestSeason(p);
+      const added = to - from;
+      events.push({
+        key: `goals/${slug}/${season || "all"}/${to}`,
+        type: "goals",
+        at,
+        title: `${name} reaches ${to} goal${to === 1 ? "" : "s"}`,
+        summary: `${name}${team ? ` (${team})` : ""} scored ${added} more, taking ${season ? `the ${season} tally` : "the tally"} from ${from} to ${to}.`,
+        url,
+        tags: [team, season].filter(Boolean),
+        scopes: playerScopes(slug, p, scoringCompetitions(p, prev)),
+      });
+    }
+    const oldTeam = safeStr(prev.team);
+    if (oldTeam && team && sanitizeId(oldTeam) !== sanitizeId(team)) {
+      events.push({
+        key: `transfer/${slug}/${sanitizeId(oldTeam)}-to-${sanitizeId(team)}`,
+        type: "transfer",
+        at,
+        title: `${name} moves to ${team}`,
+        summary: `${name} is now listed at ${team}, previously ${oldTeam}.`,
+        url,
+        tags: [oldTeam, team],
+        scopes: playerScopes(slug, p, []),
+      });
+    }
+  }
+  return events;
+}
+
+function fixtureEvents(previousDoc, currentDoc, at) {
+  if (!Array.isArray(previousDoc?.fixtures)) return [];
+  const key = (f) => matchSlug(f) || (f?.id != null ? String(f.id) : null);
+  const before = new Map(previousDoc.fixtures.map((f) => [key(f), f]));
+  const events = [];
+  for (const f of Array.isArray(currentDoc?.fixtures) ? currentDoc.fixtures : []) {
+    const id = key(f);
+    const prev = id ? before.get(id) : null;
+    // Only fixtures seen before full time: a finished match that merely
+    // entered the fetch window is old news.
+    if (!prev || isFinished(prev) || !isFinished(f)) continue;
+    if (typeof f.homeScore !== "number" || typeof f.awayScore !== "number") continue;
+    const home = safeStr(f.home);
+    const away = safeStr(f.away);
+    const competition = safeStr(f.competition);
+    const code = safeStr(f.competitionCode);
+    const slug = matchSlug(f);
+    events.push({
+      key: `result/${id}`,
+      type: "result",
+      at,
+      title: `${home} ${f.homeScore}–${f.awayScore} ${away}`,
+      summary: `Full time${competition ? ` in the ${competition}` : ""}: ${home} ${f.homeScore}, ${away} ${f.awayScore}.`,
+      url: slug ? `/matches/${slug}/` : code ? `/competitions/${sanitizeId(code)}/` : "/matches/",
+      tags: [competition, home, away].filter(Boolean),
+      scopes: ["site", ...(code ? [`competition:${sanitizeId(code)}`] : [])],
+    });
+  }
+  return events;
+}
+
+// Events between two snapshots, each { players, fixtures } as in
+// data/players.json and data/fixtures.json. A dataset missing from
+// `previous` produces no events: without a baseline everything would look
+// new.
+export function diffSnapshots(previous, current, { at = new Date().toISOString() } = {}) {
+  return [
+    ...fixtureEvents(previous?.fixtures, current?.fixtures, at),
+    ...playerEvents(previous?.players, current?.players, at),
+  ];
+}
+
+// Returns the log with `events` appended. An event whose key is already in
+// the log keeps its first version (a rerun against the same snapshot finds
+// the same changes); only the newest `limit` events are kept.
+export function appendFeedEvents(log, events, { limit = DEFAULT_EVENT_LIMIT, at = new Date().toISOString() } = {}) {
+  const existing = Array.isArray(log?.events) ? log.events : [];
+  const seen = new Set(existing.map((e) => e?.key));
+  const merged = [...existing];
+  for (const e of events) {
+    if (!e?.key || seen.has(e.key)) continue;
+    seen.add(e.key);
+    merged.push(e);
+  }
+  merged.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+  const keep = Math.max(1, Number(limit) || DEFAULT_EVENT_LIMIT);
+  return { version: 1, limit: keep, since: log?.since || at, events: merged.slice(-keep) };
+}
+
+// ---- Rendering ----------------------------------------------------------
+
+export function eventGuid(event) {
+  if (event.guid) return event.guid;
+  return `tag:playersb.com,${String(event.at).slice(0, 10)}:${event.key}`;
+}
+
+// Newest first; ties keep a stable order.
+export function feedItems(events, scope, { limit = ENTITY_FEED_ITEMS } = {}) {
+  return (Array.isArray(events) ? events : [])
+    .filter((e) => e?.key && Array.isArray(e.scopes) && e.scopes.includes(scope))
+    .sort((a, b) => Date.parse(b.at) - Date.parse(a.at) || String(a.key).localeCompare(String(b.key)))
+    .slice(0, limit);
+}
+
+// Newest item's time, else when the log started.
+const updatedAt = (items, since) => items[0]?.at || since || "1970-01-01T00:00:00.000Z";
+const abs = (href) => `${SITE_ORIGIN}${href}`;
+const rfc822 = (iso) => new Date(iso).toUTCString();
+
+export function renderRss(feed, items, { since } = {}) {
+  const entries = items.map((e) => `    <item>
+      <title>${escXml(e.title)}</title>
+      <link>${escXml(abs(e.url))}</link>
+      <guid isPermaLink="${e.guid ? "true" : "false"}">${escXml(eventGuid(e))}</guid>
+      <pubDate>${escXml(rfc822(e.at))}</pubDate>
+      <description>${escXml(e.summary)}</description>
+${(e.tags || []).map((t) => `      <category>${escXml(t)}</category>\n`).join("")}    </item>
+`).join("");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escXml(feed.title)}</title>
+    <link>${escXml(abs(feed.page))}</link>
+    <atom:link href="${escXml(abs(feedHref(feed, "rss")))}" rel="self" type="application/rss+xml" />
+    <description>${escXml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${escXml(rfc822(updatedAt(items, since)))}</lastBuildDate>
+${entries}  </channel>
+</rss>
+`;
+}
+
+export function renderAtom(feed, items, { since } = {}) {
+  const entries = items.map((e) => `  <entry>
+    <id>${escXml(eventGuid(e))}</id>
+    <title>${escXml(e.title)}</title>
+    <link rel="alternate" type="text/html" href="${escXml(abs(e.url))}" />
+    <published>${escXml(e.at)}</published>
+    <updated>${escXml(e.at)}</updated>
+    <summary>${escXml(e.summary)}</summary>
+${(e.tags || []).map((t) => `    <category term="${escXml(t)}" />\n`).join("")}  </entry>
+`).join("");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">
+  <id>${escXml(abs(feedHref(feed, "atom")))}</id>
+  <title>${escXml(feed.title)}</title>
+  <subtitle>${escXml(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escXml(abs(feedHref(feed, "atom")))}" />
+  <link rel="alternate" type="text/html" href="${escXml(abs(feed.page))}" />
+  <updated>${escXml(updatedAt(items, since))}</updated>
+  <author><name>PlayersB</name><uri>${SITE_ORIGIN}/</uri></author>
+${entries}</feed>
+`;
+}
+
+export function renderJsonFeed(feed, items) {
+  return `${JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: abs(feed.page),
+    feed_url: abs(feedHref(feed, "json")),
+    description: feed.description,
+    language: "en",
+    authors: [{ name: "PlayersB", url: `${SITE_ORIGIN}/` }],
+    items: items.map((e) => ({
+      id: eventGuid(e),
+      url: abs(e.url),
+      title: e.title,
+      content_text: e.summary,
+      date_published: e.at,
+      ...(e.tags?.length ? { tags: e.tags } : {}),
+    })),
+  }, null, 2)}\n`;
+}
+
+// { rss, atom, json } file contents for one feed.
+export function renderFeed(feed, events, { since, limit } = {}) {
+  const items = feedItems(events, feed.scope, { limit });
+  return {
+    rss: renderRss(feed, items, { since }),
+    atom: renderAtom(feed, items, { since }),
+    json: renderJsonFeed(feed, items),
+  };
+}
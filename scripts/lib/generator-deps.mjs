@@ -0,0 +1,233 @@
+// Dependency manifest for scripts/generate-all.mjs. Maps each generator to
+// the data/*.json and templates/*.html files it reads (`inputs`) and the
+// paths it writes (`outputs`). generate-all hashes the inputs — plus the
+// generator script itself and everything under scripts/lib/ — and skips a
+// generator whose hash matches the previous run and whose outputs exist.
+//
+// An input ending in "/" stands for every file below that directory (used for
+// templates/partials/, which the template engine includes by name).
+//
+// `env` lists the environment variables a generator reads; their values are
+// hashed with the inputs, so changing one (e.g. PERCENTILE_MIN_MINUTES) also
+// triggers a rebuild.
+//
+// `inputs: null` marks generators that walk the emitted filesystem rather
+// than data files (content manifest, sitemap, search index, service-worker
+// manifest); those
+// always run.
+//
+// Keep this in sync when a generator starts reading a new file or variable,
+// otherwise a change to it will not trigger a rebuild (until `--force`).
+
+export const GENERATOR_DEPS = {
+  "scripts/generate-core.mjs": {
+    inputs: ["data/learn-topics.json", "templates/layout.html"],
+    outputs: ["index.html", "tools/index.html", "learn/index.html", "about/index.html", "offline/index.html"],
+  },
+  "scripts/generate-players.mjs": {
+    inputs: [
+      "data/players.json",
+      "data/player-enrichment.json",
+      "templates/layout.html",
+      "templates/player.html",
+      "templates/partials/",
+    ],
+    env: ["PERCENTILE_MIN_MINUTES"],
+    outputs: ["players"],
+  },
+  "scripts/generate-positions.mjs": {
+    inputs: ["data/players.json", "templates/layout.html"],
+    outputs: ["positions"],
+  },
+  "scripts/generate-teams.mjs": {
+    inputs: [
+      "data/players.json",
+      "data/fixtures.json",
+      "data/standings.json",
+      "data/scorers.json",
+      "data/fantasy.json",
+      "data/archive.json",
+      "data/team-aliases.json",
+      "templates/layout.html",
+      "templates/team.html",
+      "templates/partials/",
+    ],
+    outputs: ["teams/index.html"],
+  },
+  "scripts/generate-competitions.mjs": {
+    inputs: [
+      "data/players.json",
+      "data/standings.json",
+      "data/fixtures.json",
+      "data/fantasy.json",
+      "data/scorers.json",
+      "data/competitions.json",
+      "templates/layout.html",
+      "templates/competition.html",
+      "templates/partials/",
+    ],
+    outputs: ["competitions"],
+  },
+  "scripts/generate-api.mjs": {
+    inputs: [
+      "data/players.json",
+      "data/fixtures.json",
+      "data/standings.json",
+      "data/scorers.json",
+      "data/fantasy.json",
+      "data/competitions.json",
+    ],
+    env: ["PERCENTILE_MIN_MINUTES"],
+    outputs: ["api/v1"],
+  },
+  "scripts/generate-learn-topics.mjs": {
+    inputs: ["data/learn-topics.json", "data/glossary.json", "templates/layout.html"],
+    outputs: ["learn"],
+  },
+  "scripts/generate-glossary.mjs": {
+    inputs: ["data/glossary.json", "templates/layout.html"],
+    outputs: ["glossary/index.html"],
+  },
+  "scripts/generate-feed.mjs": {
+    inputs: [
+      "data/feed-events.json",
+      "data/players.json",
+      "data/standings.json",
+      "data/fixtures.json",
+      "data/fantasy.json",
+      "data/scorers.json",
+      "data/competitions.json",
+    ],
+    outputs: ["feed.xml", "feed.atom", "feed.json"],
+  },
+  "scripts/generate-legacy.mjs": {
+    inputs: ["data/legacy-players.json", "templates/layout.html"],
+    outputs: ["legacy"],
+  },
+  "scripts/generate-fantasy.mjs": {
+    inputs: ["data/players.json", "data/fantasy.json", "data/standings.json", "templates/layout.html"],
+    outputs: ["fantasy/index.html"],
+  },
+  "scripts/generate-embed.mjs": {
+    inputs: [
+      "data/players.json",
+      "data/fixtures.json",
+      "data/standings.json",
+      "data/scorers.json",
+      "data/fantasy.json",
+      "data/competitions.json",
+      "templates/layout.html",
+    ],
+    outputs: ["embed"],
+  },
+  "scripts/generate-sports.mjs": {
+    inputs: ["templates/layout.html"],
+    outputs: ["sports/index.html"],
+  },
+  "scripts/generate-matches.mjs": {
+    inputs: ["data/fixtures.json", "data/archive.json", "data/team-aliases.json"],
+    env: ["OUT_DIR"],
+    outputs: ["matches/index.html"],
+  },
+  "scripts/generate-match-pages.mjs": {
+    inputs: [
+      "data/fixtures.json",
+      "data/standings.json",
+      "data/archive.json",
+      "data/team-aliases.json",
+      "templates/layout.html",
+      "templates/match.html",
+      "templates/partials/",
+    ],
+    outputs: ["matches"],
+  },
+  "scripts/generate-standings.mjs": {
+    inputs: ["data/standings.json"],
+    env: ["OUT_DIR"],
+    outputs: ["standings/index.html"],
+  },
+  "scripts/generate-archive.mjs": {
+    inputs: [
+      "data/archive.json",
+      "data/team-aliases.json",
+      "data/competitions.json",
+      "data/points-deductions.json",
+      "templates/layout.html",
+      "templates/archive-h2h.html",
+      "templates/archive-competition.html",
+      "templates/partials/",
+    ],
+    outputs: ["archive"],
+  },
+  "scripts/generate-og-cards.mjs": {
+    inputs: ["data/players.json", "og-image.svg"],
+    outputs: ["assets/og", "og-image.png"],
+  },
+  "scripts/generate-team-og-cards.mjs": {
+    inputs: ["data/players.json", "data/standings.json", "data/scorers.json"],
+    outputs: ["assets/og"],
+  },
+  "scripts/generate-competition-og-cards.mjs": {
+    inputs: [
+      "data/players.json",
+      "data/standings.json",
+      "data/fixtures.json",
+      "data/fantasy.json",
+      "data/scorers.json",
+      "data/competitions.json",
+    ],
+    outputs: ["assets/og"],
+  },
+  "scripts/generate-match-og-cards.mjs": {
+    inputs: ["data/fixtures.json"],
+    outputs: ["assets/og"],
+  },
+  "scripts/generate-team-feeds.mjs": {
+    inputs: ["data/players.json", "data/fixtures.json", "data/standings.json", "data/scorers.json"],
+    outputs: ["teams"],
+  },
+  "scripts/generate-calendars.mjs": {
+    inputs: [
+      "data/players.json",
+      "data/standings.json",
+      "data/fixtures.json",
+      "data/fantasy.json",
+      "data/scorers.json",
+      "data/competitions.json",
+    ],
+    outputs: ["teams", "competitions"],
+  },
+  "scripts/generate-llms-full.mjs": {
+    inputs: [
+      "data/players.json",
+      "data/legacy-players.json",
+      "data/fantasy.json",
+      "data/fixtures.json",
+      "data/standings.json",
+      "data/scorers.json",
+      "data/competitions.json",
+      "data/archive.json",
+      "data/glossary.json",
+      "data/learn-topics.json",
+      "data/player-enrichment.json",
+      "data/health.json",
+    ],
+    outputs: ["llms-full.txt"],
+  },
+  "scripts/generate-status.mjs": {
+    inputs: ["data/health.json", "data/health-history.json", "templates/layout.html"],
+    outputs: ["status/index.html"],
+  },
+  "scripts/generate-predictions.mjs": {
+    inputs: ["data/archive.json", "data/fixtures.json", "data/team-aliases.json", "templates/layout.html"],
+    outputs: ["predictions/index.html"],
+  },
+  "scripts/generate-players-index.mjs": {
+    inputs: ["data/players.json", "templates/layout.html"],
+    outputs: ["players/index.html"],
+  },
+  "scripts/generate-content-manifest.mjs": { inputs: null, outputs: ["data/content-manifest.json"] },
+  "scripts/generate-sitemap.mjs": { inputs: null, outputs: ["sitemap.xml"] },
+  "scripts/generate-search-index.mjs": { inputs: null, outputs: ["data/search-index.json"] },
+  "scripts/generate-sw-manifest.mjs": { inputs: null, outputs: ["sw-manifest.js"] },
+};
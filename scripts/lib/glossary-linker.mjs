@@ -5,6 +5,7 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { sanitizeId as slugify } from "./slug.mjs";
 
 const DEFAULT_PATH = path.join(process.cwd(), "data", "glossary.json");
 
@@ -12,13 +13,6 @@ function escapeRegex(s) {
   return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
-function slugify(s) {
-  return String(s)
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
 export async function loadGlossaryLinker(filePath = DEFAULT_PATH) {
   let raw;
   try {
@@ -0,0 +1,143 @@
+// Head-to-head records from data/archive.json, shared by the
+// /archive/h2h/{pair}/ pages (generate-archive.mjs) and the meetings card on
+// /matches/{id}/ (generate-match-pages.mjs).
+//
+// Team names go through lib/team-names.mjs, so every spelling of a club
+// counts towards one record. A season both StatsBomb and openfootball cover
+// lists each match twice; one copy per date and pair is kept, StatsBomb's
+// first.
+
+import { createTeamLabeler, createTeamNameRegistry } from "./team-names.mjs";
+
+// "{a}-vs-{b}" with the two team slugs in sort order, so a pair has one URL
+// whichever side was at home.
+export function pairSlug(a, b) {
+  return a < b ? `${a}-vs-${b}` : `${b}-vs-${a}`;
+}
+
+// [home, away] goals from either source's shape, or null when unscored.
+export function archiveScore(m) {
+  if (typeof m?.homeScore === "number" && typeof m?.awayScore === "number") return [m.homeScore, m.awayScore];
+  const parsed = String(m?.score || "").match(/^(\d+)-(\d+)$/);
+  return parsed ? [Number(parsed[1]), Number(parsed[2])] : null;
+}
+
+// Every scored archive match, oldest first:
+// [{ date, competition, season, archiveUrl, stage, home, away, homeScore, awayScore }]
+// where home/away are team slugs. `labeler` (lib/team-names.mjs) is told
+// every spelling that was kept.
+export function archiveMeetings(archive, names = createTeamNameRegistry(), labeler = null) {
+  const seen = new Set();
+  const out = [];
+  for (const source of ["statsbomb", "openfootball"]) {
+    for (const entry of archive?.entries || []) {
+      for (const m of entry?.matches?.[source] || []) {
+        const score = archiveScore(m);
+        if (!score || !m?.date || !m?.homeTeam || !m?.awayTeam) continue;
+        const home = names.slug(m.homeTeam);
+        const away = names.slug(m.awayTeam);
+        if (!home || !away || home === away) continue;
+        const key = `${m.date}|${pairSlug(home, away)}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        labeler?.add(home, m.homeTeam);
+        labeler?.add(away, m.awayTeam);
+        out.push({
+          date: m.date,
+          competition: entry.competition?.name || "",
+          season: entry.season?.name || "",
+          archiveUrl: entry.competition?.slug && entry.season?.slug ? `/archive/${entry.competition.slug}/${entry.season.slug}/` : null,
+          stage: m.stage || m.group || "",
+          home,
+          away,
+          homeScore: score[0],
+          awayScore: score[1],
+        });
+      }
+    }
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Index of every pair that has met. `names` is a lib/team-names.mjs
+// registry (rules only when omitted).
+//
+//   index.pairs          Map<pairSlug, { slug, teams: [a, b], meetings }>
+//   index.label(slug)    registry name, else the spelling the archive uses most
+//   index.slug(name)     the team slug for any spelling
+//   index.find(x, y)     the pair for two team names in any spelling, or null
+export function createHeadToHeadIndex(archive, names = createTeamNameRegistry()) {
+  const labeler = createTeamLabeler(names);
+  const pairs = new Map();
+  for (const m of archiveMeetings(archive, names, labeler)) {
+    const slug = pairSlug(m.home, m.away);
+    if (!pairs.has(slug)) pairs.set(slug, { slug, teams: [m.home, m.away].sort(), meetings: [] });
+    pairs.get(slug).meetings.push(m);
+  }
+  return {
+    pairs,
+    label: labeler.label,
+    slug: names.slug,
+    find: (x, y) => {
+      const a = names.slug(x);
+      const b = names.slug(y);
+      return a && b && a !== b ? pairs.get(pairSlug(a, b)) || null : null;
+    },
+  };
+}
+
+function resultFor(goalsFor, goalsAgainst) {
+  if (goalsFor > goalsAgainst) return "W";
+  if (goalsFor < goalsAgainst) return "L";
+  return "D";
+}
+
+// Aggregate record for one pair, from the side of `pair.teams[0]` and
+// `pair.teams[1]`: wins, goals, record as the home side, and the three
+// widest winning margins each.
+export function pairSummary(pair, { biggestWins = 3 } = {}) {
+  const side = (slug) => ({
+    slug,
+    wins: 0,
+    goals: 0,
+    home: { played: 0, won: 0, draw: 0, lost: 0 },
+    biggestWins: [],
+  });
+  const [a, b] = pair.teams.map(side);
+  const bySlug = { [a.slug]: a, [b.slug]: b };
+  let draws = 0;
+  for (const m of pair.meetings) {
+    const home = bySlug[m.home];
+    const away = bySlug[m.away];
+    home.goals += m.homeScore;
+    away.goals += m.awayScore;
+    const result = resultFor(m.homeScore, m.awayScore);
+    home.home.played += 1;
+    if (result === "W") {
+      home.wins += 1;
+      home.home.won += 1;
+      home.biggestWins.push(m);
+    } else if (result === "L") {
+      away.wins += 1;
+      home.home.lost += 1;
+      away.biggestWins.push(m);
+    } else {
+      draws += 1;
+      home.home.draw += 1;
+    }
+  }
+  const margin = (m) => Math.abs(m.homeScore - m.awayScore);
+  for (const t of [a, b]) {
+    t.biggestWins = t.biggestWins
+      .sort((x, y) => margin(y) - margin(x) || (y.homeScore + y.awayScore) - (x.homeScore + x.awayScore) || y.date.localeCompare(x.date))
+      .slice(0, biggestWins);
+  }
+  const meetings = pair.meetings;
+  return {
+    played: meetings.length,
+    draws,
+    teams: [a, b],
+    first: meetings[0]?.date || null,
+    last: meetings[meetings.length - 1]?.date || null,
+  };
+}
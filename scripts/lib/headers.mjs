@@ -0,0 +1,79 @@
+// Reader for the _headers file (Cloudflare Pages format), so the quality gate
+// can check the headers a route actually gets rather than what one block
+// says. Resolution follows the host: every block whose pattern matches the
+// path applies, in file order; a header set by two blocks is sent once with
+// both values joined by ", "; a "! Name" line detaches that header as set by
+// the earlier blocks, which is how /embed/* replaces the site-wide framing
+// rules instead of adding a second policy next to them.
+//
+// Patterns: "*" matches any run of characters (including "/"), ":name"
+// matches one path segment.
+
+export const HEADERS_PATH = "_headers";
+
+function patternRegex(pattern) {
+  const source = pattern
+    .split(/(\*|:[A-Za-z]\w*)/)
+    .map((part) => {
+      if (part === "*") return ".*";
+      if (part.startsWith(":") && part.length > 1) return "[^/]+";
+      return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+// [{ pattern, test(pathname), lines: [{ name, value } | { detach: name }] }]
+export function parseHeaders(text) {
+  const rules = [];
+  let current = null;
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) continue;
+    if (!/^\s/.test(raw)) {
+      const re = patternRegex(line);
+      current = { pattern: line, test: (p) => re.test(p), lines: [] };
+      rules.push(current);
+      continue;
+    }
+    if (!current) throw new Error(`_headers: header line "${line}" before any path`);
+    if (line.startsWith("!")) {
+      current.lines.push({ detach: line.slice(1).trim().toLowerCase() });
+      continue;
+    }
+    const colon = line.indexOf(":");
+    if (colon < 1) throw new Error(`_headers: malformed line "${line}" under ${current.pattern}`);
+    current.lines.push({ name: line.slice(0, colon).trim().toLowerCase(), value: line.slice(colon + 1).trim() });
+  }
+  return rules;
+}
+
+// Map<lower-case header name, value> for one request path.
+export function headersFor(rules, pathname) {
+  const out = new Map();
+  for (const rule of rules) {
+    if (!rule.test(pathname)) continue;
+    // Detaches apply to what earlier blocks set, not to this block's own lines.
+    for (const line of rule.lines) if (line.detach) out.delete(line.detach);
+    for (const line of rule.lines) {
+      if (line.detach) continue;
+      out.set(line.name, out.has(line.name) ? `${out.get(line.name)}, ${line.value}` : line.value);
+    }
+  }
+  return out;
+}
+
+// Whether a page served with `headers` can be framed by any other site.
+// X-Frame-Options in any form forbids it; so does any Content-Security-Policy
+// (joined policies are each enforced) whose frame-ancestors is not "*".
+export function allowsCrossOriginFraming(headers) {
+  if (headers.has("x-frame-options")) return false;
+  for (const policy of (headers.get("content-security-policy") || "").split(",")) {
+    const directive = policy
+      .split(";")
+      .map((d) => d.trim().split(/\s+/))
+      .find(([name]) => name?.toLowerCase() === "frame-ancestors");
+    if (directive && !directive.slice(1).includes("*")) return false;
+  }
+  return true;
+}
@@ -0,0 +1,88 @@
+// Rolling history of data/health.json snapshots, kept in
+// data/health-history.json so the /status/ page can show when a source
+// started failing instead of only the latest run.
+//
+// Each entry is a compact summary of one health run: per-dataset freshness,
+// the status string of every source behind each dataset (keyed
+// "dataset/source", since e.g. footballData can be "ok" for fixtures and
+// "fallback" for fantasy in the same run) and the headline metrics.
+
+export const HISTORY_PATH = "data/health-history.json";
+
+// Roughly 30 days of the six-hourly update-data cron.
+export const DEFAULT_HISTORY_LIMIT = 120;
+
+export function healthSnapshot(health) {
+  const datasets = {};
+  const sources = {};
+  for (const [name, d] of Object.entries(health?.datasets || {})) {
+    datasets[name] = {
+      count: Number(d?.count) || 0,
+      staleHours: Number.isFinite(d?.staleHours) ? d.staleHours : null,
+      freshness: d?.freshness || null,
+    };
+    for (const [source, meta] of Object.entries(d?.sourceStatus || {})) {
+      if (meta?.status) sources[`${name}/${source}`] = String(meta.status);
+    }
+  }
+  return {
+    at: health?.generatedAt || new Date().toISOString(),
+    status: health?.status || "unknown",
+    critical: Array.isArray(health?.criticalIssues) ? health.criticalIssues.length : 0,
+    warnings: Array.isArray(health?.warnings) ? health.warnings.length : 0,
+    metrics: { ...(health?.metrics || {}) },
+    datasets,
+    sources,
+  };
+}
+
+// Returns the history document with `health` appended. A rerun with the same
+// generatedAt replaces its entry; only the newest `limit` entries are kept.
+export function appendHealthHistory(history, health, { limit = DEFAULT_HISTORY_LIMIT } = {}) {
+  const entry = healthSnapshot(health);
+  const entries = (Array.isArray(history?.entries) ? history.entries : []).filter((e) => e?.at && e.at !== entry.at);
+  entries.push(entry);
+  entries.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+  const keep = Math.max(1, Number(limit) || DEFAULT_HISTORY_LIMIT);
+  return { version: 1, limit: keep, entries: entries.slice(-keep) };
+}
+
+// Current run of identical statuses for every source present in the newest
+// entry: how many consecutive runs it has held, when it started, and the
+// last run (within retention) where the source was "ok".
+export function sourceStreaks(entries) {
+  const list = Array.isArray(entries) ? entries : [];
+  const latest = list[list.length - 1];
+  if (!latest) return [];
+  return Object.keys(latest.sources || {})
+    .sort()
+    .map((key) => {
+      const status = latest.sources[key];
+      let runs = 0;
+      let since = latest.at;
+      for (let i = list.length - 1; i >= 0; i -= 1) {
+        if (list[i]?.sources?.[key] !== status) break;
+        runs += 1;
+        since = list[i].at;
+      }
+      let lastOk = null;
+      for (let i = list.length - 1; i >= 0; i -= 1) {
+        if (list[i]?.sources?.[key] === "ok") {
+          lastOk = list[i].at;
+          break;
+        }
+      }
+      const [dataset, source] = key.split("/");
+      return { key, dataset, source, status, runs, since, lastOk, history: list.map((e) => e?.sources?.[key] ?? null) };
+    });
+}
+
+// Player-enrichment coverage (enriched / total players) per entry, in
+// percent; null where the run had no players.
+export function enrichmentCoverage(entries) {
+  return (Array.isArray(entries) ? entries : []).map((e) => {
+    const players = Number(e?.metrics?.players) || 0;
+    if (!players) return null;
+    return Math.round(((Number(e?.metrics?.playerEnrichment) || 0) / players) * 1000) / 10;
+  });
+}
@@ -0,0 +1,22 @@
+// HTML/XML escaping shared by every generator. One implementation so an
+// attribute value escapes the same way on /players/, /teams/ and in feeds.
+
+export function escHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+// XML flavour for RSS, sitemap and SVG output: `&apos;` is a predefined XML
+// entity, while `&#39;` is not valid in every XML consumer we feed.
+export function escXml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&apos;");
+}
@@ -0,0 +1,157 @@
+// HTTP for the fetch-* scripts: one implementation of timeouts, retries
+// (429 with Retry-After, 5xx, network errors) and the record/replay layer
+// that scripts/test/fetchers.test.mjs runs them against.
+//
+//   HTTP_MODE=live      the network (default)
+//   HTTP_MODE=record    the network, appending every exchange to HTTP_CASSETTE
+//   HTTP_MODE=replay    HTTP_CASSETTE only; a request it does not list fails
+//                       like an unreachable host
+//   HTTP_TIMEOUT_MS     per-request timeout (default 30000)
+//   HTTP_BACKOFF_SCALE  multiplies every retry wait; the tests set 0 so a
+//                       Retry-After is logged but not slept
+//   HTTP_MAX_RETRY_AFTER_MS  longest Retry-After worth waiting for (default
+//                       120000); a 429 asking for more fails at once rather
+//                       than sleeping past the workflow's timeout
+//
+// A cassette is { interactions: [{ request: { method, url }, response }] }
+// where response is { status, headers, body } (body: the raw text, or any
+// JSON value) or { error: "timeout" | "network" }. Interactions are used once each, in order, so a 429 can be
+// followed by a 200 for the same URL; `"times": n` reuses one n times and
+// `"repeat": true` forever. A request url ending in "*" matches by prefix
+// (for URLs carrying today's date or a long query).
+
+import fs from "node:fs";
+import path from "node:path";
+
+const MODE = process.env.HTTP_MODE || "live";
+const CASSETTE = process.env.HTTP_CASSETTE ? path.resolve(process.env.HTTP_CASSETTE) : null;
+const TIMEOUT_MS = Number(process.env.HTTP_TIMEOUT_MS || 30000);
+const BACKOFF_SCALE = Number(process.env.HTTP_BACKOFF_SCALE ?? 1);
+const MAX_RETRY_AFTER_MS = Number(process.env.HTTP_MAX_RETRY_AFTER_MS || 120000);
+
+if (MODE !== "live" && !CASSETTE) {
+  throw new Error(`HTTP_MODE=${MODE} needs HTTP_CASSETTE`);
+}
+
+export const sleep = (ms) => new Promise((r) => setTimeout(r, ms * BACKOFF_SCALE));
+
+function httpError(message, { url, status = null, kind }) {
+  return Object.assign(new Error(message), { url, status, kind });
+}
+
+let tape = null;
+function loadTape() {
+  if (tape) return tape;
+  let parsed = { interactions: [] };
+  if (fs.existsSync(CASSETTE)) parsed = JSON.parse(fs.readFileSync(CASSETTE, "utf-8"));
+  tape = { interactions: Array.isArray(parsed?.interactions) ? parsed.interactions : [], used: new Map() };
+  return tape;
+}
+
+function urlMatches(pattern, url) {
+  return pattern.endsWith("*") ? url.startsWith(pattern.slice(0, -1)) : pattern === url;
+}
+
+function replay(url, method) {
+  const { interactions, used } = loadTape();
+  const i = interactions.findIndex((x, idx) => {
+    if ((x.request?.method || "GET") !== method || !urlMatches(String(x.request?.url || ""), url)) return false;
+    return x.repeat || (used.get(idx) || 0) < (x.times || 1);
+  });
+  if (i < 0) throw httpError(`replay: no cassette entry for ${method} ${url}`, { url, kind: "network" });
+  used.set(i, (used.get(i) || 0) + 1);
+  const { response = {} } = interactions[i];
+  if (response.error === "timeout") throw httpError(`timed out: ${url}`, { url, kind: "timeout" });
+  if (response.error) throw httpError(`network error: ${url} (${response.error})`, { url, kind: "network" });
+  const body = typeof response.body === "string" ? response.body : JSON.stringify(response.body ?? null);
+  return new Response(body, { status: response.status || 200, headers: response.headers || {} });
+}
+
+function record(url, method, response) {
+  const current = loadTape();
+  current.interactions.push({ request: { method, url }, response });
+  fs.mkdirSync(path.dirname(CASSETTE), { recursive: true });
+  fs.writeFileSync(CASSETTE, `${JSON.stringify({ interactions: current.interactions }, null, 2)}\n`);
+}
+
+// Drop-in for global fetch (returns a Response). Timeouts and network
+// failures reject with err.kind "timeout" / "network".
+export async function httpFetch(url, init = {}) {
+  const method = (init.method || "GET").toUpperCase();
+  if (MODE === "replay") return replay(url, method);
+
+  let res;
+  try {
+    res = await fetch(url, { ...init, signal: AbortSignal.timeout(init.timeoutMs || TIMEOUT_MS) });
+  } catch (err) {
+    const timedOut = err?.name === "TimeoutError" || err?.name === "AbortError";
+    if (MODE === "record") record(url, method, { error: timedOut ? "timeout" : "network" });
+    throw httpError(`${timedOut ? "timed out" : "network error"}: ${url} (${err.message || err})`, {
+      url,
+      kind: timedOut ? "timeout" : "network",
+    });
+  }
+  if (MODE !== "record") return res;
+  const body = await res.text();
+  const headers = {};
+  for (const name of ["content-type", "retry-after"]) {
+    if (res.headers.get(name)) headers[name] = res.headers.get(name);
+  }
+  record(url, method, { status: res.status, headers, body });
+  return new Response(body, { status: res.status, headers });
+}
+
+// Seconds (or an HTTP date) from a Retry-After header, as milliseconds.
+export function retryAfterMs(value, now = Date.now()) {
+  if (value == null || value === "") return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds >= 0 ? seconds * 1000 : null;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+const retryable = (err) =>
+  !err.giveUp && (err.kind === "network" || err.kind === "timeout" || err.status === 429 || err.status >= 500);
+
+// GET with retries. Resolves to the Response body as JSON (or text with
+// `as: "text"`); rejects with err.kind "http" (err.status set), "network",
+// "timeout" or "malformed" once attempts run out or the failure is not
+// worth retrying (other 4xx, unparseable JSON). `beforeAttempt` runs ahead
+// of every attempt (shared rate limiters); `timeoutMs` overrides
+// HTTP_TIMEOUT_MS and `maxRetryAfterMs` HTTP_MAX_RETRY_AFTER_MS.
+export async function fetchJson(url, { headers = {}, attempts = 1, backoffMs = 1000, timeoutMs, maxRetryAfterMs = MAX_RETRY_AFTER_MS, as = "json", beforeAttempt, label = "http" } = {}) {
+  let lastErr = null;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    if (beforeAttempt) await beforeAttempt();
+    let wait = backoffMs * 2 ** (attempt - 1);
+    try {
+      const res = await httpFetch(url, { headers, timeoutMs });
+      if (!res.ok) {
+        const text = await res.text().catch(() => "");
+        const err = httpError(`${url} (${res.status}) ${text.slice(0, 200)}`, { url, status: res.status, kind: "http" });
+        if (res.status === 429) {
+          const after = retryAfterMs(res.headers.get("retry-after"));
+          if (after != null && after > maxRetryAfterMs) {
+            err.message += ` (Retry-After ${Math.ceil(after / 1000)}s is over the ${Math.ceil(maxRetryAfterMs / 1000)}s limit; not retrying)`;
+            err.giveUp = true;
+          }
+          wait = after ?? wait;
+        }
+        throw err;
+      }
+      const text = await res.text();
+      if (as === "text") return text;
+      try {
+        return JSON.parse(text);
+      } catch {
+        throw httpError(`malformed JSON from ${url}: ${text.slice(0, 80)}`, { url, status: res.status, kind: "malformed" });
+      }
+    } catch (err) {
+      lastErr = err.kind ? err : httpError(err.message || String(err), { url, kind: "network" });
+      if (!retryable(lastErr) || attempt === attempts) break;
+      console.warn(`${label}: ${lastErr.message.split("\n")[0]}; retry ${attempt + 1}/${attempts} in ${wait}ms`);
+      await sleep(wait);
+    }
+  }
+  throw lastErr;
+}
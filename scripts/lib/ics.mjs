@@ -0,0 +1,175 @@
+// iCalendar (RFC 5545) fixture calendars for calendar apps to subscribe to:
+// /teams/{slug}/fixtures.ics and /competitions/{slug}/fixtures.ics, written
+// by scripts/generate-calendars.mjs. Every fixture keeps one UID,
+// fixture-{id}@playersb.com, in every calendar it appears in, so when a
+// subscribed calendar is refreshed a new kick-off time or a final score
+// replaces the event instead of adding a second one. SEQUENCE and
+// LAST-MODIFIED tell clients that it did change: each build reads the
+// calendar it wrote last time, and an event whose content differs from that
+// version gets the next SEQUENCE and the fetch time as LAST-MODIFIED.
+//
+// assets/js/site.js builds the custom "my teams" calendar in the browser
+// with the same UIDs and event layout (buildFixturesIcs), minus SEQUENCE
+// and LAST-MODIFIED, as it has no earlier build to compare with; keep the
+// two in step.
+
+import { safeStr, sanitizeId } from "./slug.mjs";
+import { hasScore, matchSlug, statusLabel } from "./matches.mjs";
+
+const SITE_ORIGIN = "https://playersb.com";
+
+export const CALENDAR_FILE = "fixtures.ics";
+
+// Fixtures only carry a kick-off time; two hours covers a match with
+// stoppage time and the half-time break.
+export const MATCH_MINUTES = 120;
+
+// How often subscribers should refetch: the update-data cron runs every six
+// hours.
+export const REFRESH_INTERVAL = "PT6H";
+
+export const calendarHref = (dir, slug) => `/${dir}/${slug}/${CALENDAR_FILE}`;
+export const webcalUrl = (href) => `${SITE_ORIGIN.replace(/^https:/, "webcal:")}${href}`;
+
+export function fixtureUid(f) {
+  const id = sanitizeId(String(f?.id ?? ""));
+  return id ? `fixture-${id}@playersb.com` : null;
+}
+
+// TEXT value escaping (RFC 5545 §3.3.11).
+export function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a UTF-8 sequence.
+export function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch, "utf8");
+    const limit = parts.length ? 74 : 75; // continuation lines start with a space
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// UTC DATE-TIME form, 20260509T140000Z; null for an unparseable date.
+export function icsDate(value) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  return d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function eventStatus(status) {
+  if (status === "CANCELLED" || status === "CANCELED" || status === "ABANDONED") return "CANCELLED";
+  if (status === "POSTPONED" || status === "SUSPENDED") return "TENTATIVE";
+  return "CONFIRMED";
+}
+
+// Lines that differ between builds without the event itself changing.
+const REVISION_LINE = /^(DTSTAMP|SEQUENCE|LAST-MODIFIED)[:;]/;
+
+// UID → { sequence, lastModified, content } for every VEVENT in a calendar
+// built earlier (`content` is its lines, unfolded, minus the ones above).
+export function eventRevisions(ics) {
+  const revisions = new Map();
+  let current = null;
+  for (const line of String(ics ?? "").replace(/\r?\n[ \t]/g, "").split(/\r?\n/)) {
+    if (line === "BEGIN:VEVENT") current = { uid: null, sequence: 0, lastModified: null, lines: [] };
+    else if (!current) continue;
+    else if (line === "END:VEVENT") {
+      if (current.uid) revisions.set(current.uid, { sequence: current.sequence, lastModified: current.lastModified, content: current.lines.join("\n") });
+      current = null;
+    } else if (line.startsWith("SEQUENCE:")) current.sequence = Number.parseInt(line.slice(9), 10) || 0;
+    else if (line.startsWith("LAST-MODIFIED:")) current.lastModified = line.slice(14);
+    else if (!REVISION_LINE.test(line)) {
+      if (line.startsWith("UID:")) current.uid = line.slice(4);
+      current.lines.push(line);
+    }
+  }
+  return revisions;
+}
+
+// VEVENT lines for one fixture, or [] when it has no id or kick-off time.
+// `stamp` is DTSTAMP: when the fixture data was fetched. `previous` is
+// eventRevisions() of the last build's calendar; without it every event is
+// at SEQUENCE 0.
+export function fixtureEvent(f, { stamp, previous } = {}) {
+  const uid = fixtureUid(f);
+  const start = icsDate(f?.date);
+  if (!uid || !start) return [];
+  const end = icsDate(new Date(f.date).getTime() + MATCH_MINUTES * 60 * 1000);
+  const home = safeStr(f.home) || "TBD";
+  const away = safeStr(f.away) || "TBD";
+  const competition = safeStr(f.competition);
+  const summary = hasScore(f) && typeof f.homeScore === "number" && typeof f.awayScore === "number"
+    ? `${home} ${f.homeScore}–${f.awayScore} ${away}`
+    : `${home} vs ${away}`;
+  const slug = matchSlug(f);
+  const url = slug ? `${SITE_ORIGIN}/matches/${slug}/` : `${SITE_ORIGIN}/matches/`;
+  const description = [competition, statusLabel(f.status), url].filter(Boolean).join("\n");
+  const dtstamp = icsDate(stamp) || start;
+  const lines = [
+    `UID:${uid}`,
+    `DTSTART:${start}`,
+    `DTEND:${end}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${url}`,
+    ...(competition ? [`CATEGORIES:${escapeText(competition)}`] : []),
+    `STATUS:${eventStatus(f.status)}`,
+    "TRANSP:TRANSPARENT",
+  ];
+  const prior = previous?.get(uid);
+  const unchanged = prior && prior.content === lines.join("\n");
+  const sequence = unchanged ? prior.sequence : prior ? prior.sequence + 1 : 0;
+  const lastModified = (unchanged && prior.lastModified) || dtstamp;
+  return [
+    "BEGIN:VEVENT",
+    lines[0],
+    `DTSTAMP:${dtstamp}`,
+    `SEQUENCE:${sequence}`,
+    `LAST-MODIFIED:${lastModified}`,
+    ...lines.slice(1),
+    "END:VEVENT",
+  ];
+}
+
+// A whole VCALENDAR with CRLF line endings. Events are ordered by kick-off
+// so an unchanged fixture list produces an unchanged file. `previous` is the
+// calendar's last build (its text), for SEQUENCE and LAST-MODIFIED.
+export function buildCalendar({ name, description, url, fixtures = [], stamp, previous } = {}) {
+  const revisions = eventRevisions(previous);
+  const events = [...fixtures]
+    .sort((a, b) => String(a?.date).localeCompare(String(b?.date)) || String(a?.id).localeCompare(String(b?.id)))
+    .flatMap((f) => fixtureEvent(f, { stamp, previous: revisions }));
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//PlayersB//Fixtures//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `NAME:${escapeText(name)}`,
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...(description ? [`DESCRIPTION:${escapeText(description)}`, `X-WR-CALDESC:${escapeText(description)}`] : []),
+    ...(url ? [`URL:${url}`] : []),
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...events,
+    "END:VCALENDAR",
+  ];
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+}
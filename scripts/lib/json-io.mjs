@@ -0,0 +1,57 @@
+// JSON + file IO shared by generators and fetchers. Relative paths resolve
+// against the repo root (process.cwd()), absolute paths are used as-is.
+
+import { execFileSync } from "node:child_process";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// Returns `fallback` when the file is missing or malformed. Without a
+// fallback the error is rethrown, for inputs the caller cannot do without.
+export async function readJson(filePath, fallback) {
+  try {
+    const raw = await fs.readFile(path.resolve(process.cwd(), filePath), "utf-8");
+    return JSON.parse(raw);
+  } catch (err) {
+    if (fallback === undefined) throw err;
+    return fallback;
+  }
+}
+
+export async function writeFileEnsuringDir(filePath, content) {
+  const abs = path.resolve(process.cwd(), filePath);
+  await fs.mkdir(path.dirname(abs), { recursive: true });
+  await fs.writeFile(abs, content, "utf-8");
+}
+
+export async function writeJson(filePath, value) {
+  await writeFileEnsuringDir(filePath, `${JSON.stringify(value, null, 2)}\n`);
+}
+
+// Writes `value` only when it differs from the file's current content,
+// ignoring the keys named in `ignore` at any depth (run timestamps), so a
+// report that found the same things does not make a commit. Returns whether
+// the file was written.
+export async function writeJsonIfChanged(filePath, value, { ignore = ["generatedAt"] } = {}) {
+  const comparable = (v) => JSON.stringify(v, (key, x) => (ignore.includes(key) ? undefined : x));
+  const current = await readJson(filePath, null);
+  if (current !== null && comparable(current) === comparable(value)) return false;
+  await writeJson(filePath, value);
+  return true;
+}
+
+// `filePath` as committed at `ref` (the last committed snapshot, for
+// scripts that diff incoming data against it). Returns null when this is not
+// a git checkout or the file is not in that commit.
+export function readCommittedJson(filePath, { ref = "HEAD" } = {}) {
+  try {
+    const raw = execFileSync("git", ["show", `${ref}:${filePath}`], {
+      cwd: process.cwd(),
+      encoding: "utf8",
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ["ignore", "pipe", "ignore"],
+    });
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,27 @@
+// Helpers for filling templates/layout.html and checking the result.
+
+import { SITE_FEED, feedLinkTags } from "./feeds.mjs";
+
+// The site-wide share card (og-image.svg rasterized by generate-og-cards);
+// pages with a card of their own pass `image` (see lib/og-cards.mjs).
+export const DEFAULT_OG_IMAGE = "https://playersb.com/og-image.png";
+
+// `feeds` are the <link rel="alternate"> feeds (lib/feeds.mjs); pages with
+// a feed of their own list it after the site-wide one.
+export function fill(layout, { title, description, canonical, body, image = DEFAULT_OG_IMAGE, feeds = [SITE_FEED] }) {
+  return layout
+    .replaceAll("{{TITLE}}", title)
+    .replaceAll("{{OG_IMAGE}}", image)
+    .replaceAll("{{FEED_LINKS}}", feedLinkTags(feeds))
+    .replaceAll("{{DESCRIPTION}}", description)
+    .replaceAll("{{CANONICAL}}", canonical)
+    .replaceAll("{{BODY}}", body.trim());
+}
+
+export function assertNoPlaceholders(finalHtml, fileLabel) {
+  const m = finalHtml.match(/{{[^}]+}}/g);
+  if (m?.length) {
+    const uniq = Array.from(new Set(m)).slice(0, 10).join(", ");
+    throw new Error(`${fileLabel}: unresolved template placeholders found: ${uniq}`);
+  }
+}
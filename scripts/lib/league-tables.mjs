@@ -0,0 +1,202 @@
+// League tables rebuilt from the per-match scores in data/archive.json, for
+// the season pages and the /archive/{competition}/ hubs that
+// generate-archive.mjs writes.
+//
+// Only league matches count: StatsBomb's "Regular Season" stage, and
+// openfootball's matchday-grouped rounds (which carry no stage). A season is
+// the matches of every archive entry for one competition and start year, so
+// StatsBomb's "2022/2023" and openfootball's "2022-23" are read together;
+// each home/away pairing is counted once, StatsBomb's copy first.
+//
+// Tables are only drawn where the archive covers most of a round robin
+// (MIN_COVERAGE of the n × (n − 1) pairings). Seasons StatsBomb only sampled
+// — a club's matches, a final — have no table and stay out of the all-time
+// totals. Points deductions come from data/points-deductions.json:
+//
+//   { deductions: [{ competition, season, team, points, reason }] }
+//
+// with `competition` the archive slug and `season` a seasonKey ("2023-24").
+
+import { readJson } from "./json-io.mjs";
+import { archiveScore } from "./head-to-head.mjs";
+import { createTeamLabeler, createTeamNameRegistry } from "./team-names.mjs";
+
+export const DEDUCTIONS_PATH = "data/points-deductions.json";
+
+export const MIN_COVERAGE = 0.95;
+
+// "2022/2023", "2022-2023" and "2022-23" → "2022-23"; "2023" → "2023".
+export function seasonKey(name) {
+  const span = String(name || "").match(/(\d{4})\s*[-/]\s*(\d{2}|\d{4})\b/);
+  if (span) return `${span[1]}-${span[2].slice(-2)}`;
+  const year = String(name || "").match(/\d{4}/);
+  return year ? year[0] : "";
+}
+
+function isLeagueMatch(m) {
+  return !m?.stage || /regular season/i.test(m.stage);
+}
+
+// Rows ordered by points, goal difference, goals scored, then name. Some
+// leagues put head-to-head results before goal difference; that is not
+// modelled, so level teams there can sit in a different order.
+//
+// matches: [{ home, away, homeScore, awayScore }] with home/away team slugs;
+// deductions: Map<slug, points>.
+export function leagueTable(matches, { label = (slug) => slug, deductions = new Map() } = {}) {
+  const rows = new Map();
+  const row = (slug) => {
+    if (!rows.has(slug)) {
+      rows.set(slug, { slug, name: label(slug), played: 0, won: 0, drawn: 0, lost: 0, goalsFor: 0, goalsAgainst: 0, goalDifference: 0, deduction: 0, points: 0 });
+    }
+    return rows.get(slug);
+  };
+  for (const m of matches) {
+    const sides = [[row(m.home), m.homeScore, m.awayScore], [row(m.away), m.awayScore, m.homeScore]];
+    for (const [r, scored, conceded] of sides) {
+      r.played += 1;
+      r.goalsFor += scored;
+      r.goalsAgainst += conceded;
+      if (scored > conceded) r.won += 1;
+      else if (scored === conceded) r.drawn += 1;
+      else r.lost += 1;
+    }
+  }
+  for (const r of rows.values()) {
+    r.goalDifference = r.goalsFor - r.goalsAgainst;
+    r.deduction = deductions.get(r.slug) || 0;
+    r.points = r.won * 3 + r.drawn - r.deduction;
+  }
+  return [...rows.values()]
+    .sort((a, b) => b.points - a.points || b.goalDifference - a.goalDifference || b.goalsFor - a.goalsFor || a.name.localeCompare(b.name))
+    .map((r, i) => ({ ...r, position: i + 1 }));
+}
+
+// Totals per team over `seasons` (each with a `table`), with the number of
+// seasons played and titles won, ordered like a season table.
+export function allTimeTable(seasons) {
+  const rows = new Map();
+  for (const season of seasons) {
+    for (const r of season.table || []) {
+      const total = rows.get(r.slug) || { slug: r.slug, name: r.name, seasons: 0, titles: 0, played: 0, won: 0, drawn: 0, lost: 0, goalsFor: 0, goalsAgainst: 0, goalDifference: 0, points: 0 };
+      total.seasons += 1;
+      if (r.position === 1 && season.final) total.titles += 1;
+      for (const k of ["played", "won", "drawn", "lost", "goalsFor", "goalsAgainst", "goalDifference", "points"]) total[k] += r[k];
+      rows.set(r.slug, total);
+    }
+  }
+  return [...rows.values()]
+    .sort((a, b) => b.points - a.points || b.goalDifference - a.goalDifference || b.goalsFor - a.goalsFor || a.name.localeCompare(b.name))
+    .map((r, i) => ({ ...r, position: i + 1 }));
+}
+
+// Each team's finish per season, oldest season first; `positions` has one
+// slot per season (null when the team was not in that table). Teams are
+// ordered by their best finish, then by seasons played.
+export function finishingPositions(seasons) {
+  const teams = new Map();
+  seasons.forEach((season, i) => {
+    for (const r of season.table || []) {
+      const t = teams.get(r.slug) || { slug: r.slug, name: r.name, positions: seasons.map(() => null) };
+      t.positions[i] = r.position;
+      teams.set(r.slug, t);
+    }
+  });
+  const best = (t) => Math.min(...t.positions.filter((p) => p != null));
+  const count = (t) => t.positions.filter((p) => p != null).length;
+  return [...teams.values()].sort((a, b) => best(a) - best(b) || count(b) - count(a) || a.name.localeCompare(b.name));
+}
+
+// Every competition in the archive with its seasons, oldest first:
+//
+//   Map<competitionSlug, { slug, name, country, seasons: [{ key, name,
+//     pages: [{ competition, slug, name }], matches, teams, expected, coverage, final,
+//     table: rows | null, deductions: [{ team, points, reason }] }],
+//     allTime: rows, positions }>
+//
+// `competitionOf(entry)` picks the hub an entry belongs to (by default its
+// own competition); `pages` are the archive entries (season pages) that
+// fed the season.
+export function buildLeagueHistory(archive, {
+  names = createTeamNameRegistry(),
+  deductions = [],
+  competitionOf = (entry) => entry.competition,
+  minCoverage = MIN_COVERAGE,
+} = {}) {
+  const labeler = createTeamLabeler(names);
+  const competitions = new Map();
+  const sources = ["statsbomb", "openfootball"];
+  for (const entry of archive?.entries || []) {
+    const competition = competitionOf(entry);
+    const key = seasonKey(entry?.season?.name || entry?.season?.slug);
+    if (!competition?.slug || !key || !entry?.season?.slug) continue;
+    if (!competitions.has(competition.slug)) {
+      competitions.set(competition.slug, { slug: competition.slug, name: competition.name, country: competition.country || "", seasons: new Map() });
+    }
+    const seasons = competitions.get(competition.slug).seasons;
+    if (!seasons.has(key)) seasons.set(key, { key, name: entry.season.name, pages: [], fixtures: new Map(), entries: [] });
+    const season = seasons.get(key);
+    season.pages.push({ competition: entry.competition.slug, slug: entry.season.slug, name: entry.season.name });
+    season.entries.push(entry);
+  }
+
+  // Every season's fixtures are read before any table is drawn, so a team
+  // is labelled the same way in every competition.
+  for (const competition of competitions.values()) {
+    for (const season of competition.seasons.values()) {
+      // StatsBomb rows of every entry first, then openfootball's.
+      for (const source of sources) {
+        for (const entry of season.entries) {
+          for (const m of entry.matches?.[source] || []) {
+            const score = archiveScore(m);
+            if (!score || !isLeagueMatch(m) || !m?.homeTeam || !m?.awayTeam) continue;
+            const home = names.slug(m.homeTeam);
+            const away = names.slug(m.awayTeam);
+            if (!home || !away || home === away || season.fixtures.has(`${home}|${away}`)) continue;
+            labeler.add(home, m.homeTeam);
+            labeler.add(away, m.awayTeam);
+            season.fixtures.set(`${home}|${away}`, { home, away, homeScore: score[0], awayScore: score[1] });
+          }
+        }
+      }
+    }
+  }
+
+  for (const competition of competitions.values()) {
+    const list = [...competition.seasons.values()].sort((a, b) => a.key.localeCompare(b.key));
+    competition.seasons = list.map(({ key, name, pages, fixtures }) => {
+      const matches = [...fixtures.values()];
+      const teams = new Set(matches.flatMap((m) => [m.home, m.away])).size;
+      const expected = teams * (teams - 1);
+      const coverage = expected ? matches.length / expected : 0;
+      const applied = deductions.filter((d) => d?.competition === competition.slug && seasonKey(d?.season) === key);
+      const bySlug = new Map();
+      for (const d of applied) {
+        const slug = names.slug(d.team);
+        bySlug.set(slug, (bySlug.get(slug) || 0) + (Number(d.points) || 0));
+      }
+      const hasTable = teams > 2 && coverage >= minCoverage;
+      return {
+        key,
+        name,
+        pages,
+        matches: matches.length,
+        teams,
+        expected,
+        coverage,
+        final: hasTable && matches.length === expected,
+        table: hasTable ? leagueTable(matches, { label: labeler.label, deductions: bySlug }) : null,
+        deductions: hasTable ? applied.map((d) => ({ team: labeler.label(names.slug(d.team)), points: Number(d.points) || 0, reason: d.reason || "" })) : [],
+      };
+    });
+    const tabled = competition.seasons.filter((s) => s.table);
+    competition.allTime = allTimeTable(tabled);
+    competition.positions = finishingPositions(tabled);
+  }
+  return competitions;
+}
+
+export async function loadPointsDeductions(filePath = DEDUCTIONS_PATH) {
+  const doc = await readJson(filePath, { deductions: [] });
+  return Array.isArray(doc?.deductions) ? doc.deductions : [];
+}
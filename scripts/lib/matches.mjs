@@ -0,0 +1,154 @@
+// Fixture helpers shared by /matches/ (generate-matches.mjs) and the
+// per-fixture /matches/{id}/ pages (generate-match-pages.mjs): status
+// buckets, row markup, the schema.org SportsEvent node, recent form and
+// head-to-head meetings from data/archive.json.
+
+import { safeStr, sanitizeId } from "./slug.mjs";
+import { teamMatch } from "./teams.mjs";
+
+export const LIVE_STATUSES = ["LIVE", "IN_PLAY", "PAUSED"];
+export const UPCOMING_STATUSES = ["SCHEDULED", "TIMED"];
+
+export const isLive = (f) => LIVE_STATUSES.includes(f?.status);
+export const isFinished = (f) => f?.status === "FINISHED";
+export const hasScore = (f) => isFinished(f) || isLive(f);
+
+// Page slug for a fixture, or null when it gets no /matches/{id}/ page: the
+// feed gave it no usable id, or the teams aren't known yet (undrawn cup
+// ties arrive with empty home/away).
+export function matchSlug(f) {
+  if (!safeStr(f?.home) || !safeStr(f?.away)) return null;
+  const id = sanitizeId(String(f?.id ?? ""));
+  return id || null;
+}
+
+export function statusLabel(status) {
+  if (status === "FINISHED") return "Full time";
+  if (LIVE_STATUSES.includes(status)) return status === "PAUSED" ? "Half time" : "Live";
+  if (UPCOMING_STATUSES.includes(status)) return "Scheduled";
+  const s = String(status || "").toLowerCase().replaceAll("_", " ");
+  return s ? s[0].toUpperCase() + s.slice(1) : "Unknown";
+}
+
+// Badge and score markup for a fixture row. site.js (initLiveFixtures)
+// renders the same markup when a poll sees the fixture change, so keep the
+// two in step.
+export function statusBadge(status) {
+  if (status === "FINISHED") return '<span style="color:#888;font-size:0.75rem;">FT</span>';
+  if (LIVE_STATUSES.includes(status)) return '<span style="color:#22c55e;font-size:0.75rem;font-weight:bold;">● LIVE</span>';
+  return '<span style="color:#eab308;font-size:0.75rem;">Upcoming</span>';
+}
+
+export function scoreHtml(f) {
+  if (!hasScore(f)) return '<span style="color:#888;">vs</span>';
+  const goals = (n) => (typeof n === "number" ? n : "?");
+  return `<strong>${goals(f.homeScore)} – ${goals(f.awayScore)}</strong>`;
+}
+
+// data-fixture-state value the poller diffs against.
+export function fixtureState(f) {
+  return `${f?.status ?? ""}|${f?.homeScore ?? ""}|${f?.awayScore ?? ""}`;
+}
+
+// schema.org's eventStatus enum is Scheduled / Cancelled / Postponed /
+// Rescheduled / MovedOnline — there is no "Completed" value. For finished
+// matches we omit eventStatus entirely (so consumers don't get the wrong
+// signal) and emit endDate so the event is unambiguously in the past.
+export function eventStatus(status) {
+  if (status === "POSTPONED") return "https://schema.org/EventPostponed";
+  if (status === "CANCELLED" || status === "CANCELED" || status === "ABANDONED") return "https://schema.org/EventCancelled";
+  if (UPCOMING_STATUSES.includes(status) || LIVE_STATUSES.includes(status)) return "https://schema.org/EventScheduled";
+  return null;
+}
+
+// SportsEvent node for one fixture. `url` links the event to its page;
+// `teamUrl(name)` and `competitionUrl` add links where those pages exist.
+export function sportsEventNode(f, { url = null, teamUrl = null, competitionUrl = null } = {}) {
+  const team = (name) => {
+    const node = { "@type": "SportsTeam", name };
+    const href = teamUrl ? teamUrl(name) : null;
+    if (href) node.url = href;
+    return node;
+  };
+  const node = {
+    "@type": "SportsEvent",
+    name: `${f.home} vs ${f.away}`,
+    startDate: f.date,
+    sport: "Association Football",
+    homeTeam: team(f.home),
+    awayTeam: team(f.away),
+    competitor: [team(f.home), team(f.away)],
+    superEvent: {
+      "@type": "SportsEvent",
+      name: f.competition || "PlayersB",
+      ...(competitionUrl ? { url: competitionUrl } : {}),
+    },
+  };
+  if (url) node.url = url;
+  const status = eventStatus(f.status);
+  if (status) node.eventStatus = status;
+  if (isFinished(f)) {
+    // Match end isn't published explicitly; assume same calendar instant
+    // as start so consumers can treat the event as concluded.
+    node.endDate = f.date;
+    if (typeof f.homeScore === "number" && typeof f.awayScore === "number") {
+      node.description = `Final score: ${f.home} ${f.homeScore}-${f.awayScore} ${f.away}`;
+    }
+  }
+  return node;
+}
+
+function resultFor(goalsFor, goalsAgainst) {
+  if (goalsFor > goalsAgainst) return "W";
+  if (goalsFor < goalsAgainst) return "L";
+  return "D";
+}
+
+// Last `limit` finished fixtures for `team` (oldest first), as W/D/L from
+// that team's side.
+export function recentForm(fixtures, team, { limit = 5 } = {}) {
+  return (Array.isArray(fixtures) ? fixtures : [])
+    .filter((f) => isFinished(f) && typeof f.homeScore === "number" && typeof f.awayScore === "number")
+    .filter((f) => teamMatch(f.home, team) || teamMatch(f.away, team))
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+    .slice(-limit)
+    .map((f) => {
+      const home = teamMatch(f.home, team);
+      return {
+        id: matchSlug(f),
+        date: String(f.date || "").slice(0, 10),
+        venue: home ? "H" : "A",
+        opponent: home ? f.away : f.home,
+        score: `${f.homeScore}-${f.awayScore}`,
+        result: home ? resultFor(f.homeScore, f.awayScore) : resultFor(f.awayScore, f.homeScore),
+      };
+    });
+}
+
+// Past meetings of `home` and `away`, newest first, from a
+// lib/head-to-head.mjs index; `result` is from the fixture's home side and
+// `pageUrl` is the pair's /archive/h2h/ page (null when they never met).
+export function headToHead(index, home, away, { limit = 10 } = {}) {
+  const summary = { played: 0, homeWins: 0, draws: 0, awayWins: 0 };
+  const pair = index?.find(home, away) || null;
+  if (!pair) return { summary, meetings: [], pageUrl: null };
+  const homeSlug = index.slug(home);
+  const meetings = [...pair.meetings].reverse().map((m) => {
+    const result = m.home === homeSlug ? resultFor(m.homeScore, m.awayScore) : resultFor(m.awayScore, m.homeScore);
+    summary.played += 1;
+    if (result === "W") summary.homeWins += 1;
+    else if (result === "L") summary.awayWins += 1;
+    else summary.draws += 1;
+    return {
+      date: m.date,
+      competition: m.competition,
+      season: m.season,
+      archiveUrl: m.archiveUrl,
+      homeTeam: index.label(m.home),
+      awayTeam: index.label(m.away),
+      score: `${m.homeScore}-${m.awayScore}`,
+      result,
+    };
+  });
+  return { summary, meetings: meetings.slice(0, limit), pageUrl: `/archive/h2h/${pair.slug}/` };
+}
@@ -0,0 +1,91 @@
+// Share cards for og:image and twitter:image. Generators draw each card as
+// SVG, which stays next to it as the readable source, and writeCard
+// rasterizes it to the PNG the pages point at: social networks do not render
+// SVG previews. Every card is OG_CARD_WIDTH x OG_CARD_HEIGHT.
+//
+// Rasterizing is the slow part (around a tenth of a second a card), so each
+// PNG carries a checksum of the SVG and renderer version it was drawn from,
+// and a card whose source has not changed is not drawn again.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { readPngSize, readPngText } from "./png.mjs";
+import { RASTER_VERSION, svgToPng } from "./svg-raster.mjs";
+import { layoutText } from "./stroke-font.mjs";
+import { isLive } from "./matches.mjs";
+
+export const OG_CARD_WIDTH = 1200;
+export const OG_CARD_HEIGHT = 630;
+export const OG_DIR = path.join("assets", "og");
+
+const SOURCE_KEY = "playersb-source";
+
+// Site-relative URL of a card in OG_DIR.
+export const ogCardHref = (name) => `/assets/og/${name}.png`;
+
+// Match pages get a card of their own only while the match is news: live,
+// or kicking off within MATCH_CARD_DAYS either side of when the fixtures
+// were fetched. A card per fixture of the season would be ~2,000 PNGs that
+// nobody shares; other match pages use the site-wide og-image.png.
+export const MATCH_CARD_DAYS = 7;
+
+export function hasMatchCard(f, fetchedAt) {
+  if (isLive(f)) return true;
+  const kickoff = Date.parse(f?.date ?? "");
+  const now = Date.parse(fetchedAt ?? "") || Date.now();
+  return Number.isFinite(kickoff) && Math.abs(kickoff - now) <= MATCH_CARD_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// Fits one line of card text into maxWidth pixels, measured with the stroke
+// font the rasterizer draws it in: the font shrinks towards minFontSize first,
+// and text still too wide at that size is cut and ends in "…". Returns the
+// { text, fontSize } to write into the <text> element.
+export function fitText(text, { maxWidth, fontSize, minFontSize = fontSize, fontWeight = 400, letterSpacing = 0 }) {
+  const measure = (t, size) => layoutText(t, { fontSize: size, fontWeight, letterSpacing }).width;
+  const value = String(text ?? "");
+  const width = measure(value, fontSize);
+  if (width <= maxWidth) return { text: value, fontSize };
+  let size = Math.max(minFontSize, Math.min(fontSize, Math.floor((fontSize * maxWidth) / width)));
+  while (size > minFontSize && measure(value, size) > maxWidth) size -= 1;
+  if (measure(value, size) <= maxWidth) return { text: value, fontSize: size };
+  const chars = Array.from(value);
+  let n = chars.length;
+  const cut = (k) => `${chars.slice(0, k).join("").trimEnd()}…`;
+  while (n > 0 && measure(cut(n), size) > maxWidth) n -= 1;
+  return { text: cut(n), fontSize: size };
+}
+
+export function cardChecksum(svg) {
+  return createHash("sha256").update(`${RASTER_VERSION}\n${svg}`).digest("hex").slice(0, 16);
+}
+
+// The checksum recorded in an existing PNG, or null.
+async function recordedChecksum(pngPath) {
+  let handle;
+  try {
+    handle = await fs.open(pngPath, "r");
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(1024), 0, 1024, 0);
+    return readPngText(buffer.subarray(0, bytesRead))[SOURCE_KEY] || null;
+  } catch {
+    return null;
+  } finally {
+    await handle?.close();
+  }
+}
+
+// Writes {dir}/{name}.svg and, when its source changed, {dir}/{name}.png.
+// Returns whether the PNG was drawn.
+export async function writeCard(dir, name, svg) {
+  const checksum = cardChecksum(svg);
+  const pngPath = path.join(dir, `${name}.png`);
+  await fs.writeFile(path.join(dir, `${name}.svg`), svg, "utf-8");
+  if ((await recordedChecksum(pngPath)) === checksum) return false;
+  const png = svgToPng(svg, { text: { [SOURCE_KEY]: checksum } });
+  const { width, height } = readPngSize(png);
+  if (width !== OG_CARD_WIDTH || height !== OG_CARD_HEIGHT) {
+    throw new Error(`${name}.svg: share cards must be ${OG_CARD_WIDTH}x${OG_CARD_HEIGHT}, got ${width}x${height}`);
+  }
+  await fs.writeFile(pngPath, png);
+  return true;
+}
@@ -0,0 +1,108 @@
+// Percentile ranks of per-90 rates, within a player's primary position and
+// across all players. Unlike the benchmark caps (lib/benchmarks.mjs), a
+// percentile is not skewed by one outlier: 90 means the player is level with
+// or ahead of 90% of the cohort.
+//
+// Only players with at least `minMinutes` are ranked or counted in a cohort.
+// The threshold defaults to 450 (five full matches) and can be changed with
+// the PERCENTILE_MIN_MINUTES environment variable; every consumer (player
+// pages, search index) reads it through percentileMinMinutes() so they agree.
+
+import { num, per90 } from "./stats.mjs";
+
+export const PERCENTILE_METRICS = [
+  { key: "g90", label: "Goals / 90", short: "G/90" },
+  { key: "a90", label: "Assists / 90", short: "A/90" },
+  { key: "s90", label: "Shots / 90", short: "Shots/90" },
+  { key: "sot90", label: "Shots on target / 90", short: "SoT/90" },
+];
+
+const DEFAULT_MIN_MINUTES = 450;
+// A position cohort smaller than this gets no position percentile.
+export const MIN_COHORT = 5;
+
+export function percentileMinMinutes(env = process.env) {
+  const n = Number(env.PERCENTILE_MIN_MINUTES);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_MIN_MINUTES;
+}
+
+export function primaryPosition(player) {
+  return String(player?.position || "").split("/")[0].trim();
+}
+
+function rates(player) {
+  const minutes = num(player?.minutes);
+  return {
+    g90: per90(num(player?.goals), minutes),
+    a90: per90(num(player?.assists), minutes),
+    s90: per90(num(player?.shots), minutes),
+    sot90: per90(num(player?.shotsOnTarget), minutes),
+  };
+}
+
+// Mid-rank percentile: players below count fully, ties count half, so a
+// cohort of identical values all sit at 50 rather than 100.
+function percentileOf(value, sortedValues) {
+  let below = 0;
+  let equal = 0;
+  for (const v of sortedValues) {
+    if (v < value) below += 1;
+    else if (v === value) equal += 1;
+    else break;
+  }
+  return Math.round(((below + equal / 2) / sortedValues.length) * 100);
+}
+
+// Returns Map<player id, ranks>. ranks is null for players under the
+// minutes threshold, else:
+//   { position, positionCount, allCount, minMinutes,
+//     metrics: { g90: { value, position: 0–100 | null, all: 0–100 }, … } }
+export function buildPercentiles(players, { minMinutes = percentileMinMinutes() } = {}) {
+  const eligible = players.filter((p) => p?.id && num(p?.minutes) >= minMinutes);
+  const withRates = eligible.map((p) => ({ player: p, pos: primaryPosition(p), rates: rates(p) }));
+
+  const sortedBy = (rows) =>
+    Object.fromEntries(PERCENTILE_METRICS.map(({ key }) => [key, rows.map((r) => r.rates[key]).sort((a, b) => a - b)]));
+
+  const all = sortedBy(withRates);
+  const byPos = new Map();
+  for (const row of withRates) {
+    if (!byPos.has(row.pos)) byPos.set(row.pos, []);
+    byPos.get(row.pos).push(row);
+  }
+  const posSorted = new Map([...byPos].map(([pos, rows]) => [pos, { count: rows.length, values: sortedBy(rows) }]));
+
+  const out = new Map();
+  for (const p of players) if (p?.id) out.set(p.id, null);
+  for (const row of withRates) {
+    const cohort = posSorted.get(row.pos);
+    const usePosition = row.pos && cohort.count >= MIN_COHORT;
+    const metrics = {};
+    for (const { key } of PERCENTILE_METRICS) {
+      const value = row.rates[key];
+      metrics[key] = {
+        value,
+        position: usePosition ? percentileOf(value, cohort.values[key]) : null,
+        all: percentileOf(value, all[key]),
+      };
+    }
+    out.set(row.player.id, {
+      position: row.pos,
+      positionCount: usePosition ? cohort.count : 0,
+      allCount: withRates.length,
+      minMinutes,
+      metrics,
+    });
+  }
+  return out;
+}
+
+// Compact form for data/search-index.json: { pos, g90: [position, all], … }.
+export function percentileIndexEntry(ranks) {
+  if (!ranks) return null;
+  const entry = { pos: ranks.position };
+  for (const { key } of PERCENTILE_METRICS) {
+    entry[key] = [ranks.metrics[key].position, ranks.metrics[key].all];
+  }
+  return entry;
+}
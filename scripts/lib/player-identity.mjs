@@ -0,0 +1,190 @@
+// Player identity: decides which players.json entry an outside row (a
+// football-data scorer, a fantasy row, an enrichment seed key) is about.
+// sync-scorers, sync-players-from-fantasy and fetch-player-enrichment all
+// resolve through here so the same person cannot match in one script and
+// split in another.
+//
+// Evidence, strongest first:
+//   1. an external id recorded in data/player-aliases.json for that source
+//   2. the PlayersB id the row claims, when its name agrees
+//   3. the exact (folded) name or a registered alternate spelling
+//   4. token overlap of the names, at FUZZY_ACCEPT or above, with the team
+//      not contradicting it and no rival candidate scoring as high
+// A differing date of birth rules a candidate out at every step. The only
+// player with an exact name is accepted even at another club: players move,
+// and the result carries `transfer` so callers can list the move in the
+// report. Between players sharing a name, team and date of birth break the
+// tie.
+//
+// Anything between GREY_MIN and acceptance comes back `ambiguous` with its
+// candidates. Callers skip those rows (never overwrite stats on a guess) and
+// list them in data/player-identity-report.json for a human to settle by
+// adding an alias or external id to the registry.
+
+import { sanitizeId } from "./slug.mjs";
+import { foldText } from "./search-index.mjs";
+import { teamMatch } from "./teams.mjs";
+import { readJson, writeJson, writeJsonIfChanged } from "./json-io.mjs";
+
+export const ALIASES_PATH = "data/player-aliases.json";
+export const REPORT_PATH = "data/player-identity-report.json";
+
+export const FUZZY_ACCEPT = 0.6;
+export const GREY_MIN = 0.5;
+
+export function normalizeName(s) {
+  return foldText(s).replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+// Shared tokens over the longer name's token count: "Vinicius Junior" vs
+// "Vinícius Júnior" is 1, "Lautaro Martínez" vs "Lisandro Martínez" 0.5.
+export function tokenSetScore(a, b) {
+  const sa = new Set(normalizeName(a).split(" ").filter(Boolean));
+  const sb = new Set(normalizeName(b).split(" ").filter(Boolean));
+  if (!sa.size || !sb.size) return 0;
+  let common = 0;
+  for (const t of sa) if (sb.has(t)) common += 1;
+  return common / Math.max(sa.size, sb.size);
+}
+
+// true / false when both teams are known, null when either is missing.
+function teamAgrees(a, b) {
+  if (!a || !b) return null;
+  return teamMatch(normalizeName(a), normalizeName(b));
+}
+
+function dobAgrees(a, b) {
+  if (!a || !b) return null;
+  return String(a).slice(0, 10) === String(b).slice(0, 10);
+}
+
+export async function loadAliasRegistry(filePath = ALIASES_PATH) {
+  const parsed = await readJson(filePath, { players: {} });
+  return { ...parsed, players: parsed?.players && typeof parsed.players === "object" ? parsed.players : {} };
+}
+
+export async function saveAliasRegistry(registry, filePath = ALIASES_PATH) {
+  const players = Object.fromEntries(Object.keys(registry.players).sort().map((id) => [id, registry.players[id]]));
+  await writeJson(filePath, { ...registry, updatedAt: new Date().toISOString(), players });
+}
+
+// players: players.json entries. registry: loadAliasRegistry(). birthDates:
+// optional { [id]: "YYYY-MM-DD" } (player-enrichment.json), consulted when
+// the registry has no dateOfBirth for a player.
+export function createIdentityResolver({ players = [], registry = { players: {} }, birthDates = {} } = {}) {
+  const people = [];
+  const byId = new Map();
+  for (const p of players) {
+    const id = sanitizeId(p?.id || p?.name);
+    if (!id || byId.has(id)) continue;
+    const entry = registry.players?.[id] || {};
+    const person = {
+      id,
+      name: String(p?.name ?? ""),
+      team: p?.team || "",
+      dateOfBirth: entry.dateOfBirth || birthDates[id] || null,
+      names: [p?.name, ...(entry.aliases || [])].map(normalizeName).filter(Boolean),
+    };
+    people.push(person);
+    byId.set(id, person);
+  }
+
+  const byExternal = new Map();
+  for (const [id, entry] of Object.entries(registry.players || {})) {
+    for (const [source, value] of Object.entries(entry?.externalIds || {})) {
+      if (value != null && value !== "") byExternal.set(`${source}:${value}`, id);
+    }
+  }
+
+  const summary = (c, score) => ({ id: c.id, name: c.name, team: c.team, score: Number(score.toFixed(2)) });
+
+  function accept(c, row, status, score) {
+    if (teamAgrees(c.team, row.team) !== false) return { id: c.id, status, score };
+    return { id: c.id, status, score, transfer: { from: c.team, to: row.team } };
+  }
+
+  function pick(candidates, row, status, score) {
+    if (candidates.length === 1) return accept(candidates[0], row, status, score);
+    const confirmed = candidates.filter((c) => dobAgrees(c.dateOfBirth, row.dateOfBirth) || teamAgrees(c.team, row.team));
+    if (confirmed.length === 1) return accept(confirmed[0], row, status, score);
+    return {
+      id: null,
+      status: "ambiguous",
+      reason: "same-name",
+      score,
+      candidates: candidates.map((c) => summary(c, score)),
+    };
+  }
+
+  // row: { name, team?, dateOfBirth?, id? (a claimed PlayersB id), source?, externalId? }
+  // → { id, status, score, transfer?, reason?, candidates? } with status one of
+  //   "external" | "id" | "exact" | "fuzzy" | "ambiguous" | "none".
+  function resolve(row = {}) {
+    const viable = (c) => dobAgrees(c.dateOfBirth, row.dateOfBirth) !== false;
+
+    if (row.source && row.externalId != null && row.externalId !== "") {
+      const id = byExternal.get(`${row.source}:${row.externalId}`);
+      if (id && byId.has(id)) return { id, status: "external", score: 1 };
+    }
+
+    const target = normalizeName(row.name);
+    const claimed = row.id ? byId.get(sanitizeId(row.id)) : null;
+    if (claimed && viable(claimed)) {
+      const score = Math.max(...claimed.names.map((n) => (n === target ? 1 : tokenSetScore(n, target))), 0);
+      if (score >= FUZZY_ACCEPT) return { id: claimed.id, status: "id", score };
+    }
+    if (!target) return { id: null, status: "none", score: 0 };
+
+    const exact = people.filter((c) => viable(c) && c.names.includes(target));
+    if (exact.length) return pick(exact, row, "exact", 1);
+
+    const scored = people
+      .filter(viable)
+      .map((c) => ({ c, score: Math.max(...c.names.map((n) => tokenSetScore(n, target))) }))
+      .filter((x) => x.score >= GREY_MIN && teamAgrees(x.c.team, row.team) !== false)
+      .sort((a, b) => b.score - a.score);
+    if (!scored.length) return { id: null, status: "none", score: 0 };
+
+    const [best, second] = scored;
+    const corroborated = teamAgrees(best.c.team, row.team) === true || dobAgrees(best.c.dateOfBirth, row.dateOfBirth) === true;
+    if (best.score >= FUZZY_ACCEPT && corroborated && !(second && second.score >= best.score)) {
+      return { id: best.c.id, status: "fuzzy", score: best.score };
+    }
+    return {
+      id: null,
+      status: "ambiguous",
+      reason: second && second.score >= best.score ? "tied-candidates" : corroborated ? "weak-name-match" : "uncorroborated",
+      score: best.score,
+      candidates: scored.slice(0, 3).map((x) => summary(x.c, x.score)),
+    };
+  }
+
+  // Records an external id for a resolved player so the next run matches
+  // on it directly. Returns false (and changes nothing) when that id is
+  // already bound to someone else.
+  function remember(id, source, externalId) {
+    if (!byId.has(id) || !source || externalId == null || externalId === "") return false;
+    const key = `${source}:${externalId}`;
+    const bound = byExternal.get(key);
+    if (bound) return bound === id;
+    const entry = (registry.players[id] ||= {});
+    entry.externalIds = { ...(entry.externalIds || {}), [source]: externalId };
+    byExternal.set(key, id);
+    return true;
+  }
+
+  return { resolve, remember, has: (id) => byId.has(id) };
+}
+
+// One section per script, replaced on every run so settled rows drop out:
+// the rows left `ambiguous`, and the `transfers` accepted with a team that
+// differs from the registered one. The file is left alone when only the
+// timestamps would change.
+export async function writeIdentityReport(script, ambiguous, transfers = [], filePath = REPORT_PATH) {
+  const report = await readJson(filePath, { scripts: {} });
+  const generatedAt = new Date().toISOString();
+  await writeJsonIfChanged(filePath, {
+    generatedAt,
+    scripts: { ...(report?.scripts || {}), [script]: { checkedAt: generatedAt, ambiguous, transfers } },
+  }, { ignore: ["generatedAt", "checkedAt"] });
+}
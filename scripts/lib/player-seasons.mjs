@@ -0,0 +1,143 @@
+// Season × competition stat lines for data/players.json.
+//
+// Every player carries `seasons: [{ season, competition, team, minutes,
+// goals, assists, shots, shotsOnTarget }]`, one entry per season and
+// competition. `season` is the European football season as "YYYY-YY"
+// (July–June). The flat minutes/goals/assists/shots/shotsOnTarget fields on
+// the player are the latest season summed across competitions; they are
+// derived from the splits (see withSeasonTotals) and kept only so per-90
+// views that predate the splits keep working. Career totals are the sum of
+// every split.
+
+import { num, per90 } from "./stats.mjs";
+
+export const SPLIT_STATS = ["minutes", "goals", "assists", "shots", "shotsOnTarget"];
+export const SEASON_RE = /^(\d{4})-(\d{2})$/;
+
+// Season containing `date`; a season starts on the 1st of `startMonth`
+// (1-12, July unless the competition registry says otherwise).
+export function seasonForDate(date = new Date(), startMonth = 7) {
+  const d = new Date(date);
+  const start = d.getUTCMonth() >= startMonth - 1 ? d.getUTCFullYear() : d.getUTCFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+// "2025-26" → "2025/26", the form used in page copy.
+export function seasonLabel(season) {
+  return String(season || "").replace("-", "/");
+}
+
+export function isValidSeason(season) {
+  const m = SEASON_RE.exec(String(season || ""));
+  return Boolean(m) && (Number(m[1]) + 1) % 100 === Number(m[2]);
+}
+
+function emptyTotals() {
+  return Object.fromEntries(SPLIT_STATS.map((k) => [k, 0]));
+}
+
+function addInto(totals, split) {
+  for (const k of SPLIT_STATS) totals[k] += num(split?.[k]);
+  return totals;
+}
+
+export function playerSplits(player) {
+  return Array.isArray(player?.seasons) ? player.seasons : [];
+}
+
+// Splits newest season first, then by minutes within a season.
+export function sortedSplits(player) {
+  return [...playerSplits(player)].sort(
+    (a, b) => String(b.season).localeCompare(String(a.season)) || num(b.minutes) - num(a.minutes)
+  );
+}
+
+export function latestSeason(player) {
+  const seasons = playerSplits(player).map((s) => String(s.season)).sort();
+  return seasons.length ? seasons[seasons.length - 1] : null;
+}
+
+// Latest season summed across competitions: { season, minutes, goals, … }.
+export function latestSeasonTotals(player) {
+  const season = latestSeason(player);
+  const totals = emptyTotals();
+  for (const split of playerSplits(player)) {
+    if (String(split.season) === season) addInto(totals, split);
+  }
+  return { season, ...totals };
+}
+
+export function careerTotals(player) {
+  const totals = emptyTotals();
+  for (const split of playerSplits(player)) addInto(totals, split);
+  return { seasons: new Set(playerSplits(player).map((s) => s.season)).size, ...totals };
+}
+
+// Provenance of summed stat lines (see lib/provenance.mjs): one split's
+// fieldMeta as-is, or for a sum across competitions the largest
+// contributor's source, every source involved, the oldest fetch and the
+// lowest confidence. Unsourced ("default") entries only count when nothing
+// else reported the stat.
+export function combinedFieldMeta(splits) {
+  const out = {};
+  for (const k of SPLIT_STATS) {
+    const withMeta = splits.filter((s) => s?.fieldMeta?.[k]);
+    const sourced = withMeta.filter((s) => s.fieldMeta[k].source !== "default");
+    const parts = sourced.length ? sourced : withMeta;
+    if (!parts.length) continue;
+    const primary = [...parts].sort((a, b) => num(b[k]) - num(a[k]))[0].fieldMeta[k];
+    const sources = [...new Set(parts.map((s) => s.fieldMeta[k].source))];
+    const times = parts.map((s) => s.fieldMeta[k].fetchedAt).filter(Boolean).sort();
+    out[k] = {
+      value: splits.reduce((sum, s) => sum + num(s?.[k]), 0),
+      source: primary.source,
+      ...(sources.length > 1 ? { sources } : {}),
+      fetchedAt: times[0] || null,
+      confidence: Math.min(...parts.map((s) => num(s.fieldMeta[k].confidence))),
+    };
+  }
+  return out;
+}
+
+// Copies the latest-season totals (and their provenance) onto the flat
+// player fields. Writers call this after touching `seasons` so the two
+// never disagree (validate-data fails the build if they do).
+export function withSeasonTotals(player) {
+  const { season, ...totals } = latestSeasonTotals(player);
+  if (!season) return player;
+  const fieldMeta = combinedFieldMeta(playerSplits(player).filter((s) => String(s.season) === season));
+  return { ...player, ...totals, ...(Object.keys(fieldMeta).length ? { fieldMeta } : {}) };
+}
+
+// Replaces (or adds) the split for split.season × split.competition.
+export function upsertSplit(splits, split) {
+  const rest = (Array.isArray(splits) ? splits : []).filter(
+    (s) => !(s.season === split.season && s.competition === split.competition)
+  );
+  return [...rest, split].sort(
+    (a, b) => String(a.season).localeCompare(String(b.season)) || String(a.competition).localeCompare(String(b.competition))
+  );
+}
+
+export function normalizeSplit(raw, defaults = {}) {
+  const split = {
+    season: String(raw?.season ?? defaults.season ?? ""),
+    competition: String(raw?.competition ?? raw?.competitionCode ?? defaults.competition ?? "N/A"),
+    team: String(raw?.team ?? defaults.team ?? "Unknown"),
+  };
+  for (const k of SPLIT_STATS) split[k] = Math.max(0, Number(raw?.[k] ?? 0) || 0);
+  // Provenance travels with the split; lib/provenance.mjs mergeFields is
+  // the only writer and keeps it in step with the values.
+  if (raw?.fieldMeta && typeof raw.fieldMeta === "object") split.fieldMeta = raw.fieldMeta;
+  return split;
+}
+
+// Per-90 helpers over any stat line (split, season or career totals).
+export function rates(line) {
+  const minutes = num(line?.minutes);
+  return {
+    g90: per90(num(line?.goals), minutes),
+    a90: per90(num(line?.assists), minutes),
+    s90: per90(num(line?.shots), minutes),
+  };
+}
@@ -0,0 +1,98 @@
+// Minimal PNG writer and header reader, on node:zlib only. encodePng takes
+// 8-bit RGBA pixels (row-major, width * height * 4 bytes) and writes RGB when
+// every pixel is opaque, which is the case for the share cards. Rows are left
+// unfiltered: for the cards (flat fills over a smooth gradient) that deflates
+// smaller, and several times faster, than per-row filtering. Optional text
+// goes into tEXt chunks ahead of the image data, where readPngText finds it
+// without inflating anything.
+
+import { deflateSync } from "node:zlib";
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, "ascii");
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+export function encodePng(width, height, rgba, { text = {} } = {}) {
+  if (!(width > 0 && height > 0) || rgba.length !== width * height * 4) {
+    throw new Error(`encodePng: expected ${width}x${height} RGBA pixels, got ${rgba.length} bytes`);
+  }
+  let opaque = true;
+  for (let i = 3; i < rgba.length; i += 4) {
+    if (rgba[i] !== 255) { opaque = false; break; }
+  }
+  const bpp = opaque ? 3 : 4;
+  const stride = width * bpp;
+  const raw = Buffer.alloc((stride + 1) * height); // filter byte 0 on every row
+  for (let y = 0; y < height; y++) {
+    let d = y * (stride + 1) + 1;
+    if (opaque) {
+      for (let s = y * width * 4, end = s + width * 4; s < end; s += 4) {
+        raw[d++] = rgba[s];
+        raw[d++] = rgba[s + 1];
+        raw[d++] = rgba[s + 2];
+      }
+    } else {
+      Buffer.from(rgba.buffer, rgba.byteOffset + y * stride, stride).copy(raw, d);
+    }
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = opaque ? 2 : 6; // truecolour, with alpha when needed
+  return Buffer.concat([
+    SIGNATURE,
+    chunk("IHDR", ihdr),
+    ...Object.entries(text).map(([key, value]) => chunk("tEXt", Buffer.from(`${key}\0${value}`, "latin1"))),
+    chunk("IDAT", deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// { width, height } from the IHDR chunk, or null when buf is not a PNG.
+export function readPngSize(buf) {
+  if (!buf || buf.length < 24 || !SIGNATURE.equals(buf.subarray(0, 8))) return null;
+  if (buf.toString("ascii", 12, 16) !== "IHDR") return null;
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+// { keyword: text } from the tEXt chunks before the image data.
+export function readPngText(buf) {
+  const out = {};
+  if (!readPngSize(buf)) return out;
+  for (let at = 8; at + 8 <= buf.length;) {
+    const len = buf.readUInt32BE(at);
+    const type = buf.toString("ascii", at + 4, at + 8);
+    if (type === "IDAT" || type === "IEND" || at + 12 + len > buf.length) break;
+    if (type === "tEXt") {
+      const data = buf.subarray(at + 8, at + 8 + len);
+      const nul = data.indexOf(0);
+      if (nul > 0) out[data.toString("latin1", 0, nul)] = data.toString("latin1", nul + 1);
+    }
+    at += 12 + len;
+  }
+  return out;
+}
@@ -0,0 +1,341 @@
+// Match outcome model: win/draw/loss probabilities and expected scorelines
+// for upcoming fixtures, shown on /matches/, /matches/{id}/ and team pages,
+// and the walk-forward back-test behind /predictions/.
+//
+// Goals are modelled as two independent Poisson counts:
+//
+//   home goals ~ Poisson(base × home × attack[home] × defence[away])
+//   away goals ~ Poisson(base × attack[away] × defence[home])
+//
+// fitted by weighted maximum likelihood (alternating closed-form updates)
+// on every scored result in data/archive.json plus the finished fixtures in
+// data/fixtures.json. Older results count less: a result HALF_LIFE_DAYS old
+// carries half the weight of one played on the fit date, so recent form
+// outweighs last season. Each team's attack and defence are shrunk towards
+// average by PRIOR_GOALS pseudo-goals, which keeps a team with a handful of
+// results from getting extreme ratings. Home advantage is one figure across
+// competitions, and neutral venues are not modelled.
+//
+// Teams are matched through lib/team-names.mjs, so the archive's "Man City"
+// and the live feed's "Manchester City FC" share one rating. A fixture gets
+// no prediction unless both teams have MIN_WEIGHT of weighted results.
+
+import { archiveMeetings } from "./head-to-head.mjs";
+import { isFinished } from "./matches.mjs";
+import { createTeamNameRegistry } from "./team-names.mjs";
+
+export const HALF_LIFE_DAYS = 365;
+export const PRIOR_GOALS = 8;
+export const MIN_WEIGHT = 3;
+
+const MAX_GOALS = 10;
+const DAY_MS = 86400000;
+const FIT_ITERATIONS = 40;
+const REFIT_ITERATIONS = 8;
+
+// Finished fixtures from data/fixtures.json as model results.
+export function fixtureResults(fixtures, names = createTeamNameRegistry()) {
+  return (fixtures || [])
+    .filter((f) => isFinished(f) && typeof f?.homeScore === "number" && typeof f?.awayScore === "number" && f?.home && f?.away)
+    .map((f) => ({
+      date: String(f.date).slice(0, 10),
+      competition: f.competition || "",
+      season: "",
+      home: names.slug(f.home),
+      away: names.slug(f.away),
+      homeScore: f.homeScore,
+      awayScore: f.awayScore,
+    }))
+    .filter((m) => m.home && m.away && m.home !== m.away);
+}
+
+// Results as integer-indexed rows, oldest first, for the fitting loop.
+function indexRows(results) {
+  const teams = new Map();
+  const id = (slug) => {
+    if (!teams.has(slug)) teams.set(slug, teams.size);
+    return teams.get(slug);
+  };
+  const rows = results
+    .map((m) => ({ ...m, t: Date.parse(m.date) }))
+    .filter((m) => Number.isFinite(m.t))
+    .sort((a, b) => a.t - b.t)
+    .map((m) => ({ ...m, h: id(m.home), a: id(m.away) }));
+  return { teams, rows };
+}
+
+// Fits on rows[0..end) as of `asOf` (ms). `start` warm-starts from a
+// previous fit over a shorter prefix of the same rows.
+function fitRows(rows, end, teamCount, asOf, { halfLifeDays, prior, iterations }, start = null) {
+  const w = new Float64Array(end);
+  for (let i = 0; i < end; i++) w[i] = Math.pow(0.5, Math.max(0, asOf - rows[i].t) / (halfLifeDays * DAY_MS));
+
+  const attack = new Float64Array(teamCount).fill(1);
+  const defence = new Float64Array(teamCount).fill(1);
+  const weight = new Float64Array(teamCount);
+  if (start) {
+    attack.set(start.attack.subarray(0, Math.min(teamCount, start.attack.length)));
+    defence.set(start.defence.subarray(0, Math.min(teamCount, start.defence.length)));
+  }
+  let sumW = 0;
+  let homeGoals = 0;
+  let awayGoals = 0;
+  for (let i = 0; i < end; i++) {
+    weight[rows[i].h] += w[i];
+    weight[rows[i].a] += w[i];
+    sumW += w[i];
+    homeGoals += w[i] * rows[i].homeScore;
+    awayGoals += w[i] * rows[i].awayScore;
+  }
+  let base = start?.base ?? Math.max(awayGoals / (sumW || 1), 0.1);
+  let home = start?.home ?? Math.max(homeGoals / (awayGoals || 1), 0.5);
+
+  const scored = new Float64Array(teamCount);
+  const conceded = new Float64Array(teamCount);
+  for (let i = 0; i < end; i++) {
+    const r = rows[i];
+    scored[r.h] += w[i] * r.homeScore;
+    scored[r.a] += w[i] * r.awayScore;
+    conceded[r.h] += w[i] * r.awayScore;
+    conceded[r.a] += w[i] * r.homeScore;
+  }
+
+  const exposure = new Float64Array(teamCount);
+  for (let it = 0; it < iterations; it++) {
+    // Attack: goals scored over goals an average attack would have scored.
+    exposure.fill(0);
+    for (let i = 0; i < end; i++) {
+      const r = rows[i];
+      exposure[r.h] += w[i] * base * home * defence[r.a];
+      exposure[r.a] += w[i] * base * defence[r.h];
+    }
+    for (let t = 0; t < teamCount; t++) attack[t] = (scored[t] + prior) / (exposure[t] + prior);
+
+    // Defence: goals conceded over goals an average defence would have.
+    exposure.fill(0);
+    for (let i = 0; i < end; i++) {
+      const r = rows[i];
+      exposure[r.a] += w[i] * base * home * attack[r.h];
+      exposure[r.h] += w[i] * base * attack[r.a];
+    }
+    for (let t = 0; t < teamCount; t++) defence[t] = (conceded[t] + prior) / (exposure[t] + prior);
+
+    // Average attack and defence are 1; base and home carry the scale.
+    let attackMean = 0;
+    let defenceMean = 0;
+    let total = 0;
+    for (let t = 0; t < teamCount; t++) {
+      attackMean += weight[t] * Math.log(attack[t]);
+      defenceMean += weight[t] * Math.log(defence[t]);
+      total += weight[t];
+    }
+    const attackScale = Math.exp(attackMean / (total || 1));
+    const defenceScale = Math.exp(defenceMean / (total || 1));
+    for (let t = 0; t < teamCount; t++) {
+      attack[t] /= attackScale;
+      defence[t] /= defenceScale;
+    }
+
+    let expectedHome = 0;
+    let expectedAway = 0;
+    for (let i = 0; i < end; i++) {
+      const r = rows[i];
+      expectedHome += w[i] * attack[r.h] * defence[r.a];
+      expectedAway += w[i] * attack[r.a] * defence[r.h];
+    }
+    base = awayGoals / (expectedAway || 1) || 0.1;
+    home = homeGoals / ((base * expectedHome) || 1) || 1;
+  }
+  return { base, home, attack, defence, weight };
+}
+
+// Fits the model on `results` ([{ date, home, away, homeScore, awayScore }]
+// with team slugs) as of `asOf` (ISO date; defaults to the latest result).
+// Results after `asOf` are ignored.
+//
+//   { asOf, base, home, teams: Map<slug, { attack, defence, weight }> }
+export function fitPoissonModel(results, {
+  asOf = null,
+  halfLifeDays = HALF_LIFE_DAYS,
+  prior = PRIOR_GOALS,
+  iterations = FIT_ITERATIONS,
+} = {}) {
+  const { teams, rows } = indexRows(results);
+  const at = asOf ? Date.parse(asOf) : rows.length ? rows[rows.length - 1].t : 0;
+  let end = 0;
+  while (end < rows.length && rows[end].t <= at) end++;
+  const fit = fitRows(rows, end, teams.size, at, { halfLifeDays, prior, iterations });
+  const ratings = new Map();
+  for (const [slug, t] of teams) ratings.set(slug, { attack: fit.attack[t], defence: fit.defence[t], weight: fit.weight[t] });
+  return { asOf: new Date(at).toISOString(), base: fit.base, home: fit.home, teams: ratings };
+}
+
+function poisson(lambda) {
+  const p = [Math.exp(-lambda)];
+  for (let k = 1; k <= MAX_GOALS; k++) p.push((p[k - 1] * lambda) / k);
+  return p;
+}
+
+// Outcome probabilities for expected goals `homeXg` / `awayXg`, with the
+// most likely scoreline. Scores above MAX_GOALS are folded out by
+// renormalising.
+export function outcomeProbabilities(homeXg, awayXg) {
+  const ph = poisson(homeXg);
+  const pa = poisson(awayXg);
+  let home = 0;
+  let draw = 0;
+  let away = 0;
+  let best = { homeGoals: 0, awayGoals: 0, p: -1 };
+  for (let i = 0; i <= MAX_GOALS; i++) {
+    for (let j = 0; j <= MAX_GOALS; j++) {
+      const p = ph[i] * pa[j];
+      if (i > j) home += p;
+      else if (i === j) draw += p;
+      else away += p;
+      if (p > best.p) best = { homeGoals: i, awayGoals: j, p };
+    }
+  }
+  const total = home + draw + away;
+  return {
+    home: home / total,
+    draw: draw / total,
+    away: away / total,
+    expectedGoals: [homeXg, awayXg],
+    scoreline: `${best.homeGoals}-${best.awayGoals}`,
+    scorelineProbability: best.p / total,
+  };
+}
+
+// Prediction for `home` v `away` (team slugs), or null when either team has
+// less than `minWeight` of weighted results behind it.
+export function predictMatch(model, home, away, { minWeight = MIN_WEIGHT } = {}) {
+  const h = model.teams.get(home);
+  const a = model.teams.get(away);
+  if (!h || !a || h.weight < minWeight || a.weight < minWeight) return null;
+  return outcomeProbabilities(model.base * model.home * h.attack * a.defence, model.base * a.attack * h.defence);
+}
+
+// [home, draw, away] as whole percentages summing to 100 (largest
+// remainder), for display.
+export function percentages(p) {
+  const raw = [p.home, p.draw, p.away].map((x) => x * 100);
+  const out = raw.map(Math.floor);
+  const order = raw.map((x, i) => [x - Math.floor(x), i]).sort((x, y) => y[0] - x[0]);
+  const missing = 100 - out.reduce((s, x) => s + x, 0);
+  for (let k = 0; k < missing; k++) out[order[k][1]] += 1;
+  return out;
+}
+
+const outcomeOf = (m) => (m.homeScore > m.awayScore ? "home" : m.homeScore === m.awayScore ? "draw" : "away");
+
+// Brier score (summed over the three outcomes, 0 best, 2 worst) and log
+// loss (natural log) of one prediction.
+export function scorePrediction(p, outcome) {
+  const brier = ["home", "draw", "away"].reduce((s, k) => s + (p[k] - (k === outcome ? 1 : 0)) ** 2, 0);
+  return { brier, logLoss: -Math.log(Math.max(p[outcome], 1e-15)) };
+}
+
+// Walk-forward back-test: every result in `evaluate` (a predicate over
+// results, default all) is predicted from a fit on the results strictly
+// before its date, then scored. The baseline predicts the home/draw/away
+// frequencies of those same earlier results. Calibration buckets every
+// outcome probability the model gave into tenths.
+//
+//   { matches, skipped, brier, logLoss, accuracy,
+//     baseline: { brier, logLoss },
+//     groups: [{ competition, season, matches, brier, logLoss, accuracy, baselineBrier }],
+//     calibration: [{ from, to, count, predicted, observed }] }
+export function backtest(results, {
+  evaluate = () => true,
+  halfLifeDays = HALF_LIFE_DAYS,
+  prior = PRIOR_GOALS,
+  minWeight = MIN_WEIGHT,
+} = {}) {
+  const { teams, rows } = indexRows(results);
+  const groups = new Map();
+  const buckets = Array.from({ length: 10 }, (_, i) => ({ from: i / 10, to: (i + 1) / 10, count: 0, predicted: 0, observed: 0 }));
+  const totals = { matches: 0, skipped: 0, brier: 0, logLoss: 0, correct: 0, baselineBrier: 0, baselineLogLoss: 0 };
+  const seen = { home: 0, draw: 0, away: 0 };
+  let fit = null;
+
+  for (let start = 0; start < rows.length; ) {
+    let end = start;
+    while (end < rows.length && rows[end].date === rows[start].date) end++;
+    const todays = rows.slice(start, end).filter(evaluate);
+    if (todays.length && start > 0) {
+      fit = fitRows(rows, start, teams.size, rows[start].t, { halfLifeDays, prior, iterations: fit ? REFIT_ITERATIONS : FIT_ITERATIONS }, fit);
+      const played = seen.home + seen.draw + seen.away;
+      const baseline = { home: seen.home / played, draw: seen.draw / played, away: seen.away / played };
+      for (const m of todays) {
+        if (fit.weight[m.h] < minWeight || fit.weight[m.a] < minWeight) {
+          totals.skipped += 1;
+          continue;
+        }
+        const p = outcomeProbabilities(fit.base * fit.home * fit.attack[m.h] * fit.defence[m.a], fit.base * fit.attack[m.a] * fit.defence[m.h]);
+        const outcome = outcomeOf(m);
+        const score = scorePrediction(p, outcome);
+        const base = scorePrediction(baseline, outcome);
+        const pick = ["home", "draw", "away"].reduce((x, y) => (p[y] > p[x] ? y : x));
+        totals.matches += 1;
+        totals.brier += score.brier;
+        totals.logLoss += score.logLoss;
+        totals.correct += pick === outcome ? 1 : 0;
+        totals.baselineBrier += base.brier;
+        totals.baselineLogLoss += base.logLoss;
+
+        const key = `${m.competition}|${m.season}`;
+        const g = groups.get(key) || { competition: m.competition, season: m.season, matches: 0, brier: 0, logLoss: 0, correct: 0, baselineBrier: 0 };
+        g.matches += 1;
+        g.brier += score.brier;
+        g.logLoss += score.logLoss;
+        g.correct += pick === outcome ? 1 : 0;
+        g.baselineBrier += base.brier;
+        groups.set(key, g);
+
+        for (const k of ["home", "draw", "away"]) {
+          const b = buckets[Math.min(9, Math.floor(p[k] * 10))];
+          b.count += 1;
+          b.predicted += p[k];
+          b.observed += k === outcome ? 1 : 0;
+        }
+      }
+    }
+    for (let i = start; i < end; i++) seen[outcomeOf(rows[i])] += 1;
+    start = end;
+  }
+
+  const n = totals.matches || 1;
+  return {
+    matches: totals.matches,
+    skipped: totals.skipped,
+    brier: totals.brier / n,
+    logLoss: totals.logLoss / n,
+    accuracy: totals.correct / n,
+    baseline: { brier: totals.baselineBrier / n, logLoss: totals.baselineLogLoss / n },
+    groups: [...groups.values()].map((g) => ({
+      competition: g.competition,
+      season: g.season,
+      matches: g.matches,
+      brier: g.brier / g.matches,
+      logLoss: g.logLoss / g.matches,
+      accuracy: g.correct / g.matches,
+      baselineBrier: g.baselineBrier / g.matches,
+    })),
+    calibration: buckets
+      .filter((b) => b.count)
+      .map((b) => ({ from: b.from, to: b.to, count: b.count, predicted: b.predicted / b.count, observed: b.observed / b.count })),
+  };
+}
+
+// The model the site shows: archive plus current-season results, fitted as
+// of the fixtures feed's update time (so a rebuild of the same data gives
+// the same numbers). predict(homeName, awayName) takes names in any
+// spelling.
+export function createPredictor({ archive, fixtures, names = createTeamNameRegistry() }) {
+  const results = [...archiveMeetings(archive, names), ...fixtureResults(fixtures?.fixtures, names)];
+  const model = fitPoissonModel(results, { asOf: fixtures?.updatedAt || null });
+  return {
+    model,
+    predict: (home, away) => (home && away ? predictMatch(model, names.slug(home), names.slug(away)) : null),
+  };
+}
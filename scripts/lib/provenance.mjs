@@ -0,0 +1,85 @@
+// Field-level provenance for data/players.json.
+//
+// Every season split carries `fieldMeta: { <stat>: { value, source,
+// fetchedAt, confidence } }`, one entry per SPLIT_STATS field, in the same
+// shape fetch-live-fallback.mjs has always used for fantasy rows (`field`).
+// Writers never assign a stat directly: they offer a field to mergeFields,
+// which keeps whichever of the current and offered values ranks higher:
+//
+//   1. the same source always replaces itself (a fresher snapshot)
+//   2. otherwise the higher SOURCE_RULES priority wins
+//   3. then the higher confidence
+//   4. then the more recent fetchedAt
+//
+// A stat with no fieldMeta counts as the "default" source, which anything
+// outranks. The flat player fields get a derived fieldMeta too (see
+// withSeasonTotals in player-seasons.mjs).
+
+import { SPLIT_STATS } from "./player-seasons.mjs";
+
+// priority: which source wins a disagreement. confidence: the default when
+// the writer does not know better for a particular row.
+export const SOURCE_RULES = {
+  "football-data": { label: "football-data.org", priority: 40, confidence: 0.9 },
+  "players-feed": { label: "players feed", priority: 30, confidence: 0.7 },
+  "players-seed": { label: "PlayersB seed data", priority: 20, confidence: 0.6 },
+  fantasy: { label: "PlayersB fantasy model", priority: 10, confidence: 0.5 },
+  estimate: { label: "estimate (matches × 90)", priority: 5, confidence: 0.3 },
+  default: { label: "no source reported", priority: 0, confidence: 0 },
+};
+
+export function confidence(level) {
+  if (typeof level === "number") return Math.max(0, Math.min(1, level));
+  if (level === "high") return 0.9;
+  if (level === "medium") return 0.7;
+  if (level === "low") return 0.5;
+  return 0.6;
+}
+
+export function field(value, source, fetchedAt, conf = "medium") {
+  return {
+    value,
+    source,
+    fetchedAt,
+    confidence: confidence(conf),
+  };
+}
+
+// field() with the source's default confidence.
+export function sourceField(value, source, fetchedAt, conf = SOURCE_RULES[source]?.confidence) {
+  return field(value, source, fetchedAt, conf);
+}
+
+export function sourceLabel(source) {
+  return SOURCE_RULES[source]?.label || String(source || SOURCE_RULES.default.label);
+}
+
+const priority = (meta) => SOURCE_RULES[meta?.source]?.priority ?? SOURCE_RULES.default.priority;
+const timeOf = (meta) => Date.parse(meta?.fetchedAt || "") || 0;
+
+// true when `incoming` should replace `current`.
+export function outranks(incoming, current) {
+  if (!current || current.source === "default") return true;
+  if (incoming.source === current.source) return timeOf(incoming) >= timeOf(current);
+  if (priority(incoming) !== priority(current)) return priority(incoming) > priority(current);
+  if (incoming.confidence !== current.confidence) return incoming.confidence > current.confidence;
+  return timeOf(incoming) >= timeOf(current);
+}
+
+// Applies offered fields ({ goals: field(…), … }) to a split and returns the
+// new split; stats nobody has vouched for get a "default" entry.
+export function mergeFields(split, offered = {}) {
+  const next = { ...split };
+  const meta = { ...(split?.fieldMeta || {}) };
+  for (const [stat, incoming] of Object.entries(offered)) {
+    if (!incoming || !SPLIT_STATS.includes(stat)) continue;
+    if (!outranks(incoming, meta[stat])) continue;
+    next[stat] = Math.max(0, Number(incoming.value) || 0);
+    meta[stat] = { ...incoming, value: next[stat] };
+  }
+  for (const stat of SPLIT_STATS) {
+    if (!meta[stat]) meta[stat] = field(Number(next[stat]) || 0, "default", null, 0);
+  }
+  next.fieldMeta = meta;
+  return next;
+}
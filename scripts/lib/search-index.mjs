@@ -0,0 +1,75 @@
+// Inverted index for data/search-index.json. generate-search-index.mjs
+// builds it here; assets/js/site.js keeps a copy of foldText/searchTokens
+// (it cannot import modules) and must fold queries exactly the same way.
+//
+// Tokens are Unicode-folded ("Núñez" → "nunez", "Ødegaard" → "odegaard"),
+// apostrophes are dropped ("N'Golo" → "ngolo"), and each token is indexed
+// both whole (`terms`) and by every shorter prefix (`prefixes`) so the client
+// can answer as-you-type lookups without scanning entries.
+//
+// Postings are flat [entryIndex, weight, entryIndex, weight, …] arrays, one
+// pair per entry with the strongest field winning: name and aliases weigh
+// NAME_WEIGHT, every other field 1.
+
+// Letters that NFKD leaves intact but readers type as ASCII.
+const FOLD_MAP = { ø: "o", æ: "ae", œ: "oe", ß: "ss", đ: "d", ð: "d", ł: "l", ı: "i", þ: "th" };
+
+export const NAME_WEIGHT = 3;
+export const INDEX_VERSION = 1;
+
+export function foldText(s) {
+  return String(s ?? "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[øæœßđðłıþ]/g, (c) => FOLD_MAP[c])
+    .replace(/['’]/g, "");
+}
+
+export function searchTokens(s) {
+  return foldText(s).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Club affixes and connectors nobody includes in initials ("Arsenal FC",
+// "Club Atlético de Madrid").
+const SKIP_WORDS = new Set(["fc", "afc", "cf", "sc", "ac", "ssc", "as", "cd", "ud", "rc", "sv", "de", "of", "and", "&"]);
+
+// Initials a reader might type for a club with a three-or-more-word name
+// ("Paris Saint-Germain FC" → "psg").
+export function teamAliases(label) {
+  const core = String(label ?? "")
+    .split(/[\s-]+/)
+    .filter((w) => w && !SKIP_WORDS.has(foldText(w)));
+  return core.length >= 3 ? [core.map((w) => foldText(w)[0]).join("")] : [];
+}
+
+// entries: [{ name, aliases?, team?, position?, section?, competition? }]
+export function buildSearchIndex(entries) {
+  const terms = new Map();
+  const prefixes = new Map();
+
+  function post(map, key, i, weight) {
+    if (!map.has(key)) map.set(key, new Map());
+    const postings = map.get(key);
+    if ((postings.get(i) || 0) < weight) postings.set(i, weight);
+  }
+
+  entries.forEach((entry, i) => {
+    const fields = [
+      [NAME_WEIGHT, [entry.name, ...(entry.aliases || [])]],
+      [1, [entry.team, entry.position, entry.section, entry.competition]],
+    ];
+    for (const [weight, values] of fields) {
+      for (const token of searchTokens(values.filter(Boolean).join(" "))) {
+        post(terms, token, i, weight);
+        for (let len = 1; len < token.length; len++) post(prefixes, token.slice(0, len), i, weight);
+      }
+    }
+  });
+
+  const flatten = (map) =>
+    Object.fromEntries(
+      [...map.keys()].sort().map((key) => [key, [...map.get(key)].sort((a, b) => a[0] - b[0]).flat()])
+    );
+  return { version: INDEX_VERSION, nameWeight: NAME_WEIGHT, terms: flatten(terms), prefixes: flatten(prefixes) };
+}
@@ -0,0 +1,62 @@
+// Nearest-neighbour "similar players" used by player pages and the JSON API:
+// same position first, other clubs before teammates, then the smallest
+// distance between per-90 goal, assist and shot rates.
+
+import { safeStr, sanitizeId } from "./slug.mjs";
+import { num, per90 } from "./stats.mjs";
+
+export function splitPositions(position) {
+  return safeStr(position)
+    .split("/")
+    .map((part) => part.trim())
+    .filter(Boolean);
+}
+
+function similarityScore(a, b) {
+  const minsA = num(a.minutes);
+  const minsB = num(b.minutes);
+
+  const g90a = per90(num(a.goals), minsA);
+  const g90b = per90(num(b.goals), minsB);
+  const a90a = per90(num(a.assists), minsA);
+  const a90b = per90(num(b.assists), minsB);
+  const s90a = per90(num(a.shots), minsA);
+  const s90b = per90(num(b.shots), minsB);
+
+  const dist = Math.sqrt(
+    (g90a - g90b) ** 2 +
+    (a90a - a90b) ** 2 +
+    (s90a - s90b) ** 2
+  );
+
+  return dist;
+}
+
+export function findSimilarPlayers(player, players, limit = 3) {
+  const playerId = sanitizeId(player?.id);
+  const positions = new Set(splitPositions(player?.position));
+  const team = safeStr(player?.team);
+
+  const candidates = players
+    .filter((p) => sanitizeId(p?.id) && sanitizeId(p?.id) !== playerId)
+    .map((p) => {
+      const posSet = new Set(splitPositions(p?.position));
+      const sharedPos = [...posSet].some((pos) => positions.has(pos));
+      const sameTeam = team && safeStr(p?.team) === team;
+      const score = similarityScore(player, p);
+
+      return {
+        player: p,
+        score,
+        sharedPos,
+        sameTeam,
+      };
+    })
+    .sort((a, b) => {
+      if (a.sharedPos !== b.sharedPos) return a.sharedPos ? -1 : 1;
+      if (a.sameTeam !== b.sameTeam) return a.sameTeam ? 1 : -1;
+      return a.score - b.score;
+    });
+
+  return candidates.slice(0, limit).map((c) => c.player);
+}
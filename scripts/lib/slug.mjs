@@ -0,0 +1,16 @@
+// Slugging for folder names and URLs. Every route (/players/<id>/,
+// /teams/<slug>/, /competitions/<code>/, the sitemap and the search index)
+// derives its path segment from sanitizeId, so URLs cannot diverge between
+// the page that is written and the pages that link to it.
+
+export function safeStr(s) {
+  return String(s ?? "").trim();
+}
+
+export function sanitizeId(raw) {
+  return safeStr(raw)
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+}
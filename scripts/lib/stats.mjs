@@ -0,0 +1,14 @@
+// Numeric helpers for per-90 rates. Non-finite inputs count as zero so a
+// missing stat never renders as NaN.
+
+export function num(v) {
+  return typeof v === "number" && Number.isFinite(v) ? v : 0;
+}
+
+export function per90(v, m) {
+  return m > 0 ? v / (m / 90) : 0;
+}
+
+export function fmt2(n) {
+  return Number.isFinite(n) ? n.toFixed(2) : "0.00";
+}
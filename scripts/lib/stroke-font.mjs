@@ -0,0 +1,290 @@
+// A single-line ("stroke") sans-serif font for rasterizing share-card text
+// without font files. Each glyph is a centreline path in font units: baseline
+// at y=0, cap height at y=-10, x-height at y=-7, y growing downwards as in
+// SVG. lib/svg-raster.mjs strokes the centreline with a width taken from
+// font-weight, so one outline serves every weight.
+//
+// The coverage is what the cards use: ASCII letters, digits, common
+// punctuation and the Latin letters of European club and player names.
+// Accented letters are drawn as their base glyph plus the combining marks in
+// MARKS, placed over (or under) the glyph's ink; letters without a glyph or
+// decomposition fold to ASCII (FOLD), and anything else renders as "?".
+// Glyph paths only use absolute M, L, C and Z.
+
+export const UNITS_PER_EM = 15.5;
+
+// Stroke width as a fraction of font-size, by CSS font-weight.
+const WEIGHT_STROKE = [
+  [300, 0.062],
+  [400, 0.075],
+  [500, 0.088],
+  [600, 0.1],
+  [700, 0.115],
+  [800, 0.128],
+];
+
+// Gap between glyph outlines, in font units.
+const SIDE_BEARING = 1.3;
+const SPACE_ADVANCE = 4;
+
+// Bowls shared by several letters.
+const BOWL_RIGHT_STEM = "C5.6 -5.6 4.4 -7 2.8 -7 C1.2 -7 0 -5.6 0 -3.5 C0 -1.4 1.2 0 2.8 0 C4.4 0 5.6 -1.4 5.6 -3.5";
+const BOWL_LEFT_STEM = "C0 -5.6 1.2 -7 2.8 -7 C4.4 -7 5.6 -5.6 5.6 -3.5 C5.6 -1.4 4.4 0 2.8 0 C1.2 0 0 -1.4 0 -3.5";
+const ARCH = "C0 -6 1.2 -7 2.7 -7 C4.3 -7 5.2 -6 5.2 -4.3 L5.2 0";
+const OVAL = "M4.25 -10 C1.7 -10 0 -7.8 0 -5 C0 -2.2 1.7 0 4.25 0 C6.8 0 8.5 -2.2 8.5 -5 C8.5 -7.8 6.8 -10 4.25 -10 Z";
+const S_CURVE = "M7 -8.5 C6.3 -9.5 5.2 -10 3.7 -10 C1.8 -10 0.4 -9 0.4 -7.4 C0.4 -4.2 7.2 -5.9 7.2 -2.6 C7.2 -1 5.7 0 3.6 0 C2 0 0.7 -0.6 0 -1.7";
+
+export const GLYPHS = {
+  A: "M0 0 L4 -10 L8 0 M1.4 -3.5 L6.6 -3.5",
+  B: "M0 0 L0 -10 L4.3 -10 C6.8 -10 6.8 -5.2 4.3 -5.2 L0 -5.2 M4.3 -5.2 C7.6 -5.2 7.6 0 4.3 0 L0 0",
+  C: "M7.5 -8.2 C6.6 -9.5 5.4 -10 4 -10 C1.6 -10 0 -7.8 0 -5 C0 -2.2 1.6 0 4 0 C5.4 0 6.6 -0.5 7.5 -1.8",
+  D: "M0 0 L0 -10 L3.5 -10 C6.2 -10 7.5 -7.8 7.5 -5 C7.5 -2.2 6.2 0 3.5 0 Z",
+  E: "M6.5 -10 L0 -10 L0 0 L6.5 0 M0 -5.2 L5.5 -5.2",
+  F: "M6.5 -10 L0 -10 L0 0 M0 -5.2 L5.5 -5.2",
+  G: "M7.5 -8.2 C6.6 -9.5 5.4 -10 4 -10 C1.6 -10 0 -7.8 0 -5 C0 -2.2 1.6 0 4 0 C6 0 7.5 -1.2 7.5 -3.5 L7.5 -4.5 L4.5 -4.5",
+  H: "M0 0 L0 -10 M7 0 L7 -10 M0 -5.2 L7 -5.2",
+  I: "M0 0 L0 -10",
+  J: "M5 -10 L5 -3 C5 -1 4 0 2.5 0 C1 0 0 -1 0 -2.5",
+  K: "M0 0 L0 -10 M7 -10 L0 -3.5 M2.4 -5.8 L7 0",
+  L: "M0 -10 L0 0 L6 0",
+  M: "M0 0 L0 -10 L4.5 -2 L9 -10 L9 0",
+  N: "M0 0 L0 -10 L7 0 L7 -10",
+  O: OVAL,
+  P: "M0 0 L0 -10 L4.2 -10 C7.2 -10 7.2 -4.6 4.2 -4.6 L0 -4.6",
+  Q: `${OVAL} M5 -2.5 L8.3 0.6`,
+  R: "M0 0 L0 -10 L4.2 -10 C7.2 -10 7.2 -4.8 4.2 -4.8 L0 -4.8 M3.8 -4.8 L6.8 0",
+  S: S_CURVE,
+  T: "M0 -10 L7.5 -10 M3.75 -10 L3.75 0",
+  U: "M0 -10 L0 -3.5 C0 -1.2 1.5 0 3.6 0 C5.7 0 7.2 -1.2 7.2 -3.5 L7.2 -10",
+  V: "M0 -10 L4 0 L8 -10",
+  W: "M0 -10 L2.8 0 L5.5 -7.5 L8.2 0 L11 -10",
+  X: "M0 -10 L7.5 0 M7.5 -10 L0 0",
+  Y: "M0 -10 L3.75 -4.8 L7.5 -10 M3.75 -4.8 L3.75 0",
+  Z: "M0.3 -10 L7.3 -10 L0 0 L7.5 0",
+
+  a: `M5.6 -7 L5.6 0 M5.6 -3.5 ${BOWL_RIGHT_STEM}`,
+  b: `M0 -10.5 L0 0 M0 -3.5 ${BOWL_LEFT_STEM}`,
+  c: "M5.3 -5.8 C4.8 -6.6 4 -7 3 -7 C1.2 -7 0 -5.6 0 -3.5 C0 -1.4 1.2 0 3 0 C4 0 4.8 -0.4 5.3 -1.2",
+  d: `M5.6 -10.5 L5.6 0 M5.6 -3.5 ${BOWL_RIGHT_STEM}`,
+  e: "M0 -3.6 L5.6 -3.6 C5.6 -5.6 4.5 -7 2.8 -7 C1.1 -7 0 -5.6 0 -3.5 C0 -1.4 1.2 0 3 0 C4.1 0 4.9 -0.4 5.4 -1.2",
+  f: "M4.2 -10.3 C3.9 -10.5 3.6 -10.5 3.3 -10.5 C2.2 -10.5 1.5 -9.8 1.5 -8.5 L1.5 0 M0 -7 L4 -7",
+  g: "M5.6 -7 L5.6 1 C5.6 2.5 4.5 3.3 2.9 3.3 C1.7 3.3 0.8 2.9 0.3 2.2 M5.6 -3.6 C5.6 -5.6 4.4 -7 2.8 -7 C1.2 -7 0 -5.6 0 -3.6 C0 -1.6 1.2 -0.3 2.8 -0.3 C4.4 -0.3 5.6 -1.6 5.6 -3.6",
+  h: `M0 -10.5 L0 0 M0 -4.2 ${ARCH}`,
+  i: "M0 -7 L0 0 M0 -9.6 L0 -9.5",
+  j: "M1 -7 L1 1.8 C1 2.9 0.4 3.3 -0.6 3.3 M1 -9.6 L1 -9.5",
+  k: "M0 -10.5 L0 0 M5 -7 L0 -2.3 M1.9 -4.1 L5.3 0",
+  l: "M0 -10.5 L0 0",
+  m: "M0 -7 L0 0 M0 -4.6 C0 -6.2 0.9 -7 2.2 -7 C3.5 -7 4.2 -6.2 4.2 -4.6 L4.2 0 M4.2 -4.6 C4.2 -6.2 5.1 -7 6.4 -7 C7.7 -7 8.4 -6.2 8.4 -4.6 L8.4 0",
+  n: `M0 -7 L0 0 M0 -4.2 ${ARCH}`,
+  o: "M2.9 -7 C1.2 -7 0 -5.6 0 -3.5 C0 -1.4 1.2 0 2.9 0 C4.6 0 5.8 -1.4 5.8 -3.5 C5.8 -5.6 4.6 -7 2.9 -7 Z",
+  p: `M0 -7 L0 3.3 M0 -3.5 ${BOWL_LEFT_STEM}`,
+  q: `M5.6 -7 L5.6 3.3 M5.6 -3.5 ${BOWL_RIGHT_STEM}`,
+  r: "M0 -7 L0 0 M0 -4 C0 -5.9 1.2 -7 2.8 -7 L3.6 -7",
+  s: "M4.9 -6 C4.4 -6.7 3.6 -7 2.6 -7 C1.2 -7 0.3 -6.3 0.3 -5.2 C0.3 -3 5.1 -4 5.1 -1.8 C5.1 -0.7 4.1 0 2.6 0 C1.4 0 0.5 -0.4 0 -1.1",
+  t: "M1.5 -9.2 L1.5 -1.6 C1.5 -0.5 2 0 3 0 L3.8 0 M0 -7 L3.8 -7",
+  u: "M0 -7 L0 -2.8 C0 -1 0.9 0 2.5 0 C4 0 5.2 -1 5.2 -2.8 M5.2 -7 L5.2 0",
+  v: "M0 -7 L2.8 0 L5.6 -7",
+  w: "M0 -7 L2.1 0 L4.2 -5.6 L6.3 0 L8.4 -7",
+  x: "M0 -7 L5.2 0 M5.2 -7 L0 0",
+  y: "M0 -7 L2.8 0 M5.6 -7 L2.2 1.6 C1.7 2.8 1.1 3.3 0 3.3",
+  z: "M0.2 -7 L5.2 -7 L0 0 L5.4 0",
+
+  0: "M3.2 -10 C1.3 -10 0 -7.9 0 -5 C0 -2.1 1.3 0 3.2 0 C5.1 0 6.4 -2.1 6.4 -5 C6.4 -7.9 5.1 -10 3.2 -10 Z",
+  1: "M0 -8.2 L2.6 -10 L2.6 0",
+  2: "M0.3 -8 C0.8 -9.3 1.9 -10 3.3 -10 C5 -10 6.2 -8.9 6.2 -7.3 C6.2 -5.9 5.4 -5 4.2 -3.9 L0 0 L6.4 0",
+  3: "M0.4 -8.6 C1 -9.5 2 -10 3.2 -10 C4.9 -10 6 -9 6 -7.6 C6 -6.2 4.9 -5.3 3.2 -5.3 M3.2 -5.3 C5.2 -5.3 6.4 -4.2 6.4 -2.7 C6.4 -1 5 0 3.2 0 C1.8 0 0.7 -0.6 0 -1.6",
+  4: "M5 0 L5 -10 L0 -3 L6.6 -3",
+  5: "M6 -10 L1 -10 L0.5 -5.4 C1.2 -6 2.2 -6.3 3.2 -6.3 C5.1 -6.3 6.4 -5 6.4 -3.1 C6.4 -1.2 5 0 3.1 0 C1.7 0 0.6 -0.6 0 -1.6",
+  6: "M5.7 -9.2 C5.1 -9.7 4.3 -10 3.4 -10 C1.3 -10 0 -7.8 0 -4.6 C0 -1.6 1.2 0 3.2 0 C5.1 0 6.4 -1.3 6.4 -3.2 C6.4 -5.1 5.1 -6.3 3.3 -6.3 C1.7 -6.3 0.4 -5.3 0 -3.8",
+  7: "M0 -10 L6.4 -10 L2.2 0",
+  8: "M3.2 -5.4 C1.5 -5.4 0.4 -6.3 0.4 -7.7 C0.4 -9.1 1.6 -10 3.2 -10 C4.8 -10 6 -9.1 6 -7.7 C6 -6.3 4.9 -5.4 3.2 -5.4 C1.3 -5.4 0 -4.4 0 -2.8 C0 -1.1 1.3 0 3.2 0 C5.1 0 6.4 -1.1 6.4 -2.8 C6.4 -4.4 5.1 -5.4 3.2 -5.4 Z",
+  9: "M0.7 -0.8 C1.3 -0.3 2.1 0 3 0 C5.1 0 6.4 -2.2 6.4 -5.4 C6.4 -8.4 5.2 -10 3.2 -10 C1.3 -10 0 -8.7 0 -6.8 C0 -4.9 1.3 -3.7 3.1 -3.7 C4.7 -3.7 6 -4.7 6.4 -6.2",
+
+  ".": "M0 0 L0 -0.1",
+  ",": "M0.6 -0.4 L0 1.8",
+  ":": "M0 -6.6 L0 -6.5 M0 0 L0 -0.1",
+  ";": "M0.6 -6.6 L0.6 -6.5 M0.6 -0.4 L0 1.8",
+  "-": "M0 -4 L3.6 -4",
+  "–": "M0 -4 L6 -4",
+  "—": "M0 -4 L10 -4",
+  "/": "M4.5 -10.5 L0 1.5",
+  "·": "M0 -4.2 L0 -4.1",
+  "'": "M0 -10 L0 -7.4",
+  "’": "M0.6 -10 L0 -7.4",
+  "‘": "M0 -10 L0.6 -7.4",
+  '"': "M0 -10 L0 -7.4 M2 -10 L2 -7.4",
+  "(": "M2.6 -10.8 C0.9 -9 0 -6.6 0 -4 C0 -1.4 0.9 1 2.6 2.8",
+  ")": "M0 -10.8 C1.7 -9 2.6 -6.6 2.6 -4 C2.6 -1.4 1.7 1 0 2.8",
+  "[": "M2.4 -10.8 L0 -10.8 L0 2.8 L2.4 2.8",
+  "]": "M0 -10.8 L2.4 -10.8 L2.4 2.8 L0 2.8",
+  "#": "M2.6 -10 L1.6 0 M6 -10 L5 0 M0.4 -6.6 L7.2 -6.6 M0 -3.4 L6.8 -3.4",
+  "%": "M0 0 L7.5 -10 M1.8 -10 C0.8 -10 0 -9.1 0 -7.8 C0 -6.5 0.8 -5.6 1.8 -5.6 C2.8 -5.6 3.6 -6.5 3.6 -7.8 C3.6 -9.1 2.8 -10 1.8 -10 Z M5.7 -4.4 C4.7 -4.4 3.9 -3.5 3.9 -2.2 C3.9 -0.9 4.7 0 5.7 0 C6.7 0 7.5 -0.9 7.5 -2.2 C7.5 -3.5 6.7 -4.4 5.7 -4.4 Z",
+  "+": "M0 -4 L6 -4 M3 -7 L3 -1",
+  "=": "M0 -5.2 L6 -5.2 M0 -2.8 L6 -2.8",
+  "<": "M6 -7 L0 -4 L6 -1",
+  ">": "M0 -7 L6 -4 L0 -1",
+  "×": "M0 -6.5 L4.5 -2 M4.5 -6.5 L0 -2",
+  "*": "M2.1 -10 L2.1 -5.8 M0.3 -8.9 L3.9 -6.9 M3.9 -8.9 L0.3 -6.9",
+  "!": "M0 -10 L0 -3 M0 0 L0 -0.1",
+  "?": "M0.2 -8.4 C0.7 -9.5 1.8 -10 3 -10 C4.6 -10 5.6 -9.1 5.6 -7.7 C5.6 -5.6 3 -5.4 3 -3.2 M3 0 L3 -0.1",
+  "&": "M7.2 0 L1.6 -6.2 C0.9 -7 0.7 -7.5 0.7 -8.1 C0.7 -9.2 1.6 -10 2.8 -10 C4 -10 4.8 -9.2 4.8 -8.1 C4.8 -6.9 3.9 -6.2 2.2 -5.2 C0.8 -4.4 0 -3.5 0 -2.4 C0 -0.9 1.3 0 3 0 C4.8 0 6 -1.2 6.8 -3.6",
+  _: "M0 1.5 L6 1.5",
+  "|": "M0 -10.8 L0 2.8",
+  "$": `${S_CURVE} M3.6 -11.3 L3.6 1.3`,
+  "→": "M0 -4 L8 -4 M5 -7 L8 -4 L5 -1",
+  "…": "M0 0 L0 -0.1 M2.6 0 L2.6 -0.1 M5.2 0 L5.2 -0.1",
+
+  // Letters NFD does not decompose, and dotless i and j to carry marks.
+  Ø: `${OVAL} M0.3 0.8 L8.2 -10.8`,
+  ø: "M2.9 -7 C1.2 -7 0 -5.6 0 -3.5 C0 -1.4 1.2 0 2.9 0 C4.6 0 5.8 -1.4 5.8 -3.5 C5.8 -5.6 4.6 -7 2.9 -7 Z M0.2 0.6 L5.6 -7.6",
+  Ł: "M1.2 -10 L1.2 0 L7.2 0 M0 -4.2 L3.4 -6.4",
+  ł: "M1.5 -10.5 L1.5 0 M0 -4.6 L3 -6.6",
+  Đ: "M1.2 0 L1.2 -10 L4.7 -10 C7.4 -10 8.7 -7.8 8.7 -5 C8.7 -2.2 7.4 0 4.7 0 Z M0 -5 L3.4 -5",
+  đ: `M5.6 -10.5 L5.6 0 M4 -8.8 L7.2 -8.8 M5.6 -3.5 ${BOWL_RIGHT_STEM}`,
+  ß: "M0 0 L0 -7.8 C0 -9.5 1.1 -10.5 2.7 -10.5 C4.2 -10.5 5.2 -9.6 5.2 -8.3 C5.2 -7 4.2 -6.2 2.8 -6.1 C4.7 -6 5.8 -4.9 5.8 -3.2 C5.8 -1.2 4.6 0 2.8 0 L2.2 0",
+  ı: "M0 -7 L0 0",
+  ȷ: "M1 -7 L1 1.8 C1 2.9 0.4 3.3 -0.6 3.3",
+};
+
+// Combining marks, centred on x=0. Marks above sit with their lowest point on
+// y=0 and are raised over the base glyph; marks below hang from y=0 (the
+// baseline). Ogonek hooks onto the glyph's right foot instead of its centre.
+const MARKS = {
+  "\u0300": { d: "M0.9 0 L-0.9 -2" }, // grave
+  "\u0301": { d: "M-0.9 0 L0.9 -2" }, // acute
+  "\u0302": { d: "M-1.8 0 L0 -2 L1.8 0" }, // circumflex
+  "\u0303": { d: "M-2 -0.3 C-1.4 -1.8 -0.6 -1.8 0 -1 C0.6 -0.2 1.4 -0.2 2 -1.7" }, // tilde
+  "\u0304": { d: "M-2 -0.8 L2 -0.8" }, // macron
+  "\u0306": { d: "M-1.8 -2 C-1.6 -0.7 -0.9 0 0 0 C0.9 0 1.6 -0.7 1.8 -2" }, // breve
+  "\u0307": { d: "M0 -0.9 L0 -1" }, // dot above
+  "\u0308": { d: "M-1.4 -0.9 L-1.4 -1 M1.4 -0.9 L1.4 -1" }, // diaeresis
+  "\u030a": { d: "M0 -2.2 C-0.7 -2.2 -1.1 -1.7 -1.1 -1.1 C-1.1 -0.5 -0.7 0 0 0 C0.7 0 1.1 -0.5 1.1 -1.1 C1.1 -1.7 0.7 -2.2 0 -2.2 Z" }, // ring
+  "\u030b": { d: "M-1.6 0 L-0.4 -2 M0.6 0 L1.8 -2" }, // double acute
+  "\u030c": { d: "M-1.8 -2 L0 0 L1.8 -2" }, // caron
+  "\u0326": { d: "M0.4 0.8 L-0.2 2.8", below: true }, // comma below
+  "\u0327": { d: "M0 0 L0 1 C1.2 1 1.6 1.5 1.6 2 C1.6 2.6 1 3 0 3 L-0.8 2.9", below: true }, // cedilla
+  "\u0328": { d: "M0 0 C-1 0.6 -1.4 1.3 -1.4 1.9 C-1.4 2.6 -0.9 3 0 3 L0.6 2.9", below: true, right: true }, // ogonek
+};
+
+// Gap between a glyph's ink and a mark above it, in font units.
+const MARK_GAP = 1.3;
+
+// Glyphs swapped in under a mark above: "í" is a dotless i with an acute.
+const DOTLESS = { i: "ı", j: "ȷ" };
+
+// Letters NFD does not decompose and the font has no glyph for.
+const FOLD = { æ: "ae", Æ: "AE", œ: "oe", Œ: "OE", ð: "d", Ð: "D", þ: "th", Þ: "Th" };
+
+const NUMBER = /-?\d*\.?\d+/g;
+
+// Paths parsed once: { tokens, minX, maxX, minY, maxY, width } with the path
+// as [cmd, ...numbers] tokens and the extent of its points.
+const parsed = new Map();
+function parsePath(d) {
+  if (parsed.has(d)) return parsed.get(d);
+  const tokens = [];
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const part of d.match(/[MLCZ][^MLCZ]*/g)) {
+    const nums = (part.slice(1).match(NUMBER) || []).map(Number);
+    for (let i = 0; i < nums.length; i += 2) {
+      minX = Math.min(minX, nums[i]);
+      maxX = Math.max(maxX, nums[i]);
+      minY = Math.min(minY, nums[i + 1]);
+      maxY = Math.max(maxY, nums[i + 1]);
+    }
+    tokens.push([part[0], ...nums]);
+  }
+  const p = { tokens, minX, maxX, minY, maxY, width: maxX - minX };
+  parsed.set(d, p);
+  return p;
+}
+
+// Splits text into what the font draws: [{ base, marks }] with a GLYPHS key as
+// base and the MARKS it carries. Unsupported marks are dropped (the base
+// letter still shows), letters outside the font fold or become "?".
+function clusters(text) {
+  const out = [];
+  for (const ch of String(text ?? "").normalize("NFD")) {
+    if (/\p{M}/u.test(ch)) {
+      if (MARKS[ch] && out.length && out[out.length - 1].base !== " ") out[out.length - 1].marks.push(ch);
+      continue;
+    }
+    if (/\s/.test(ch)) out.push({ base: " ", marks: [] });
+    else if (GLYPHS[ch] != null) out.push({ base: ch, marks: [] });
+    else if (FOLD[ch]) for (const c of FOLD[ch]) out.push({ base: c, marks: [] });
+    else out.push({ base: "?", marks: [] });
+  }
+  return out;
+}
+
+// Characters as the font can draw them: accents it has marks for, folded
+// letters, "?" for the rest.
+export function normalizeText(text) {
+  return clusters(text).map((c) => c.base + c.marks.join("")).join("").normalize("NFC");
+}
+
+// One cluster's outline in font units: the base glyph and its marks, as
+// [{ tokens, dx, dy }] pieces plus the cluster's horizontal extent.
+function clusterShape({ base, marks }) {
+  const above = marks.some((m) => !MARKS[m].below);
+  const g = parsePath(GLYPHS[above && DOTLESS[base] ? DOTLESS[base] : base]);
+  const pieces = [{ tokens: g.tokens, dx: 0, dy: 0 }];
+  let minX = g.minX;
+  let maxX = g.maxX;
+  let top = Math.min(g.minY, 0) - MARK_GAP;
+  for (const m of marks) {
+    const mark = MARKS[m];
+    const p = parsePath(mark.d);
+    const dx = mark.right ? g.maxX - 0.6 : (g.minX + g.maxX) / 2;
+    const dy = mark.below ? 0 : top;
+    if (!mark.below) top += p.minY - MARK_GAP;
+    pieces.push({ tokens: p.tokens, dx, dy });
+    minX = Math.min(minX, dx + p.minX);
+    maxX = Math.max(maxX, dx + p.maxX);
+  }
+  return { pieces, minX, width: maxX - minX };
+}
+
+export function strokeWidth(fontSize, fontWeight = 400) {
+  const weight = fontWeight === "bold" ? 700 : fontWeight === "normal" ? 400 : Number(fontWeight) || 400;
+  let best = WEIGHT_STROKE[0];
+  for (const entry of WEIGHT_STROKE) if (Math.abs(entry[0] - weight) < Math.abs(best[0] - weight)) best = entry;
+  return best[1] * fontSize;
+}
+
+// Lays out one line. Returns { d, width }: absolute SVG path data (M, L, C,
+// Z) for the glyph centrelines with the baseline starting at (x, y), and the
+// advance width in pixels, which counts the stroke so that text-anchor lines
+// up with the painted ink. letterSpacing is in pixels, as in SVG.
+export function layoutText(text, { x = 0, y = 0, fontSize = 16, fontWeight = 400, letterSpacing = 0 } = {}) {
+  const scale = fontSize / UNITS_PER_EM;
+  const half = strokeWidth(fontSize, fontWeight) / 2;
+  const parts = [];
+  let pen = 0;
+  const chars = clusters(text);
+  chars.forEach((c, i) => {
+    if (i > 0) pen += letterSpacing;
+    if (c.base === " ") {
+      pen += SPACE_ADVANCE * scale;
+      return;
+    }
+    const shape = clusterShape(c);
+    const ox = x + pen + half - shape.minX * scale;
+    for (const { tokens, dx, dy } of shape.pieces) {
+      for (const [cmd, ...nums] of tokens) {
+        const coords = [];
+        for (let k = 0; k < nums.length; k += 2) {
+          coords.push(round(ox + (dx + nums[k]) * scale), round(y + (dy + nums[k + 1]) * scale));
+        }
+        parts.push(cmd + coords.join(" "));
+      }
+    }
+    pen += shape.width * scale + 2 * half + (i < chars.length - 1 ? SIDE_BEARING * scale : 0);
+  });
+  return { d: parts.join(" "), width: pen };
+}
+
+const round = (n) => Math.round(n * 1000) / 1000;
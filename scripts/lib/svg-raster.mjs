@@ -0,0 +1,782 @@
+// Pure-JavaScript SVG rasterizer for the share cards: social networks ignore
+// SVG og:image files, and a headless browser or native canvas would be the
+// build's first non-Node dependency. It covers the subset the cards and
+// og-image.svg are written in, and throws on anything else so that a card
+// using a new feature fails the build instead of rendering wrong:
+//
+//   elements    svg, g, defs, linearGradient/stop, rect (rx/ry), circle,
+//               ellipse, line, polyline, polygon, path (no arcs), text;
+//               title, desc and metadata are skipped
+//   painting    fill, stroke, fill-/stroke-/opacity, fill-rule,
+//               stroke-width, stroke-linecap, stroke-linejoin; colours as
+//               #rgb, #rrggbb, rgb()/rgba() or a few names; url(#gradient)
+//   transforms  translate, scale, rotate, matrix
+//   text        x, y, font-size, font-weight, letter-spacing, text-anchor,
+//               drawn with the stroke font in lib/stroke-font.mjs
+//
+// Shapes are flattened to polygons in device space and filled with an
+// anti-aliased scanline coverage pass (SUBSAMPLES rows per pixel, exact
+// horizontal coverage). Strokes become unions of segment quads, joins and
+// caps filled with the nonzero rule. Group opacity is applied per element
+// rather than by compositing the group as a layer; the cards never overlap
+// translucent shapes inside a translucent group.
+
+import { encodePng } from "./png.mjs";
+import { layoutText, strokeWidth } from "./stroke-font.mjs";
+
+// Part of every card's cache key (lib/og-cards.mjs): bump it when a change
+// here or in the stroke font alters the pixels drawn for an unchanged SVG.
+export const RASTER_VERSION = 2;
+
+const SUBSAMPLES = 5;
+const TOLERANCE = 0.2; // max flattening error, in pixels
+const MITER_LIMIT = 4;
+
+// ---- XML ----------------------------------------------------------------
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+const decode = (s) => s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+  if (e[0] === "#") return String.fromCodePoint(e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+  return ENTITIES[e] ?? m;
+});
+
+// { name, attrs, children } elements; text nodes are strings.
+export function parseXml(text) {
+  const root = { name: "#root", attrs: {}, children: [] };
+  const stack = [root];
+  const re = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const top = stack[stack.length - 1];
+    if (m[1] != null) top.children.push(m[1]);
+    else if (m[2]) {
+      if (top.name !== m[2]) throw new Error(`svg-raster: </${m[2]}> does not close <${top.name}>`);
+      stack.pop();
+    } else if (m[3]) {
+      const attrs = {};
+      for (const a of m[4].matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) attrs[a[1]] = decode(a[2] ?? a[3]);
+      const el = { name: m[3], attrs, children: [] };
+      top.children.push(el);
+      if (!m[5]) stack.push(el);
+    } else if (m[6] != null) top.children.push(decode(m[6]));
+    else if (m[0].startsWith("<") && !/^<(!--|\?|!DOCTYPE)/.test(m[0])) {
+      throw new Error(`svg-raster: malformed markup near "${m[0].slice(0, 40)}"`);
+    }
+  }
+  if (stack.length !== 1) throw new Error(`svg-raster: <${stack[stack.length - 1].name}> is not closed`);
+  const svg = root.children.find((c) => typeof c === "object");
+  if (!svg || svg.name !== "svg") throw new Error("svg-raster: document root is not <svg>");
+  return svg;
+}
+
+// ---- Attributes -----------------------------------------------------------
+
+const NAMED_COLORS = {
+  black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0],
+  blue: [0, 0, 255], gray: [128, 128, 128], grey: [128, 128, 128],
+};
+
+// [r, g, b, a] with channels 0-255 and alpha 0-1, or null for "none".
+export function parseColor(value) {
+  const v = String(value).trim().toLowerCase();
+  if (v === "none" || v === "transparent") return null;
+  let m = v.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+  if (m) {
+    const hex = m[1].length === 3 ? m[1].replace(/./g, "$&$&") : m[1];
+    return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16)).concat(1);
+  }
+  m = v.match(/^rgba?\(([^)]*)\)$/);
+  if (m) {
+    const parts = m[1].split(/[\s,/]+/).filter(Boolean);
+    const channel = (p) => (p.endsWith("%") ? parseFloat(p) * 2.55 : parseFloat(p));
+    const alpha = parts[3] == null ? 1 : parts[3].endsWith("%") ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+    return [channel(parts[0]), channel(parts[1]), channel(parts[2]), alpha];
+  }
+  if (NAMED_COLORS[v]) return [...NAMED_COLORS[v], 1];
+  throw new Error(`svg-raster: unsupported colour "${value}"`);
+}
+
+const length = (v, fallback = 0) => {
+  if (v == null || v === "") return fallback;
+  const n = parseFloat(v);
+  if (!Number.isFinite(n)) throw new Error(`svg-raster: bad length "${v}"`);
+  return n;
+};
+
+const fraction = (v, fallback) => {
+  if (v == null || v === "") return fallback;
+  return String(v).trim().endsWith("%") ? parseFloat(v) / 100 : parseFloat(v);
+};
+
+// Presentation attributes, with a style="" declaration taking precedence.
+function styleOf(el) {
+  const out = { ...el.attrs };
+  for (const decl of String(el.attrs.style || "").split(";")) {
+    const i = decl.indexOf(":");
+    if (i > 0) out[decl.slice(0, i).trim()] = decl.slice(i + 1).trim();
+  }
+  return out;
+}
+
+const INHERITED = [
+  "fill", "fill-opacity", "fill-rule", "stroke", "stroke-opacity", "stroke-width", "stroke-linecap",
+  "stroke-linejoin", "font-size", "font-weight", "letter-spacing", "text-anchor",
+];
+
+// ---- Transforms -------------------------------------------------------------
+
+// Affine matrices as [a, b, c, d, e, f]: x' = a*x + c*y + e, y' = b*x + d*y + f.
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+function invert(m) {
+  const det = m[0] * m[3] - m[1] * m[2];
+  if (!det) throw new Error("svg-raster: singular transform");
+  return [
+    m[3] / det, -m[1] / det, -m[2] / det, m[0] / det,
+    (m[2] * m[5] - m[3] * m[4]) / det, (m[1] * m[4] - m[0] * m[5]) / det,
+  ];
+}
+
+const apply = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+export function parseTransform(value) {
+  let m = IDENTITY;
+  for (const [, name, args] of String(value || "").matchAll(/(\w+)\s*\(([^)]*)\)/g)) {
+    const n = args.split(/[\s,]+/).filter(Boolean).map(Number);
+    let t;
+    if (name === "translate") t = [1, 0, 0, 1, n[0], n[1] ?? 0];
+    else if (name === "scale") t = [n[0], 0, 0, n[1] ?? n[0], 0, 0];
+    else if (name === "matrix" && n.length === 6) t = n;
+    else if (name === "rotate") {
+      const r = (n[0] * Math.PI) / 180;
+      const [cos, sin] = [Math.cos(r), Math.sin(r)];
+      t = [cos, sin, -sin, cos, 0, 0];
+      if (n.length === 3) t = multiply(multiply([1, 0, 0, 1, n[1], n[2]], t), [1, 0, 0, 1, -n[1], -n[2]]);
+    } else throw new Error(`svg-raster: unsupported transform "${name}(${args})"`);
+    m = multiply(m, t);
+  }
+  return m;
+}
+
+// ---- Geometry ---------------------------------------------------------------
+
+// A path is a list of subpaths { points: [x0, y0, x1, y1, …], closed },
+// already in device space.
+
+function flattenCubic(out, x0, y0, x1, y1, x2, y2, x3, y3) {
+  const dd = Math.max(Math.hypot(x0 - 2 * x1 + x2, y0 - 2 * y1 + y2), Math.hypot(x1 - 2 * x2 + x3, y1 - 2 * y2 + y3));
+  const n = Math.min(100, Math.max(1, Math.ceil(Math.sqrt((0.75 * dd) / TOLERANCE))));
+  for (let i = 1; i <= n; i++) {
+    const t = i / n;
+    const u = 1 - t;
+    out.push(
+      u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x3,
+      u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y3,
+    );
+  }
+}
+
+function flattenQuad(out, x0, y0, x1, y1, x2, y2) {
+  const dd = Math.hypot(x0 - 2 * x1 + x2, y0 - 2 * y1 + y2);
+  const n = Math.min(100, Math.max(1, Math.ceil(Math.sqrt((0.5 * dd) / TOLERANCE))));
+  for (let i = 1; i <= n; i++) {
+    const t = i / n;
+    const u = 1 - t;
+    out.push(u * u * x0 + 2 * u * t * x1 + t * t * x2, u * u * y0 + 2 * u * t * y1 + t * t * y2);
+  }
+}
+
+const PATH_ARGS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, Z: 0 };
+
+// SVG path data → subpaths, transformed by m.
+export function pathToPolygons(d, m = IDENTITY) {
+  const tokens = String(d).match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+  const subpaths = [];
+  let current = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastCtrl = null; // [x, y, "C" | "Q"] in user space, for S and T
+  let i = 0;
+  let cmd = null;
+  const dev = (px, py) => apply(m, px, py);
+  const moveTo = (px, py) => {
+    current = { points: [...dev(px, py)], closed: false };
+    subpaths.push(current);
+    x = startX = px;
+    y = startY = py;
+  };
+  const ensure = () => { if (!current) moveTo(x, y); };
+
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) cmd = tokens[i++];
+    else if (!cmd) throw new Error(`svg-raster: path data must start with a command: "${d}"`);
+    const upper = cmd.toUpperCase();
+    if (!(upper in PATH_ARGS)) throw new Error(`svg-raster: unsupported path command "${cmd}"`);
+    const rel = cmd !== upper;
+    const n = tokens.slice(i, i + PATH_ARGS[upper]).map(Number);
+    if (n.length < PATH_ARGS[upper] || n.some((v) => !Number.isFinite(v))) {
+      throw new Error(`svg-raster: truncated "${cmd}" in path data "${d}"`);
+    }
+    i += PATH_ARGS[upper];
+    const ox = rel ? x : 0;
+    const oy = rel ? y : 0;
+    switch (upper) {
+      case "M":
+        moveTo(ox + n[0], oy + n[1]);
+        cmd = rel ? "l" : "L"; // extra pairs are line-tos
+        lastCtrl = null;
+        break;
+      case "L": case "H": case "V": {
+        ensure();
+        if (upper === "L") { x = ox + n[0]; y = oy + n[1]; } else if (upper === "H") x = ox + n[0]; else y = oy + n[0];
+        current.points.push(...dev(x, y));
+        lastCtrl = null;
+        break;
+      }
+      case "C": case "S": {
+        ensure();
+        let c1x; let c1y;
+        let k = 0;
+        if (upper === "C") { c1x = ox + n[0]; c1y = oy + n[1]; k = 2; } else if (lastCtrl?.[2] === "C") {
+          c1x = 2 * x - lastCtrl[0]; c1y = 2 * y - lastCtrl[1];
+        } else { c1x = x; c1y = y; }
+        const c2x = ox + n[k]; const c2y = oy + n[k + 1];
+        const ex = ox + n[k + 2]; const ey = oy + n[k + 3];
+        flattenCubic(current.points, ...dev(x, y), ...dev(c1x, c1y), ...dev(c2x, c2y), ...dev(ex, ey));
+        lastCtrl = [c2x, c2y, "C"];
+        x = ex; y = ey;
+        break;
+      }
+      case "Q": case "T": {
+        ensure();
+        let cx; let cy;
+        let k = 0;
+        if (upper === "Q") { cx = ox + n[0]; cy = oy + n[1]; k = 2; } else if (lastCtrl?.[2] === "Q") {
+          cx = 2 * x - lastCtrl[0]; cy = 2 * y - lastCtrl[1];
+        } else { cx = x; cy = y; }
+        const ex = ox + n[k]; const ey = oy + n[k + 1];
+        flattenQuad(current.points, ...dev(x, y), ...dev(cx, cy), ...dev(ex, ey));
+        lastCtrl = [cx, cy, "Q"];
+        x = ex; y = ey;
+        break;
+      }
+      case "Z":
+        if (current) current.closed = true;
+        current = null;
+        x = startX; y = startY;
+        lastCtrl = null;
+        break;
+    }
+  }
+  return subpaths;
+}
+
+// Points on an elliptical arc from angle a0 to a1 (radians), user space.
+function arcPoints(out, m, cx, cy, rx, ry, a0, a1) {
+  const scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+  const r = Math.max(rx, ry) * scale;
+  const step = r > TOLERANCE ? 2 * Math.acos(1 - TOLERANCE / r) : Math.PI / 2;
+  const n = Math.max(2, Math.ceil(Math.abs(a1 - a0) / step));
+  for (let i = 0; i <= n; i++) {
+    const a = a0 + ((a1 - a0) * i) / n;
+    out.push(...apply(m, cx + rx * Math.cos(a), cy + ry * Math.sin(a)));
+  }
+}
+
+function rectPolygon(a, m) {
+  const x = length(a.x); const y = length(a.y);
+  const w = length(a.width); const h = length(a.height);
+  if (!(w > 0 && h > 0)) return [];
+  let rx = a.rx != null ? length(a.rx) : a.ry != null ? length(a.ry) : 0;
+  let ry = a.ry != null ? length(a.ry) : rx;
+  rx = Math.min(rx, w / 2);
+  ry = Math.min(ry, h / 2);
+  const points = [];
+  if (!(rx > 0 && ry > 0)) {
+    for (const [px, py] of [[x, y], [x + w, y], [x + w, y + h], [x, y + h]]) points.push(...apply(m, px, py));
+  } else {
+    const q = Math.PI / 2;
+    arcPoints(points, m, x + w - rx, y + ry, rx, ry, -q, 0);
+    arcPoints(points, m, x + w - rx, y + h - ry, rx, ry, 0, q);
+    arcPoints(points, m, x + rx, y + h - ry, rx, ry, q, 2 * q);
+    arcPoints(points, m, x + rx, y + ry, rx, ry, 2 * q, 3 * q);
+  }
+  return [{ points, closed: true }];
+}
+
+function ellipsePolygon(cx, cy, rx, ry, m) {
+  if (!(rx > 0 && ry > 0)) return [];
+  const points = [];
+  arcPoints(points, m, cx, cy, rx, ry, 0, 2 * Math.PI);
+  points.length -= 2; // last point repeats the first
+  return [{ points, closed: true }];
+}
+
+function pointsPolygon(value, m, closed) {
+  const n = String(value || "").split(/[\s,]+/).filter(Boolean).map(Number);
+  const points = [];
+  for (let i = 0; i + 1 < n.length; i += 2) points.push(...apply(m, n[i], n[i + 1]));
+  return points.length >= 4 ? [{ points, closed }] : [];
+}
+
+// ---- Strokes ----------------------------------------------------------------
+
+function disc(cx, cy, r) {
+  const n = Math.min(64, Math.max(8, Math.ceil(Math.PI / Math.acos(Math.max(-1, 1 - TOLERANCE / r)))));
+  const points = [];
+  for (let i = 0; i < n; i++) {
+    const a = (2 * Math.PI * i) / n;
+    points.push(cx + r * Math.cos(a), cy + r * Math.sin(a));
+  }
+  return points;
+}
+
+// The outline of a stroke as polygons whose union (nonzero) is the stroke.
+export function strokePolygons(subpaths, width, { cap = "butt", join = "miter" } = {}) {
+  const h = width / 2;
+  const polys = [];
+  for (const { points: raw, closed } of subpaths) {
+    // Drop repeated points; a lone point still gets its caps.
+    const pts = [];
+    for (let i = 0; i < raw.length; i += 2) {
+      const n = pts.length;
+      if (n && Math.abs(pts[n - 2] - raw[i]) < 1e-6 && Math.abs(pts[n - 1] - raw[i + 1]) < 1e-6) continue;
+      pts.push(raw[i], raw[i + 1]);
+    }
+    if (closed && pts.length > 4 && Math.abs(pts[0] - pts[pts.length - 2]) < 1e-6 && Math.abs(pts[1] - pts[pts.length - 1]) < 1e-6) {
+      pts.length -= 2;
+    }
+    const count = pts.length / 2;
+    if (count === 1) {
+      if (cap === "round") polys.push(disc(pts[0], pts[1], h));
+      else if (cap === "square") polys.push([pts[0] - h, pts[1] - h, pts[0] + h, pts[1] - h, pts[0] + h, pts[1] + h, pts[0] - h, pts[1] + h]);
+      continue;
+    }
+    const segs = closed ? count : count - 1;
+    const normals = [];
+    for (let s = 0; s < segs; s++) {
+      const i = s * 2;
+      const j = ((s + 1) % count) * 2;
+      const dx = pts[j] - pts[i];
+      const dy = pts[j + 1] - pts[i + 1];
+      const len = Math.hypot(dx, dy);
+      const nx = (-dy / len) * h;
+      const ny = (dx / len) * h;
+      normals.push([nx, ny, dx / len, dy / len]);
+      polys.push([pts[i] + nx, pts[i + 1] + ny, pts[j] + nx, pts[j + 1] + ny, pts[j] - nx, pts[j + 1] - ny, pts[i] - nx, pts[i + 1] - ny]);
+    }
+    // Joins between segment s-1 and s, at the start of s.
+    for (let s = closed ? 0 : 1; s < segs; s++) {
+      const [ax, ay, adx, ady] = normals[(s - 1 + segs) % segs];
+      const [bx, by, bdx, bdy] = normals[s];
+      const px = pts[s * 2];
+      const py = pts[s * 2 + 1];
+      const cross = adx * bdy - ady * bdx;
+      const cos = adx * bdx + ady * bdy;
+      if (Math.abs(cross) < 1e-9 && cos > 0) continue;
+      // The outer side is the one the path turns away from.
+      const side = cross > 0 ? -1 : 1;
+      const o1x = px + side * ax; const o1y = py + side * ay;
+      const o2x = px + side * bx; const o2y = py + side * by;
+      const angle = Math.acos(Math.max(-1, Math.min(1, cos)));
+      if (join === "round" && angle > 0.4) {
+        polys.push(disc(px, py, h));
+      } else if (join === "miter" && 1 / Math.cos(angle / 2) <= MITER_LIMIT) {
+        const mx = (ax + bx) / 2; const my = (ay + by) / 2;
+        const k = (h * h) / (mx * mx + my * my);
+        polys.push([px, py, o1x, o1y, px + side * mx * k, py + side * my * k, o2x, o2y]);
+      } else {
+        polys.push([px, py, o1x, o1y, o2x, o2y]);
+      }
+    }
+    if (!closed) {
+      for (const [idx, dir] of [[0, -1], [count - 1, 1]]) {
+        const px = pts[idx * 2];
+        const py = pts[idx * 2 + 1];
+        const [nx, ny, tx, ty] = normals[idx === 0 ? 0 : segs - 1];
+        if (cap === "round") polys.push(disc(px, py, h));
+        else if (cap === "square") {
+          const ex = dir * tx * h; const ey = dir * ty * h;
+          polys.push([px + nx, py + ny, px + nx + ex, py + ny + ey, px - nx + ex, py - ny + ey, px - nx, py - ny]);
+        }
+      }
+    }
+  }
+  // Same orientation throughout, so overlaps never cancel under nonzero.
+  for (const p of polys) {
+    let area = 0;
+    for (let i = 0; i < p.length; i += 2) {
+      const j = (i + 2) % p.length;
+      area += p[i] * p[j + 1] - p[j] * p[i + 1];
+    }
+    if (area < 0) {
+      for (let a = 0, b = p.length - 2; a < b; a += 2, b -= 2) {
+        [p[a], p[b]] = [p[b], p[a]];
+        [p[a + 1], p[b + 1]] = [p[b + 1], p[a + 1]];
+      }
+    }
+  }
+  return polys.map((points) => ({ points, closed: true }));
+}
+
+// ---- Scan conversion ----------------------------------------------------------
+
+// Calls paintRow(y, x0, x1, coverage) for every pixel row the polygons touch,
+// with coverage[x] in 0..1 for x0 <= x < x1.
+function scan(polygons, width, height, evenOdd, paintRow) {
+  const edges = [];
+  let minX = Infinity; let maxX = -Infinity;
+  let minY = Infinity; let maxY = -Infinity;
+  for (const { points: p } of polygons) {
+    const n = p.length / 2;
+    if (n < 3) continue;
+    for (let i = 0; i < n; i++) {
+      const x0 = p[i * 2]; const y0 = p[i * 2 + 1];
+      const j = (i + 1) % n;
+      const x1 = p[j * 2]; const y1 = p[j * 2 + 1];
+      minX = Math.min(minX, x0); maxX = Math.max(maxX, x0);
+      minY = Math.min(minY, y0); maxY = Math.max(maxY, y0);
+      if (y0 === y1) continue;
+      const down = y1 > y0;
+      edges.push({
+        top: down ? y0 : y1,
+        bottom: down ? y1 : y0,
+        x: down ? x0 : x1,
+        slope: (x1 - x0) / (y1 - y0),
+        dir: down ? 1 : -1,
+      });
+    }
+  }
+  if (!edges.length) return;
+  const rowStart = Math.max(0, Math.floor(minY));
+  const rowEnd = Math.min(height, Math.ceil(maxY));
+  const colStart = Math.max(0, Math.floor(minX));
+  const colEnd = Math.min(width, Math.ceil(maxX) + 1);
+  if (rowStart >= rowEnd || colStart >= colEnd) return;
+  edges.sort((a, b) => a.top - b.top);
+  const cover = new Float32Array(width + 2);
+  const run = new Float32Array(width + 2);
+  const w = 1 / SUBSAMPLES;
+  let next = 0;
+  const active = [];
+  let xs = new Float64Array(64);
+  let dirs = new Int8Array(64);
+
+  const span = (a, b) => {
+    a = Math.max(a, colStart);
+    b = Math.min(b, colEnd);
+    if (b <= a) return;
+    const ia = Math.floor(a);
+    const ib = Math.floor(b);
+    if (ia === ib) { cover[ia] += (b - a) * w; return; }
+    cover[ia] += (ia + 1 - a) * w;
+    run[ia + 1] += w;
+    run[ib] -= w;
+    cover[ib] += (b - ib) * w;
+  };
+
+  for (let row = rowStart; row < rowEnd; row++) {
+    cover.fill(0, colStart, colEnd + 1);
+    run.fill(0, colStart, colEnd + 1);
+    for (let s = 0; s < SUBSAMPLES; s++) {
+      const sy = row + (s + 0.5) * w;
+      while (next < edges.length && edges[next].top <= sy) active.push(edges[next++]);
+      // Drop finished edges and collect crossings, kept sorted by insertion.
+      let n = 0;
+      let kept = 0;
+      for (const e of active) {
+        if (e.bottom <= sy) continue;
+        active[kept++] = e;
+        if (n === xs.length) {
+          xs = Float64Array.from({ length: n * 2 }, (_, i) => xs[i] ?? 0);
+          dirs = Int8Array.from({ length: n * 2 }, (_, i) => dirs[i] ?? 0);
+        }
+        const x = e.x + (sy - e.top) * e.slope;
+        let k = n++;
+        while (k > 0 && xs[k - 1] > x) { xs[k] = xs[k - 1]; dirs[k] = dirs[k - 1]; k--; }
+        xs[k] = x;
+        dirs[k] = e.dir;
+      }
+      active.length = kept;
+      let winding = 0;
+      for (let k = 0; k < n - 1; k++) {
+        winding += evenOdd ? 1 : dirs[k];
+        if (evenOdd ? winding % 2 === 1 : winding !== 0) span(xs[k], xs[k + 1]);
+      }
+    }
+    let acc = 0;
+    for (let x = colStart; x < colEnd; x++) {
+      acc += run[x];
+      cover[x] = Math.min(1, cover[x] + acc);
+    }
+    paintRow(row, colStart, colEnd, cover);
+  }
+}
+
+// ---- Paint ----------------------------------------------------------------------
+
+// Paints are either { color: [r, g, b, a] } or a linear gradient
+// { table, tx, ty, t0 }: t = tx*x + ty*y + t0 at device pixel centres, and
+// table holds GRADIENT_STEPS + 1 RGBA entries for t in 0..1 (padded outside).
+const GRADIENT_STEPS = 1024;
+
+function solidPaint(color, opacity) {
+  return { color: [color[0], color[1], color[2], color[3] * opacity] };
+}
+
+function gradientPaint(gradient, bbox, m, opacity) {
+  const a = gradient.attrs;
+  const userSpace = a.gradientUnits === "userSpaceOnUse";
+  const x1 = userSpace ? length(a.x1) : fraction(a.x1, 0);
+  const y1 = userSpace ? length(a.y1) : fraction(a.y1, 0);
+  const x2 = userSpace ? length(a.x2, 0) : fraction(a.x2, 1);
+  const y2 = userSpace ? length(a.y2) : fraction(a.y2, 0);
+  // Device → gradient space (user space, or the bounding box as a unit square).
+  let toGradient = invert(multiply(m, parseTransform(a.gradientTransform)));
+  if (!userSpace) {
+    if (!(bbox.w > 0 && bbox.h > 0)) return null;
+    toGradient = multiply([1 / bbox.w, 0, 0, 1 / bbox.h, -bbox.x / bbox.w, -bbox.y / bbox.h], toGradient);
+  }
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const len2 = dx * dx + dy * dy;
+  const stops = gradient.stops.map((s) => [s.offset, s.color[0], s.color[1], s.color[2], s.color[3] * opacity]);
+  if (!stops.length) return null;
+  if (!len2 || stops.length === 1) return solidPaint(stops[stops.length - 1].slice(1, 4).concat(1), stops[stops.length - 1][4]);
+  // t = ((p - p1) · (p2 - p1)) / |p2 - p1|², as a linear function of device x, y.
+  const [ga, gb, gc, gd, ge, gf] = toGradient;
+  const tx = (ga * dx + gb * dy) / len2;
+  const ty = (gc * dx + gd * dy) / len2;
+  const t0 = ((ge - x1) * dx + (gf - y1) * dy) / len2;
+  const table = new Float32Array((GRADIENT_STEPS + 1) * 4);
+  for (let i = 0; i <= GRADIENT_STEPS; i++) {
+    const t = i / GRADIENT_STEPS;
+    let k = 0;
+    while (k < stops.length - 1 && stops[k + 1][0] < t) k++;
+    const s0 = stops[k];
+    const s1 = stops[Math.min(k + 1, stops.length - 1)];
+    const f = t <= s0[0] ? 0 : s1[0] > s0[0] ? Math.min(1, (t - s0[0]) / (s1[0] - s0[0])) : 1;
+    for (let c = 0; c < 4; c++) table[i * 4 + c] = s0[c + 1] + (s1[c + 1] - s0[c + 1]) * f;
+  }
+  return { table, tx, ty, t0 };
+}
+
+function collectGradients(el, out) {
+  for (const child of el.children) {
+    if (typeof child !== "object") continue;
+    if (child.name === "linearGradient") {
+      const stops = [];
+      let last = 0;
+      for (const s of child.children) {
+        if (typeof s !== "object" || s.name !== "stop") continue;
+        const st = styleOf(s);
+        const color = parseColor(st["stop-color"] ?? "black") || [0, 0, 0, 0];
+        last = Math.max(last, Math.min(1, Math.max(0, fraction(st.offset, 0))));
+        stops.push({ offset: last, color: [color[0], color[1], color[2], color[3] * fraction(st["stop-opacity"], 1)] });
+      }
+      if (child.attrs.id) out.set(child.attrs.id, { attrs: child.attrs, stops });
+    } else if (child.name === "radialGradient" || child.name === "pattern") {
+      throw new Error(`svg-raster: unsupported paint server <${child.name}>`);
+    }
+    collectGradients(child, out);
+  }
+  return out;
+}
+
+// ---- Canvas -----------------------------------------------------------------------
+
+class Canvas {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.px = new Float32Array(width * height * 4); // premultiplied, 0..1
+  }
+
+  fill(polygons, paint, evenOdd = false) {
+    const { px, width } = this;
+    const solid = paint.color ? paint.color.map((v, i) => (i < 3 ? v / 255 : v)) : null;
+    const { table, tx, ty, t0 } = paint;
+    scan(polygons, width, this.height, evenOdd, (y, x0, x1, cover) => {
+      const rowT = solid ? 0 : ty * (y + 0.5) + t0;
+      let r = 0; let g = 0; let b = 0; let a = 0;
+      if (solid) [r, g, b, a] = solid;
+      for (let x = x0, i = (y * width + x0) * 4; x < x1; x++, i += 4) {
+        const c = cover[x];
+        if (!(c > 0)) continue;
+        if (!solid) {
+          const t = tx * (x + 0.5) + rowT;
+          const k = Math.round((t < 0 ? 0 : t > 1 ? 1 : t) * GRADIENT_STEPS) * 4;
+          r = table[k] / 255; g = table[k + 1] / 255; b = table[k + 2] / 255; a = table[k + 3];
+        }
+        const alpha = a * c;
+        if (alpha >= 1) {
+          px[i] = r; px[i + 1] = g; px[i + 2] = b; px[i + 3] = 1;
+        } else if (alpha > 0) {
+          const keep = 1 - alpha;
+          px[i] = r * alpha + px[i] * keep;
+          px[i + 1] = g * alpha + px[i + 1] * keep;
+          px[i + 2] = b * alpha + px[i + 2] * keep;
+          px[i + 3] = alpha + px[i + 3] * keep;
+        }
+      }
+    });
+  }
+
+  toRgba() {
+    const out = new Uint8ClampedArray(this.px.length);
+    for (let i = 0; i < this.px.length; i += 4) {
+      const a = this.px[i + 3];
+      if (a <= 0) continue;
+      if (a >= 1) {
+        out[i] = Math.round(this.px[i] * 255);
+        out[i + 1] = Math.round(this.px[i + 1] * 255);
+        out[i + 2] = Math.round(this.px[i + 2] * 255);
+        out[i + 3] = 255;
+        continue;
+      }
+      out[i] = Math.round((this.px[i] / a) * 255);
+      out[i + 1] = Math.round((this.px[i + 1] / a) * 255);
+      out[i + 2] = Math.round((this.px[i + 2] / a) * 255);
+      out[i + 3] = Math.round(a * 255);
+    }
+    return out;
+  }
+}
+
+// ---- Rendering ----------------------------------------------------------------------
+
+const SKIPPED = new Set(["title", "desc", "metadata", "defs", "linearGradient", "stop"]);
+
+function textContent(el) {
+  return el.children.map((c) => (typeof c === "string" ? c : textContent(c))).join("");
+}
+
+function bboxOf(subpaths, m) {
+  // Bounding box in user space, from device points mapped back.
+  const inv = invert(m);
+  let x0 = Infinity; let y0 = Infinity; let x1 = -Infinity; let y1 = -Infinity;
+  for (const { points } of subpaths) {
+    for (let i = 0; i < points.length; i += 2) {
+      const [x, y] = apply(inv, points[i], points[i + 1]);
+      x0 = Math.min(x0, x); y0 = Math.min(y0, y); x1 = Math.max(x1, x); y1 = Math.max(y1, y);
+    }
+  }
+  return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+}
+
+function render(el, inherited, m, opacity, ctx) {
+  const style = styleOf(el);
+  const st = { ...inherited };
+  for (const key of INHERITED) if (style[key] != null && style[key] !== "inherit") st[key] = style[key];
+  const matrix = style.transform ? multiply(m, parseTransform(style.transform)) : m;
+  const alpha = opacity * fraction(style.opacity, 1);
+  if (style.display === "none" || style.visibility === "hidden") return;
+
+  const resolvePaint = (value, paintOpacity, geometryBox) => {
+    if (value == null || value === "none") return null;
+    const ref = String(value).match(/^url\(\s*#([^)\s]+)\s*\)/);
+    if (ref) {
+      const gradient = ctx.gradients.get(ref[1]);
+      if (!gradient) throw new Error(`svg-raster: unknown paint server "${ref[1]}"`);
+      return gradientPaint(gradient, geometryBox(), matrix, alpha * paintOpacity);
+    }
+    const color = parseColor(value);
+    return color && solidPaint(color, alpha * paintOpacity);
+  };
+
+  const draw = (subpaths, { strokeDefaults = {}, strokeOverride = null } = {}) => {
+    const box = () => bboxOf(subpaths, matrix);
+    const fillPaint = resolvePaint(st.fill, fraction(st["fill-opacity"], 1), box);
+    if (fillPaint) ctx.canvas.fill(subpaths, fillPaint, st["fill-rule"] === "evenodd");
+    const strokePaint = resolvePaint(strokeOverride?.paint ?? st.stroke, fraction(st["stroke-opacity"], 1), box);
+    if (!strokePaint) return;
+    const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+    const width = length(st["stroke-width"], 1) * scale;
+    if (!(width > 0)) return;
+    ctx.canvas.fill(strokePolygons(subpaths, width, {
+      cap: st["stroke-linecap"] || strokeDefaults.cap || "butt",
+      join: st["stroke-linejoin"] || strokeDefaults.join || "miter",
+    }), strokePaint);
+  };
+
+  const a = el.attrs;
+  switch (el.name) {
+    case "svg": case "g":
+      for (const child of el.children) {
+        if (typeof child === "object") render(child, st, matrix, alpha, ctx);
+      }
+      return;
+    case "rect": draw(rectPolygon(a, matrix)); return;
+    case "circle": draw(ellipsePolygon(length(a.cx), length(a.cy), length(a.r), length(a.r), matrix)); return;
+    case "ellipse": draw(ellipsePolygon(length(a.cx), length(a.cy), length(a.rx), length(a.ry), matrix)); return;
+    case "line": {
+      const line = [{ points: [...apply(matrix, length(a.x1), length(a.y1)), ...apply(matrix, length(a.x2), length(a.y2))], closed: false }];
+      draw(line, {});
+      return;
+    }
+    case "polyline": draw(pointsPolygon(a.points, matrix, false)); return;
+    case "polygon": draw(pointsPolygon(a.points, matrix, true)); return;
+    case "path": draw(pathToPolygons(a.d || "", matrix)); return;
+    case "text": {
+      if (el.children.some((c) => typeof c === "object")) throw new Error("svg-raster: <text> with child elements is not supported");
+      const text = textContent(el).replace(/\s+/g, " ").trim();
+      if (!text) return;
+      const fontSize = length(st["font-size"], 16);
+      const fontWeight = st["font-weight"] || 400;
+      const letterSpacing = length(st["letter-spacing"] === "normal" ? 0 : st["letter-spacing"], 0);
+      const x = length(a.x);
+      const y = length(a.y);
+      let { width } = layoutText(text, { fontSize, fontWeight, letterSpacing });
+      const anchor = st["text-anchor"] || "start";
+      const dx = anchor === "middle" ? -width / 2 : anchor === "end" ? -width : 0;
+      const { d } = layoutText(text, { x: x + dx, y, fontSize, fontWeight, letterSpacing });
+      const centreline = pathToPolygons(d, matrix);
+      const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+      const outline = strokePolygons(centreline, strokeWidth(fontSize, fontWeight) * scale, { cap: "round", join: "round" });
+      width = Math.max(width, 1);
+      const box = () => ({ x: x + dx, y: y - fontSize * 0.75, w: width, h: fontSize * 0.75 });
+      const paint = resolvePaint(st.fill, fraction(st["fill-opacity"], 1), box);
+      if (paint) ctx.canvas.fill(outline, paint);
+      return;
+    }
+    default:
+      if (SKIPPED.has(el.name)) return;
+      throw new Error(`svg-raster: unsupported element <${el.name}>`);
+  }
+}
+
+// { width, height, data } with data as 8-bit RGBA, row-major.
+export function rasterizeSvg(svgText) {
+  const svg = parseXml(svgText);
+  const a = svg.attrs;
+  const viewBox = a.viewBox ? a.viewBox.trim().split(/[\s,]+/).map(Number) : null;
+  const width = Math.round(length(a.width, viewBox?.[2] ?? 0));
+  const height = Math.round(length(a.height, viewBox?.[3] ?? 0));
+  if (!(width > 0 && height > 0)) throw new Error("svg-raster: <svg> needs a width and height or a viewBox");
+  let m = IDENTITY;
+  if (viewBox?.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    // preserveAspectRatio is taken as "none"; the cards' viewBox matches their size.
+    m = [width / viewBox[2], 0, 0, height / viewBox[3], (-viewBox[0] * width) / viewBox[2], (-viewBox[1] * height) / viewBox[3]];
+  }
+  const ctx = { canvas: new Canvas(width, height), gradients: collectGradients(svg, new Map()) };
+  render(svg, { fill: "black" }, m, 1, ctx);
+  return { width, height, data: ctx.canvas.toRgba() };
+}
+
+export function svgToPng(svgText, options) {
+  const { width, height, data } = rasterizeSvg(svgText);
+  return encodePng(width, height, data, options);
+}
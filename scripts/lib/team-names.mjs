@@ -0,0 +1,87 @@
+// Club-name normalization shared by the archive head-to-head pages and the
+// match pages, so "Man City", "Manchester City" and "Manchester City FC" are
+// one team wherever results are counted together.
+//
+// A name folds to a key in two steps:
+//   1. rules: accents and punctuation dropped, club-form tokens ("FC", "CF",
+//      "SSC", "VfL", …) and founding years ("1909", "04") removed, and a
+//      women's-team marker ("WFC", "LFC", "Women's") kept as a " women"
+//      suffix so a club's men's and women's sides never merge;
+//   2. data/team-aliases.json: names the rules cannot bridge ("Spurs",
+//      "Lyon" / "Olympique Lyonnais") map to one registry entry.
+//
+//   { teams: [{ slug, name, aliases: [...] }] }
+//
+// The slug is the team's key in URLs; the name is how pages print it.
+
+import { sanitizeId } from "./slug.mjs";
+import { foldText } from "./search-index.mjs";
+import { readJson } from "./json-io.mjs";
+
+export const TEAM_ALIASES_PATH = "data/team-aliases.json";
+
+const CLUB_FORM_TOKENS = new Set([
+  "fc", "afc", "cf", "cfc", "sc", "sco", "ac", "acf", "as", "aj", "ss", "ssc", "us", "uc", "ud", "cd", "ca",
+  "rc", "rcd", "sv", "fsv", "vfl", "tsg", "bc", "hsc", "osc", "ogc", "estac", "fk", "sk", "kv", "calcio", "balompie",
+]);
+const WOMEN_TOKENS = new Set(["wfc", "lfc", "fcw", "women", "womens", "ladies"]);
+
+// Rule-based key ("FC Bayern München" → "bayern munchen", "Arsenal WFC" →
+// "arsenal women"). Empty for a blank name.
+export function teamKey(name) {
+  const folded = foldText(name).replace(/\bde futbol\b/g, " ").replace(/[^a-z0-9]+/g, " ").trim();
+  if (!folded) return "";
+  const tokens = folded.split(" ");
+  const women = tokens.some((t) => WOMEN_TOKENS.has(t));
+  const core = tokens.filter((t) => !WOMEN_TOKENS.has(t) && !CLUB_FORM_TOKENS.has(t) && !/^\d+$/.test(t));
+  const base = (core.length ? core : tokens.filter((t) => !WOMEN_TOKENS.has(t))).join(" ") || folded;
+  return women ? `${base} women` : base;
+}
+
+export function createTeamNameRegistry(doc) {
+  const list = (Array.isArray(doc?.teams) ? doc.teams : []).filter((t) => t?.slug && t?.name);
+  const byKey = new Map();
+  for (const t of list) {
+    for (const name of [t.name, t.slug.replaceAll("-", " "), ...(t.aliases || [])]) {
+      const key = teamKey(name);
+      if (key && !byKey.has(key)) byKey.set(key, t);
+    }
+  }
+  const entry = (name) => byKey.get(teamKey(name)) || null;
+  return {
+    list,
+    // URL-safe team key: the registry slug, else the sanitized rule key.
+    slug: (name) => entry(name)?.slug || sanitizeId(teamKey(name)),
+    // Display name from the registry, or null when the rules alone apply.
+    name: (name) => entry(name)?.name || null,
+    // Whether two spellings name the same team.
+    same: (a, b) => {
+      const ka = teamKey(a);
+      return Boolean(ka) && (entry(a) || entry(b) ? entry(a) === entry(b) : ka === teamKey(b));
+    },
+  };
+}
+
+// Display names for team slugs: the registry name, else the spelling
+// recorded most often for the slug (ties go to the shorter one).
+export function createTeamLabeler(names) {
+  const spellings = new Map();
+  const registered = new Map(names.list.map((t) => [t.slug, t.name]));
+  return {
+    add(slug, spelling) {
+      const counts = spellings.get(slug) || new Map();
+      counts.set(spelling, (counts.get(spelling) || 0) + 1);
+      spellings.set(slug, counts);
+    },
+    label(slug) {
+      if (registered.has(slug)) return registered.get(slug);
+      const counts = spellings.get(slug);
+      if (!counts) return slug;
+      return [...counts].sort((a, b) => b[1] - a[1] || a[0].length - b[0].length || a[0].localeCompare(b[0]))[0][0];
+    },
+  };
+}
+
+export async function loadTeamNameRegistry(filePath = TEAM_ALIASES_PATH) {
+  return createTeamNameRegistry(await readJson(filePath, { teams: [] }));
+}
@@ -0,0 +1,88 @@
+// Team roster assembly shared by generate-teams.mjs and generate-api.mjs, so
+// /teams/{slug}/ and /api/v1/teams/{slug}.json cover the same teams under the
+// same slugs.
+
+import { safeStr, sanitizeId } from "./slug.mjs";
+
+// Loose club-name comparison ("Arsenal" vs "Arsenal FC").
+export function teamMatch(label, target) {
+  if (!label || !target) return false;
+  const a = String(label).toLowerCase();
+  const b = String(target).toLowerCase();
+  return a.includes(b) || b.includes(a);
+}
+
+// Teams come from any source that mentions one: players.json (canonical),
+// fantasy.json (synthetic + extra), scorers.json (live league names),
+// standings.json (every league's full table), and fixtures.json (every
+// home/away). We consolidate so every team directory gets fresh content,
+// not just the 20 teams in players.json.
+//
+// Returns Map<slug, { label, players, _seenPlayerKeys }>.
+export function collectTeams({ players = [], fantasyRows = [], scorerRows = [], standingsParsed = {}, fixtureRows = [] }) {
+  const teamMap = new Map();
+  function ensureTeam(label) {
+    const trimmed = safeStr(label);
+    if (!trimmed) return null;
+    const key = sanitizeId(trimmed);
+    if (!key) return null;
+    if (!teamMap.has(key)) {
+      teamMap.set(key, { label: trimmed, players: [], _seenPlayerKeys: new Set() });
+    }
+    return teamMap.get(key);
+  }
+  function pushPlayer(team, player) {
+    const idKey = sanitizeId(player?.id || player?.name);
+    if (!idKey) return;
+    if (team._seenPlayerKeys.has(idKey)) return;
+    team._seenPlayerKeys.add(idKey);
+    team.players.push(player);
+  }
+
+  for (const p of players) {
+    const team = ensureTeam(p.team);
+    if (team) pushPlayer(team, p);
+  }
+  for (const row of fantasyRows) {
+    const team = ensureTeam(row.team);
+    if (team) pushPlayer(team, row);
+  }
+  for (const row of scorerRows) {
+    const team = ensureTeam(row.team);
+    if (team) {
+      pushPlayer(team, {
+        id: row.player || row.name,
+        name: row.player || row.name,
+        position: row.position,
+        team: row.team,
+        goals: row.goals,
+        assists: row.assists,
+      });
+    }
+  }
+  // Standings + fixtures: ensure the team directory exists even with no
+  // roster (some lower-division teams may only show up here).
+  const standingsByName = standingsParsed?.standings && typeof standingsParsed.standings === "object"
+    ? standingsParsed.standings : {};
+  for (const rows of Object.values(standingsByName)) {
+    if (!Array.isArray(rows)) continue;
+    for (const r of rows) ensureTeam(r?.team);
+  }
+  for (const f of fixtureRows) {
+    ensureTeam(f?.home);
+    ensureTeam(f?.away);
+  }
+
+  return teamMap;
+}
+
+export function findStanding(team, standingsParsed) {
+  const byName = standingsParsed?.standings && typeof standingsParsed.standings === "object"
+    ? standingsParsed.standings : {};
+  for (const [compName, rows] of Object.entries(byName)) {
+    if (!Array.isArray(rows)) continue;
+    const found = rows.find((r) => teamMatch(r?.team, team.label) || teamMatch(team.label, r?.team));
+    if (found) return { competition: compName, ...found };
+  }
+  return null;
+}
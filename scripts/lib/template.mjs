@@ -0,0 +1,275 @@
+// Small, dependency-free template engine for templates/*.html page bodies.
+// The layout shell (templates/layout.html) stays on lib/layout.mjs `fill`;
+// this renders what goes into its {{BODY}}.
+//
+//   {{ path }}                   escaped output (escHtml)
+//   {{{ path }}}                 raw output, for markup built in JS (JSON-LD)
+//   {{#if path}} … {{else}} … {{/if}}
+//   {{#unless path}} … {{/unless}}
+//   {{#each path}} … {{else}} … {{/each}}
+//   {{> partials/name}}          include templates/partials/name.html
+//   {{> partials/name path}}     … with `path` as the partial's scope
+//   {{! comment }}
+//
+// Paths are dotted (`player.team`). Inside `each`, `this` is the current item
+// and `@index` / `@first` / `@last` describe its position; names that the
+// item does not have resolve against the enclosing scopes, so loop bodies can
+// still reach page-level values. Referencing a name that no scope defines is
+// a hard error (with template name and line) so a typo in a template fails
+// the build instead of rendering an empty cell. `null`/`undefined` values of
+// a known name render as an empty string. Block, else and comment tags that
+// sit alone on a line do not leave a blank line behind.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { escHtml } from "./html.mjs";
+
+const TAG_RE = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+const PATH_RE = /^(?:this|@[A-Za-z]+|[A-Za-z_$][\w$]*)(?:\.[A-Za-z_$][\w$]*)*$/;
+const MAX_PARTIAL_DEPTH = 20;
+
+function templateError(name, line, msg) {
+  return new Error(`${name}:${line}: ${msg}`);
+}
+
+function lineAt(source, index) {
+  let line = 1;
+  for (let i = 0; i < index; i++) if (source.charCodeAt(i) === 10) line++;
+  return line;
+}
+
+function tokenize(source, name) {
+  const tokens = [];
+  let last = 0;
+  for (const m of source.matchAll(TAG_RE)) {
+    if (m.index > last) tokens.push({ type: "text", value: source.slice(last, m.index) });
+    const raw = m[1] !== undefined;
+    const body = (raw ? m[1] : m[2]).trim();
+    const line = lineAt(source, m.index);
+    let tag;
+    if (raw) tag = { type: "var", path: body, raw: true };
+    else if (body.startsWith("!")) tag = { type: "comment" };
+    else if (body.startsWith("#")) {
+      const [kw, ...rest] = body.slice(1).trim().split(/\s+/);
+      tag = { type: "open", kw, path: rest.join(" ") };
+    } else if (body.startsWith("/")) tag = { type: "close", kw: body.slice(1).trim() };
+    else if (body === "else") tag = { type: "else" };
+    else if (body.startsWith(">")) {
+      const [partial, scope = ""] = body.slice(1).trim().split(/\s+/);
+      tag = { type: "partial", name: partial, path: scope };
+    } else tag = { type: "var", path: body, raw: false };
+    tag.line = line;
+    if (tag.path && !PATH_RE.test(tag.path)) {
+      throw templateError(name, line, `invalid expression "${tag.path}"`);
+    }
+    tokens.push(tag);
+    last = m.index + m[0].length;
+  }
+  if (last < source.length) tokens.push({ type: "text", value: source.slice(last) });
+
+  // Standalone block tags: drop the indentation before them and the newline
+  // after them so control flow does not leave blank lines in the output.
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (!["open", "close", "else", "comment"].includes(t.type)) continue;
+    const prev = tokens[i - 1];
+    const next = tokens[i + 1];
+    const before = prev ? (prev.type === "text" ? prev.value : null) : "";
+    const after = next ? (next.type === "text" ? next.value : null) : "";
+    if (before === null || after === null) continue;
+    const beforeOk = /(^|\n)[ \t]*$/.test(before) && (prev || i === 0);
+    const afterOk = /^[ \t]*(\r?\n|$)/.test(after);
+    if (!beforeOk || !afterOk) continue;
+    if (prev) prev.value = prev.value.replace(/[ \t]*$/, "");
+    if (next) next.value = next.value.replace(/^[ \t]*(\r?\n)?/, "");
+  }
+  return tokens;
+}
+
+function parse(source, name) {
+  const root = { children: [] };
+  const stack = [root];
+  for (const t of tokenize(source, name)) {
+    const top = stack[stack.length - 1];
+    const target = top.inElse ? top.elseChildren : top.children;
+    if (t.type === "text") {
+      if (t.value) target.push(t);
+    } else if (t.type === "var" || t.type === "partial") {
+      target.push(t);
+    } else if (t.type === "open") {
+      if (!["if", "unless", "each"].includes(t.kw)) throw templateError(name, t.line, `unknown block "#${t.kw}"`);
+      if (!t.path) throw templateError(name, t.line, `"#${t.kw}" needs an expression`);
+      const node = { type: t.kw, path: t.path, line: t.line, children: [], elseChildren: [], inElse: false };
+      target.push(node);
+      stack.push(node);
+    } else if (t.type === "else") {
+      if (stack.length === 1 || top.inElse) throw templateError(name, t.line, "unexpected {{else}}");
+      top.inElse = true;
+    } else if (t.type === "close") {
+      if (stack.length === 1 || top.type !== t.kw) {
+        throw templateError(name, t.line, `unexpected {{/${t.kw}}}${stack.length > 1 ? ` (open block is #${top.type} from line ${top.line})` : ""}`);
+      }
+      stack.pop();
+    }
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw templateError(name, open.line, `unclosed {{#${open.type}}}`);
+  }
+  return root.children;
+}
+
+function lookup(scopes, expr) {
+  const [head, ...rest] = expr.split(".");
+  let value;
+  let found = false;
+  if (head === "this") {
+    value = scopes[scopes.length - 1].data;
+    found = true;
+  } else if (head.startsWith("@")) {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const locals = scopes[i].locals;
+      if (locals && head.slice(1) in locals) {
+        value = locals[head.slice(1)];
+        found = true;
+        break;
+      }
+    }
+  } else {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const data = scopes[i].data;
+      if (data !== null && typeof data === "object" && head in data) {
+        value = data[head];
+        found = true;
+        break;
+      }
+    }
+  }
+  for (const key of rest) {
+    if (value === null || value === undefined) break;
+    value = value[key];
+  }
+  return { found, value };
+}
+
+function truthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+function createRenderer(nodes, name, partials) {
+  function renderNodes(list, scopes, depth) {
+    let out = "";
+    for (const node of list) {
+      if (node.type === "text") {
+        out += node.value;
+      } else if (node.type === "var") {
+        const { found, value } = lookup(scopes, node.path);
+        if (!found) throw templateError(name, node.line, `unknown variable "${node.path}"`);
+        const str = value === null || value === undefined || value === false ? "" : String(value);
+        out += node.raw ? str : escHtml(str);
+      } else if (node.type === "if" || node.type === "unless") {
+        const { value } = lookup(scopes, node.path);
+        const pass = node.type === "if" ? truthy(value) : !truthy(value);
+        out += renderNodes(pass ? node.children : node.elseChildren, scopes, depth);
+      } else if (node.type === "each") {
+        const { value } = lookup(scopes, node.path);
+        const items = Array.isArray(value) ? value : [];
+        if (!items.length) {
+          out += renderNodes(node.elseChildren, scopes, depth);
+          continue;
+        }
+        items.forEach((item, index) => {
+          const locals = { index, first: index === 0, last: index === items.length - 1 };
+          out += renderNodes(node.children, [...scopes, { data: item, locals }], depth);
+        });
+      } else if (node.type === "partial") {
+        if (depth >= MAX_PARTIAL_DEPTH) throw templateError(name, node.line, `partial nesting deeper than ${MAX_PARTIAL_DEPTH}`);
+        const partial = partials.get(node.name);
+        if (!partial) throw templateError(name, node.line, `partial "${node.name}" was not loaded`);
+        let partialScopes = scopes;
+        if (node.path) {
+          const { found, value } = lookup(scopes, node.path);
+          if (!found) throw templateError(name, node.line, `unknown variable "${node.path}"`);
+          partialScopes = [...scopes, { data: value }];
+        }
+        out += partial(partialScopes, depth + 1);
+      }
+    }
+    return out;
+  }
+  return (scopes, depth) => renderNodes(nodes, scopes, depth);
+}
+
+function partialNames(nodes, out = new Set()) {
+  for (const node of nodes) {
+    if (node.type === "partial") out.add(node.name);
+    if (node.children) partialNames(node.children, out);
+    if (node.elseChildren) partialNames(node.elseChildren, out);
+  }
+  return out;
+}
+
+// Compiles a template string. `partials` maps partial names to sources;
+// useful for tests and for templates that do not live on disk.
+export function compileTemplate(source, { name = "template", partials = {} } = {}) {
+  const compiled = new Map();
+  const pending = [[name, source]];
+  const sources = new Map(Object.entries(partials));
+  const nodesByName = new Map();
+  while (pending.length) {
+    const [currentName, src] = pending.pop();
+    if (nodesByName.has(currentName)) continue;
+    const nodes = parse(src, currentName);
+    nodesByName.set(currentName, nodes);
+    for (const partial of partialNames(nodes)) {
+      if (nodesByName.has(partial)) continue;
+      if (!sources.has(partial)) throw new Error(`${currentName}: partial "${partial}" not found`);
+      pending.push([partial, sources.get(partial)]);
+    }
+  }
+  for (const [partialName, nodes] of nodesByName) {
+    compiled.set(partialName, createRenderer(nodes, partialName, compiled));
+  }
+  const render = compiled.get(name);
+  return (context = {}) => render([{ data: context }], 0);
+}
+
+// Loads templates (and, transitively, the partials they include) from a
+// directory. Partial names are paths relative to that directory, with the
+// `.html` extension optional: `{{> partials/fixtures-card}}`.
+export function createTemplateEngine(dir) {
+  const root = path.resolve(dir);
+  const sourceCache = new Map();
+
+  function resolveFile(name) {
+    const file = path.resolve(root, name.endsWith(".html") ? name : `${name}.html`);
+    if (!file.startsWith(root + path.sep)) throw new Error(`template "${name}" resolves outside ${root}`);
+    return file;
+  }
+
+  async function readSource(name) {
+    if (!sourceCache.has(name)) sourceCache.set(name, fs.readFile(resolveFile(name), "utf-8"));
+    return sourceCache.get(name);
+  }
+
+  async function collectPartials(name, source, found) {
+    for (const partial of partialNames(parse(source, name))) {
+      if (found.has(partial)) continue;
+      const partialSource = await readSource(partial).catch(() => {
+        throw new Error(`${name}: partial "${partial}" not found at ${path.relative(process.cwd(), resolveFile(partial))}`);
+      });
+      found.set(partial, partialSource);
+      await collectPartials(partial, partialSource, found);
+    }
+    return found;
+  }
+
+  return {
+    async load(name) {
+      const source = await readSource(name);
+      const partials = await collectPartials(name, source, new Map());
+      return compileTemplate(source, { name, partials: Object.fromEntries(partials) });
+    },
+  };
+}
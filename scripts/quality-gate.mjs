@@ -4,6 +4,10 @@
 
 import fs from "node:fs";
 import path from "node:path";
+import { HEADERS_PATH, allowsCrossOriginFraming, headersFor, parseHeaders } from "./lib/headers.mjs";
+import { EMBED_TYPES } from "./lib/embed.mjs";
+import { readPngSize } from "./lib/png.mjs";
+import { OG_CARD_HEIGHT, OG_CARD_WIDTH } from "./lib/og-cards.mjs";
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
@@ -39,10 +43,16 @@ const CANONICAL_MAP = new Map([
   ["fantasy/index.html", `${SITE_ORIGIN}/fantasy/`],
   ["embed/index.html", `${SITE_ORIGIN}/embed/`],
   ["embed/player/index.html", `${SITE_ORIGIN}/embed/player/`],
+  ["embed/team/index.html", `${SITE_ORIGIN}/embed/team/`],
+  ["embed/standings/index.html", `${SITE_ORIGIN}/embed/standings/`],
+  ["embed/fixtures/index.html", `${SITE_ORIGIN}/embed/fixtures/`],
   ["sports/index.html", `${SITE_ORIGIN}/sports/`],
   ["matches/index.html", `${SITE_ORIGIN}/matches/`],
   ["standings/index.html", `${SITE_ORIGIN}/standings/`],
   ["archive/index.html", `${SITE_ORIGIN}/archive/`],
+  ["offline/index.html", `${SITE_ORIGIN}/offline/`],
+  ["status/index.html", `${SITE_ORIGIN}/status/`],
+  ["predictions/index.html", `${SITE_ORIGIN}/predictions/`],
 ]);
 
 // Keep this list specific to avoid false positives.
@@ -127,16 +137,30 @@ function isTeamEntityIndex(relPath) {
   return relPath.startsWith("teams/") && relPath.endsWith("/index.html") && !isTeamIndex(relPath);
 }
 
+function isMatchEntityIndex(relPath) {
+  return relPath.startsWith("matches/") && relPath.endsWith("/index.html") && relPath !== "matches/index.html";
+}
+
 function isCompetitionEntityIndex(relPath) {
   return relPath.startsWith("competitions/") && relPath.endsWith("/index.html") && !isCompetitionIndex(relPath);
 }
 
+// embed/{type}/index.html: the bare iframe documents (no site chrome, OG
+// tags or JSON-LD).
+function isEmbedWidget(relPath) {
+  return EMBED_TYPES.some((type) => relPath === `embed/${type}/index.html`);
+}
+
 function isLegacyIndex(relPath) {
   return relPath.startsWith("legacy/") && relPath.endsWith("/index.html") && relPath !== "legacy/index.html";
 }
 
+function isArchiveCompetitionIndex(relPath) {
+  return /^archive\/[^/]+\/index\.html$/.test(relPath);
+}
+
 function isArchiveSeasonIndex(relPath) {
-  return relPath.startsWith("archive/") && relPath.endsWith("/index.html") && relPath !== "archive/index.html";
+  return relPath.startsWith("archive/") && relPath.endsWith("/index.html") && relPath !== "archive/index.html" && !isArchiveCompetitionIndex(relPath);
 }
 
 function isLegacyCoreHtml(relPath) {
@@ -179,8 +203,10 @@ function isLiveHtml(relPath) {
   if (isPositionEntityIndex(relPath)) return true;
   if (isTeamEntityIndex(relPath)) return true;
   if (isCompetitionEntityIndex(relPath)) return true;
+  if (isMatchEntityIndex(relPath)) return true;
   if (isLearnTopicIndex(relPath)) return true;
   if (isLegacyIndex(relPath)) return true;
+  if (isArchiveCompetitionIndex(relPath)) return true;
   if (isArchiveSeasonIndex(relPath)) return true;
 
   return false;
@@ -240,6 +266,15 @@ function hasMetaName(html, name) {
   });
 }
 
+function metaContent(html, attr, key) {
+  for (const tag of html.match(/<meta\s+[^>]*>/gi) || []) {
+    const named = tag.match(new RegExp(`\\b${attr}=["']([^"']+)["']`, "i"));
+    if (named?.[1].toLowerCase() !== key) continue;
+    return tag.match(/\bcontent=["']([^"']*)["']/i)?.[1] || null;
+  }
+  return null;
+}
+
 function hasDetailedAnalyticsTracking(html) {
   const hasTrackFn = html.includes("playersbTrack") || html.includes("data-track-event=");
   if (!hasTrackFn) return false;
@@ -308,6 +343,12 @@ function expectedCanonical(relPath) {
     return `${SITE_ORIGIN}/competitions/${id}/`;
   }
 
+  if (isMatchEntityIndex(relPath)) {
+    const parts = relPath.split("/");
+    const id = parts[1];
+    return `${SITE_ORIGIN}/matches/${id}/`;
+  }
+
   if (isLearnTopicIndex(relPath)) {
     const parts = relPath.split("/");
     const id = parts[1];
@@ -320,6 +361,12 @@ function expectedCanonical(relPath) {
     return `${SITE_ORIGIN}/legacy/${id}/`;
   }
 
+  if (isArchiveCompetitionIndex(relPath)) {
+    const parts = relPath.split("/");
+    const competition = parts[1];
+    return `${SITE_ORIGIN}/archive/${competition}/`;
+  }
+
   if (isArchiveSeasonIndex(relPath)) {
     const parts = relPath.split("/");
     const competition = parts[1];
@@ -330,6 +377,139 @@ function expectedCanonical(relPath) {
   return null;
 }
 
+// Static JSON API (scripts/generate-api.mjs): index + OpenAPI parse, every
+// href in the index resolves to a parseable file with the matching id and to
+// an HTML page at the same route, and every team/competition page has its API
+// twin. (players/ also keeps older profiles that are no longer in
+// data/players.json, so player pages are only checked in one direction.)
+const API_DIR = "api/v1";
+
+function readJsonOrNull(relPath) {
+  try {
+    return JSON.parse(readText(path.join(ROOT, relPath)));
+  } catch {
+    return null;
+  }
+}
+
+function checkApi(htmlPaths, failures) {
+  const index = readJsonOrNull(`${API_DIR}/index.json`);
+  if (!index) {
+    failures.push(`${API_DIR}/index.json: missing or invalid JSON`);
+    return;
+  }
+  const openapi = readJsonOrNull(`${API_DIR}/openapi.json`);
+  if (!openapi?.openapi || !openapi?.paths) {
+    failures.push(`${API_DIR}/openapi.json: missing or not an OpenAPI document`);
+  }
+
+  const kinds = [
+    { key: "players", idField: "id", isPage: null },
+    { key: "teams", idField: "slug", isPage: isTeamEntityIndex },
+    { key: "competitions", idField: "slug", isPage: isCompetitionEntityIndex },
+  ];
+  for (const { key, idField, isPage } of kinds) {
+    const entries = Array.isArray(index[key]) ? index[key] : [];
+    const listed = new Set();
+    for (const entry of entries) {
+      const id = entry?.[idField];
+      const expected = `/${API_DIR}/${key}/${id}.json`;
+      if (entry?.href !== expected) {
+        failures.push(`${API_DIR}/index.json: ${key} entry "${id}" has href "${entry?.href}", expected "${expected}"`);
+        continue;
+      }
+      const doc = readJsonOrNull(expected.slice(1));
+      if (!doc) failures.push(`${expected.slice(1)}: missing or invalid JSON`);
+      else if (doc[idField] !== id) failures.push(`${expected.slice(1)}: ${idField} "${doc[idField]}" does not match file name`);
+      if (!htmlPaths.has(`${key}/${id}/index.html`)) failures.push(`${expected.slice(1)}: no HTML page at /${key}/${id}/`);
+      listed.add(id);
+    }
+    if (!isPage) continue;
+    for (const rp of htmlPaths) {
+      if (!isPage(rp)) continue;
+      const id = rp.split("/")[1];
+      if (!listed.has(id)) failures.push(`${rp}: no matching /${API_DIR}/${key}/${id}.json in the API index`);
+    }
+  }
+}
+
+// _headers (lib/headers.mjs resolves it the way the host does): pages under
+// /embed/ must be frameable by other sites, and no other page may be.
+function checkFraming(htmlPaths, failures) {
+  let rules;
+  try {
+    rules = parseHeaders(readText(path.join(ROOT, HEADERS_PATH)));
+  } catch (err) {
+    failures.push(`${HEADERS_PATH}: ${err.code === "ENOENT" ? "missing" : err.message}`);
+    return;
+  }
+  for (const rp of htmlPaths) {
+    const route = `/${rp.replace(/index\.html$/, "")}`;
+    const frameable = allowsCrossOriginFraming(headersFor(rules, route));
+    if (rp.startsWith("embed/") && !frameable) {
+      failures.push(`${HEADERS_PATH}: ${route} cannot be framed by other sites (X-Frame-Options or frame-ancestors still apply)`);
+    } else if (!rp.startsWith("embed/") && frameable) {
+      failures.push(`${HEADERS_PATH}: ${route} can be framed by any site; only /embed/ may`);
+    }
+  }
+}
+
+// Share images: og:image and twitter:image must be our own PNG cards
+// (social networks skip SVG), present on disk at the card size. Many pages
+// share one image, so each URL is checked once.
+const shareImageChecks = new Map();
+
+function shareImageProblem(url) {
+  if (shareImageChecks.has(url)) return shareImageChecks.get(url);
+  let problem = null;
+  if (!url.startsWith(`${SITE_ORIGIN}/`)) problem = `is not on ${SITE_ORIGIN}`;
+  else {
+    const file = path.join(ROOT, decodeURIComponent(new URL(url).pathname));
+    const buf = fs.existsSync(file) ? fs.readFileSync(file) : null;
+    const size = buf && readPngSize(buf);
+    if (!buf) problem = "does not exist on disk";
+    else if (!size) problem = "is not a PNG";
+    else if (size.width !== OG_CARD_WIDTH || size.height !== OG_CARD_HEIGHT) {
+      problem = `is ${size.width}x${size.height}, expected ${OG_CARD_WIDTH}x${OG_CARD_HEIGHT}`;
+    }
+  }
+  shareImageChecks.set(url, problem);
+  return problem;
+}
+
+// Root-relative links to generated files (feeds, calendars), checked once each.
+const generatedChecks = new Map();
+
+function generatedFileExists(href) {
+  if (!generatedChecks.has(href)) {
+    generatedChecks.set(href, href.startsWith("/") && fs.existsSync(path.join(ROOT, decodeURIComponent(href))));
+  }
+  return generatedChecks.get(href);
+}
+
+// Embed payloads (scripts/generate-embed.mjs): every file under
+// embed/data/{type}/ parses, names its own type and id, and links to a page
+// that exists.
+const EMBED_DATA_DIR = "embed/data";
+
+function checkEmbedData(htmlPaths, failures) {
+  for (const type of EMBED_TYPES) {
+    const dir = path.join(ROOT, EMBED_DATA_DIR, type);
+    const names = fs.existsSync(dir) ? fs.readdirSync(dir).filter((f) => f.endsWith(".json")) : [];
+    if (!names.length && (type === "player" || type === "team")) {
+      failures.push(`${EMBED_DATA_DIR}/${type}/: no ${type} payloads`);
+    }
+    for (const name of names) {
+      const rp = `${EMBED_DATA_DIR}/${type}/${name}`;
+      const doc = readJsonOrNull(rp);
+      const id = name.slice(0, -".json".length);
+      if (!doc) failures.push(`${rp}: missing or invalid JSON`);
+      else if (doc.type !== type || doc.id !== id) failures.push(`${rp}: type/id "${doc.type}/${doc.id}" does not match its path`);
+      else if (!htmlPaths.has(`${String(doc.url).replace(/^\//, "")}index.html`)) failures.push(`${rp}: url ${doc.url} has no HTML page`);
+    }
+  }
+}
+
 function run() {
   const failures = [];
   const warnings = [];
@@ -382,7 +562,7 @@ function run() {
     if (!hasGA(html)) failures.push(`${rp}: missing Google Analytics (GA4) tag for ${GA_ID}`);
 
     // Rule 2a: detailed GA behavior tracking should be wired on generated pages
-    if (!["compare.html", "contact.html", "embed/player/index.html"].includes(rp) && !hasDetailedAnalyticsTracking(html)) {
+    if (!["compare.html", "contact.html"].includes(rp) && !isEmbedWidget(rp) && !hasDetailedAnalyticsTracking(html)) {
       warnings.push(`${rp}: warning: missing detailed analytics event tracking hooks`);
     }
 
@@ -391,15 +571,34 @@ function run() {
     if (!hasMetaDescription(html)) failures.push(`${rp}: missing/empty meta description`);
 
     // Rule 3a: social SEO tags should exist
-    if (rp !== "embed/player/index.html") {
+    if (!isEmbedWidget(rp)) {
       if (!hasMetaProperty(html, "og:title")) failures.push(`${rp}: missing og:title`);
       if (!hasMetaProperty(html, "og:description")) failures.push(`${rp}: missing og:description`);
       if (!hasMetaProperty(html, "og:url")) failures.push(`${rp}: missing og:url`);
       if (!hasMetaName(html, "twitter:card")) failures.push(`${rp}: missing twitter:card`);
+
+      // Rule 3a-ii: the preview image resolves to a card we generated
+      for (const [attr, key] of [["property", "og:image"], ["name", "twitter:image"]]) {
+        const url = metaContent(html, attr, key);
+        const problem = url ? shareImageProblem(url) : "missing";
+        if (problem) failures.push(`${rp}: ${key} ${url ? `${url} ` : ""}${problem}`);
+      }
+    }
+
+    // Rule 3a-iii: feed discovery links point at feeds that were generated
+    for (const tag of html.match(/<link\s+[^>]*rel=["']alternate["'][^>]*>/gi) || []) {
+      if (!/type=["']application\/(rss\+xml|atom\+xml|feed\+json)["']/i.test(tag)) continue;
+      const href = tag.match(/\bhref=["']([^"']+)["']/i)?.[1] || "";
+      if (!generatedFileExists(href)) failures.push(`${rp}: feed link ${href || "(no href)"} has no feed file`);
+    }
+
+    // Rule 3a-iv: Subscribe / .ics links point at calendars that were generated
+    for (const [, href] of html.matchAll(/\bdata-calendar=["']([^"']*)["']/gi)) {
+      if (!generatedFileExists(href)) failures.push(`${rp}: calendar link ${href || "(no href)"} has no .ics file`);
     }
 
     // Rule 3b: JSON-LD should be present and parseable (except lightweight embed iframe payload)
-    if (!["embed/player/index.html", "compare.html", "contact.html"].includes(rp) && !hasValidJsonLd(html)) {
+    if (!["compare.html", "contact.html"].includes(rp) && !isEmbedWidget(rp) && !hasValidJsonLd(html)) {
       failures.push(`${rp}: missing/invalid JSON-LD script block`);
     }
 
@@ -430,6 +629,11 @@ function run() {
     }
   }
 
+  const htmlPaths = new Set(files.map(({ rp }) => rp));
+  checkApi(htmlPaths, failures);
+  checkFraming(htmlPaths, failures);
+  checkEmbedData(htmlPaths, failures);
+
   if (warnings.length) {
     console.log("\nWARNINGS:");
     for (const w of warnings) console.log(" - " + w);
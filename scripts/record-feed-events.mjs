@@ -0,0 +1,49 @@
+import path from "node:path";
+import { readCommittedJson, readJson, writeJson } from "./lib/json-io.mjs";
+import { DEFAULT_EVENT_LIMIT, FEED_EVENTS_PATH, appendFeedEvents, diffSnapshots } from "./lib/feeds.mjs";
+
+// Appends what changed since the last committed snapshot (new goal tallies,
+// results, transfers, new players) to data/feed-events.json, which
+// scripts/generate-feed.mjs renders. Runs in the update-data workflow after
+// check-anomalies, so quarantined records are never announced.
+//
+//   node scripts/record-feed-events.mjs                   diff against HEAD
+//   node scripts/record-feed-events.mjs --previous=<dir>  diff against a directory
+//                                                         laid out like the repo root
+//   node scripts/record-feed-events.mjs --dry-run         print the events only
+
+const DATASETS = { players: "data/players.json", fixtures: "data/fixtures.json" };
+const EVENT_LIMIT = Number(process.env.FEED_EVENT_LIMIT || DEFAULT_EVENT_LIMIT);
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const previousDir = args.find((a) => a.startsWith("--previous="))?.slice("--previous=".length) || null;
+
+async function readPrevious(file) {
+  if (previousDir) return readJson(path.join(previousDir, file), null);
+  return readCommittedJson(file);
+}
+
+async function main() {
+  const current = {};
+  const previous = {};
+  for (const [name, file] of Object.entries(DATASETS)) {
+    current[name] = await readJson(file, null);
+    previous[name] = await readPrevious(file);
+    if (!previous[name]) console.warn(`record-feed-events: no previous ${file}; skipping its events`);
+  }
+
+  const at = new Date().toISOString();
+  const events = diffSnapshots(previous, current, { at });
+  for (const e of events) console.log(`record-feed-events: ${e.type} — ${e.title}`);
+  if (dryRun) return;
+
+  const log = appendFeedEvents(await readJson(FEED_EVENTS_PATH, { events: [] }), events, { limit: EVENT_LIMIT, at });
+  await writeJson(FEED_EVENTS_PATH, log);
+  console.log(`record-feed-events: ${events.length} new event(s), ${log.events.length} in ${FEED_EVENTS_PATH}`);
+}
+
+main().catch((err) => {
+  console.error("record-feed-events: fatal", err);
+  process.exit(1);
+});
@@ -1,11 +1,27 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { readJson } from "./lib/json-io.mjs";
+import { CONTENT_MANIFEST_PATH, changedUrls } from "./lib/content-manifest.mjs";
+
+// Tells IndexNow about the pages the last build added, changed or removed,
+// as recorded in data/content-manifest.json by
+// scripts/generate-content-manifest.mjs. CHANGED_URLS (newline-separated
+// paths or URLs) overrides the manifest. Runs in the update-data workflow
+// after the push.
+//
+//   node scripts/submit-indexnow.mjs            submit
+//   node scripts/submit-indexnow.mjs --dry-run  list the URLs and batches only
 
 const ROOT = process.cwd();
 const SITE_ORIGIN = "https://playersb.com";
-const SITEMAP_PATH = path.join(ROOT, "sitemap.xml");
 const KEY_FILE_PATH = path.join(ROOT, "playersb-indexnow-2025-key.txt");
 
+// The API takes at most 10,000 URLs per request.
+const MAX_BATCH = 10000;
+const BATCH_SIZE = Math.min(Math.max(Number(process.env.INDEXNOW_BATCH_SIZE) || MAX_BATCH, 1), MAX_BATCH);
+
+const dryRun = process.argv.slice(2).includes("--dry-run");
+
 function unique(items) {
   return Array.from(new Set(items.filter(Boolean)));
 }
@@ -27,10 +43,17 @@ function parseChangedUrls(value) {
     .map(normalizeUrl));
 }
 
-async function readSitemapUrls() {
-  const xml = await fs.readFile(SITEMAP_PATH, "utf-8");
-  const matches = [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map((m) => m[1].trim());
-  return unique(matches);
+async function readManifestUrls() {
+  const manifest = await readJson(CONTENT_MANIFEST_PATH, null);
+  if (!manifest) return { urls: [], note: `no ${CONTENT_MANIFEST_PATH}` };
+  if (!manifest.changes?.since) return { urls: [], note: "the manifest is a baseline with nothing to compare" };
+  return { urls: unique(changedUrls(manifest, SITE_ORIGIN).map(normalizeUrl)), note: "no page content changed" };
+}
+
+function batches(items, size) {
+  const out = [];
+  for (let i = 0; i < items.length; i += size) out.push(items.slice(i, i + size));
+  return out;
 }
 
 async function postJson(url, payload) {
@@ -51,35 +74,43 @@ async function main() {
   const key = (process.env.INDEXNOW_KEY || "").trim();
   const keyLocation = (process.env.INDEXNOW_KEY_LOCATION || `${SITE_ORIGIN}/playersb-indexnow-2025-key.txt`).trim();
 
-  if (!key) {
+  if (!key && !dryRun) {
     console.log("submit-indexnow: INDEXNOW_KEY not set; skipping.");
     return;
   }
 
   const keyFile = await fs.readFile(KEY_FILE_PATH, "utf-8").catch(() => "");
   const keyFromFile = keyFile.trim();
-  if (keyFromFile && keyFromFile !== key) {
+  if (key && keyFromFile && keyFromFile !== key) {
     console.warn("submit-indexnow: INDEXNOW_KEY differs from repository key file content.");
   }
 
-  const changedUrls = parseChangedUrls(process.env.CHANGED_URLS || "");
-  const allUrls = changedUrls.length ? changedUrls : await readSitemapUrls();
-  const urls = allUrls.slice(0, Number(process.env.INDEXNOW_MAX_URLS || 200));
+  const override = parseChangedUrls(process.env.CHANGED_URLS || "");
+  const { urls, note } = override.length ? { urls: override, note: "" } : await readManifestUrls();
+  const host = new URL(SITE_ORIGIN).host;
+  const ownUrls = urls.filter((u) => new URL(u).host === host);
+  if (ownUrls.length < urls.length) {
+    console.warn(`submit-indexnow: ignoring ${urls.length - ownUrls.length} URL(s) not on ${host}.`);
+  }
 
-  if (!urls.length) {
-    console.log("submit-indexnow: no URLs found in sitemap; skipping.");
+  if (!ownUrls.length) {
+    console.log(`submit-indexnow: nothing to submit (${note || "no URLs"}); skipping.`);
     return;
   }
 
-  const payload = {
-    host: new URL(SITE_ORIGIN).host,
-    key,
-    keyLocation,
-    urlList: urls,
-  };
+  const groups = batches(ownUrls, BATCH_SIZE);
+  const source = override.length ? "CHANGED_URLS" : CONTENT_MANIFEST_PATH;
+  if (dryRun) {
+    for (const u of ownUrls) console.log(u);
+    console.log(`submit-indexnow: would submit ${ownUrls.length} URL(s) from ${source} in ${groups.length} batch(es).`);
+    return;
+  }
 
-  await postJson("https://api.indexnow.org/indexnow", payload);
-  console.log(`submit-indexnow: submitted ${urls.length} URLs to IndexNow${changedUrls.length ? " (changed URLs mode)" : ""}.`);
+  for (const [i, urlList] of groups.entries()) {
+    await postJson("https://api.indexnow.org/indexnow", { host, key, keyLocation, urlList });
+    console.log(`submit-indexnow: batch ${i + 1}/${groups.length} accepted (${urlList.length} URLs).`);
+  }
+  console.log(`submit-indexnow: submitted ${ownUrls.length} URL(s) from ${source} to IndexNow.`);
 }
 
 main().catch((err) => {
@@ -1,51 +1,71 @@
 import fs from "node:fs/promises";
 import path from "node:path";
+import { safeStr, sanitizeId } from "./lib/slug.mjs";
+import { normalizeSplit, seasonForDate, upsertSplit, withSeasonTotals } from "./lib/player-seasons.mjs";
+import { SOURCE_RULES, mergeFields, sourceField } from "./lib/provenance.mjs";
+import { createIdentityResolver, loadAliasRegistry, writeIdentityReport } from "./lib/player-identity.mjs";
 
 const ROOT = process.cwd();
 const PLAYERS_PATH = path.join(ROOT, "data", "players.json");
 const FANTASY_PATH = path.join(ROOT, "data", "fantasy.json");
 
-function safeStr(value) {
-  return String(value ?? "").trim();
-}
-
-function sanitizeId(raw) {
-  return safeStr(raw)
-    .toLowerCase()
-    .replace(/[^a-z0-9-]/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
 function toNumber(value, fallback = 0) {
   const n = Number(value);
   return Number.isFinite(n) ? n : fallback;
 }
 
-function normalizePlayerFromFantasy(row) {
+// Stats are offered as "fantasy" fields, keeping the per-row confidence and
+// fetch time fetch-live-fallback recorded in the row's fieldMeta. Minutes
+// the row only implies from matches played count as an estimate.
+function normalizePlayerFromFantasy(row, season, fetchedAt) {
   const playedMatches = toNumber(row?.playedMatches, 0);
   const minutesEstimate = toNumber(row?.minutesEstimate, playedMatches * 90);
+  const team = safeStr(row?.team) || "Unknown";
+  const competition = safeStr(row?.competition?.code || row?.competitionCode) || "N/A";
+  const meta = row?.fieldMeta || {};
+  const offer = (stat, value, source = "fantasy") =>
+    sourceField(value, source, meta[stat]?.fetchedAt || fetchedAt, meta[stat]?.confidence ?? SOURCE_RULES[source].confidence);
 
   return {
     id: sanitizeId(row?.id || row?.name),
     name: safeStr(row?.name),
     position: safeStr(row?.position) || "N/A",
-    team: safeStr(row?.team) || "Unknown",
-    minutes: minutesEstimate,
-    goals: toNumber(row?.goals, 0),
-    assists: toNumber(row?.assists, 0),
-    shots: toNumber(row?.shots, 0),
-    shotsOnTarget: toNumber(row?.shotsOnTarget, 0),
+    team,
+    split: normalizeSplit({ season, competition, team }),
+    fields: {
+      minutes: offer("minutes", minutesEstimate, row?.minutesEstimate == null ? "estimate" : "fantasy"),
+      goals: offer("goals", toNumber(row?.goals, 0)),
+      assists: offer("assists", toNumber(row?.assists, 0)),
+      shots: offer("shots", toNumber(row?.shots, 0)),
+      shotsOnTarget: offer("shotsOnTarget", toNumber(row?.shotsOnTarget, 0)),
+    },
   };
 }
 
-function mergePlayers(existingPlayers, fantasyPlayers) {
+// A fantasy row is one season aggregate per player, so it merges into the
+// player's split for the same competition or, failing that, their biggest
+// split of the season (fantasy competitions are often synthetic). Each stat
+// only replaces what is there when the provenance rules rank it higher.
+function mergeSplit(splits, split, fields) {
+  const sameSeason = splits.filter((s) => s.season === split.season);
+  const target = sameSeason.find((s) => s.competition === split.competition)
+    || sameSeason.sort((a, b) => b.minutes - a.minutes)[0];
+  return upsertSplit(splits, mergeFields(target || split, fields));
+}
+
+// Fantasy rows carry their own id (slugged from the name). The identity
+// resolver maps each onto the existing player it describes; rows that match
+// nobody become new players, rows that could be several people are left
+// out and listed in the identity report, as are players now at a new club.
+function mergePlayers(existingPlayers, fantasyPlayers, season, fetchedAt, identity) {
   const byId = new Map();
+  const ambiguous = [];
+  const transfers = [];
 
   for (const player of existingPlayers) {
     const id = sanitizeId(player?.id || player?.name);
     if (!id) continue;
-    byId.set(id, {
+    byId.set(id, withSeasonTotals({
       id,
       name: safeStr(player?.name),
       position: safeStr(player?.position) || "N/A",
@@ -55,33 +75,42 @@ function mergePlayers(existingPlayers, fantasyPlayers) {
       assists: toNumber(player?.assists, 0),
       shots: toNumber(player?.shots, 0),
       shotsOnTarget: toNumber(player?.shotsOnTarget, 0),
-    });
+      seasons: Array.isArray(player?.seasons) ? player.seasons : [],
+    }));
   }
 
   for (const row of fantasyPlayers) {
-    const next = normalizePlayerFromFantasy(row);
+    const { split, fields, ...next } = normalizePlayerFromFantasy(row, season, fetchedAt);
     if (!next.id || !next.name) continue;
 
+    const match = identity.resolve({ id: next.id, name: next.name, team: next.team !== "Unknown" ? next.team : null });
+    if (match.status === "ambiguous") {
+      ambiguous.push({ id: next.id, name: next.name, team: next.team, reason: match.reason, candidates: match.candidates });
+      continue;
+    }
+    if (match.id) next.id = match.id;
+    if (match.transfer) transfers.push({ id: match.id, name: next.name, ...match.transfer });
+
     if (!byId.has(next.id)) {
-      byId.set(next.id, next);
+      byId.set(next.id, withSeasonTotals({ ...next, seasons: [mergeFields(split, fields)] }));
       continue;
     }
 
     const prev = byId.get(next.id);
-    byId.set(next.id, {
+    byId.set(next.id, withSeasonTotals({
       ...prev,
       name: prev.name || next.name,
       position: next.position !== "N/A" ? next.position : prev.position,
       team: next.team !== "Unknown" ? next.team : prev.team,
-      minutes: Math.max(prev.minutes, next.minutes),
-      goals: Math.max(prev.goals, next.goals),
-      assists: Math.max(prev.assists, next.assists),
-      shots: Math.max(prev.shots, next.shots),
-      shotsOnTarget: Math.max(prev.shotsOnTarget, next.shotsOnTarget),
-    });
+      seasons: mergeSplit(prev.seasons, split, fields),
+    }));
   }
 
-  return Array.from(byId.values()).sort((a, b) => a.name.localeCompare(b.name));
+  return {
+    players: Array.from(byId.values()).sort((a, b) => a.name.localeCompare(b.name)),
+    ambiguous,
+    transfers,
+  };
 }
 
 async function main() {
@@ -101,7 +130,10 @@ async function main() {
     return;
   }
 
-  const mergedPlayers = mergePlayers(existingPlayers, fantasyPlayers);
+  const season = seasonForDate(fantasyParsed?.generatedAt ? new Date(fantasyParsed.generatedAt) : new Date());
+  const fetchedAt = fantasyParsed?.generatedAt || new Date().toISOString();
+  const identity = createIdentityResolver({ players: existingPlayers, registry: await loadAliasRegistry() });
+  const { players: mergedPlayers, ambiguous, transfers } = mergePlayers(existingPlayers, fantasyPlayers, season, fetchedAt, identity);
 
   const next = {
     ...playersParsed,
@@ -110,8 +142,9 @@ async function main() {
   };
 
   await fs.writeFile(PLAYERS_PATH, `${JSON.stringify(next, null, 2)}\n`, "utf-8");
+  await writeIdentityReport("sync-players-from-fantasy", ambiguous, transfers);
   console.log(
-    `sync-players-from-fantasy: merged ${fantasyPlayers.length} fantasy rows into ${mergedPlayers.length} players.`
+    `sync-players-from-fantasy: merged ${fantasyPlayers.length} fantasy rows into ${mergedPlayers.length} players (${ambiguous.length} ambiguous).`
   );
 }
 
@@ -1,29 +1,23 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import { normalizeSplit, seasonForDate, upsertSplit, withSeasonTotals } from './lib/player-seasons.mjs';
+import { competitionCode, loadCompetitionRegistry } from './lib/competitions.mjs';
+import { createIdentityResolver, loadAliasRegistry, saveAliasRegistry, writeIdentityReport } from './lib/player-identity.mjs';
+import { readJson } from './lib/json-io.mjs';
+import { mergeFields, sourceField } from './lib/provenance.mjs';
+import { sanitizeId } from './lib/slug.mjs';
 
 const ROOT = process.cwd();
 const SCORERS_PATH = path.join(ROOT, 'data', 'scorers.json');
 const PLAYERS_PATH = path.join(ROOT, 'data', 'players.json');
+const ENRICHMENT_PATH = path.join(ROOT, 'data', 'player-enrichment.json');
 
-const normalizeName = (s) => String(s ?? '')
-  .normalize('NFD')
-  .replace(/\p{Diacritic}/gu, '')
-  .toLowerCase()
-  .replace(/[^a-z0-9 ]/g, ' ')
-  .replace(/\s+/g, ' ')
-  .trim();
+// Registry key for football-data.org player ids.
+const REGISTRY_SOURCE = 'footballData';
+// Provenance source for the stats (lib/provenance.mjs SOURCE_RULES).
+const SOURCE = 'football-data';
 
-function tokenSetScore(a, b) {
-  const sa = new Set(normalizeName(a).split(' ').filter(Boolean));
-  const sb = new Set(normalizeName(b).split(' ').filter(Boolean));
-  if (!sa.size || !sb.size) return 0;
-  let common = 0;
-  for (const t of sa) if (sb.has(t)) common += 1;
-  return common / Math.max(sa.size, sb.size);
-}
-
-function extractScorers(raw) {
-  const parsed = JSON.parse(raw || '{}');
+function extractScorers(parsed) {
   if (Array.isArray(parsed?.scorers)) return parsed.scorers;
   if (Array.isArray(parsed?.competitions)) {
     return parsed.competitions.flatMap((comp) => {
@@ -35,33 +29,54 @@ function extractScorers(raw) {
   return [];
 }
 
-function bestPlayerIndex(players, scorerName) {
-  const target = normalizeName(scorerName);
-  let best = { idx: -1, score: 0 };
-  for (let i = 0; i < players.length; i += 1) {
-    const p = players[i];
-    const pName = normalizeName(p?.name);
-    let score = tokenSetScore(target, pName);
-    if (pName === target) score = 1;
-    if (score > best.score) best = { idx: i, score };
-  }
-  return best.score >= 0.6 ? best.idx : -1;
-}
-
 async function main() {
   const [scorersRaw, playersRaw] = await Promise.all([
     fs.readFile(SCORERS_PATH, 'utf8').catch(() => '{}'),
     fs.readFile(PLAYERS_PATH, 'utf8'),
   ]);
 
-  const scorers = extractScorers(scorersRaw);
+  const scorersParsed = JSON.parse(scorersRaw || '{}');
+  const scorers = extractScorers(scorersParsed);
+  const scoredAt = scorersParsed?.updatedAt ? new Date(scorersParsed.updatedAt) : new Date();
+  const fetchedAt = scorersParsed?.updatedAt || new Date().toISOString();
   const playersParsed = JSON.parse(playersRaw || '{}');
   const players = Array.isArray(playersParsed?.players) ? playersParsed.players : [];
+  const enrichment = await readJson(ENRICHMENT_PATH, { players: {} });
+  const birthDates = Object.fromEntries(
+    Object.entries(enrichment?.players || {}).map(([id, e]) => [id, e?.dateOfBirth]),
+  );
+  const competitions = await loadCompetitionRegistry();
+  const registry = await loadAliasRegistry();
+  const identity = createIdentityResolver({ players, registry, birthDates });
+  const indexById = new Map(players.map((p, i) => [sanitizeId(p?.id || p?.name), i]));
 
   let updated = 0;
+  let learned = 0;
+  const ambiguous = [];
+  const transfers = [];
   for (const s of scorers) {
-    const idx = bestPlayerIndex(players, s?.name);
-    if (idx < 0) continue;
+    const match = identity.resolve({
+      name: s?.name,
+      team: s?.team,
+      dateOfBirth: s?.dateOfBirth,
+      source: REGISTRY_SOURCE,
+      externalId: s?.playerId,
+    });
+    if (match.status === 'ambiguous') {
+      ambiguous.push({
+        name: s?.name || '',
+        team: s?.team || '',
+        competition: s?.competition || '',
+        externalId: s?.playerId ?? null,
+        reason: match.reason,
+        candidates: match.candidates,
+      });
+      continue;
+    }
+    const idx = match.id ? indexById.get(match.id) : undefined;
+    if (idx === undefined) continue;
+    if (match.status !== 'external' && identity.remember(match.id, REGISTRY_SOURCE, s?.playerId)) learned += 1;
+    if (match.transfer) transfers.push({ id: match.id, name: s?.name || '', ...match.transfer });
 
     const goals = Number(s?.goals ?? 0) || 0;
     const assists = Number(s?.assists ?? 0) || 0;
@@ -69,16 +84,36 @@ async function main() {
     const goalsPer90 = playedMatches > 0 ? (goals / playedMatches) * 90 : 0;
     const assistsPer90 = playedMatches > 0 ? (assists / playedMatches) * 90 : 0;
 
-    players[idx] = {
+    // Goals and assists land in this competition's split for the season,
+    // outranking every other source (lib/provenance.mjs); minutes are only
+    // estimated from matches played when no real source recorded them. A
+    // split the player source could not attribute ("N/A") is claimed rather
+    // than counted twice.
+    // Scorer rows name the competition ("Premier League"); splits use its
+    // code, and the season follows that competition's calendar.
+    const competition = competitionCode(s?.competition, competitions) || 'N/A';
+    const season = seasonForDate(scoredAt, competitions.get(competition)?.seasonStartMonth);
+    const splits = players[idx].seasons || [];
+    const prevSplit = splits.find((x) => x.season === season && x.competition === competition)
+      || splits.find((x) => x.season === season && x.competition === 'N/A');
+    const split = mergeFields(
+      normalizeSplit({ ...prevSplit, season, competition, team: prevSplit?.team || players[idx].team }),
+      {
+        goals: sourceField(goals, SOURCE, fetchedAt),
+        assists: sourceField(assists, SOURCE, fetchedAt),
+        minutes: sourceField(playedMatches * 90, 'estimate', fetchedAt),
+      },
+    );
+
+    players[idx] = withSeasonTotals({
       ...players[idx],
       team: s?.team || players[idx].team,
       position: s?.position || players[idx].position,
-      goals,
-      assists,
+      seasons: upsertSplit(splits.filter((x) => x !== prevSplit), split),
       playedMatches,
       goalsPer90: Number(goalsPer90.toFixed(2)),
       assistsPer90: Number(assistsPer90.toFixed(2)),
-    };
+    });
     updated += 1;
   }
 
@@ -88,7 +123,10 @@ async function main() {
     players,
   }, null, 2) + '\n', 'utf8');
 
-  console.log(`sync-scorers: updated ${updated} players from ${scorers.length} scorer rows.`);
+  if (learned) await saveAliasRegistry(registry);
+  await writeIdentityReport('sync-scorers', ambiguous, transfers);
+
+  console.log(`sync-scorers: updated ${updated} players from ${scorers.length} scorer rows (${ambiguous.length} ambiguous, ${learned} ids learned).`);
 }
 
 main().catch((err) => {
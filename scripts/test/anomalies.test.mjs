@@ -0,0 +1,96 @@
+// Unit tests for scripts/lib/anomalies.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { applyQuarantine, detectAnomalies, zScores } from "../lib/anomalies.mjs";
+
+const split = (extra = {}) => ({ season: "2025-26", competition: "PL", minutes: 900, goals: 5, assists: 2, shots: 30, shotsOnTarget: 12, ...extra });
+const player = (id, extra = {}) => ({ id, name: id, ...split(extra), seasons: [split(extra)] });
+const row = (team, extra = {}) => ({ team, played: 10, won: 6, draw: 2, lost: 2, goals: 20, goalsAgainst: 10, gd: 10, points: 20, ...extra });
+
+function docs({ players = [], standings = {}, fixtures = [], scorers = [] } = {}) {
+  return { players: { players }, standings: { standings }, fixtures: { fixtures }, scorers: { scorers } };
+}
+
+const rules = (issues) => issues.map((i) => `${i.severity}:${i.dataset}:${i.key}:${i.rule}`);
+
+test("cross-field rules catch impossible tables, scores and player lines", () => {
+  const { issues, blocked } = detectAnomalies(
+    docs({
+      players: [player("ok"), player("sot", { shotsOnTarget: 31 }), player("rate", { minutes: 300, goals: 40, shots: 60 }), player("a"), player("b")],
+      standings: { "Premier League": [row("Arsenal"), row("Chelsea", { points: 21 })], "La Liga": [row("Girona", { gd: 9 })] },
+      fixtures: [{ id: 1, status: "FINISHED", home: "A", away: "B", homeScore: null, awayScore: 1 }],
+    })
+  );
+  assert.deepEqual(
+    rules(issues).filter((r) => !r.endsWith(":z-score")),
+    [
+      "quarantine:players:sot:shots-on-target",
+      "quarantine:players:sot:shots-on-target",
+      "quarantine:players:rate:goal-rate",
+      "quarantine:players:rate:goal-rate",
+      "quarantine:standings:Premier League:points",
+      "quarantine:standings:La Liga:goal-difference",
+      "quarantine:fixtures:1:finished-without-score",
+    ]
+  );
+  assert.equal(blocked, false);
+});
+
+test("counters that fall or jump between snapshots are held back", () => {
+  const previous = docs({ players: [player("x"), player("y")] });
+  const current = docs({ players: [player("x", { goals: 4 }), player("y", { goals: 12, shots: 40 })] });
+  const { issues } = detectAnomalies(current, previous);
+  assert.deepEqual(rules(issues), ["quarantine:players:x:counter-decreased", "quarantine:players:y:delta"]);
+});
+
+test("bad records already in the previous snapshot are only warned about", () => {
+  const bad = docs({ standings: { "Serie A": [row("Inter", { points: 30 })] } });
+  const { issues } = detectAnomalies(bad, bad);
+  assert.deepEqual(rules(issues), ["warn:standings:Serie A:points"]);
+  assert.match(issues[0].message, /unchanged since the last snapshot/);
+});
+
+test("a shrinking dataset or widespread failures block the run", () => {
+  const many = Array.from({ length: 10 }, (_, i) => player(`p${i}`));
+  assert.equal(detectAnomalies(docs({ players: many.slice(0, 4) }), docs({ players: many })).blocked, true);
+  const broken = many.map((p, i) => (i < 4 ? player(p.id, { shotsOnTarget: 99 }) : p));
+  const { issues, blocked } = detectAnomalies(docs({ players: broken }));
+  assert.equal(blocked, true);
+  assert.ok(rules(issues).includes("block:players:*:too-many-anomalies"));
+});
+
+test("z-scores use a spread floored at 10% of the mean", () => {
+  assert.deepEqual(zScores([1, 1, 1, NaN]), [0, 0, 0, 0]);
+  // Without the floor the last value would sit 2 sd out on a 0.01 difference.
+  assert.ok(Math.abs(zScores([3.2, 3.2, 3.2, 3.2, 3.21])[4]) < 0.1);
+  const rates = detectAnomalies(docs({ players: [...Array.from({ length: 40 }, (_, i) => player(`p${i}`)), player("star", { assists: 30 })] }));
+  assert.deepEqual(rules(rates.issues), ["quarantine:players:star:z-score"]);
+});
+
+test("quarantine keeps the previous version in place and drops new records", () => {
+  const previous = docs({
+    players: [player("x"), player("y")],
+    standings: { "Serie A": [row("Inter")], Bundesliga: [row("Bayern")] },
+  });
+  const current = docs({
+    players: [player("x", { goals: 2 }), player("y", { goals: 6 }), player("new", { shotsOnTarget: 50 })],
+    standings: { "Serie A": [row("Inter", { points: 40 })], Bundesliga: [row("Bayern", { played: 11, won: 7, points: 23 })] },
+  });
+  const { issues } = detectAnomalies(current, previous);
+  const { data, quarantined } = applyQuarantine(current, previous, issues);
+  assert.deepEqual(data.players.players.map((p) => [p.id, p.goals]), [["x", 5], ["y", 6]]);
+  assert.deepEqual(data.standings.standings["Serie A"], previous.standings.standings["Serie A"]);
+  assert.equal(data.standings.standings.Bundesliga[0].points, 23);
+  assert.deepEqual(
+    quarantined.map((q) => [q.dataset, q.key, q.action]),
+    [
+      ["players", "x", "kept previous"],
+      ["players", "new", "dropped"],
+      ["standings", "Serie A", "kept previous"],
+    ]
+  );
+  assert.equal(quarantined[1].incoming.shotsOnTarget, 50);
+});
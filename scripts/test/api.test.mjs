@@ -0,0 +1,106 @@
+// Unit tests for scripts/lib/api.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { competitionResource, openApiDocument, per90Line, playerResource, teamResource } from "../lib/api.mjs";
+import { collectTeams } from "../lib/teams.mjs";
+
+const split = (season, competition, minutes, goals) => ({
+  season,
+  competition,
+  team: "Arsenal FC",
+  minutes,
+  goals,
+  assists: 1,
+  shots: 10,
+  shotsOnTarget: 4,
+});
+
+const saka = {
+  id: "Bukayo Saka",
+  name: "Bukayo Saka",
+  position: "RW",
+  team: "Arsenal FC",
+  minutes: 900,
+  goals: 5,
+  assists: 1,
+  shots: 10,
+  shotsOnTarget: 4,
+  seasons: [split("2024-25", "PL", 1800, 6), split("2025-26", "PL", 900, 5)],
+};
+const standingsParsed = { standings: { "Premier League": [{ position: 1, team: "Arsenal FC", points: 76, played: 35, gd: 41 }] } };
+
+test("per-90 lines are rounded to four places and zero without minutes", () => {
+  assert.deepEqual(per90Line({ minutes: 270, goals: 1 }), { goals: 0.3333, assists: 0, shots: 0, shotsOnTarget: 0 });
+  assert.equal(per90Line({ goals: 3 }).goals, 0);
+});
+
+test("player ids and links match the HTML routes", () => {
+  const doc = playerResource(saka, {
+    similar: [{ id: "Gabriel Martinelli", name: "Gabriel Martinelli" }],
+    teamSlugs: new Set(["arsenal-fc"]),
+    standingsParsed,
+  });
+  assert.equal(doc.id, "bukayo-saka");
+  assert.equal(doc.url, "/players/bukayo-saka/");
+  assert.equal(doc.href, "/api/v1/players/bukayo-saka.json");
+  assert.equal(doc.team.href, "/api/v1/teams/arsenal-fc.json");
+  assert.equal(doc.team.standing.position, 1);
+  assert.deepEqual(doc.similar.map((p) => p.href), ["/api/v1/players/gabriel-martinelli.json"]);
+});
+
+test("player totals are the latest season, career sums every split", () => {
+  const doc = playerResource(saka);
+  assert.equal(doc.season, "2025-26");
+  assert.equal(doc.totals.goals, 5);
+  assert.equal(doc.per90.goals, 0.5);
+  assert.deepEqual(doc.seasons.map((s) => s.season), ["2025-26", "2024-25"]);
+  assert.equal(doc.career.seasons, 2);
+  assert.equal(doc.career.goals, 11);
+  assert.equal(doc.team.slug, null);
+  assert.equal(doc.percentiles, null);
+});
+
+test("team roster links only players with a profile page", () => {
+  const teams = collectTeams({
+    players: [saka],
+    scorerRows: [{ name: "Kai Havertz", team: "Arsenal FC", goals: 7 }],
+    standingsParsed,
+  });
+  const doc = teamResource("arsenal-fc", teams.get("arsenal-fc"), {
+    validPlayerIds: new Set(["bukayo-saka"]),
+    standingsParsed,
+    fixtures: [
+      { id: 2, date: "2025-09-01T15:00:00Z", home: "Chelsea FC", away: "Arsenal FC" },
+      { id: 1, date: "2025-08-20T15:00:00Z", home: "Arsenal FC", away: "Leeds", homeScore: 2, awayScore: 0 },
+    ],
+  });
+  assert.equal(doc.standing.goalDifference, 41);
+  assert.deepEqual(doc.roster.map((p) => [p.id, p.href]), [
+    ["bukayo-saka", "/api/v1/players/bukayo-saka.json"],
+    ["kai-havertz", null],
+  ]);
+  assert.equal(doc.totals.goals, 12);
+  assert.deepEqual(doc.fixtures.map((f) => f.id), [1, 2]);
+  assert.deepEqual(doc.fixtures[0].score, { home: 2, away: 0 });
+  assert.equal(doc.fixtures[1].score, null);
+});
+
+test("competition slugs are the lower-cased code", () => {
+  const doc = competitionResource("BL1", { label: "Bundesliga", standings: [{ position: 1, team: "FC Bayern München" }] }, {
+    teamSlugs: new Set(["fc-bayern-m-nchen"]),
+  });
+  assert.equal(doc.slug, "bl1");
+  assert.equal(doc.code, "BL1");
+  assert.equal(doc.href, "/api/v1/competitions/bl1.json");
+  assert.equal(doc.standings[0].team.url, "/teams/fc-bayern-m-nchen/");
+});
+
+test("OpenAPI document references only defined schemas", () => {
+  const doc = openApiDocument("https://example.test");
+  assert.equal(doc.servers[0].url, "https://example.test/api/v1");
+  const refs = JSON.stringify(doc).match(/#\/components\/schemas\/\w+/g);
+  for (const r of new Set(refs)) assert.ok(doc.components.schemas[r.split("/").pop()], r);
+});
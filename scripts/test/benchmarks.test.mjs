@@ -0,0 +1,51 @@
+// Unit tests for scripts/lib/benchmarks.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildBenchmarks, pickPeerCap, serializeBenchmarks } from "../lib/benchmarks.mjs";
+
+const row = (id, position, minutes, goals, assists = 0, shots = 0, shotsOnTarget = 0) => ({
+  id,
+  position,
+  minutes,
+  goals,
+  assists,
+  shots,
+  shotsOnTarget,
+});
+
+const players = [
+  row("st-1", "ST", 900, 10, 2, 40, 20),
+  row("st-2", "ST", 900, 5, 1, 30, 10),
+  row("st-3", "ST", 1800, 12, 6, 50, 25),
+  row("cb-1", "CB", 900, 1, 0, 5, 2),
+  row("sub", "ST", 45, 3, 0, 3, 3),
+];
+
+test("caps are the best per-90 among players with at least 90 minutes", () => {
+  const { byPos, globalCap } = buildBenchmarks(players);
+  assert.equal(byPos.get("ST").count, 3);
+  assert.equal(byPos.get("ST").g90, 1);
+  assert.equal(globalCap.s90, 4);
+});
+
+test("pickPeerCap falls back to all players below three peers", () => {
+  const benchmarks = buildBenchmarks(players);
+  assert.equal(pickPeerCap(players[0], benchmarks).source, "ST peers");
+  assert.equal(pickPeerCap(players[3], benchmarks).source, "all players");
+  assert.equal(pickPeerCap(row("x", "CB/ST", 900, 0), benchmarks).source, "ST peers");
+});
+
+test("serialized caps resolve to the same ceiling as pickPeerCap", () => {
+  const benchmarks = buildBenchmarks(players);
+  const json = serializeBenchmarks(benchmarks);
+  assert.deepEqual(Object.keys(json.positions), ["ST"]);
+  for (const p of players) {
+    const { cap } = pickPeerCap(p, benchmarks);
+    const pos = String(p.position).split("/").find((x) => json.positions[x]);
+    const served = pos ? json.positions[pos] : json.global;
+    for (const k of json.metrics) assert.equal(served[k], Math.round(cap[k] * 10000) / 10000);
+  }
+});
@@ -0,0 +1,62 @@
+// Unit tests for scripts/lib/competitions.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildCompetitionsFromLive,
+  competitionCode,
+  createCompetitionRegistry,
+  openfootballSources,
+} from "../lib/competitions.mjs";
+
+const registry = createCompetitionRegistry({
+  competitions: [
+    {
+      code: "BL1",
+      name: "Bundesliga",
+      slug: "bundesliga",
+      aliases: ["1. Bundesliga"],
+      sources: { footballData: { code: "BL1" }, openfootball: { file: "de.1", seasons: ["2023-24", "2022-23"] }, statsbomb: { competitionId: 9 } },
+    },
+    { code: "cl", name: "Champions League", slug: "champions-league", sources: { footballData: { code: "CL" } } },
+  ],
+});
+
+test("lookups go by code, name, slug or alias", () => {
+  assert.equal(registry.get("cl").name, "Champions League");
+  assert.equal(registry.find("1. Bundesliga").code, "BL1");
+  assert.equal(registry.find("champions-league").code, "CL");
+  assert.equal(registry.bySourceId("statsbomb", "competitionId", 9).code, "BL1");
+  assert.deepEqual(registry.withSource("footballData").map((c) => c.code), ["BL1", "CL"]);
+  assert.deepEqual(registry.withSource("statsbomb").map((c) => c.code), ["BL1"]);
+});
+
+test("unknown names fall back to their upper-cased slug", () => {
+  assert.equal(competitionCode("1. Bundesliga", registry), "BL1");
+  assert.equal(competitionCode("Eredivisie", registry), "EREDIVISIE");
+  assert.equal(competitionCode("Eredivisie"), "EREDIVISIE");
+});
+
+test("openfootball files are built from the registry ids", () => {
+  const all = openfootballSources(registry);
+  assert.deepEqual(all.map((s) => s.id), ["bl1-2023-24", "bl1-2022-23"]);
+  assert.equal(all[0].url, "https://raw.githubusercontent.com/openfootball/football.json/master/2023-24/de.1.json");
+  assert.deepEqual(openfootballSources(registry, { latestOnly: true }).map((s) => s.season), ["2023-24"]);
+});
+
+test("registered competitions are labelled with the registry name", () => {
+  const comps = buildCompetitionsFromLive(
+    { standings: { "1. Bundesliga": [{ position: 1, team: "Bayer 04 Leverkusen" }], Eredivisie: [{ position: 1, team: "PSV" }] } },
+    {},
+    {},
+    { scorers: [{ name: "Harry Kane", team: "FC Bayern München", competition: "Bundesliga", goals: 9 }] },
+    {},
+    registry
+  );
+  assert.deepEqual(Object.keys(comps), ["BL1", "EREDIVISIE"]);
+  assert.equal(comps.BL1.label, "Bundesliga");
+  assert.equal(comps.BL1.scorers[0].player, "Harry Kane");
+  assert.equal(comps.EREDIVISIE.label, "Eredivisie");
+});
@@ -0,0 +1,102 @@
+// Unit tests for scripts/lib/content-manifest.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  CORE_PATHS,
+  buildContentManifest,
+  changedUrls,
+  contentHash,
+  listSitePages,
+  normalizeForHash,
+  pageFile,
+  sitemapLastmods,
+} from "../lib/content-manifest.mjs";
+
+const AT = "2026-05-10T06:00:00.123Z";
+
+test("fetch timestamps do not change a page's hash", () => {
+  const page = (fetched, updated) => `<td title="source: football-data.org, fetched ${fetched} UTC" data-source="source: football-data.org" data-source-at="${fetched}:00.000Z">18</td>
+<p>Last updated: <span data-live-updated>${updated}</span> · Source: football-data.org</p>
+<p class="callout">Last updated: ${updated}</p>`;
+  const a = page("2026-05-05 13:56", "Tue, 5 May 2026, 13:56 UTC");
+  const b = page("2026-05-10 06:00", "Sun, 10 May 2026, 06:00 UTC");
+  assert.equal(contentHash(a), contentHash(b));
+  assert.equal(
+    normalizeForHash(a),
+    `<td title="source: football-data.org" data-source="source: football-data.org">18</td>
+<p>Last updated:<span data-live-updated></span> · Source: football-data.org</p>
+<p class="callout">Last updated:</p>`,
+  );
+  assert.notEqual(contentHash(a), contentHash(a.replace(">18<", ">19<")));
+});
+
+test("a first build is a baseline dated from the old sitemap, with no changes", () => {
+  const seed = sitemapLastmods(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>https://playersb.com/a/</loc>
+    <lastmod>2026-05-05</lastmod>
+  </url>
+  <url>
+    <loc>https://playersb.com/undated/</loc>
+  </url>
+</urlset>`);
+  assert.deepEqual(seed, { "/a/": "2026-05-05T00:00:00Z" });
+  const manifest = buildContentManifest(null, { "/b/": "2", "/a/": "1" }, { at: AT, seed });
+  assert.equal(manifest.builtAt, "2026-05-10T06:00:00Z");
+  assert.deepEqual(Object.keys(manifest.pages), ["/a/", "/b/"]);
+  assert.deepEqual(manifest.pages["/a/"], { hash: "1", lastmod: "2026-05-05T00:00:00Z" });
+  // Not in the old sitemap: new with this build.
+  assert.deepEqual(manifest.pages["/b/"], { hash: "2", lastmod: "2026-05-10T06:00:00Z" });
+  assert.deepEqual(manifest.changes, { since: null, added: [], changed: [], removed: [] });
+  assert.deepEqual(changedUrls(manifest, "https://playersb.com"), []);
+});
+
+test("only added and changed pages get a new lastmod", () => {
+  const previous = {
+    builtAt: "2026-05-09T00:00:00Z",
+    pages: {
+      "/same/": { hash: "s", lastmod: "2026-05-01T00:00:00Z" },
+      "/edited/": { hash: "e1", lastmod: "2026-05-01T00:00:00Z" },
+      "/gone/": { hash: "g", lastmod: null },
+    },
+  };
+  const manifest = buildContentManifest(previous, { "/same/": "s", "/edited/": "e2", "/new/": "n" }, { at: AT });
+  assert.equal(manifest.pages["/same/"].lastmod, "2026-05-01T00:00:00Z");
+  assert.equal(manifest.pages["/edited/"].lastmod, "2026-05-10T06:00:00Z");
+  assert.equal(manifest.pages["/new/"].lastmod, "2026-05-10T06:00:00Z");
+  assert.deepEqual(manifest.changes, { since: "2026-05-09T00:00:00Z", added: ["/new/"], changed: ["/edited/"], removed: ["/gone/"] });
+  assert.deepEqual(changedUrls(manifest, "https://playersb.com"), [
+    "https://playersb.com/new/",
+    "https://playersb.com/edited/",
+    "https://playersb.com/gone/",
+  ]);
+
+  // Rebuilding unchanged pages reports nothing and keeps every date.
+  const again = buildContentManifest(manifest, { "/same/": "s", "/edited/": "e2", "/new/": "n" }, { at: "2026-05-10T12:00:00Z" });
+  assert.deepEqual(again.changes, { since: "2026-05-10T06:00:00Z", added: [], changed: [], removed: [] });
+  assert.deepEqual(again.pages, manifest.pages);
+});
+
+test("listSitePages lists core routes, then section pages in name order", async () => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "playersb-pages-"));
+  try {
+    for (const rel of ["players/b/index.html", "players/a/index.html", "players/no-page/x.txt", "archive/pl/2024/index.html", "archive/pl/index.html"]) {
+      await fs.mkdir(path.dirname(path.join(root, rel)), { recursive: true });
+      await fs.writeFile(path.join(root, rel), "<p></p>");
+    }
+    const pages = await listSitePages(root);
+    assert.deepEqual(pages.slice(0, CORE_PATHS.length), CORE_PATHS);
+    assert.deepEqual(pages.slice(CORE_PATHS.length), ["/players/a/", "/players/b/", "/archive/pl/", "/archive/pl/2024/"]);
+    assert.equal(pageFile("/"), "index.html");
+    assert.equal(pageFile("/archive/pl/2024/"), "archive/pl/2024/index.html");
+  } finally {
+    await fs.rm(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,101 @@
+// Unit tests for scripts/lib/embed.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { competitionResource, playerResource, teamResource } from "../lib/api.mjs";
+import { collectTeams } from "../lib/teams.mjs";
+import {
+  PLAYER_DEFAULT_METRICS,
+  PLAYER_METRICS,
+  TEAM_DEFAULT_METRICS,
+  TEAM_METRICS,
+  embedSnippet,
+  embedUrl,
+  fixturesWidget,
+  metricOptions,
+  playerWidget,
+  standingsWidget,
+  teamWidget,
+} from "../lib/embed.mjs";
+
+const saka = { id: "Bukayo Saka", name: "Bukayo Saka", position: "RW", team: "Arsenal FC", minutes: 900, goals: 5, assists: 1, shots: 10, shotsOnTarget: 4 };
+const standingsParsed = { standings: { "Premier League": [{ position: 1, team: "Arsenal FC", points: 76, played: 35, won: 23, draw: 7, lost: 5, gd: 41 }] } };
+
+function arsenal(fixtures = []) {
+  const teams = collectTeams({ players: [saka], standingsParsed });
+  return teamResource("arsenal-fc", teams.get("arsenal-fc"), { fixtures, standingsParsed, validPlayerIds: new Set(["bukayo-saka"]) });
+}
+
+test("player payloads carry every metric with a display string", () => {
+  const payload = playerWidget(playerResource(saka, { teamSlugs: new Set(["arsenal-fc"]), standingsParsed }));
+  assert.equal(payload.type, "player");
+  assert.equal(payload.id, "bukayo-saka");
+  assert.equal(payload.url, "/players/bukayo-saka/");
+  assert.equal(payload.subtitle, "RW · Arsenal FC");
+  assert.deepEqual(payload.metrics.map((m) => m.key), PLAYER_METRICS.map((m) => m.key));
+  const byKey = Object.fromEntries(payload.metrics.map((m) => [m.key, m]));
+  assert.equal(byKey.goals.display, "5");
+  assert.equal(byKey.goalsPer90.display, "0.50");
+  assert.deepEqual(payload.defaultMetrics, PLAYER_DEFAULT_METRICS);
+  for (const key of PLAYER_DEFAULT_METRICS) assert.ok(byKey[key]);
+});
+
+test("team payloads read the standings row and mark missing values", () => {
+  const payload = teamWidget(arsenal());
+  const byKey = Object.fromEntries(payload.metrics.map((m) => [m.key, m.display]));
+  assert.equal(payload.id, "arsenal-fc");
+  assert.equal(payload.subtitle, "Premier League");
+  assert.equal(byKey.position, "1");
+  assert.equal(byKey.goalDifference, "+41");
+  assert.equal(byKey.squadGoals, "5");
+  for (const key of TEAM_DEFAULT_METRICS) assert.ok(key in byKey);
+
+  const unplaced = teamWidget({ slug: "x", name: "X", url: "/teams/x/", standing: null, totals: { goals: 0 } });
+  assert.equal(unplaced.metrics.find((m) => m.key === "points").display, "—");
+  assert.equal(unplaced.subtitle, "");
+});
+
+test("fixture payloads split by status: latest results first, then the next fixtures", () => {
+  const fixtures = [1, 2, 3, 4, 5, 6].map((n) => ({
+    id: n, date: `2025-08-0${n}T15:00:00Z`, status: "FINISHED", home: "Arsenal FC", away: `Team ${n}`, homeScore: n, awayScore: 0,
+  })).concat([
+    { id: 8, date: "2025-08-20T15:00:00Z", status: "SCHEDULED", home: "Chelsea FC", away: "Arsenal FC" },
+    { id: 7, date: "2025-08-10T15:00:00Z", status: "IN_PLAY", home: "Arsenal FC", away: "Leeds", homeScore: 0, awayScore: 0 },
+    { id: 9, date: "2025-08-25T15:00:00Z", status: "POSTPONED", home: "Arsenal FC", away: "Spurs" },
+  ]);
+  const payload = fixturesWidget(arsenal(fixtures));
+  assert.deepEqual(payload.recent.map((f) => f.away), ["Team 6", "Team 5", "Team 4", "Team 3", "Team 2"]);
+  assert.equal(payload.recent[0].score, "6-0");
+  assert.equal(payload.recent[0].url, "/matches/6/");
+  assert.deepEqual(payload.upcoming.map((f) => [f.away, f.status, f.score]), [["Leeds", "Live", "0-0"], ["Arsenal FC", "Scheduled", null]]);
+});
+
+test("standings payloads link teams that have pages", () => {
+  const resource = competitionResource("PL", {
+    label: "Premier League",
+    standings: [{ position: 1, team: "Arsenal FC", played: 35, gd: 41, points: 76 }, { position: 2, team: "Nobody FC", played: 35, gd: -3, points: 60 }],
+  }, { teamSlugs: new Set(["arsenal-fc"]) });
+  const payload = standingsWidget(resource);
+  assert.equal(payload.id, "pl");
+  assert.deepEqual(payload.rows.map((r) => [r.team, r.url, r.goalDifference]), [["Arsenal FC", "/teams/arsenal-fc/", "+41"], ["Nobody FC", null, "-3"]]);
+});
+
+test("urls and snippets leave default options out", () => {
+  assert.equal(embedUrl({ type: "player", id: "bukayo-saka" }), "/embed/player/?id=bukayo-saka");
+  assert.equal(
+    embedUrl({ type: "team", id: "arsenal-fc", theme: "dark", metrics: ["points", "won"] }, "https://playersb.com"),
+    "https://playersb.com/embed/team/?id=arsenal-fc&theme=dark&metrics=points,won",
+  );
+  const snippet = embedSnippet({ type: "player", id: "bukayo-saka", title: "Saka <RW>" }, "https://playersb.com");
+  assert.match(snippet, /^<iframe src="https:\/\/playersb\.com\/embed\/player\/\?id=bukayo-saka" title="Saka &lt;RW&gt;"/);
+  assert.match(snippet, /data-playersb-embed><\/iframe>\n<script async src="https:\/\/playersb\.com\/assets\/js\/embed\.js"><\/script>$/);
+});
+
+test("configurator options list every metric and the defaults", () => {
+  const options = metricOptions();
+  assert.deepEqual(options.player.metrics.map((m) => m.key), PLAYER_METRICS.map((m) => m.key));
+  assert.deepEqual(options.team.metrics.map((m) => m.key), TEAM_METRICS.map((m) => m.key));
+  assert.deepEqual(Object.keys(options.team.metrics[0]), ["key", "label"]);
+});
@@ -0,0 +1,149 @@
+// Unit tests for scripts/lib/feeds.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  SITE_FEED,
+  appendFeedEvents,
+  diffSnapshots,
+  entityFeed,
+  eventGuid,
+  feedItems,
+  feedLinkTags,
+  renderAtom,
+  renderJsonFeed,
+  renderRss,
+} from "../lib/feeds.mjs";
+
+const AT = "2026-05-10T06:00:00.000Z";
+
+const haaland = (over = {}) => ({
+  id: "erling-haaland",
+  name: "Erling Haaland",
+  position: "ST/CF",
+  team: "Manchester City FC",
+  goals: 18,
+  seasons: [{ season: "2025-26", competition: "PL", team: "Manchester City FC", goals: 18 }],
+  ...over,
+});
+
+const fixture = (over = {}) => ({
+  id: 537900,
+  competitionCode: "PL",
+  competition: "Premier League",
+  date: "2026-05-09T14:00:00Z",
+  status: "TIMED",
+  home: "Arsenal FC",
+  away: "Chelsea FC",
+  ...over,
+});
+
+const snapshot = (players, fixtures) => ({ players: { players }, fixtures: { fixtures } });
+
+test("a rising goal tally is one event in the player, position, competition and site feeds", () => {
+  const after = haaland({ goals: 20, seasons: [{ season: "2025-26", competition: "PL", goals: 20 }] });
+  const [event, ...rest] = diffSnapshots(snapshot([haaland()], []), snapshot([after], []), { at: AT });
+  assert.equal(rest.length, 0);
+  assert.equal(event.type, "goals");
+  assert.equal(event.key, "goals/erling-haaland/2025-26/20");
+  assert.equal(event.title, "Erling Haaland reaches 20 goals");
+  assert.match(event.summary, /scored 2 more, taking the 2025-26 tally from 18 to 20/);
+  assert.equal(event.url, "/players/erling-haaland/");
+  assert.deepEqual(event.scopes, ["site", "player:erling-haaland", "position:st", "position:cf", "competition:pl"]);
+});
+
+test("transfers, new players and posted results are detected", () => {
+  const before = snapshot([haaland()], [fixture(), fixture({ id: 1, status: "FINISHED", homeScore: 1, awayScore: 0 })]);
+  const after = snapshot(
+    [haaland({ team: "Real Madrid CF" }), { id: "new-kid", name: "New Kid", position: "LW", team: "Arsenal FC" }],
+    [fixture({ status: "FINISHED", homeScore: 2, awayScore: 1 }), fixture({ id: 1, status: "FINISHED", homeScore: 1, awayScore: 0 })],
+  );
+  const events = diffSnapshots(before, after, { at: AT });
+  assert.deepEqual(events.map((e) => e.type), ["result", "transfer", "player-added"]);
+  const [result, transfer, added] = events;
+  assert.equal(result.title, "Arsenal FC 2–1 Chelsea FC");
+  assert.equal(result.url, "/matches/537900/");
+  assert.deepEqual(result.scopes, ["site", "competition:pl"]);
+  assert.equal(transfer.title, "Erling Haaland moves to Real Madrid CF");
+  assert.equal(transfer.key, "transfer/erling-haaland/manchester-city-fc-to-real-madrid-cf");
+  assert.equal(added.summary, "New Kid (LW · Arsenal FC) now has a profile on PlayersB.");
+});
+
+test("without a previous snapshot nothing counts as new", () => {
+  assert.deepEqual(diffSnapshots({ players: null, fixtures: null }, snapshot([haaland()], [fixture({ status: "FINISHED" })]), { at: AT }), []);
+});
+
+test("appendFeedEvents keeps the first version of a key and trims to the limit", () => {
+  const e = (key, at) => ({ key, at, type: "goals", title: key, summary: "", url: "/", scopes: ["site"] });
+  let log = appendFeedEvents(null, [e("a", AT)], { at: AT });
+  assert.equal(log.since, AT);
+  log = appendFeedEvents(log, [{ ...e("a", "2026-05-11T00:00:00.000Z"), title: "again" }, e("b", "2026-05-11T00:00:00.000Z")], { limit: 2 });
+  assert.deepEqual(log.events.map((x) => [x.key, x.title]), [["a", "a"], ["b", "b"]]);
+  assert.equal(log.since, AT);
+  log = appendFeedEvents(log, [e("c", "2026-05-12T00:00:00.000Z")], { limit: 2 });
+  assert.deepEqual(log.events.map((x) => x.key), ["b", "c"]);
+});
+
+test("feedItems filters by scope, newest first", () => {
+  const events = [
+    { key: "old", at: "2026-05-01T00:00:00Z", scopes: ["site", "player:x"] },
+    { key: "new", at: "2026-05-03T00:00:00Z", scopes: ["site"] },
+    { key: "mid", at: "2026-05-02T00:00:00Z", scopes: ["player:x"] },
+  ];
+  assert.deepEqual(feedItems(events, "site").map((e) => e.key), ["new", "old"]);
+  assert.deepEqual(feedItems(events, "player:x", { limit: 1 }).map((e) => e.key), ["mid"]);
+});
+
+test("the three formats share GUIDs and carry no build time", () => {
+  const feed = entityFeed("player", "erling-haaland", "Erling Haaland");
+  const event = { key: "goals/erling-haaland/2025-26/20", type: "goals", at: AT, title: "Haaland & co", summary: "2 < 3", url: "/players/erling-haaland/", tags: ["PL"], scopes: [feed.scope] };
+  const guid = eventGuid(event);
+  assert.equal(guid, "tag:playersb.com,2026-05-10:goals/erling-haaland/2025-26/20");
+
+  const rss = renderRss(feed, [event]);
+  assert.match(rss, /<atom:link href="https:\/\/playersb\.com\/players\/erling-haaland\/feed\.xml" rel="self"/);
+  assert.ok(rss.includes(`<guid isPermaLink="false">${guid}</guid>`));
+  assert.ok(rss.includes("<title>Haaland &amp; co</title>"));
+  assert.ok(rss.includes("<lastBuildDate>Sun, 10 May 2026 06:00:00 GMT</lastBuildDate>"));
+
+  const atom = renderAtom(feed, [event]);
+  assert.ok(atom.includes(`<id>${guid}</id>`));
+  assert.ok(atom.includes("<updated>2026-05-10T06:00:00.000Z</updated>"));
+  assert.ok(atom.includes("<summary>2 &lt; 3</summary>"));
+
+  const json = JSON.parse(renderJsonFeed(feed, [event]));
+  assert.equal(json.version, "https://jsonfeed.org/version/1.1");
+  assert.equal(json.feed_url, "https://playersb.com/players/erling-haaland/feed.json");
+  assert.deepEqual(json.items[0], {
+    id: guid,
+    url: "https://playersb.com/players/erling-haaland/",
+    title: "Haaland & co",
+    content_text: "2 < 3",
+    date_published: AT,
+    tags: ["PL"],
+  });
+
+  // An empty feed dates itself from the start of the log.
+  assert.ok(renderAtom(feed, [], { since: "2026-01-01T00:00:00.000Z" }).includes("<updated>2026-01-01T00:00:00.000Z</updated>"));
+});
+
+test("an imported item keeps the permalink GUID it was first published with", () => {
+  const event = { key: "profile/lamine-yamal", type: "profile", at: AT, title: "Lamine Yamal", summary: "Lamine Yamal profile on PlayersB.", url: "/players/lamine-yamal/", guid: "https://playersb.com/players/lamine-yamal/", scopes: ["site"] };
+  assert.equal(eventGuid(event), "https://playersb.com/players/lamine-yamal/");
+  assert.ok(renderRss(SITE_FEED, [event]).includes('<guid isPermaLink="true">https://playersb.com/players/lamine-yamal/</guid>'));
+  assert.ok(renderAtom(SITE_FEED, [event]).includes("<id>https://playersb.com/players/lamine-yamal/</id>"));
+  assert.equal(JSON.parse(renderJsonFeed(SITE_FEED, [event])).items[0].id, "https://playersb.com/players/lamine-yamal/");
+});
+
+test("feedLinkTags advertises every format unless the feed limits them", () => {
+  const tags = feedLinkTags([SITE_FEED, { title: "Arsenal FC fixtures", base: "/teams/arsenal-fc/feed", formats: ["rss"] }]).split("\n  ");
+  assert.deepEqual(tags, [
+    '<link rel="alternate" type="application/rss+xml" title="PlayersB Updates" href="/feed.xml" />',
+    '<link rel="alternate" type="application/atom+xml" title="PlayersB Updates (Atom)" href="/feed.atom" />',
+    '<link rel="alternate" type="application/feed+json" title="PlayersB Updates (JSON Feed)" href="/feed.json" />',
+    '<link rel="alternate" type="application/rss+xml" title="Arsenal FC fixtures" href="/teams/arsenal-fc/feed.xml" />',
+  ]);
+  assert.throws(() => entityFeed("team", "x", "X"), /unknown feed kind "team"/);
+});
@@ -0,0 +1,318 @@
+// Replays every fetch-* script against the cassettes in
+// scripts/test/cassettes/<script>/<scenario>.json (see lib/http.mjs) and
+// checks the files it leaves behind. Each run gets its own temp directory
+// as cwd, seeded with just the data files the scenario needs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const SCRIPTS = path.join(HERE, "..");
+const CASSETTES = path.join(HERE, "cassettes");
+const REGISTRY = JSON.parse(fs.readFileSync(path.join(SCRIPTS, "..", "data", "competitions.json"), "utf-8"));
+
+// The real data/competitions.json trimmed to `codes`, each with at most its
+// newest openfootball season, so a scenario only needs the requests those
+// competitions make.
+function registryOf(...codes) {
+  return {
+    competitions: REGISTRY.competitions
+      .filter((c) => codes.includes(c.code))
+      .map((c) => {
+        const { openfootball, ...sources } = c.sources;
+        if (c.code === "PL") sources.openfootball = { ...openfootball, seasons: ["2023-24"] };
+        return { ...c, sources };
+      }),
+  };
+}
+
+function runFetcher(t, script, scenario, { files = {}, env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "playersb-fetch-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, "data"));
+  for (const [name, value] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(value, null, 2));
+  }
+  const result = spawnSync(process.execPath, [path.join(SCRIPTS, `${script}.mjs`)], {
+    cwd: dir,
+    encoding: "utf-8",
+    timeout: 30000,
+    env: {
+      ...process.env,
+      HTTP_MODE: "replay",
+      HTTP_CASSETTE: path.join(CASSETTES, script, `${scenario}.json`),
+      HTTP_BACKOFF_SCALE: "0",
+      ...env,
+    },
+  });
+  const log = `${result.stdout}${result.stderr}`;
+  assert.equal(result.status, 0, log);
+  return { log, read: (name) => JSON.parse(fs.readFileSync(path.join(dir, name), "utf-8")) };
+}
+
+// --- fetch-football-data ------------------------------------------------------
+
+const footballData = (t, scenario, files) =>
+  runFetcher(t, "fetch-football-data", scenario, {
+    files: { "data/competitions.json": REGISTRY, ...files },
+    env: { FOOTBALL_DATA_API_TOKEN: "test-token", FOOTBALL_DATA_GAP_MS: "0" },
+  });
+
+const previousPremierLeague = {
+  "data/fixtures.json": { fixtures: [{ id: 900, competitionCode: "PL", competition: "Premier League", home: "Arsenal FC", away: "Everton FC" }] },
+  "data/standings.json": { standings: { "Premier League": [{ position: 1, team: "Arsenal FC", points: 16 }] } },
+  "data/scorers.json": { scorers: [{ name: "Bukayo Saka", team: "Arsenal FC", competition: "Premier League", goals: 5 }] },
+};
+
+test("football-data: success writes fixtures, standings and scorers", (t) => {
+  const { read } = footballData(t, "success");
+  const fixtures = read("data/fixtures.json");
+  assert.equal(fixtures.sources.footballData.status, "ok");
+  assert.deepEqual(fixtures.fixtures.map((f) => [f.id, f.competitionCode, f.homeScore]), [[1001, "PL", 2], [1002, "PL", null]]);
+  assert.equal(read("data/standings.json").standings["Premier League"][0].team, "Arsenal FC");
+  const [saka] = read("data/scorers.json").scorers;
+  assert.deepEqual([saka.playerId, saka.dateOfBirth, saka.goals], [7, "2001-09-05", 6]);
+  assert.deepEqual(read("data/players-scores.json").players, read("data/scorers.json").scorers);
+});
+
+test("football-data: a 429 waits for Retry-After, then succeeds", (t) => {
+  const { read, log } = footballData(t, "rate-limited");
+  assert.match(log, /\(429\).*retry 2\/5 in 7000ms/);
+  assert.equal(read("data/fixtures.json").sources.footballData.status, "ok");
+  assert.equal(read("data/fixtures.json").fixtures.length, 2);
+});
+
+test("football-data: persistent 5xx keeps that competition's previous rows", (t) => {
+  const { read, log } = footballData(t, "server-error", previousPremierLeague);
+  assert.match(log, /retry 5\/5/);
+  const standings = read("data/standings.json");
+  assert.equal(standings.sources.footballData.status, "partial");
+  assert.equal(standings.sources.footballData.failedRequests, 1);
+  assert.equal(standings.standings["Premier League"][0].points, 16);
+  assert.equal(read("data/fixtures.json").fixtures.length, 2);
+});
+
+test("football-data: malformed JSON is not retried", (t) => {
+  const { read, log } = footballData(t, "malformed-json", previousPremierLeague);
+  assert.doesNotMatch(log, /retry/);
+  assert.equal(read("data/scorers.json").sources.footballData.status, "partial");
+  assert.deepEqual(read("data/scorers.json").scorers.map((s) => s.goals), [5]);
+});
+
+test("football-data: timeouts everywhere mark the run failed and keep old data", (t) => {
+  const { read } = footballData(t, "timeout", previousPremierLeague);
+  const fixtures = read("data/fixtures.json");
+  assert.equal(fixtures.sources.footballData.status, "error");
+  assert.equal(fixtures.sources.footballData.failedRequests, 18);
+  assert.deepEqual(fixtures.fixtures.map((f) => f.id), [900]);
+});
+
+// --- fetch-archive ------------------------------------------------------------
+
+const archiveFiles = {
+  "data/sources.json": { openfootball: { enabled: true }, statsbomb: { enabled: true } },
+  "data/competitions.json": registryOf("PL", "BL1"),
+};
+const archive = (t, scenario, files = {}) => runFetcher(t, "fetch-archive", scenario, { files: { ...archiveFiles, ...files } });
+const entry = (doc, slug) => doc.entries.find((e) => e.competition.slug === slug);
+
+test("archive: success merges StatsBomb and openfootball seasons", (t) => {
+  const doc = archive(t, "success").read("data/archive.json");
+  assert.equal(doc.sources.statsbomb.status, "ok");
+  assert.equal(doc.sources.openfootball.status, "ok");
+  assert.deepEqual(doc.entries.map((e) => `${e.competition.slug}/${e.season.slug}`), ["bundesliga/2023-2024", "fifa-world-cup/2018", "premier-league/2023-24"]);
+  // StatsBomb's "1. Bundesliga" (competition_id 9) files under the registry entry.
+  assert.deepEqual(entry(doc, "bundesliga").competition, { name: "Bundesliga", slug: "bundesliga", country: "Germany" });
+  const final = entry(doc, "fifa-world-cup").matches.statsbomb[0];
+  assert.deepEqual([final.homeTeam, final.homeScore, final.stage], ["France", 4, "Final"]);
+  assert.equal(entry(doc, "premier-league").matches.openfootball[0].score, "0-3");
+});
+
+test("archive: a 429 on the competition list is retried after Retry-After", (t) => {
+  const { read, log } = archive(t, "rate-limited");
+  assert.match(log, /in 3000ms/);
+  assert.equal(read("data/archive.json").sources.statsbomb.status, "ok");
+});
+
+test("archive: StatsBomb 5xx falls back to the previous archive", (t) => {
+  const previous = {
+    sources: { statsbomb: { status: "ok", fetchedAt: "2026-10-01T00:00:00.000Z" } },
+    entries: [
+      {
+        competition: { name: "FIFA World Cup", slug: "fifa-world-cup", country: "International" },
+        season: { name: "2018", slug: "2018" },
+        sources: ["statsbomb"],
+        matches: { statsbomb: [{ homeTeam: "France", awayTeam: "Croatia" }], openfootball: [] },
+      },
+    ],
+  };
+  const doc = archive(t, "server-error", { "data/archive.json": previous }).read("data/archive.json");
+  assert.equal(doc.sources.statsbomb.status, "stale_cache");
+  assert.equal(doc.sources.statsbomb.fetchedAt, "2026-10-01T00:00:00.000Z");
+  assert.equal(entry(doc, "fifa-world-cup").matches.statsbomb.length, 1);
+  assert.equal(doc.sources.openfootball.status, "ok");
+});
+
+test("archive: malformed openfootball JSON fails that source only", (t) => {
+  const { read, log } = archive(t, "malformed-json");
+  assert.doesNotMatch(log, /retry/);
+  const doc = read("data/archive.json");
+  assert.equal(doc.sources.openfootball.status, "error");
+  assert.equal(doc.sources.statsbomb.status, "ok");
+  assert.equal(entry(doc, "premier-league"), undefined);
+});
+
+test("archive: a timed-out season keeps its entry with no matches", (t) => {
+  const { read, log } = archive(t, "timeout");
+  assert.match(log, /timed out/);
+  const doc = read("data/archive.json");
+  assert.deepEqual(entry(doc, "fifa-world-cup").matches.statsbomb, []);
+  assert.equal(doc.sources.statsbomb.status, "ok");
+});
+
+// --- fetch-live-fallback -------------------------------------------------------
+
+const liveFiles = {
+  "data/competitions.json": registryOf("PL"),
+  "data/players.json": { players: [{ id: "bukayo-saka", name: "Bukayo Saka", team: "Arsenal FC", goals: 6, assists: 3 }] },
+};
+const live = (t, scenario, files = {}) => runFetcher(t, "fetch-live-fallback", scenario, { files: { ...liveFiles, ...files } });
+
+test("live fallback: success writes every snapshot from live sources", (t) => {
+  const { read } = live(t, "success");
+  const fixtures = read("data/fixtures.json");
+  assert.deepEqual(
+    Object.fromEntries(["openfootball", "clubelo", "wikidata"].map((k) => [k, fixtures.sources[k].status])),
+    { openfootball: "ok", clubelo: "ok", wikidata: "ok" }
+  );
+  assert.equal(fixtures.competitions[0].competition.code, "PL");
+  assert.equal(fixtures.competitions[0].matches.length, 2);
+  assert.equal(read("data/standings.json").competitions[0].standings[0].table.length, 4);
+  // No openfootball name matches a ClubElo one, so the registry's ClubElo
+  // leagues (ENG 1) are kept and Benfica is not.
+  assert.deepEqual(read("data/team-strength.json").teams.map((x) => [x.team, x.rating]), [["Arsenal", 1951.7], ["Man City", 2012.4]]);
+  assert.equal(read("data/entity-metadata.json").teams["Manchester City FC"].stadium.value, "City of Manchester Stadium");
+  assert.ok(Array.isArray(read("data/fantasy.json").players));
+  assert.ok(Array.isArray(read("data/scorers.json").competitions));
+});
+
+test("live fallback: a ClubElo 429 is retried after Retry-After", (t) => {
+  const { read, log } = live(t, "rate-limited");
+  assert.match(log, /in 2000ms/);
+  assert.equal(read("data/team-strength.json").sourceStatus.clubelo.status, "ok");
+});
+
+test("live fallback: openfootball 5xx on every mirror uses the cached payload", (t) => {
+  const cached = {
+    fetchedAt: "2026-10-12T00:00:00.000Z",
+    payload: { matches: [{ date: "2023-08-11", team1: "Burnley FC", team2: "Manchester City FC", score: { ft: [0, 3] } }] },
+  };
+  const { read } = live(t, "server-error", { "data/cache/live/openfootball-pl-2023-24.json": cached });
+  const fixtures = read("data/fixtures.json");
+  assert.equal(fixtures.sources.openfootball.status, "partial");
+  assert.match(fixtures.sources.openfootball.errors[0], /cache used .*\(502\)/);
+  assert.equal(fixtures.competitions[0].competition.plan, "free-cache");
+  assert.equal(fixtures.competitions[0].matches.length, 1);
+});
+
+test("live fallback: malformed Wikidata JSON leaves the other sources alone", (t) => {
+  const { read, log } = live(t, "malformed-json");
+  assert.doesNotMatch(log, /retry/);
+  const meta = read("data/entity-metadata.json");
+  assert.equal(meta.sourceStatus.wikidata.status, "error");
+  assert.match(meta.sourceStatus.wikidata.message, /malformed JSON/);
+  assert.equal(read("data/fixtures.json").sources.clubelo.status, "ok");
+});
+
+test("live fallback: a ClubElo timeout falls back to cached ratings", (t) => {
+  const cached = { fetchedAt: "2026-10-12T00:00:00.000Z", teams: [{ team: "Arsenal", rating: 1940, source: "clubelo", fetchedAt: "2026-10-12T00:00:00.000Z", confidence: 0.7 }] };
+  const { read } = live(t, "timeout", { "data/cache/live/clubelo-ratings.json": cached });
+  const strength = read("data/team-strength.json");
+  assert.equal(strength.sourceStatus.clubelo.status, "stale_cache");
+  assert.deepEqual(strength.teams.map((x) => [x.team, x.rating]), [["Arsenal", 1940]]);
+});
+
+// --- fetch-player-enrichment ----------------------------------------------------
+
+const enrichmentFiles = {
+  "data/players.json": { players: [{ id: "bukayo-saka", name: "Bukayo Saka", team: "Arsenal FC" }] },
+  "data/player-enrichment-seed.json": { players: { "bukayo-saka": { dateOfBirth: "2001-09-05", nationality: "England" } } },
+};
+const priorEnrichment = {
+  players: { "bukayo-saka": { summary: "Cached summary.", wikiUrl: "https://en.wikipedia.org/wiki/Bukayo_Saka" } },
+};
+const enrichment = (t, scenario, files = {}) =>
+  runFetcher(t, "fetch-player-enrichment", scenario, { files: { ...enrichmentFiles, ...files }, env: { WIKI_GAP_MS: "0" } });
+
+test("enrichment: success stores the Wikipedia summary beside the seed", (t) => {
+  const doc = enrichment(t, "success").read("data/player-enrichment.json");
+  assert.equal(doc.sourceStatus.wikipedia.status, "ok");
+  const saka = doc.players["bukayo-saka"];
+  assert.equal(saka.wikiUrl, "https://en.wikipedia.org/wiki/Bukayo_Saka");
+  assert.match(saka.summary, /right winger/);
+  assert.deepEqual([saka.dateOfBirth, saka.nationality, saka.thumbnailWidth], ["2001-09-05", "England", 320]);
+});
+
+test("enrichment: a 429 is retried after Retry-After", (t) => {
+  const { read, log } = enrichment(t, "rate-limited");
+  assert.match(log, /in 1000ms/);
+  assert.equal(read("data/player-enrichment.json").sourceStatus.wikipedia.status, "ok");
+});
+
+for (const scenario of ["server-error", "malformed-json", "timeout"]) {
+  test(`enrichment: ${scenario} keeps the previously fetched summary`, (t) => {
+    const { read, log } = enrichment(t, scenario, { "data/player-enrichment.json": priorEnrichment });
+    if (scenario === "malformed-json") assert.doesNotMatch(log, /retry/);
+    else assert.match(log, /retry 3\/3/);
+    const doc = read("data/player-enrichment.json");
+    assert.equal(doc.sourceStatus.wikipedia.status, "error");
+    assert.equal(doc.players["bukayo-saka"].summary, "Cached summary.");
+    assert.equal(doc.players["bukayo-saka"].sources.wikipedia, "wikipedia (cached)");
+  });
+}
+
+// --- fetch-players --------------------------------------------------------------
+
+const playersFiles = {
+  "data/players.json": { generated_at: "2026-10-01T00:00:00.000Z", players: [] },
+  "data/sources.json": { playersSeed: { path: "data/players-seed.json", season: "2025-26" } },
+  "data/players-seed.json": {
+    generated_at: "2026-09-01T00:00:00.000Z",
+    players: [{ name: "Bukayo Saka", team: "Arsenal FC", position: "RW", minutes: 450, goals: 2, assists: 1 }],
+  },
+};
+const players = (t, scenario) =>
+  runFetcher(t, "fetch-players", scenario, {
+    files: playersFiles,
+    env: { PLAYERS_SOURCE_URL: "https://feeds.example.com/players.json", PLAYERS_SOURCE_URLS: "", MIN_PLAYERS_FETCH: "1" },
+  });
+const sakaGoals = (doc) => {
+  const saka = doc.players.find((p) => p.id === "bukayo-saka");
+  return [saka.goals, saka.fieldMeta.goals.source];
+};
+
+test("players: success takes the configured feed", (t) => {
+  assert.deepEqual(sakaGoals(players(t, "success").read("data/players.json")), [6, "players-feed"]);
+});
+
+test("players: a 429 is retried after Retry-After", (t) => {
+  const { read, log } = players(t, "rate-limited");
+  assert.match(log, /in 4000ms/);
+  assert.deepEqual(sakaGoals(read("data/players.json")), [6, "players-feed"]);
+});
+
+for (const scenario of ["server-error", "malformed-json", "timeout"]) {
+  test(`players: ${scenario} falls through to the seed`, (t) => {
+    const { read, log } = players(t, scenario);
+    assert.match(log, /PLAYERS_SOURCE_URL failed/);
+    if (scenario === "malformed-json") assert.doesNotMatch(log, /retry/);
+    assert.deepEqual(sakaGoals(read("data/players.json")), [2, "players-seed"]);
+  });
+}
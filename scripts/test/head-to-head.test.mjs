@@ -0,0 +1,62 @@
+// Unit tests for scripts/lib/head-to-head.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createTeamNameRegistry } from "../lib/team-names.mjs";
+import { createHeadToHeadIndex, pairSlug, pairSummary } from "../lib/head-to-head.mjs";
+
+const names = createTeamNameRegistry({
+  teams: [
+    { slug: "manchester-city", name: "Manchester City", aliases: ["Man City"] },
+    { slug: "manchester-united", name: "Manchester United", aliases: ["Man Utd"] },
+    { slug: "olympique-lyonnais", name: "Olympique Lyonnais", aliases: ["Lyon"] },
+  ],
+});
+
+test("pairs count every spelling once and keep one copy of doubly-sourced matches", () => {
+  const archive = {
+    entries: [
+      {
+        competition: { name: "Premier League", slug: "premier-league" },
+        season: { name: "2015/2016", slug: "2015-2016" },
+        matches: {
+          statsbomb: [
+            { date: "2015-10-25", homeTeam: "Manchester City", awayTeam: "Manchester United", homeScore: 0, awayScore: 0 },
+            { date: "2016-03-20", homeTeam: "Manchester City", awayTeam: "Manchester United", homeScore: 0, awayScore: 1 },
+          ],
+        },
+      },
+      {
+        competition: { name: "Premier League", slug: "premier-league" },
+        season: { name: "2022/23", slug: "2022-23" },
+        matches: {
+          openfootball: [
+            { date: "2022-10-02", homeTeam: "Man City", awayTeam: "Man Utd", score: "6-3" },
+            { date: "2023-01-14", homeTeam: "Manchester United FC", awayTeam: "Manchester City FC", score: "2-1" },
+            { date: "2016-03-20", homeTeam: "Manchester City FC", awayTeam: "Manchester United FC", score: "0-1" },
+            { date: "2023-02-01", homeTeam: "Manchester City WFC", awayTeam: "Manchester United", score: "1-0" },
+          ],
+        },
+      },
+    ],
+  };
+  const index = createHeadToHeadIndex(archive, names);
+  const pair = index.find("Man Utd", "Manchester City");
+  assert.equal(pair.slug, pairSlug("manchester-united", "manchester-city"));
+  assert.equal(pair.slug, "manchester-city-vs-manchester-united");
+  assert.deepEqual(pair.meetings.map((m) => m.date), ["2015-10-25", "2016-03-20", "2022-10-02", "2023-01-14"]);
+  assert.equal(index.label("manchester-city"), "Manchester City");
+  assert.ok(index.pairs.has("manchester-city-women-vs-manchester-united"));
+
+  const summary = pairSummary(pair);
+  assert.equal(summary.played, 4);
+  assert.equal(summary.draws, 1);
+  const [city, united] = summary.teams;
+  assert.deepEqual([city.wins, city.goals, united.wins, united.goals], [1, 7, 2, 6]);
+  assert.deepEqual(city.home, { played: 3, won: 1, draw: 1, lost: 1 });
+  assert.deepEqual(united.biggestWins.map((m) => m.date), ["2023-01-14", "2016-03-20"]);
+  assert.equal(summary.first, "2015-10-25");
+  assert.equal(summary.last, "2023-01-14");
+});
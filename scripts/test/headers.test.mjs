@@ -0,0 +1,67 @@
+// Unit tests for scripts/lib/headers.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+
+import { HEADERS_PATH, allowsCrossOriginFraming, headersFor, parseHeaders } from "../lib/headers.mjs";
+
+const SAMPLE = `
+# comment
+/*
+  X-Frame-Options: SAMEORIGIN
+  Content-Security-Policy: default-src 'self'; frame-ancestors 'self'
+  Cache-Control: no-cache
+
+/*.html
+  Cache-Control: max-age=300
+
+/teams/:slug/
+  X-Robots-Tag: noindex
+
+/embed/*
+  ! X-Frame-Options
+  ! Content-Security-Policy
+  Content-Security-Policy: default-src 'self'; frame-ancestors *
+`;
+
+test("every matching block applies and repeated headers are joined", () => {
+  const rules = parseHeaders(SAMPLE);
+  assert.deepEqual(rules.map((r) => r.pattern), ["/*", "/*.html", "/teams/:slug/", "/embed/*"]);
+  const page = headersFor(rules, "/compare.html");
+  assert.equal(page.get("cache-control"), "no-cache, max-age=300");
+  assert.equal(page.get("x-frame-options"), "SAMEORIGIN");
+  assert.equal(headersFor(rules, "/teams/arsenal/").get("x-robots-tag"), "noindex");
+  assert.equal(headersFor(rules, "/teams/arsenal/feed.xml").has("x-robots-tag"), false);
+});
+
+test("detached headers are replaced, not combined", () => {
+  const embed = headersFor(parseHeaders(SAMPLE), "/embed/player/");
+  assert.equal(embed.has("x-frame-options"), false);
+  assert.equal(embed.get("content-security-policy"), "default-src 'self'; frame-ancestors *");
+  assert.equal(embed.get("cache-control"), "no-cache");
+});
+
+test("framing is only allowed when no policy restricts it", () => {
+  const rules = parseHeaders(SAMPLE);
+  assert.equal(allowsCrossOriginFraming(headersFor(rules, "/embed/")), true);
+  assert.equal(allowsCrossOriginFraming(headersFor(rules, "/players/")), false);
+  // A frameable policy joined with a restrictive one is still restricted.
+  const both = new Map([["content-security-policy", "frame-ancestors *, frame-ancestors 'self'"]]);
+  assert.equal(allowsCrossOriginFraming(both), false);
+  assert.equal(allowsCrossOriginFraming(new Map([["x-frame-options", "ALLOWALL"]])), false);
+  assert.equal(allowsCrossOriginFraming(new Map()), true);
+});
+
+test("malformed files fail with the offending line", () => {
+  assert.throws(() => parseHeaders("  X-Test: 1"), /before any path/);
+  assert.throws(() => parseHeaders("/*\n  nonsense"), /malformed line "nonsense"/);
+});
+
+test("the site's _headers frames /embed/ only", () => {
+  const rules = parseHeaders(fs.readFileSync(HEADERS_PATH, "utf8"));
+  assert.equal(allowsCrossOriginFraming(headersFor(rules, "/embed/player/")), true);
+  assert.equal(allowsCrossOriginFraming(headersFor(rules, "/")), false);
+  assert.equal(allowsCrossOriginFraming(headersFor(rules, "/players/haaland/")), false);
+});
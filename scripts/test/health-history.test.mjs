@@ -0,0 +1,59 @@
+// Unit tests for scripts/lib/health-history.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { appendHealthHistory, enrichmentCoverage, healthSnapshot, sourceStreaks } from "../lib/health-history.mjs";
+
+function health(at, clubelo, { players = 80, enriched = 40 } = {}) {
+  return {
+    generatedAt: at,
+    status: clubelo === "ok" ? "ok" : "warning",
+    metrics: { players, playerEnrichment: enriched },
+    datasets: {
+      fixtures: { count: 10, staleHours: 2, freshness: "ok", sourceStatus: { footballData: { status: "ok" } } },
+      "team-strength": { count: 0, staleHours: null, freshness: "critical", sourceStatus: { clubelo: { status: clubelo, message: "fetch failed" } } },
+    },
+    criticalIssues: [],
+    warnings: clubelo === "ok" ? [] : ["team-strength appears empty (count=0)"],
+  };
+}
+
+test("snapshots keep status strings keyed by dataset and source", () => {
+  const entry = healthSnapshot(health("2026-10-01T00:00:00Z", "error"));
+  assert.deepEqual(entry.sources, { "fixtures/footballData": "ok", "team-strength/clubelo": "error" });
+  assert.deepEqual(entry.datasets["team-strength"], { count: 0, staleHours: null, freshness: "critical" });
+  assert.equal(entry.warnings, 1);
+});
+
+test("appending replaces a rerun and drops the oldest entries past the limit", () => {
+  let history = { entries: [] };
+  for (const day of ["01", "02", "03", "03", "04"]) {
+    history = appendHealthHistory(history, health(`2026-10-${day}T00:00:00Z`, "ok"), { limit: 3 });
+  }
+  assert.deepEqual(history.entries.map((e) => e.at.slice(8, 10)), ["02", "03", "04"]);
+  assert.equal(history.limit, 3);
+});
+
+test("streaks report when a source started failing and when it was last ok", () => {
+  let history = { entries: [] };
+  history = appendHealthHistory(history, health("2026-10-01T00:00:00Z", "ok"));
+  history = appendHealthHistory(history, health("2026-10-02T00:00:00Z", "error"));
+  history = appendHealthHistory(history, health("2026-10-03T00:00:00Z", "error"));
+  const clubelo = sourceStreaks(history.entries).find((s) => s.source === "clubelo");
+  assert.equal(clubelo.dataset, "team-strength");
+  assert.equal(clubelo.runs, 2);
+  assert.equal(clubelo.since, "2026-10-02T00:00:00Z");
+  assert.equal(clubelo.lastOk, "2026-10-01T00:00:00Z");
+  assert.deepEqual(clubelo.history, ["ok", "error", "error"]);
+});
+
+test("enrichment coverage is a percentage per run", () => {
+  const entries = [
+    healthSnapshot(health("2026-10-01T00:00:00Z", "ok", { enriched: 20 })),
+    healthSnapshot(health("2026-10-02T00:00:00Z", "ok", { players: 0, enriched: 0 })),
+    healthSnapshot(health("2026-10-03T00:00:00Z", "ok", { players: 3, enriched: 1 })),
+  ];
+  assert.deepEqual(enrichmentCoverage(entries), [25, null, 33.3]);
+});
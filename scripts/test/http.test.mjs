@@ -0,0 +1,71 @@
+// Unit tests for scripts/lib/http.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// lib/http.mjs reads its mode once, at import.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "playersb-http-"));
+const cassette = path.join(dir, "cassette.json");
+const get = (url, response, extra = {}) => ({ request: { method: "GET", url }, response, ...extra });
+fs.writeFileSync(
+  cassette,
+  JSON.stringify({
+    interactions: [
+      get("https://api.test/flaky", { status: 503, body: "down" }),
+      get("https://api.test/flaky", { status: 200, body: { ok: true } }),
+      get("https://api.test/missing", { status: 404, body: "gone" }, { repeat: true }),
+      get("https://api.test/html", { status: 200, body: "<html>" }),
+      get("https://api.test/slow", { error: "timeout" }, { times: 2 }),
+      get("https://api.test/day/*", { status: 200, body: "a,b" }, { repeat: true }),
+      get("https://api.test/limited", { status: 429, headers: { "retry-after": "3600" }, body: "slow down" }),
+      get("https://api.test/limited", { status: 200, body: { ok: true } }),
+      get("https://api.test/brief", { status: 429, headers: { "retry-after": "5" }, body: "slow down" }),
+      get("https://api.test/brief", { status: 200, body: { ok: true } }),
+    ],
+  })
+);
+process.env.HTTP_MODE = "replay";
+process.env.HTTP_CASSETTE = cassette;
+process.env.HTTP_BACKOFF_SCALE = "0";
+const { fetchJson, retryAfterMs } = await import("../lib/http.mjs");
+
+test("Retry-After accepts seconds or an HTTP date", () => {
+  assert.equal(retryAfterMs("7"), 7000);
+  assert.equal(retryAfterMs("Mon, 19 Oct 2026 10:00:30 GMT", Date.parse("2026-10-19T10:00:00Z")), 30000);
+  assert.equal(retryAfterMs("soon"), null);
+  assert.equal(retryAfterMs(null), null);
+});
+
+test("interactions replay in order, so a retry sees the next response", async () => {
+  assert.deepEqual(await fetchJson("https://api.test/flaky", { attempts: 2 }), { ok: true });
+});
+
+test("4xx and malformed JSON fail without retrying", async () => {
+  await assert.rejects(fetchJson("https://api.test/missing", { attempts: 3 }), { kind: "http", status: 404 });
+  await assert.rejects(fetchJson("https://api.test/html", { attempts: 3 }), { kind: "malformed" });
+});
+
+test("timeouts are retried until attempts run out", async () => {
+  await assert.rejects(fetchJson("https://api.test/slow", { attempts: 2 }), { kind: "timeout" });
+  // Both recorded timeouts were used; a third request is a cassette miss.
+  await assert.rejects(fetchJson("https://api.test/slow"), { kind: "network", message: /no cassette entry/ });
+});
+
+test("a 429 is retried after Retry-After unless it asks for longer than the limit", async () => {
+  assert.deepEqual(await fetchJson("https://api.test/brief", { attempts: 2 }), { ok: true });
+  await assert.rejects(fetchJson("https://api.test/limited", { attempts: 3 }), {
+    kind: "http",
+    status: 429,
+    message: /Retry-After 3600s is over the 120s limit; not retrying/,
+  });
+});
+
+test("a trailing * matches by prefix and text bodies pass through", async () => {
+  assert.equal(await fetchJson("https://api.test/day/2026-10-19", { as: "text" }), "a,b");
+});
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
@@ -0,0 +1,103 @@
+// Unit tests for scripts/lib/ics.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  buildCalendar,
+  calendarHref,
+  escapeText,
+  eventRevisions,
+  fixtureEvent,
+  fixtureUid,
+  foldLine,
+  icsDate,
+  webcalUrl,
+} from "../lib/ics.mjs";
+
+const STAMP = "2026-05-09T06:00:00Z";
+
+const fixture = (over = {}) => ({
+  id: 537900,
+  competitionCode: "PL",
+  competition: "Premier League",
+  date: "2026-05-09T14:00:00Z",
+  status: "TIMED",
+  home: "Arsenal FC",
+  away: "Chelsea FC",
+  ...over,
+});
+
+const prop = (lines, name) => lines.find((l) => l.startsWith(`${name}:`))?.slice(name.length + 1);
+
+test("a fixture keeps its UID when its time or score changes", () => {
+  const before = fixtureEvent(fixture(), { stamp: STAMP });
+  const after = fixtureEvent(fixture({ date: "2026-05-09T16:30:00Z", status: "FINISHED", homeScore: 2, awayScore: 1 }), { stamp: STAMP });
+  assert.equal(prop(before, "UID"), "fixture-537900@playersb.com");
+  assert.equal(prop(after, "UID"), prop(before, "UID"));
+  assert.equal(prop(before, "SUMMARY"), "Arsenal FC vs Chelsea FC");
+  assert.equal(prop(after, "SUMMARY"), "Arsenal FC 2–1 Chelsea FC");
+  assert.equal(prop(after, "DTSTART"), "20260509T163000Z");
+  assert.equal(prop(after, "DTEND"), "20260509T183000Z");
+  assert.equal(prop(after, "DTSTAMP"), "20260509T060000Z");
+  assert.equal(prop(after, "DESCRIPTION"), "Premier League\\nFull time\\nhttps://playersb.com/matches/537900/");
+  assert.equal(prop(after, "URL"), "https://playersb.com/matches/537900/");
+});
+
+test("event status follows the fixture; unusable fixtures are skipped", () => {
+  assert.equal(prop(fixtureEvent(fixture({ status: "POSTPONED" })), "STATUS"), "TENTATIVE");
+  assert.equal(prop(fixtureEvent(fixture({ status: "CANCELLED" })), "STATUS"), "CANCELLED");
+  assert.equal(prop(fixtureEvent(fixture()), "STATUS"), "CONFIRMED");
+  assert.deepEqual(fixtureEvent(fixture({ id: null })), []);
+  assert.deepEqual(fixtureEvent(fixture({ date: "soon" })), []);
+  assert.equal(fixtureUid({ id: "PL 2026/1" }), "fixture-pl-2026-1@playersb.com");
+  assert.equal(icsDate("not a date"), null);
+});
+
+test("text values are escaped and long lines folded on character boundaries", () => {
+  assert.equal(escapeText("a,b;c\\d\ne"), "a\\,b\\;c\\\\d\\ne");
+  const line = `SUMMARY:${"é".repeat(60)}`;
+  const folded = foldLine(line);
+  const parts = folded.split("\r\n");
+  assert.ok(parts.length > 1);
+  for (const part of parts) assert.ok(Buffer.byteLength(part, "utf8") <= 75);
+  assert.ok(parts.slice(1).every((p) => p.startsWith(" ")));
+  assert.equal(parts.map((p, i) => (i ? p.slice(1) : p)).join(""), line);
+  assert.equal(foldLine("SHORT:x"), "SHORT:x");
+});
+
+test("buildCalendar orders events and is stable for the same input", () => {
+  const fixtures = [fixture({ id: 2, date: "2026-05-10T14:00:00Z" }), fixture({ id: 1 })];
+  const ics = buildCalendar({ name: "Arsenal FC fixtures — PlayersB", url: "https://playersb.com/teams/arsenal-fc/", fixtures, stamp: STAMP });
+  assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//PlayersB//Fixtures//EN\r\n"));
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(ics.includes("\r\nX-WR-CALNAME:Arsenal FC fixtures — PlayersB\r\n"));
+  assert.ok(ics.includes("\r\nREFRESH-INTERVAL;VALUE=DURATION:PT6H\r\n"));
+  const uids = [...ics.matchAll(/^UID:(.+)$/gm)].map((m) => m[1].trim());
+  assert.deepEqual(uids, ["fixture-1@playersb.com", "fixture-2@playersb.com"]);
+  assert.equal(buildCalendar({ name: "x", fixtures: [...fixtures].reverse(), stamp: STAMP }), buildCalendar({ name: "x", fixtures, stamp: STAMP }));
+});
+
+test("a changed event gets the next SEQUENCE; an unchanged one keeps its revision", () => {
+  const first = buildCalendar({ name: "x", fixtures: [fixture(), fixture({ id: 2, date: "2026-05-10T14:00:00Z" })], stamp: STAMP });
+  const revisions = eventRevisions(first);
+  assert.deepEqual([...revisions.values()].map((r) => [r.sequence, r.lastModified]), [[0, "20260509T060000Z"], [0, "20260509T060000Z"]]);
+
+  const later = "2026-05-09T12:00:00Z";
+  const moved = buildCalendar({ name: "x", fixtures: [fixture({ date: "2026-05-09T16:30:00Z" }), fixture({ id: 2, date: "2026-05-10T14:00:00Z" })], stamp: later, previous: first });
+  const next = eventRevisions(moved);
+  assert.equal(next.get("fixture-537900@playersb.com").sequence, 1);
+  assert.equal(next.get("fixture-537900@playersb.com").lastModified, "20260509T120000Z");
+  assert.equal(next.get("fixture-2@playersb.com").sequence, 0);
+  assert.equal(next.get("fixture-2@playersb.com").lastModified, "20260509T060000Z");
+
+  // Rebuilding from the same data changes nothing but DTSTAMP.
+  const again = buildCalendar({ name: "x", fixtures: [fixture({ date: "2026-05-09T16:30:00Z" }), fixture({ id: 2, date: "2026-05-10T14:00:00Z" })], stamp: "2026-05-09T18:00:00Z", previous: moved });
+  assert.deepEqual(eventRevisions(again), next);
+});
+
+test("calendar paths and webcal links", () => {
+  assert.equal(calendarHref("teams", "arsenal-fc"), "/teams/arsenal-fc/fixtures.ics");
+  assert.equal(webcalUrl("/teams/arsenal-fc/fixtures.ics"), "webcal://playersb.com/teams/arsenal-fc/fixtures.ics");
+});
@@ -0,0 +1,102 @@
+// Unit tests for scripts/lib/league-tables.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { allTimeTable, buildLeagueHistory, finishingPositions, leagueTable, seasonKey } from "../lib/league-tables.mjs";
+import { createTeamNameRegistry } from "../lib/team-names.mjs";
+
+const names = createTeamNameRegistry({ teams: [{ slug: "manchester-city", name: "Manchester City", aliases: ["Man City"] }] });
+
+test("season keys read both sources' spellings as one season", () => {
+  assert.equal(seasonKey("2022/2023"), "2022-23");
+  assert.equal(seasonKey("2022-2023"), "2022-23");
+  assert.equal(seasonKey("2022-23"), "2022-23");
+  assert.equal(seasonKey("2023"), "2023");
+  assert.equal(seasonKey("Season"), "");
+});
+
+test("tables order by points, goal difference, goals scored, and subtract deductions", () => {
+  const table = leagueTable(
+    [
+      { home: "a", away: "b", homeScore: 2, awayScore: 0 },
+      { home: "b", away: "c", homeScore: 3, awayScore: 3 },
+      { home: "c", away: "a", homeScore: 1, awayScore: 0 },
+      { home: "b", away: "a", homeScore: 4, awayScore: 1 },
+    ],
+    { label: (slug) => slug.toUpperCase(), deductions: new Map([["c", 3]]) }
+  );
+  assert.deepEqual(
+    table.map((r) => [r.position, r.name, r.played, r.won, r.drawn, r.lost, r.goalDifference, r.deduction, r.points]),
+    [
+      [1, "B", 3, 1, 1, 1, 1, 0, 4],
+      [2, "A", 3, 1, 0, 2, -2, 0, 3],
+      [3, "C", 2, 1, 1, 0, 1, 3, 1],
+    ]
+  );
+});
+
+// An archive entry for `season` holding `results` as one source lists them.
+function roundRobin(season, results, source = "openfootball") {
+  const matches = results.map(([homeTeam, awayTeam, score]) => (source === "statsbomb"
+    ? { date: `${season.slice(0, 4)}-09-01`, homeTeam, awayTeam, homeScore: Number(score[0]), awayScore: Number(score[2]), stage: "Regular Season" }
+    : { date: `${season.slice(0, 4)}-09-01`, homeTeam, awayTeam, score, group: "Matchday 1" }));
+  return { competition: { name: "Test League", slug: "test-league" }, season: { name: season, slug: season.replace("/", "-") }, matches: { statsbomb: source === "statsbomb" ? matches : [], openfootball: source === "openfootball" ? matches : [] } };
+}
+
+test("seasons merge across entries, need round-robin coverage, and feed all-time totals", () => {
+  const archive = {
+    entries: [
+      roundRobin("2022-23", [
+        ["Man City", "Arsenal", "1-0"], ["Arsenal", "Man City", "0-0"],
+        ["Man City", "Chelsea", "2-0"], ["Chelsea", "Man City", "1-1"],
+        ["Arsenal", "Chelsea", "3-0"],
+      ]),
+      // StatsBomb's copy of the same season; its one extra match completes it.
+      roundRobin("2022/2023", [
+        ["Manchester City FC", "Arsenal FC", "1-0"],
+        ["Chelsea FC", "Arsenal FC", "0-2"],
+        ["Chelsea FC", "Arsenal FC", "0-2"],
+      ], "statsbomb"),
+      roundRobin("2023-24", [
+        ["Arsenal", "Man City", "2-1"], ["Man City", "Arsenal", "0-1"],
+        ["Chelsea", "Arsenal", "0-0"], ["Arsenal", "Chelsea", "1-1"],
+        ["Man City", "Chelsea", "1-0"], ["Chelsea", "Man City", "0-3"],
+      ]),
+      roundRobin("2024-25", [["Man City", "Arsenal", "5-0"], ["Chelsea", "Arsenal", "0-1"]]),
+    ],
+  };
+  const deductions = [{ competition: "test-league", season: "2023-24", team: "Chelsea FC", points: 1, reason: "Test" }];
+  const competition = buildLeagueHistory(archive, { names, deductions }).get("test-league");
+  assert.deepEqual(competition.seasons.map((s) => [s.key, s.matches, s.expected, s.final, Boolean(s.table)]), [
+    ["2022-23", 6, 6, true, true],
+    ["2023-24", 6, 6, true, true],
+    ["2024-25", 2, 6, false, false],
+  ]);
+  assert.deepEqual(competition.seasons[0].pages.map((p) => p.slug), ["2022-23", "2022-2023"]);
+  assert.deepEqual(competition.seasons[0].table.map((r) => [r.name, r.points]), [["Manchester City", 8], ["Arsenal", 7], ["Chelsea", 1]]);
+  assert.deepEqual(competition.seasons[1].table.map((r) => [r.name, r.points, r.deduction]), [["Arsenal", 8, 0], ["Manchester City", 6, 0], ["Chelsea", 1, 1]]);
+  assert.deepEqual(competition.seasons[1].deductions, [{ team: "Chelsea", points: 1, reason: "Test" }]);
+
+  assert.deepEqual(competition.allTime.map((r) => [r.name, r.seasons, r.titles, r.played, r.points]), [
+    ["Arsenal", 2, 1, 8, 15],
+    ["Manchester City", 2, 1, 8, 14],
+    ["Chelsea", 2, 0, 8, 2],
+  ]);
+  assert.deepEqual(competition.positions.map((t) => [t.name, t.positions]), [
+    ["Arsenal", [2, 1]],
+    ["Manchester City", [1, 2]],
+    ["Chelsea", [3, 3]],
+  ]);
+});
+
+test("all-time titles count final tables only; finishing positions leave gaps", () => {
+  const row = (slug, position) => ({ slug, name: slug, position, played: 1, won: 0, drawn: 0, lost: 0, goalsFor: 0, goalsAgainst: 0, goalDifference: 0, points: 3 - position });
+  const seasons = [
+    { final: true, table: [row("a", 1), row("b", 2)] },
+    { final: false, table: [row("b", 1), row("c", 2)] },
+  ];
+  assert.deepEqual(allTimeTable(seasons).map((r) => [r.name, r.titles, r.seasons]), [["b", 0, 2], ["a", 1, 1], ["c", 0, 1]]);
+  assert.deepEqual(finishingPositions(seasons).map((t) => [t.name, t.positions]), [["b", [2, 1]], ["a", [1, null]], ["c", [null, 2]]]);
+});
@@ -0,0 +1,127 @@
+// Unit tests for the shared generator helpers in scripts/lib/.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { escHtml, escXml } from "../lib/html.mjs";
+import { safeStr, sanitizeId } from "../lib/slug.mjs";
+import { fill, assertNoPlaceholders } from "../lib/layout.mjs";
+import { num, per90, fmt2 } from "../lib/stats.mjs";
+import { readJson, writeJson, writeJsonIfChanged } from "../lib/json-io.mjs";
+import { glossarySlug } from "../lib/glossary-linker.mjs";
+
+const SCRIPTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+test("sanitizeId produces the slugs already published under /players/ and /teams/", () => {
+  assert.equal(sanitizeId("Erling Haaland"), "erling-haaland");
+  assert.equal(sanitizeId("  Bukayo Saka "), "bukayo-saka");
+  assert.equal(sanitizeId("1. FC Köln"), "1-fc-k-ln");
+  assert.equal(sanitizeId("Brighton & Hove Albion FC"), "brighton-hove-albion-fc");
+  assert.equal(sanitizeId("BL1"), "bl1");
+  assert.equal(sanitizeId("--a__b--"), "a-b");
+  assert.equal(sanitizeId(null), "");
+  assert.equal(sanitizeId(12345), "12345");
+});
+
+test("sanitizeId is idempotent so re-slugging a slug never changes a URL", () => {
+  for (const raw of ["Kylian Mbappé", "Paris Saint-Germain FC", "AC Milan", "CB / RB"]) {
+    const once = sanitizeId(raw);
+    assert.equal(sanitizeId(once), once);
+  }
+});
+
+test("glossary anchors use the same slugging as page URLs", () => {
+  for (const term of ["Per-90", "xG (expected goals)", "Shots on target", "  Key pass "]) {
+    assert.equal(glossarySlug(term), sanitizeId(term));
+  }
+});
+
+test("safeStr trims and tolerates nullish input", () => {
+  assert.equal(safeStr("  x "), "x");
+  assert.equal(safeStr(undefined), "");
+  assert.equal(safeStr(0), "0");
+});
+
+test("escHtml escapes all five HTML-significant characters", () => {
+  assert.equal(escHtml(`<a href="x">Tom & Jerry's</a>`), "&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;");
+  assert.equal(escHtml(null), "");
+  assert.equal(escHtml(7), "7");
+});
+
+test("escXml uses the XML &apos; entity for single quotes", () => {
+  assert.equal(escXml(`N'Golo & "Co" <b>`), "N&apos;Golo &amp; &quot;Co&quot; &lt;b&gt;");
+});
+
+test("fill substitutes layout tokens and trims the body", () => {
+  const layout = "<title>{{TITLE}}</title><meta content=\"{{DESCRIPTION}}\"><link href=\"{{CANONICAL}}\"><main>{{BODY}}</main>{{TITLE}}";
+  const html = fill(layout, { title: "T", description: "D", canonical: "https://playersb.com/x/", body: "\n  <p>b</p>\n" });
+  assert.equal(html, "<title>T</title><meta content=\"D\"><link href=\"https://playersb.com/x/\"><main><p>b</p></main>T");
+});
+
+test("assertNoPlaceholders throws on unresolved tokens", () => {
+  assert.doesNotThrow(() => assertNoPlaceholders("<p>done</p>", "ok.html"));
+  assert.throws(() => assertNoPlaceholders("<p>{{NAME}} {{NAME}}</p>", "bad.html"), /bad\.html: unresolved template placeholders found: {{NAME}}$/);
+});
+
+test("per-90 helpers", () => {
+  assert.equal(per90(10, 900), 1);
+  assert.equal(per90(5, 0), 0);
+  assert.equal(num("3"), 0);
+  assert.equal(num(Number.NaN), 0);
+  assert.equal(num(4.5), 4.5);
+  assert.equal(fmt2(1 / 3), "0.33");
+  assert.equal(fmt2(Infinity), "0.00");
+});
+
+test("readJson returns the fallback for missing or malformed files and rethrows without one", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "playersb-lib-"));
+  const good = path.join(dir, "nested", "good.json");
+  const bad = path.join(dir, "bad.json");
+  await writeJson(good, { a: 1 });
+  await fs.writeFile(bad, "{not json", "utf-8");
+
+  assert.deepEqual(await readJson(good), { a: 1 });
+  assert.equal(await fs.readFile(good, "utf-8"), "{\n  \"a\": 1\n}\n");
+  assert.deepEqual(await readJson(bad, { fallback: true }), { fallback: true });
+  assert.equal(await readJson(path.join(dir, "missing.json"), null), null);
+  await assert.rejects(() => readJson(path.join(dir, "missing.json")));
+
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("writeJsonIfChanged skips a rewrite that only moves the timestamps", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "playersb-lib-"));
+  const file = path.join(dir, "report.json");
+  try {
+    assert.equal(await writeJsonIfChanged(file, { generatedAt: "2026-05-01", issues: [1] }), true);
+    assert.equal(await writeJsonIfChanged(file, { generatedAt: "2026-05-02", issues: [1] }), false);
+    assert.deepEqual(await readJson(file), { generatedAt: "2026-05-01", issues: [1] });
+    assert.equal(await writeJsonIfChanged(file, { generatedAt: "2026-05-03", issues: [1, 2] }), true);
+    const nested = { a: { checkedAt: "2026-05-04", n: 1 } };
+    assert.equal(await writeJsonIfChanged(file, nested), true);
+    assert.equal(await writeJsonIfChanged(file, { a: { checkedAt: "2026-05-05", n: 1 } }, { ignore: ["checkedAt"] }), false);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("no script redefines the shared helpers locally", async () => {
+  const shared = ["escHtml", "escXml", "safeStr", "sanitizeId", "sanitizeSlug", "fill", "assertNoPlaceholders", "per90", "num", "fmt2", "readJson", "writeFileEnsuringDir"];
+  const pattern = new RegExp(`^(?:async\\s+)?function\\s+(${shared.join("|")})\\s*\\(|^const\\s+(${shared.join("|")})\\s*=`, "m");
+  // quality-gate.mjs has its own assertNoPlaceholders: a predicate that
+  // reports instead of throwing, so the gate can list every failing page.
+  const allowed = new Set(["quality-gate.mjs: assertNoPlaceholders"]);
+  const files = (await fs.readdir(SCRIPTS_DIR)).filter((name) => name.endsWith(".mjs"));
+  const offenders = [];
+  for (const name of files) {
+    const src = await fs.readFile(path.join(SCRIPTS_DIR, name), "utf-8");
+    const m = src.match(pattern);
+    if (m && !allowed.has(`${name}: ${m[1] || m[2]}`)) offenders.push(`${name}: ${m[1] || m[2]}`);
+  }
+  assert.deepEqual(offenders, []);
+});
@@ -0,0 +1,78 @@
+// Unit tests for scripts/lib/matches.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createHeadToHeadIndex } from "../lib/head-to-head.mjs";
+import { fixtureState, headToHead, matchSlug, recentForm, scoreHtml, sportsEventNode } from "../lib/matches.mjs";
+
+const fixture = (id, date, home, away, homeScore, awayScore, status = "FINISHED") => ({ id, date, home, away, homeScore, awayScore, status, competition: "Premier League" });
+
+test("match slugs need an id and both teams", () => {
+  assert.equal(matchSlug(fixture(537785, "2025-08-15", "Liverpool FC", "AFC Bournemouth", 4, 2)), "537785");
+  assert.equal(matchSlug(fixture(552096, "2026-05-30", "", "", null, null, "TIMED")), null);
+  assert.equal(matchSlug(fixture(null, "2026-05-30", "A", "B", null, null, "TIMED")), null);
+});
+
+test("score markup and poll state follow the fixture status", () => {
+  const upcoming = fixture(1, "2026-05-30", "A", "B", null, null, "TIMED");
+  assert.equal(scoreHtml(upcoming), '<span style="color:#888;">vs</span>');
+  assert.equal(fixtureState(upcoming), "TIMED||");
+  const halfTime = fixture(1, "2026-05-30", "A", "B", 1, 0, "PAUSED");
+  assert.equal(scoreHtml(halfTime), "<strong>1 – 0</strong>");
+  assert.equal(fixtureState(halfTime), "PAUSED|1|0");
+});
+
+test("recent form is the last finished fixtures from the team's side", () => {
+  const fixtures = [
+    fixture(1, "2026-01-01", "Arsenal FC", "Chelsea FC", 2, 0),
+    fixture(2, "2026-01-08", "Chelsea FC", "Fulham FC", 1, 1),
+    fixture(3, "2026-01-15", "Everton FC", "Chelsea FC", 3, 1),
+    fixture(4, "2026-01-22", "Chelsea FC", "Everton FC", null, null, "TIMED"),
+  ];
+  assert.deepEqual(
+    recentForm(fixtures, "Chelsea FC", { limit: 2 }).map((r) => [r.id, r.venue, r.opponent, r.score, r.result]),
+    [["2", "H", "Fulham FC", "1-1", "D"], ["3", "A", "Everton FC", "3-1", "L"]]
+  );
+});
+
+test("head-to-head merges archive sources and scores from the fixture's home side", () => {
+  const archive = {
+    entries: [
+      {
+        competition: { name: "Premier League", slug: "premier-league" },
+        season: { name: "2023-24", slug: "2023-24" },
+        matches: {
+          statsbomb: [{ date: "2024-01-21", homeTeam: "AFC Bournemouth", awayTeam: "Liverpool", homeScore: 0, awayScore: 4 }],
+          openfootball: [
+            { date: "2024-01-21", homeTeam: "Bournemouth", awayTeam: "Liverpool", score: "0-4" },
+            { date: "2023-08-19", homeTeam: "Liverpool", awayTeam: "Bournemouth", score: "1-1" },
+            { date: "2023-09-02", homeTeam: "Liverpool", awayTeam: "Aston Villa", score: "3-0" },
+          ],
+        },
+      },
+    ],
+  };
+  const { summary, meetings, pageUrl } = headToHead(createHeadToHeadIndex(archive), "Liverpool FC", "AFC Bournemouth");
+  assert.deepEqual(summary, { played: 2, homeWins: 1, draws: 1, awayWins: 0 });
+  assert.deepEqual(meetings.map((m) => [m.date, m.score, m.result]), [["2024-01-21", "0-4", "W"], ["2023-08-19", "1-1", "D"]]);
+  assert.equal(meetings[0].archiveUrl, "/archive/premier-league/2023-24/");
+  assert.equal(pageUrl, "/archive/h2h/bournemouth-vs-liverpool/");
+  assert.equal(headToHead(createHeadToHeadIndex(archive), "Liverpool FC", "Arsenal FC").pageUrl, null);
+});
+
+test("SportsEvent nodes link the match page and mark finished games as past", () => {
+  const node = sportsEventNode(fixture(7, "2026-01-01T15:00:00Z", "A", "B", 2, 1), {
+    url: "https://playersb.com/matches/7/",
+    teamUrl: (name) => `https://playersb.com/teams/${name.toLowerCase()}/`,
+  });
+  assert.equal(node.url, "https://playersb.com/matches/7/");
+  assert.equal(node.homeTeam.url, "https://playersb.com/teams/a/");
+  assert.equal(node.eventStatus, undefined);
+  assert.equal(node.endDate, "2026-01-01T15:00:00Z");
+  assert.equal(node.description, "Final score: A 2-1 B");
+  const upcoming = sportsEventNode(fixture(8, "2026-06-01T15:00:00Z", "A", "B", null, null, "TIMED"));
+  assert.equal(upcoming.eventStatus, "https://schema.org/EventScheduled");
+  assert.equal(upcoming.url, undefined);
+});
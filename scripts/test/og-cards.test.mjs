@@ -0,0 +1,83 @@
+// Unit tests for scripts/lib/og-cards.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  MATCH_CARD_DAYS,
+  OG_CARD_HEIGHT,
+  OG_CARD_WIDTH,
+  cardChecksum,
+  fitText,
+  hasMatchCard,
+  ogCardHref,
+  writeCard,
+} from "../lib/og-cards.mjs";
+import { readPngSize, readPngText } from "../lib/png.mjs";
+import { layoutText } from "../lib/stroke-font.mjs";
+
+const card = (fill) => `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_CARD_WIDTH}" height="${OG_CARD_HEIGHT}"><rect width="1200" height="630" fill="${fill}"/></svg>`;
+
+test("ogCardHref points at the PNG", () => {
+  assert.equal(ogCardHref("team-arsenal-fc"), "/assets/og/team-arsenal-fc.png");
+});
+
+test("writeCard draws a PNG only when the SVG changed", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "og-cards-"));
+  try {
+    assert.equal(await writeCard(dir, "x", card("#000")), true);
+    const png = await fs.readFile(path.join(dir, "x.png"));
+    assert.deepEqual(readPngSize(png), { width: OG_CARD_WIDTH, height: OG_CARD_HEIGHT });
+    assert.equal(readPngText(png)["playersb-source"], cardChecksum(card("#000")));
+    assert.equal(await fs.readFile(path.join(dir, "x.svg"), "utf-8"), card("#000"));
+
+    assert.equal(await writeCard(dir, "x", card("#000")), false);
+    assert.equal(await writeCard(dir, "x", card("#fff")), true);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("writeCard rejects cards that are not 1200x630", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "og-cards-"));
+  try {
+    await assert.rejects(
+      writeCard(dir, "small", '<svg xmlns="http://www.w3.org/2000/svg" width="600" height="315"/>'),
+      /small\.svg: share cards must be 1200x630, got 600x315/,
+    );
+    await assert.rejects(fs.access(path.join(dir, "small.png")));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("hasMatchCard keeps cards for live and nearby matches only", () => {
+  const fetchedAt = "2026-05-05T12:00:00Z";
+  const day = 24 * 60 * 60 * 1000;
+  const at = (days) => new Date(Date.parse(fetchedAt) + days * day).toISOString();
+  assert.equal(hasMatchCard({ status: "TIMED", date: at(2) }, fetchedAt), true);
+  assert.equal(hasMatchCard({ status: "FINISHED", date: at(-MATCH_CARD_DAYS) }, fetchedAt), true);
+  assert.equal(hasMatchCard({ status: "FINISHED", date: at(-MATCH_CARD_DAYS - 1) }, fetchedAt), false);
+  assert.equal(hasMatchCard({ status: "TIMED", date: at(30) }, fetchedAt), false);
+  assert.equal(hasMatchCard({ status: "IN_PLAY", date: at(-30) }, fetchedAt), true);
+  assert.equal(hasMatchCard({ status: "TIMED" }, fetchedAt), false);
+});
+
+test("fitText shrinks, then truncates, text to fit its box", () => {
+  const width = (t) => layoutText(t.text, { fontSize: t.fontSize, fontWeight: 700 }).width;
+  assert.deepEqual(fitText("12", { maxWidth: 200, fontSize: 44, fontWeight: 700 }), { text: "12", fontSize: 44 });
+
+  const shrunk = fitText("Bundesliga", { maxWidth: 200, fontSize: 44, minFontSize: 24, fontWeight: 700 });
+  assert.equal(shrunk.text, "Bundesliga");
+  assert.ok(shrunk.fontSize < 44 && shrunk.fontSize >= 24);
+  assert.ok(width(shrunk) <= 200);
+
+  const cut = fitText("Borussia Mönchengladbach (24)", { maxWidth: 200, fontSize: 44, minFontSize: 24, fontWeight: 700 });
+  assert.equal(cut.fontSize, 24);
+  assert.match(cut.text, /^Borussia.*…$/);
+  assert.ok(width(cut) <= 200);
+});
@@ -0,0 +1,54 @@
+// Unit tests for scripts/lib/percentiles.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildPercentiles, percentileIndexEntry, percentileMinMinutes, primaryPosition } from "../lib/percentiles.mjs";
+
+// Five CBs scoring 0..4 goals in 900 minutes, plus two STs and a bench CB.
+const players = [
+  ...[0, 1, 2, 3, 4].map((goals, i) => ({ id: `cb-${i}`, position: "CB", minutes: 900, goals, assists: 0, shots: 10, shotsOnTarget: 5 })),
+  { id: "st-0", position: "ST/RW", minutes: 900, goals: 10, assists: 1, shots: 30, shotsOnTarget: 15 },
+  { id: "st-1", position: "ST", minutes: 900, goals: 8, assists: 2, shots: 25, shotsOnTarget: 12 },
+  { id: "cb-bench", position: "CB", minutes: 200, goals: 5, assists: 0, shots: 6, shotsOnTarget: 3 },
+];
+
+test("minimum minutes comes from PERCENTILE_MIN_MINUTES with a 450 default", () => {
+  assert.equal(percentileMinMinutes({}), 450);
+  assert.equal(percentileMinMinutes({ PERCENTILE_MIN_MINUTES: "900" }), 900);
+  assert.equal(percentileMinMinutes({ PERCENTILE_MIN_MINUTES: "lots" }), 450);
+});
+
+test("primary position is the first listed", () => {
+  assert.equal(primaryPosition({ position: "ST/RW" }), "ST");
+  assert.equal(primaryPosition({}), "");
+});
+
+test("ranks within position and across all players, with mid-rank ties", () => {
+  const ranks = buildPercentiles(players, { minMinutes: 450 });
+  const best = ranks.get("cb-4");
+  assert.equal(best.position, "CB");
+  assert.equal(best.positionCount, 5);
+  assert.equal(best.allCount, 7);
+  assert.equal(best.metrics.g90.position, 90);
+  assert.equal(best.metrics.g90.all, 64);
+  assert.equal(ranks.get("cb-0").metrics.g90.position, 10);
+  // Every CB has identical shots, so they all sit in the middle.
+  assert.equal(best.metrics.s90.position, 50);
+});
+
+test("players under the threshold are unranked and left out of cohorts", () => {
+  const ranks = buildPercentiles(players, { minMinutes: 450 });
+  assert.equal(ranks.get("cb-bench"), null);
+  assert.equal(percentileIndexEntry(ranks.get("cb-bench")), null);
+});
+
+test("positions with too few players only get an all-players rank", () => {
+  const ranks = buildPercentiles(players, { minMinutes: 450 });
+  const st = ranks.get("st-0");
+  assert.equal(st.positionCount, 0);
+  assert.equal(st.metrics.g90.position, null);
+  assert.equal(st.metrics.g90.all, 93);
+  assert.deepEqual(percentileIndexEntry(st).g90, [null, 93]);
+});
@@ -0,0 +1,110 @@
+// Unit tests for scripts/lib/player-identity.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import { createIdentityResolver, tokenSetScore, writeIdentityReport } from "../lib/player-identity.mjs";
+
+const players = [
+  { id: "vinicius-junior", name: "Vinícius Júnior", team: "Real Madrid" },
+  { id: "lautaro-martinez", name: "Lautaro Martínez", team: "Inter" },
+  { id: "lisandro-martinez", name: "Lisandro Martínez", team: "Manchester United" },
+  { id: "joao-mario", name: "João Mário", team: "Benfica" },
+  { id: "joao-mario-2000", name: "João Mário", team: "FC Porto" },
+  { id: "pierre-emerick-aubameyang", name: "Pierre-Emerick Aubameyang", team: "Marseille" },
+  { id: "pedri", name: "Pedri", team: "Barcelona" },
+];
+const registry = () => ({
+  players: {
+    "vinicius-junior": { aliases: ["Vini Jr."] },
+    "joao-mario": { dateOfBirth: "1993-01-19" },
+  },
+});
+
+test("token overlap is measured against the longer name", () => {
+  assert.equal(tokenSetScore("Vinicius Junior", "Vinícius Júnior"), 1);
+  assert.equal(tokenSetScore("Lautaro Martínez", "Lisandro Martínez"), 0.5);
+  assert.equal(tokenSetScore("", "Pedri"), 0);
+});
+
+test("folded names and registered aliases match exactly", () => {
+  const identity = createIdentityResolver({ players, registry: registry() });
+  assert.deepEqual(identity.resolve({ name: "Vinicius Junior" }), { id: "vinicius-junior", status: "exact", score: 1 });
+  assert.equal(identity.resolve({ name: "Vini Jr." }).id, "vinicius-junior");
+});
+
+test("a shared surname alone is ambiguous, not a match", () => {
+  const identity = createIdentityResolver({ players, registry: registry() });
+  const match = identity.resolve({ name: "Martínez" });
+  assert.equal(match.status, "ambiguous");
+  assert.equal(match.reason, "tied-candidates");
+  assert.deepEqual(match.candidates.map((c) => c.id).sort(), ["lautaro-martinez", "lisandro-martinez"]);
+});
+
+test("team and date of birth split players with the same name", () => {
+  const identity = createIdentityResolver({ players, registry: registry() });
+  assert.equal(identity.resolve({ name: "João Mário" }).reason, "same-name");
+  assert.equal(identity.resolve({ name: "João Mário", team: "FC Porto" }).id, "joao-mario-2000");
+  assert.equal(identity.resolve({ name: "João Mário", dateOfBirth: "1993-01-19" }).id, "joao-mario");
+  // A different birth date rules the registered player out entirely.
+  assert.equal(identity.resolve({ name: "João Mário", dateOfBirth: "2000-01-03" }).id, "joao-mario-2000");
+});
+
+test("the only player of a name is followed to a new club", () => {
+  const identity = createIdentityResolver({ players, registry: registry() });
+  assert.deepEqual(identity.resolve({ name: "Pedri", team: "Barcelona" }), { id: "pedri", status: "exact", score: 1 });
+  assert.deepEqual(identity.resolve({ name: "Pedri", team: "Real Betis" }), {
+    id: "pedri",
+    status: "exact",
+    score: 1,
+    transfer: { from: "Barcelona", to: "Real Betis" },
+  });
+  // Between two players of that name, a move needs the birth date.
+  assert.deepEqual(identity.resolve({ name: "João Mário", team: "Sporting CP", dateOfBirth: "1993-01-19" }).transfer, { from: "Benfica", to: "Sporting CP" });
+  assert.equal(identity.resolve({ name: "João Mário", team: "Sporting CP" }).reason, "same-name");
+});
+
+test("partial names need the team to agree", () => {
+  const identity = createIdentityResolver({ players, registry: registry() });
+  const row = { name: "Pierre Aubameyang" };
+  assert.equal(identity.resolve({ ...row, team: "Olympique de Marseille" }).status, "fuzzy");
+  assert.equal(identity.resolve(row).reason, "uncorroborated");
+  assert.equal(identity.resolve({ ...row, team: "Arsenal" }).status, "none");
+});
+
+test("a claimed id only counts when the name agrees", () => {
+  const identity = createIdentityResolver({ players, registry: registry() });
+  assert.equal(identity.resolve({ id: "pedri", name: "Pedri" }).status, "id");
+  assert.equal(identity.resolve({ id: "pedri", name: "Pedro Neto", team: "Wolverhampton" }).status, "none");
+});
+
+test("external ids are learned once and win over the name", () => {
+  const reg = registry();
+  const identity = createIdentityResolver({ players, registry: reg });
+  assert.equal(identity.remember("lautaro-martinez", "footballData", 7), true);
+  assert.equal(identity.remember("lisandro-martinez", "footballData", 7), false);
+  assert.deepEqual(reg.players["lautaro-martinez"].externalIds, { footballData: 7 });
+  const match = identity.resolve({ name: "L. Martínez", source: "footballData", externalId: 7 });
+  assert.deepEqual(match, { id: "lautaro-martinez", status: "external", score: 1 });
+});
+
+test("the report is only rewritten when a script's findings change", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "playersb-identity-"));
+  const file = path.join(dir, "report.json");
+  try {
+    const transfers = [{ id: "pedri", name: "Pedri", from: "Barcelona", to: "Real Betis" }];
+    await writeIdentityReport("sync-scorers", [], transfers, file);
+    const first = await fs.readFile(file, "utf-8");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await writeIdentityReport("sync-scorers", [], transfers, file);
+    assert.equal(await fs.readFile(file, "utf-8"), first);
+    await writeIdentityReport("sync-scorers", [], [], file);
+    assert.deepEqual(JSON.parse(await fs.readFile(file, "utf-8")).scripts["sync-scorers"].transfers, []);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,72 @@
+// Unit tests for scripts/lib/player-seasons.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  careerTotals,
+  isValidSeason,
+  latestSeasonTotals,
+  seasonForDate,
+  seasonLabel,
+  sortedSplits,
+  upsertSplit,
+  withSeasonTotals,
+} from "../lib/player-seasons.mjs";
+
+const line = (season, competition, minutes, goals, extra = {}) => ({
+  season,
+  competition,
+  team: "Arsenal",
+  minutes,
+  goals,
+  assists: 1,
+  shots: 10,
+  shotsOnTarget: 4,
+  ...extra,
+});
+
+const player = {
+  id: "bukayo-saka",
+  seasons: [line("2024-25", "PL", 2500, 12), line("2025-26", "PL", 1200, 6), line("2025-26", "CL", 450, 2)],
+};
+
+test("seasons run July to June unless a start month is given", () => {
+  assert.equal(seasonForDate("2026-05-05T13:56:21Z"), "2025-26");
+  assert.equal(seasonForDate("2026-07-01T00:00:00Z"), "2026-27");
+  assert.equal(seasonForDate("1999-08-01T00:00:00Z"), "1999-00");
+  assert.equal(seasonForDate("2026-07-15T00:00:00Z", 8), "2025-26");
+  assert.equal(seasonLabel("2025-26"), "2025/26");
+});
+
+test("isValidSeason requires consecutive years", () => {
+  assert.ok(isValidSeason("2025-26"));
+  assert.ok(isValidSeason("1999-00"));
+  assert.ok(!isValidSeason("2025-27"));
+  assert.ok(!isValidSeason("2025/26"));
+  assert.ok(!isValidSeason(undefined));
+});
+
+test("latest season sums every competition; career sums every split", () => {
+  assert.deepEqual(latestSeasonTotals(player), { season: "2025-26", minutes: 1650, goals: 8, assists: 2, shots: 20, shotsOnTarget: 8 });
+  assert.deepEqual(careerTotals(player), { seasons: 2, minutes: 4150, goals: 20, assists: 3, shots: 30, shotsOnTarget: 12 });
+});
+
+test("withSeasonTotals copies the latest season onto the flat fields", () => {
+  const flat = withSeasonTotals({ ...player, minutes: 1, goals: 99 });
+  assert.equal(flat.minutes, 1650);
+  assert.equal(flat.goals, 8);
+  assert.equal(withSeasonTotals({ id: "x", goals: 3 }).goals, 3);
+});
+
+test("upsertSplit replaces the same season × competition only", () => {
+  const next = upsertSplit(player.seasons, line("2025-26", "PL", 1300, 7));
+  assert.equal(next.length, 3);
+  assert.equal(next.find((s) => s.season === "2025-26" && s.competition === "PL").goals, 7);
+  assert.equal(upsertSplit(next, line("2025-26", "FAC", 90, 1)).length, 4);
+});
+
+test("sortedSplits lists newest season first, biggest split first within a season", () => {
+  assert.deepEqual(sortedSplits(player).map((s) => `${s.season} ${s.competition}`), ["2025-26 PL", "2025-26 CL", "2024-25 PL"]);
+});
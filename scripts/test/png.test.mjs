@@ -0,0 +1,57 @@
+// Unit tests for scripts/lib/png.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { inflateSync } from "node:zlib";
+
+import { crc32, encodePng, readPngSize, readPngText } from "../lib/png.mjs";
+
+// { type: data } for each chunk, checking every CRC on the way.
+function chunks(png) {
+  const out = [];
+  for (let at = 8; at < png.length;) {
+    const len = png.readUInt32BE(at);
+    const type = png.toString("ascii", at + 4, at + 8);
+    assert.equal(png.readUInt32BE(at + 8 + len), crc32(png.subarray(at + 4, at + 8 + len)), `${type} CRC`);
+    out.push({ type, data: png.subarray(at + 8, at + 8 + len) });
+    at += 12 + len;
+  }
+  return out;
+}
+
+test("crc32 matches the reference check value", () => {
+  assert.equal(crc32(Buffer.from("123456789")), 0xcbf43926);
+});
+
+test("opaque pixels are written as RGB, translucent ones as RGBA", () => {
+  const opaque = encodePng(2, 1, new Uint8Array([255, 0, 0, 255, 0, 0, 255, 255]));
+  const [ihdr, idat] = chunks(opaque);
+  assert.equal(ihdr.type, "IHDR");
+  assert.equal(ihdr.data[9], 2);
+  assert.deepEqual([...inflateSync(idat.data)], [0, 255, 0, 0, 0, 0, 255]);
+
+  const translucent = encodePng(1, 1, new Uint8Array([10, 20, 30, 128]));
+  const [ihdr2, idat2] = chunks(translucent);
+  assert.equal(ihdr2.data[9], 6);
+  assert.deepEqual([...inflateSync(idat2.data)], [0, 10, 20, 30, 128]);
+});
+
+test("encodePng rejects a pixel buffer of the wrong size", () => {
+  assert.throws(() => encodePng(2, 2, new Uint8Array(4)), /expected 2x2 RGBA pixels, got 4 bytes/);
+});
+
+test("readPngSize and readPngText read the header chunks", () => {
+  const png = encodePng(3, 2, new Uint8Array(3 * 2 * 4).fill(255), { text: { source: "abc123" } });
+  assert.deepEqual(readPngSize(png), { width: 3, height: 2 });
+  assert.deepEqual(readPngText(png), { source: "abc123" });
+  assert.deepEqual(chunks(png).map((c) => c.type), ["IHDR", "tEXt", "IDAT", "IEND"]);
+  // A prefix that stops inside the image data still yields the text.
+  assert.deepEqual(readPngText(png.subarray(0, png.length - 20)), { source: "abc123" });
+});
+
+test("non-PNG input reads as no size and no text", () => {
+  assert.equal(readPngSize(Buffer.from("<svg xmlns='http://www.w3.org/2000/svg'/>")), null);
+  assert.equal(readPngSize(null), null);
+  assert.deepEqual(readPngText(Buffer.alloc(4)), {});
+});
@@ -0,0 +1,112 @@
+// Unit tests for scripts/lib/predictions.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  backtest,
+  createPredictor,
+  fitPoissonModel,
+  fixtureResults,
+  outcomeProbabilities,
+  percentages,
+  predictMatch,
+  scorePrediction,
+} from "../lib/predictions.mjs";
+import { createTeamNameRegistry } from "../lib/team-names.mjs";
+
+// A double round robin per month for a season: "strong" beats everyone
+// 3-0, every other match is 1-1.
+function season(months = 6) {
+  const teams = ["strong", "b", "c", "d"];
+  const results = [];
+  for (let month = 1; month <= months; month++) {
+    const date = `2023-${String(month).padStart(2, "0")}-01`;
+    for (const home of teams) {
+      for (const away of teams) {
+        if (home === away) continue;
+        const score = home === "strong" ? [3, 0] : away === "strong" ? [0, 3] : [1, 1];
+        results.push({ date, competition: "League", season: "2023", home, away, homeScore: score[0], awayScore: score[1] });
+      }
+    }
+  }
+  return results;
+}
+
+test("percentages round to whole numbers that sum to 100", () => {
+  assert.deepEqual(percentages({ home: 1 / 3, draw: 1 / 3, away: 1 / 3 }), [34, 33, 33]);
+  assert.deepEqual(percentages({ home: 0.456, draw: 0.267, away: 0.277 }), [45, 27, 28]);
+  const [h, d, a] = percentages({ home: 0.5049, draw: 0.2449, away: 0.2502 });
+  assert.equal(h + d + a, 100);
+});
+
+test("outcome probabilities are symmetric for equal expected goals", () => {
+  const p = outcomeProbabilities(1.3, 1.3);
+  assert.ok(Math.abs(p.home - p.away) < 1e-12);
+  assert.ok(Math.abs(p.home + p.draw + p.away - 1) < 1e-12);
+  assert.equal(p.scoreline, "1-1");
+  const lopsided = outcomeProbabilities(3.5, 0.3);
+  assert.ok(lopsided.home > 0.8);
+  assert.equal(lopsided.scoreline, "3-0");
+});
+
+test("the fit rates a dominant side above the rest and ignores later results", () => {
+  const model = fitPoissonModel(season(), { asOf: "2023-07-01" });
+  const strong = model.teams.get("strong");
+  const b = model.teams.get("b");
+  assert.ok(strong.attack > b.attack);
+  assert.ok(strong.defence < b.defence);
+  const p = predictMatch(model, "b", "strong");
+  assert.ok(p.away > p.home);
+
+  const early = fitPoissonModel(season(), { asOf: "2023-01-15" });
+  // Only January's six matches, each two weeks old.
+  assert.ok(Math.abs(early.teams.get("b").weight - 6 * 0.5 ** (14 / 365)) < 1e-9);
+});
+
+test("teams with too little history get no prediction", () => {
+  const model = fitPoissonModel(season(1), { asOf: "2023-01-01" });
+  assert.equal(predictMatch(model, "strong", "unknown"), null);
+  assert.equal(predictMatch(model, "strong", "b", { minWeight: 100 }), null);
+  assert.ok(predictMatch(model, "strong", "b", { minWeight: 1 }));
+});
+
+test("Brier score and log loss of a single prediction", () => {
+  const sure = scorePrediction({ home: 1, draw: 0, away: 0 }, "home");
+  assert.equal(sure.brier, 0);
+  assert.ok(sure.logLoss === 0);
+  const flat = scorePrediction({ home: 1 / 3, draw: 1 / 3, away: 1 / 3 }, "draw");
+  assert.ok(Math.abs(flat.brier - 2 / 3) < 1e-12);
+  assert.ok(Math.abs(flat.logLoss - Math.log(3)) < 1e-12);
+});
+
+test("the back-test only uses earlier results and beats the frequency baseline", () => {
+  const report = backtest(season());
+  // The first month has no earlier results; the rest are all scored.
+  assert.equal(report.matches, 5 * 12);
+  assert.equal(report.skipped, 0);
+  assert.ok(report.brier < report.baseline.brier);
+  assert.ok(report.logLoss < report.baseline.logLoss);
+  assert.deepEqual(report.groups.map((g) => [g.competition, g.season, g.matches]), [["League", "2023", 60]]);
+  assert.equal(report.calibration.reduce((s, b) => s + b.count, 0), 3 * 60);
+
+  const later = backtest(season(), { evaluate: (m) => m.date >= "2023-06-01" });
+  assert.equal(later.matches, 12);
+});
+
+test("finished fixtures feed the model under registry slugs", () => {
+  const names = createTeamNameRegistry({ teams: [{ slug: "manchester-city", name: "Manchester City", aliases: ["Man City"] }] });
+  const fixtures = [
+    { date: "2024-01-01T15:00:00Z", status: "FINISHED", home: "Manchester City FC", away: "Arsenal FC", homeScore: 2, awayScore: 1, competition: "Premier League" },
+    { date: "2024-02-01T15:00:00Z", status: "SCHEDULED", home: "Arsenal FC", away: "Man City", homeScore: null, awayScore: null },
+  ];
+  const results = fixtureResults(fixtures, names);
+  assert.equal(results.length, 1);
+  assert.equal(results[0].home, "manchester-city");
+  assert.equal(results[0].date, "2024-01-01");
+
+  const { predict } = createPredictor({ archive: { entries: [] }, fixtures: { updatedAt: "2024-01-20T00:00:00Z", fixtures }, names });
+  assert.equal(predict("Arsenal FC", "Man City"), null);
+  assert.equal(predict("", "Man City"), null);
+});
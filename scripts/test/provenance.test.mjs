@@ -0,0 +1,67 @@
+// Unit tests for scripts/lib/provenance.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { field, mergeFields, outranks, sourceField } from "../lib/provenance.mjs";
+import { combinedFieldMeta, withSeasonTotals } from "../lib/player-seasons.mjs";
+
+const EARLY = "2026-05-01T00:00:00.000Z";
+const LATE = "2026-05-05T00:00:00.000Z";
+
+const split = (season, competition, stats = {}) => ({
+  season,
+  competition,
+  team: "Arsenal",
+  minutes: 0,
+  goals: 0,
+  assists: 0,
+  shots: 0,
+  shotsOnTarget: 0,
+  ...stats,
+});
+
+test("priority beats confidence, confidence beats recency, a source always refreshes itself", () => {
+  const fd = sourceField(10, "football-data", EARLY);
+  assert.equal(outranks(sourceField(12, "players-seed", LATE), fd), false);
+  assert.equal(outranks(sourceField(12, "football-data", LATE), fd), true);
+  assert.equal(outranks(field(5, "fantasy", EARLY, 0.8), field(4, "fantasy-b", LATE, 0.4)), true);
+  assert.equal(outranks(sourceField(1, "estimate", EARLY), undefined), true);
+  assert.equal(outranks(sourceField(1, "estimate", EARLY), field(9, "default", null, 0)), true);
+});
+
+test("mergeFields keeps the winning value with its provenance and fills the rest as unsourced", () => {
+  const seeded = mergeFields(split("2025-26", "PL", { goals: 8, minutes: 1100 }), {
+    goals: sourceField(8, "players-seed", EARLY),
+    minutes: sourceField(1100, "players-seed", EARLY),
+  });
+  const next = mergeFields(seeded, {
+    goals: sourceField(25, "football-data", LATE),
+    minutes: sourceField(2970, "estimate", LATE),
+  });
+  assert.equal(next.goals, 25);
+  assert.equal(next.fieldMeta.goals.source, "football-data");
+  assert.equal(next.minutes, 1100);
+  assert.equal(next.fieldMeta.minutes.source, "players-seed");
+  assert.deepEqual(next.fieldMeta.shots, { value: 0, source: "default", fetchedAt: null, confidence: 0 });
+});
+
+test("flat totals carry combined provenance for the latest season", () => {
+  const pl = mergeFields(split("2025-26", "PL"), { goals: sourceField(25, "football-data", LATE) });
+  const cl = mergeFields(split("2025-26", "CL"), { goals: sourceField(8, "players-seed", EARLY) });
+  const old = mergeFields(split("2024-25", "PL"), { goals: sourceField(30, "fantasy", EARLY) });
+  const meta = combinedFieldMeta([pl, cl]);
+  assert.deepEqual(meta.goals, {
+    value: 33,
+    source: "football-data",
+    sources: ["football-data", "players-seed"],
+    fetchedAt: EARLY,
+    confidence: 0.6,
+  });
+  // Unsourced zeros do not drag a sourced total down.
+  assert.equal(meta.shots.source, "default");
+  const flat = withSeasonTotals({ id: "x", seasons: [pl, cl, old] });
+  assert.equal(flat.goals, 33);
+  assert.equal(flat.fieldMeta.goals.value, 33);
+});
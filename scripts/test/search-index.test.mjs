@@ -0,0 +1,39 @@
+// Unit tests for scripts/lib/search-index.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { NAME_WEIGHT, buildSearchIndex, foldText, searchTokens, teamAliases } from "../lib/search-index.mjs";
+
+test("folding strips accents and maps letters NFKD leaves alone", () => {
+  assert.equal(foldText("Darwin Núñez"), "darwin nunez");
+  assert.equal(foldText("Martin Ødegaard"), "martin odegaard");
+  assert.equal(foldText("Hakan Çalhanoğlu"), "hakan calhanoglu");
+  assert.equal(foldText("Straße"), "strasse");
+});
+
+test("tokens split on punctuation and drop apostrophes", () => {
+  assert.deepEqual(searchTokens("N’Golo Kanté"), ["ngolo", "kante"]);
+  assert.deepEqual(searchTokens("Paris Saint-Germain FC"), ["paris", "saint", "germain", "fc"]);
+  assert.deepEqual(searchTokens("g/90"), ["g", "90"]);
+});
+
+test("team aliases are initials of three-or-more-word names", () => {
+  assert.deepEqual(teamAliases("Paris Saint-Germain FC"), ["psg"]);
+  assert.deepEqual(teamAliases("Club Atlético de Madrid"), ["cam"]);
+  assert.deepEqual(teamAliases("Arsenal FC"), []);
+});
+
+test("postings keep the strongest field per entry, prefixes exclude the whole word", () => {
+  const index = buildSearchIndex([
+    { name: "Martin Ødegaard", aliases: ["Captain"], team: "Arsenal FC", section: "player" },
+    { name: "Arsenal FC", section: "team" },
+  ]);
+  assert.deepEqual(index.terms.odegaard, [0, NAME_WEIGHT]);
+  assert.deepEqual(index.terms.captain, [0, NAME_WEIGHT]);
+  assert.deepEqual(index.terms.arsenal, [0, 1, 1, NAME_WEIGHT]);
+  assert.deepEqual(index.prefixes.ode, [0, NAME_WEIGHT]);
+  assert.equal(index.prefixes.odegaard, undefined);
+  assert.deepEqual(index.prefixes.a, [0, 1, 1, NAME_WEIGHT]);
+});
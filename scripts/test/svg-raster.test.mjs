@@ -0,0 +1,131 @@
+// Unit tests for scripts/lib/svg-raster.mjs and scripts/lib/stroke-font.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseColor, parseTransform, pathToPolygons, rasterizeSvg, svgToPng } from "../lib/svg-raster.mjs";
+import { layoutText, normalizeText, strokeWidth } from "../lib/stroke-font.mjs";
+import { readPngSize } from "../lib/png.mjs";
+
+const svg = (body, size = 'width="20" height="10"') =>
+  `<?xml version="1.0" encoding="UTF-8"?>\n<svg xmlns="http://www.w3.org/2000/svg" ${size}>${body}</svg>`;
+
+function pixel({ width, data }, x, y) {
+  const i = (y * width + x) * 4;
+  return [...data.subarray(i, i + 4)];
+}
+
+test("parseColor handles hex, rgb() and names, and rejects the rest", () => {
+  assert.deepEqual(parseColor("#0f8"), [0, 255, 136, 1]);
+  assert.deepEqual(parseColor("#1e3a8a"), [30, 58, 138, 1]);
+  assert.deepEqual(parseColor("rgba(255, 0, 0, 0.5)"), [255, 0, 0, 0.5]);
+  assert.deepEqual(parseColor("white"), [255, 255, 255, 1]);
+  assert.equal(parseColor("none"), null);
+  assert.throws(() => parseColor("hsl(0, 100%, 50%)"), /unsupported colour/);
+});
+
+test("parseTransform composes a transform list left to right", () => {
+  assert.deepEqual(parseTransform("translate(10, 5) scale(2)"), [2, 0, 0, 2, 10, 5]);
+  const [a, b, c, d] = parseTransform("rotate(90)");
+  assert.deepEqual([a, b, c, d].map((n) => Math.round(n)), [0, 1, -1, 0]);
+});
+
+test("pathToPolygons flattens relative lines and curves", () => {
+  assert.deepEqual(pathToPolygons("M0 0 h10 v10 H0 z"), [{ points: [0, 0, 10, 0, 10, 10, 0, 10], closed: true }]);
+  const [curve] = pathToPolygons("M0 0 C 0 10 10 10 10 0");
+  assert.equal(curve.closed, false);
+  assert.ok(curve.points.length > 8, "curve is split into several segments");
+  assert.throws(() => pathToPolygons("M0 0 A 5 5 0 0 1 10 0"), /unsupported path command "A"/);
+});
+
+test("rects fill whole pixels with exact colours and anti-alias their edges", () => {
+  const img = rasterizeSvg(svg('<rect width="20" height="10" fill="#fff"/><rect x="2" y="2" width="5.5" height="4" fill="#ff0000"/>'));
+  assert.equal(img.width, 20);
+  assert.equal(img.height, 10);
+  assert.deepEqual(pixel(img, 0, 0), [255, 255, 255, 255]);
+  assert.deepEqual(pixel(img, 3, 3), [255, 0, 0, 255]);
+  // Half-covered column at x = 7: halfway between red and white.
+  const [, g] = pixel(img, 7, 3);
+  assert.ok(g > 110 && g < 145, `edge green ${g}`);
+});
+
+test("linear gradients interpolate across the bounding box", () => {
+  const img = rasterizeSvg(svg(
+    '<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="0"><stop offset="0%" stop-color="#000"/><stop offset="100%" stop-color="#fff"/></linearGradient></defs>' +
+    '<rect width="20" height="10" fill="url(#g)"/>',
+  ));
+  const [left] = pixel(img, 0, 5);
+  const [middle] = pixel(img, 10, 5);
+  const [right] = pixel(img, 19, 5);
+  assert.ok(left < 20 && right > 235, `ends ${left}/${right}`);
+  assert.ok(Math.abs(middle - 134) < 12, `middle ${middle}`);
+});
+
+test("viewBox scales content to the declared size", () => {
+  const img = rasterizeSvg(svg('<rect width="10" height="5" fill="#00f"/>', 'width="20" height="10" viewBox="0 0 10 5"'));
+  assert.deepEqual(pixel(img, 19, 9), [0, 0, 255, 255]);
+});
+
+test("text is painted with the stroke font and honours text-anchor", () => {
+  const body = (anchor) => `<rect width="200" height="40" fill="#000"/><text x="100" y="30" font-size="24" fill="#fff" text-anchor="${anchor}">HI</text>`;
+  const ink = (img) => {
+    let minX = Infinity;
+    let maxX = -Infinity;
+    for (let y = 0; y < img.height; y++) {
+      for (let x = 0; x < img.width; x++) {
+        if (pixel(img, x, y)[0] > 128) { minX = Math.min(minX, x); maxX = Math.max(maxX, x); }
+      }
+    }
+    return { minX, maxX };
+  };
+  const size = 'width="200" height="40"';
+  const start = ink(rasterizeSvg(svg(body("start"), size)));
+  const end = ink(rasterizeSvg(svg(body("end"), size)));
+  const middle = ink(rasterizeSvg(svg(body("middle"), size)));
+  assert.ok(start.minX >= 100 && start.minX <= 103, `start ${start.minX}`);
+  assert.ok(end.maxX <= 100 && end.maxX >= 96, `end ${end.maxX}`);
+  assert.ok(Math.abs((middle.minX + middle.maxX) / 2 - 100) <= 2, "middle is centred");
+});
+
+test("unsupported elements fail the render instead of being dropped", () => {
+  assert.throws(() => rasterizeSvg(svg('<image href="x.png" width="10" height="10"/>')), /unsupported element <image>/);
+  assert.throws(() => rasterizeSvg('<svg xmlns="http://www.w3.org/2000/svg"/>'), /needs a width and height/);
+  // Descriptive elements are fine.
+  assert.doesNotThrow(() => rasterizeSvg(svg("<title>Card</title><desc>x</desc>")));
+});
+
+test("svgToPng encodes at the SVG's size", () => {
+  assert.deepEqual(readPngSize(svgToPng(svg('<rect width="20" height="10" fill="#123456"/>'))), { width: 20, height: 10 });
+});
+
+test("stroke font keeps accents, folds ligatures and replaces glyphs it lacks", () => {
+  assert.equal(normalizeText("1. FC Köln"), "1. FC Köln");
+  assert.equal(normalizeText("Martin Ødegaard"), "Martin Ødegaard");
+  assert.equal(normalizeText("Mbappé\u00a0→"), "Mbappé →");
+  assert.equal(normalizeText("Łódź Şahin Nguyễn"), "Łódź Şahin Nguyễn");
+  assert.equal(normalizeText("Ærø"), "AErø");
+  assert.equal(normalizeText("東京"), "??");
+});
+
+test("stroke font draws accents as marks over the base letter", () => {
+  const plain = layoutText("Koln", { fontSize: 20 });
+  const accented = layoutText("Köln", { fontSize: 20 });
+  assert.equal(accented.width, plain.width);
+  assert.ok(accented.d.length > plain.d.length);
+  // The diaeresis sits above the x-height of the "o".
+  const top = (d) => Math.min(...[...d.matchAll(/-?\d*\.?\d+ (-?\d*\.?\d+)/g)].map((m) => Number(m[1])));
+  assert.ok(top(layoutText("ö", { fontSize: 20 }).d) < top(layoutText("o", { fontSize: 20 }).d));
+  // Marks on a narrow glyph widen its advance instead of touching neighbours.
+  assert.ok(layoutText("î", { fontSize: 20 }).width > layoutText("i", { fontSize: 20 }).width);
+});
+
+test("stroke font widths grow with weight, size and letter spacing", () => {
+  assert.ok(strokeWidth(20, 700) > strokeWidth(20, 400));
+  assert.equal(strokeWidth(20, "bold"), strokeWidth(20, 700));
+  const plain = layoutText("Arsenal", { fontSize: 20 });
+  assert.ok(layoutText("Arsenal", { fontSize: 40 }).width > plain.width * 1.9);
+  assert.ok(Math.abs(layoutText("Arsenal", { fontSize: 20, letterSpacing: 2 }).width - plain.width - 12) < 1e-9);
+  assert.match(plain.d, /^M/);
+  assert.deepEqual(layoutText(" ", { fontSize: 20 }).d, "");
+});
@@ -0,0 +1,38 @@
+// Unit tests for scripts/lib/team-names.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createTeamNameRegistry, teamKey } from "../lib/team-names.mjs";
+
+const names = createTeamNameRegistry({
+  teams: [
+    { slug: "manchester-city", name: "Manchester City", aliases: ["Man City"] },
+    { slug: "manchester-united", name: "Manchester United", aliases: ["Man Utd"] },
+    { slug: "olympique-lyonnais", name: "Olympique Lyonnais", aliases: ["Lyon"] },
+  ],
+});
+
+test("club forms, founding years and accents fold away; women's sides stay apart", () => {
+  assert.equal(teamKey("1. FC Köln"), "koln");
+  assert.equal(teamKey("TSG 1899 Hoffenheim"), "hoffenheim");
+  assert.equal(teamKey("Real Sociedad de Fútbol"), "real sociedad");
+  assert.equal(teamKey("Brighton & Hove Albion FC"), "brighton hove albion");
+  assert.equal(teamKey("Arsenal WFC"), "arsenal women");
+  assert.equal(teamKey("Germany Women's"), "germany women");
+  assert.equal(teamKey(""), "");
+});
+
+test("the alias registry bridges names the rules cannot", () => {
+  assert.equal(names.slug("Man City"), "manchester-city");
+  assert.equal(names.slug("Manchester City FC"), "manchester-city");
+  assert.equal(names.slug("Manchester City WFC"), "manchester-city-women");
+  assert.equal(names.slug("Lyon"), "olympique-lyonnais");
+  assert.equal(names.slug("Hellas Verona FC"), "hellas-verona");
+  assert.equal(names.name("Man Utd"), "Manchester United");
+  assert.equal(names.name("Hellas Verona"), null);
+  assert.ok(names.same("Man City", "Manchester City FC"));
+  assert.ok(!names.same("Man City", "Man Utd"));
+  assert.ok(names.same("Arsenal", "Arsenal FC"));
+});
@@ -0,0 +1,68 @@
+// Unit tests for scripts/lib/template.mjs.
+// Run with: node --test scripts/test/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { compileTemplate, createTemplateEngine } from "../lib/template.mjs";
+
+const TEMPLATES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..", "templates");
+
+test("double braces escape, triple braces do not", () => {
+  const render = compileTemplate("<p>{{name}}</p>{{{raw}}}");
+  assert.equal(render({ name: `<b>"Tom" & Jerry's</b>`, raw: "<i>x</i>" }), "<p>&lt;b&gt;&quot;Tom&quot; &amp; Jerry&#39;s&lt;/b&gt;</p><i>x</i>");
+});
+
+test("dotted paths, numbers and empty values", () => {
+  const render = compileTemplate("{{a.b}}|{{n}}|{{z}}|{{missing.deep}}|{{f}}");
+  assert.equal(render({ a: { b: "ok" }, n: 0, z: null, missing: undefined, f: false }), "ok|0|||");
+});
+
+test("if / unless / else, with empty arrays as falsy", () => {
+  const render = compileTemplate("{{#if list}}has{{else}}none{{/if}}-{{#unless ok}}no{{/unless}}");
+  assert.equal(render({ list: [1], ok: true }), "has-");
+  assert.equal(render({ list: [], ok: false }), "none-no");
+});
+
+test("each exposes this, @index/@first/@last and falls through to outer scopes", () => {
+  const render = compileTemplate("{{#each items}}{{@index}}:{{this.v}}{{#if @first}}^{{/if}}{{#if @last}}${{/if}}{{team}};{{else}}empty{{/each}}");
+  assert.equal(render({ team: "T", items: [{ v: "a" }, { v: "b" }] }), "0:a^T;1:b$T;");
+  assert.equal(render({ team: "T", items: [] }), "empty");
+});
+
+test("standalone block tags do not leave blank lines", () => {
+  const render = compileTemplate("<ul>\n  {{#each xs}}\n  <li>{{this}}</li>\n  {{/each}}\n</ul>\n");
+  assert.equal(render({ xs: [1, 2] }), "<ul>\n  <li>1</li>\n  <li>2</li>\n</ul>\n");
+});
+
+test("partials render with the current or a given scope", () => {
+  const render = compileTemplate("{{> partials/a}}|{{> partials/a inner}}", {
+    partials: { "partials/a": "{{label}}" },
+  });
+  assert.equal(render({ label: "outer", inner: { label: "inner" } }), "outer|inner");
+});
+
+test("unknown variables fail with the template name and line", () => {
+  const render = compileTemplate("ok\n{{nmae}}", { name: "player.html" });
+  assert.throws(() => render({ name: "x" }), /^Error: player\.html:2: unknown variable "nmae"$/);
+});
+
+test("malformed templates fail at compile time", () => {
+  assert.throws(() => compileTemplate("{{#if a}}x", { name: "t.html" }), /t\.html:1: unclosed \{\{#if\}\}/);
+  assert.throws(() => compileTemplate("{{#each a}}x{{/if}}", { name: "t.html" }), /unexpected \{\{\/if\}\}/);
+  assert.throws(() => compileTemplate("{{#with a}}{{/with}}"), /unknown block "#with"/);
+  assert.throws(() => compileTemplate("{{a + b}}"), /invalid expression/);
+  assert.throws(() => compileTemplate("{{> partials/nope}}"), /partial "partials\/nope" not found/);
+});
+
+test("every page template and partial on disk compiles", async () => {
+  const engine = createTemplateEngine(TEMPLATES_DIR);
+  const names = (await fs.readdir(TEMPLATES_DIR)).filter((name) => name.endsWith(".html") && name !== "layout.html");
+  assert.ok(names.length >= 3);
+  for (const name of names) {
+    assert.equal(typeof (await engine.load(name)), "function", name);
+  }
+});
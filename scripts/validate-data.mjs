@@ -7,6 +7,10 @@
 
 import fs from "node:fs/promises";
 import path from "node:path";
+import { SPLIT_STATS, isValidSeason, latestSeasonTotals } from "./lib/player-seasons.mjs";
+import { sanitizeId } from "./lib/slug.mjs";
+import { teamKey } from "./lib/team-names.mjs";
+import { seasonKey } from "./lib/league-tables.mjs";
 
 const ROOT = process.cwd();
 
@@ -47,9 +51,15 @@ function validateField(value, schema, errors, path) {
       return;
     }
   }
+  if (schema.minimum !== undefined && typeof value === "number" && value < schema.minimum) {
+    errors.push(fail(path, `expected >= ${schema.minimum}, got ${value}`));
+  }
   if (schema.type === "array" && schema.items) {
+    // Items with properties are records; anything else (e.g. { type: "string" })
+    // is checked as a plain field.
+    const check = schema.items.properties ? validateRecord : validateField;
     for (let i = 0; i < value.length; i++) {
-      validateRecord(value[i], schema.items, errors, `${path}[${i}]`);
+      check(value[i], schema.items, errors, `${path}[${i}]`);
     }
   }
   if (schema.type === "object" && schema.properties) {
@@ -83,11 +93,30 @@ const PLAYER_RECORD = {
   },
 };
 
+// One stat line per season × competition; see scripts/lib/player-seasons.mjs.
+const SEASON_SPLIT = {
+  type: "object",
+  properties: {
+    season: { type: "string", required: true },
+    competition: { type: "string", required: true },
+    team: { type: "string" },
+    ...Object.fromEntries(SPLIT_STATS.map((k) => [k, { type: "number", required: true, minimum: 0 }])),
+  },
+};
+
+const CURRENT_PLAYER_RECORD = {
+  ...PLAYER_RECORD,
+  properties: {
+    ...PLAYER_RECORD.properties,
+    seasons: { type: "array", required: true, items: SEASON_SPLIT },
+  },
+};
+
 const SCHEMAS = {
   "data/players.json": {
     type: "object",
     properties: {
-      players: { type: "array", required: true, items: PLAYER_RECORD },
+      players: { type: "array", required: true, items: CURRENT_PLAYER_RECORD },
     },
   },
   "data/legacy-players.json": {
@@ -142,7 +171,201 @@ const SCHEMAS = {
     },
   },
   "data/sources.json": { type: "object" },
+  "data/competitions.json": {
+    type: "object",
+    properties: {
+      competitions: {
+        type: "array",
+        required: true,
+        items: {
+          type: "object",
+          properties: {
+            code: { type: "string", required: true },
+            name: { type: "string", required: true },
+            slug: { type: "string", required: true },
+            country: { type: "string", required: true },
+            tier: { type: "integer", nullable: true },
+            seasonStartMonth: { type: "integer", required: true },
+            aliases: { type: "array" },
+            sources: { type: "object", required: true },
+          },
+        },
+      },
+    },
+  },
+  "data/team-aliases.json": {
+    type: "object",
+    properties: {
+      teams: {
+        type: "array",
+        required: true,
+        items: {
+          type: "object",
+          properties: {
+            slug: { type: "string", required: true },
+            name: { type: "string", required: true },
+            aliases: { type: "array" },
+          },
+        },
+      },
+    },
+  },
+  "data/points-deductions.json": {
+    type: "object",
+    properties: {
+      deductions: {
+        type: "array",
+        required: true,
+        items: {
+          type: "object",
+          properties: {
+            competition: { type: "string", required: true },
+            season: { type: "string", required: true },
+            team: { type: "string", required: true },
+            points: { type: "number", required: true },
+            reason: { type: "string" },
+          },
+        },
+      },
+    },
+  },
   "data/health.json": { type: "object" },
+  "data/feed-events.json": {
+    type: "object",
+    properties: {
+      events: {
+        type: "array",
+        required: true,
+        items: {
+          type: "object",
+          properties: {
+            key: { type: "string", required: true },
+            type: { type: "string", required: true },
+            at: { type: "string", required: true },
+            title: { type: "string", required: true },
+            summary: { type: "string", required: true },
+            url: { type: "string", required: true },
+            guid: { type: "string" },
+            scopes: { type: "array", required: true, items: { type: "string" } },
+          },
+        },
+      },
+    },
+  },
+  "data/content-manifest.json": {
+    type: "object",
+    properties: {
+      builtAt: { type: "string" },
+      pages: { type: "object", required: true },
+      changes: { type: "object" },
+    },
+  },
+  "data/health-history.json": {
+    type: "object",
+    properties: {
+      entries: {
+        type: "array",
+        required: true,
+        items: {
+          type: "object",
+          properties: {
+            at: { type: "string", required: true },
+            status: { type: "string", required: true },
+            datasets: { type: "object" },
+            sources: { type: "object" },
+          },
+        },
+      },
+    },
+  },
+};
+
+// Cross-field rules the shape schemas cannot express.
+function checkPlayerSeasons(parsed, errors, rel) {
+  const players = Array.isArray(parsed?.players) ? parsed.players : [];
+  players.forEach((player, i) => {
+    const label = `${rel}.players[${i}]`;
+    const splits = Array.isArray(player?.seasons) ? player.seasons : [];
+    if (!splits.length) {
+      errors.push(fail(`${label}.seasons`, "expected at least one season split"));
+      return;
+    }
+    const seen = new Set();
+    splits.forEach((split, j) => {
+      if (!isValidSeason(split?.season)) {
+        errors.push(fail(`${label}.seasons[${j}].season`, `expected "YYYY-YY", got ${JSON.stringify(split?.season)}`));
+      }
+      // Provenance must describe the value actually stored; a mismatch
+      // means a writer bypassed lib/provenance.mjs mergeFields.
+      for (const k of SPLIT_STATS) {
+        const meta = split?.fieldMeta?.[k];
+        if (meta && meta.value !== split[k]) {
+          errors.push(fail(`${label}.seasons[${j}].fieldMeta.${k}`, `records ${meta.value} (${meta.source}) but the split has ${split[k]}`));
+        }
+      }
+      const key = `${split?.season}::${split?.competition}`;
+      if (seen.has(key)) errors.push(fail(`${label}.seasons[${j}]`, `duplicate split for ${split?.season} ${split?.competition}`));
+      seen.add(key);
+    });
+    // Flat fields are the latest season summed across competitions.
+    const latest = latestSeasonTotals(player);
+    for (const k of SPLIT_STATS) {
+      if (player[k] === undefined || player[k] === null) continue;
+      if (player[k] !== latest[k]) {
+        errors.push(fail(`${label}.${k}`, `is ${player[k]} but ${latest.season} splits sum to ${latest[k]}`));
+      }
+    }
+  });
+}
+
+// Registry lookups go by code, slug and name/alias; two competitions
+// claiming the same one would make a lookup silently pick the first.
+function checkCompetitionRegistry(parsed, errors, rel) {
+  const claimed = new Map();
+  (parsed?.competitions || []).forEach((c, i) => {
+    const label = `${rel}.competitions[${i}]`;
+    if (!(c?.seasonStartMonth >= 1 && c?.seasonStartMonth <= 12)) {
+      errors.push(fail(`${label}.seasonStartMonth`, `expected 1-12, got ${JSON.stringify(c?.seasonStartMonth)}`));
+    }
+    for (const season of c?.sources?.openfootball?.seasons || []) {
+      if (!isValidSeason(season)) errors.push(fail(`${label}.sources.openfootball.seasons`, `expected "YYYY-YY", got ${JSON.stringify(season)}`));
+    }
+    for (const name of new Set([c?.code, c?.name, c?.slug, ...(c?.aliases || [])].map(sanitizeId).filter(Boolean))) {
+      if (claimed.has(name)) errors.push(fail(label, `"${name}" already names ${claimed.get(name)}`));
+      else claimed.set(name, c?.code);
+    }
+  });
+}
+
+// Same for team names: each folded spelling may belong to one team only,
+// and the slug must already be URL-safe since pages are written under it.
+function checkTeamAliases(parsed, errors, rel) {
+  const claimed = new Map();
+  (parsed?.teams || []).forEach((t, i) => {
+    const label = `${rel}.teams[${i}]`;
+    if (t?.slug !== sanitizeId(t?.slug)) errors.push(fail(`${label}.slug`, `expected a sanitized slug, got ${JSON.stringify(t?.slug)}`));
+    for (const key of new Set([t?.name, ...(t?.aliases || [])].map(teamKey).filter(Boolean))) {
+      if (claimed.has(key)) errors.push(fail(label, `"${key}" already names ${claimed.get(key)}`));
+      else claimed.set(key, t?.slug);
+    }
+  });
+}
+
+// Deductions are matched to archive seasons by seasonKey and subtracted, so
+// the season must already be in that form and the points positive.
+function checkPointsDeductions(parsed, errors, rel) {
+  (parsed?.deductions || []).forEach((d, i) => {
+    const label = `${rel}.deductions[${i}]`;
+    if (d?.season !== seasonKey(d?.season)) errors.push(fail(`${label}.season`, `expected "YYYY-YY" or "YYYY", got ${JSON.stringify(d?.season)}`));
+    if (!(Number.isInteger(d?.points) && d.points > 0)) errors.push(fail(`${label}.points`, `expected a positive integer, got ${JSON.stringify(d?.points)}`));
+  });
+}
+
+const CHECKS = {
+  "data/players.json": checkPlayerSeasons,
+  "data/competitions.json": checkCompetitionRegistry,
+  "data/team-aliases.json": checkTeamAliases,
+  "data/points-deductions.json": checkPointsDeductions,
 };
 
 async function main() {
@@ -164,6 +387,7 @@ async function main() {
       continue;
     }
     validateRecord(parsed, schema, errors, rel);
+    if (CHECKS[rel]) CHECKS[rel](parsed, errors, rel);
   }
 
   if (errors.length) {
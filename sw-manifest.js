@@ -0,0 +1,46 @@
+// Generated by scripts/generate-sw-manifest.mjs. Do not edit.
+self.PRECACHE_MANIFEST = {
+  "version": "3fbe6cd7daf3",
+  "entries": [
+    {
+      "url": "/",
+      "revision": "90ec34257f40"
+    },
+    {
+      "url": "/players/",
+      "revision": "cd94279af5f2"
+    },
+    {
+      "url": "/compare/",
+      "revision": "91521291dc38"
+    },
+    {
+      "url": "/tools/",
+      "revision": "a978fa2234e3"
+    },
+    {
+      "url": "/learn/",
+      "revision": "5530a2d0a4f5"
+    },
+    {
+      "url": "/offline/",
+      "revision": "174d03e5eabe"
+    },
+    {
+      "url": "/styles/site.css",
+      "revision": "49537a3398c0"
+    },
+    {
+      "url": "/assets/js/site.js",
+      "revision": "aa680a4752cc"
+    },
+    {
+      "url": "/favicon.svg",
+      "revision": "60402868c056"
+    },
+    {
+      "url": "/manifest.webmanifest",
+      "revision": "7b361bd52efd"
+    }
+  ]
+};
@@ -1,26 +1,43 @@
 /* PlayersB service worker.
+   - Precache from /sw-manifest.js (generated by scripts/generate-sw-manifest.mjs);
+     the cache version is derived from its content hashes, so each deploy that
+     changes a precached file gets a fresh static cache automatically
    - Stale-while-revalidate for HTML and data JSON (fast paint, fresh next load)
    - Cache-first for /styles/, /assets/, fonts (with revalidation)
+   - Watch-listed player pages are kept offline (site.js posts the list)
+   - Navigations that miss both network and cache get /offline/
+   - Match alerts: fixtures for followed teams are checked in the background
+     and kick-off / goal / full-time changes raise a local notification
    - Bypass for analytics + non-GET */
-const VERSION = "playersb-sw-v2";
+try {
+  importScripts("/sw-manifest.js");
+} catch (_) {
+  /* no manifest (e.g. a local preview without a build): skip precaching */
+}
+const MANIFEST = self.PRECACHE_MANIFEST || { version: "dev", entries: [] };
+const VERSION = MANIFEST.version;
 const STATIC_CACHE = "playersb-static-" + VERSION;
-const RUNTIME_CACHE = "playersb-runtime-" + VERSION;
-
-const PRECACHE = [
-  "/",
-  "/players/",
-  "/compare/",
-  "/tools/",
-  "/learn/",
-  "/styles/site.css",
-  "/assets/js/site.js",
-  "/favicon.svg",
-  "/manifest.webmanifest",
-];
+// Runtime and watch-list caches outlive deploys: their entries are
+// revalidated on use, and dropping them would empty the offline copies.
+const RUNTIME_CACHE = "playersb-runtime";
+const WATCH_CACHE = "playersb-watch";
+// Match-alert settings and the last fixture snapshot (workers have no
+// localStorage, so they live as JSON responses under /__alerts/).
+const ALERTS_CACHE = "playersb-alerts";
+const KEEP = [STATIC_CACHE, RUNTIME_CACHE, WATCH_CACHE, ALERTS_CACHE];
+const OFFLINE_URL = "/offline/";
 
 self.addEventListener("install", (event) => {
   event.waitUntil(
-    caches.open(STATIC_CACHE).then((cache) => cache.addAll(PRECACHE).catch(() => null)),
+    caches.open(STATIC_CACHE).then((cache) =>
+      Promise.all(
+        MANIFEST.entries.map(({ url }) =>
+          fetch(new Request(url, { cache: "reload" }))
+            .then((res) => (res.ok ? cache.put(url, res) : null))
+            .catch(() => null),
+        ),
+      ),
+    ),
   );
   self.skipWaiting();
 });
@@ -30,13 +47,158 @@ self.addEventListener("activate", (event) => {
     caches.keys().then((keys) =>
       Promise.all(
         keys
-          .filter((k) => k !== STATIC_CACHE && k !== RUNTIME_CACHE)
+          .filter((k) => !KEEP.includes(k))
           .map((k) => caches.delete(k)),
       ),
     ).then(() => self.clients.claim()),
   );
 });
 
+// Messages from site.js:
+// - { type: "precache-watchlist", urls: ["/players/{id}/", …] } on load and
+//   whenever the watch-list changes. Pages no longer watched are dropped;
+//   newly watched ones are fetched now so they work offline.
+// - { type: "alerts-config", enabled, teams: ["Arsenal FC", …] } with the
+//   unmuted teams to alert on.
+// - { type: "check-fixtures" } on page load and from the "Check now" button.
+self.addEventListener("message", (event) => {
+  const data = event.data || {};
+  if (data.type === "precache-watchlist" && Array.isArray(data.urls)) {
+    event.waitUntil(syncWatchCache(data.urls));
+  } else if (data.type === "alerts-config" && Array.isArray(data.teams)) {
+    event.waitUntil(
+      writeAlertsJson(ALERTS_CONFIG_KEY, {
+        enabled: data.enabled === true,
+        teams: data.teams.filter((t) => typeof t === "string" && t),
+      }),
+    );
+  } else if (data.type === "check-fixtures") {
+    event.waitUntil(checkFixtures());
+  }
+});
+
+async function syncWatchCache(urls) {
+  const wanted = new Set(urls.filter((u) => /^\/players\/[^/]+\/$/.test(u)));
+  const cache = await caches.open(WATCH_CACHE);
+  const have = new Set();
+  for (const req of await cache.keys()) {
+    const pathname = new URL(req.url).pathname;
+    if (wanted.has(pathname)) have.add(pathname);
+    else await cache.delete(req);
+  }
+  await Promise.all(
+    [...wanted]
+      .filter((u) => !have.has(u))
+      .map((u) =>
+        fetch(u)
+          .then((res) => (res.ok ? cache.put(u, res) : null))
+          .catch(() => null),
+      ),
+  );
+}
+
+const ALERTS_CONFIG_KEY = "/__alerts/config";
+const ALERTS_STATE_KEY = "/__alerts/state";
+const FIXTURES_URL = "/data/fixtures.json";
+const LIVE_STATUSES = ["IN_PLAY", "LIVE", "PAUSED"];
+
+async function readAlertsJson(key) {
+  const res = await (await caches.open(ALERTS_CACHE)).match(key);
+  return res ? res.json().catch(() => null) : null;
+}
+
+async function writeAlertsJson(key, value) {
+  const cache = await caches.open(ALERTS_CACHE);
+  await cache.put(key, new Response(JSON.stringify(value), { headers: { "content-type": "application/json" } }));
+}
+
+// Same loose rule as scripts/lib/teams.mjs teamMatch: "Arsenal" follows
+// "Arsenal FC" and vice versa.
+function teamMatch(a, b) {
+  if (!a || !b) return false;
+  const x = String(a).toLowerCase();
+  const y = String(b).toLowerCase();
+  return x.includes(y) || y.includes(x);
+}
+
+function scoreLine(f) {
+  return `${f.home} ${f.homeScore ?? 0}–${f.awayScore ?? 0} ${f.away}`;
+}
+
+// Compares one fixture's previous and current snapshot; returns the alert
+// to show, if any. A fixture seen for the first time never alerts, so
+// enabling alerts mid-match does not replay the whole game.
+function fixtureAlert(prev, f) {
+  if (!prev) return null;
+  const wasLive = LIVE_STATUSES.includes(prev.status);
+  const isLive = LIVE_STATUSES.includes(f.status);
+  if (f.status === "FINISHED" && prev.status !== "FINISHED") {
+    return { title: `Full time: ${scoreLine(f)}`, body: f.competition || "" };
+  }
+  if (isLive && !wasLive && prev.status !== "FINISHED") {
+    return { title: `Kick-off: ${f.home} vs ${f.away}`, body: f.competition || "" };
+  }
+  const goals = (x) => (x.homeScore ?? 0) + (x.awayScore ?? 0);
+  if (isLive && goals(f) > goals(prev)) {
+    return { title: `Goal! ${scoreLine(f)}`, body: f.competition || "" };
+  }
+  return null;
+}
+
+// Fetches the fixtures file fresh, diffs the followed teams' fixtures
+// against the last snapshot and notifies on changes. The snapshot only
+// keeps fixtures for the followed teams.
+async function checkFixtures() {
+  const config = await readAlertsJson(ALERTS_CONFIG_KEY);
+  if (!config || !config.enabled || !config.teams.length) return;
+  if (self.Notification && self.Notification.permission !== "granted") return;
+  const res = await fetch(FIXTURES_URL, { cache: "no-store" }).catch(() => null);
+  if (!res || !res.ok) return;
+  const payload = await res.json().catch(() => null);
+  const fixtures = Array.isArray(payload?.fixtures) ? payload.fixtures : [];
+  const followed = fixtures.filter(
+    (f) => f && f.id != null && config.teams.some((t) => teamMatch(f.home, t) || teamMatch(f.away, t)),
+  );
+
+  const previous = (await readAlertsJson(ALERTS_STATE_KEY)) || {};
+  const next = {};
+  const alerts = [];
+  for (const f of followed) {
+    next[f.id] = { status: f.status, homeScore: f.homeScore ?? null, awayScore: f.awayScore ?? null };
+    const alert = fixtureAlert(previous[f.id], f);
+    if (alert) alerts.push({ ...alert, id: f.id });
+  }
+  await writeAlertsJson(ALERTS_STATE_KEY, next);
+  await Promise.all(
+    alerts.map((a) =>
+      self.registration.showNotification(a.title, {
+        body: a.body,
+        tag: `fixture-${a.id}`,
+        renotify: true,
+        icon: "/favicon.svg",
+        // Per-fixture page from generate-match-pages.mjs (football-data ids
+        // are numeric, so they are already valid slugs).
+        data: { url: `/matches/${a.id}/` },
+      }),
+    ),
+  );
+}
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === "fixture-check") event.waitUntil(checkFixtures());
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || "/matches/";
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((list) => {
+      const open = list.find((c) => new URL(c.url).pathname === url);
+      return open ? open.focus() : self.clients.openWindow(url);
+    }),
+  );
+});
+
 function isAnalytics(url) {
   return /googletagmanager\.com|google-analytics\.com|analytics\.google\.com/.test(url.hostname);
 }
@@ -52,7 +214,7 @@ async function staleWhileRevalidate(req, cacheName) {
       return res;
     })
     .catch(() => null);
-  return cached || network || Response.error();
+  return cached || (await network) || Response.error();
 }
 
 async function cacheFirst(req, cacheName) {
@@ -64,6 +226,31 @@ async function cacheFirst(req, cacheName) {
   return res || Response.error();
 }
 
+// HTML: stale-while-revalidate through the runtime cache, refreshing the
+// watch-list copy too. On a miss fall back to any cache (precache, watch
+// list) and finally the offline page.
+async function navigate(req) {
+  const runtime = await caches.open(RUNTIME_CACHE);
+  const watch = await caches.open(WATCH_CACHE);
+  const cached = await runtime.match(req);
+  const network = fetch(req)
+    .then(async (res) => {
+      if (res && res.ok && res.type !== "opaque") {
+        runtime.put(req, res.clone()).catch(() => {});
+        if (await watch.match(req)) watch.put(req, res.clone()).catch(() => {});
+      }
+      return res;
+    })
+    .catch(() => null);
+  const res = cached || (await network);
+  if (res) return res;
+  return (
+    (await caches.match(req, { ignoreSearch: true })) ||
+    (req.mode === "navigate" && (await caches.match(OFFLINE_URL))) ||
+    Response.error()
+  );
+}
+
 self.addEventListener("fetch", (event) => {
   const req = event.request;
   if (req.method !== "GET") return;
@@ -77,6 +264,7 @@ self.addEventListener("fetch", (event) => {
       url.pathname.startsWith("/assets/") ||
       url.pathname === "/favicon.svg" ||
       url.pathname === "/og-image.svg" ||
+      url.pathname === "/og-image.png" ||
       url.pathname === "/manifest.webmanifest"
     ) {
       event.respondWith(cacheFirst(req, STATIC_CACHE));
@@ -88,7 +276,7 @@ self.addEventListener("fetch", (event) => {
     }
     // HTML / nav requests
     if (req.mode === "navigate" || (req.headers.get("accept") || "").includes("text/html")) {
-      event.respondWith(staleWhileRevalidate(req, RUNTIME_CACHE));
+      event.respondWith(navigate(req));
       return;
     }
   }